@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// scripts/sweepMissedChecklists.js
+import { createClient } from '@supabase/supabase-js';
+import { buildEmptyChecksFromPrefs, isExcusedOn, isItemDone } from '../src/utils/checklist.js';
+import { todayStr, addDays, eachDay, resolveTimezone } from '../src/utils/dates.js';
+import { DEFAULT_ITEM_TYPES } from '../src/utils/itemCatalogue.js';
+import { prefsEffectiveOn } from '../src/utils/prefVersions.js';
+
+/*
+Nightly fine sweeper
+- Finds every user with a preferences row but no daily_checks row for a closed day
+  (a day is closed once it is over in the user's profile timezone, UTC when unset)
+- Writes a sweeper-owned daily_checks row (source = 'sweeper', every item unchecked except those
+  ticked without saving the day, e.g. by a completed task: checklist_ticks) through
+  sweep_daily_checks, which prices it with the same server-side evaluation as a save
+  (apply_daily_checks): late policy, escalation, wake check-ins, excuses, approved appeals
+- A sweeper day is priced as submitted when it was first swept (daily_checks.swept_at)
+- Idempotent: sweeper rows inside the --days window are re-evaluated in place, so an excuse or
+  appeal that came later clears their fines (fines with payments stay); rows the user saved
+  themselves (source = 'user') are never touched
+- Checklists are built from the item type catalogue (item_types), the same way DailyChecklist does,
+  and from the preference version in force on each date (preference_versions)
+- Quota items (N times a week / month) get no daily fine; weeks and months that closed are settled
+  afterwards (settle_quota_periods: one quota_results row per period, a fine for the shortfall)
+- Applies contract changes whose cooling-off period is over first (apply_due_contract_changes)
+- Usage:
+    SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... node scripts/sweepMissedChecklists.js [--days 3] [--dry-run]
+  (service role key: the sweeper reads and writes rows of every user)
+*/
+
+function parseArgs(argv) {
+  const opts = { days: 3, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--days') opts.days = Math.max(1, Number(argv[++i]) || 1);
+    else if (argv[i] === '--dry-run') opts.dryRun = true;
+  }
+  return opts;
+}
+
+async function sweepUser(supabase, prefs, profile, itemTypes, versions, opts) {
+  const userId = prefs.user_id;
+  const tz = resolveTimezone(profile?.timezone);
+  const lastClosed = addDays(todayStr(tz), -1);
+  let first = addDays(lastClosed, -(opts.days - 1));
+  // never fine days before the contract existed
+  const since = prefs.created_at ? String(prefs.created_at).slice(0,10) : null;
+  if (since && since > first) first = since;
+  if (first > lastClosed) return { fined: 0, dates: 0, settled: 0 };
+
+  const [
+    { data: dcs, error: dcErr },
+    { data: susp, error: suspErr }
+  ] = await Promise.all([
+    supabase.from('daily_checks').select('id, date, checks, source').eq('user_id', userId).gte('date', first).lte('date', lastClosed),
+    supabase.from('suspensions').select('*').eq('user_id', userId).lte('start_date', lastClosed).gte('end_date', first)
+  ]);
+  if (dcErr) throw dcErr;
+  if (suspErr) throw suspErr;
+
+  const dcByDate = {};
+  (dcs || []).forEach(dc => { dcByDate[String(dc.date).slice(0,10)] = dc; });
+
+  let fined = 0;
+  let touched = 0;
+  for (const date of eachDay(first, lastClosed)) {
+    const dc = dcByDate[date];
+    if (dc && dc.source !== 'sweeper') continue;
+    // nothing to record for a day excused before it was ever swept
+    if (!dc && isExcusedOn(susp, date)) continue;
+
+    const checks = dc ? dc.checks : buildEmptyChecksFromPrefs(prefsEffectiveOn(versions, date, prefs), date, itemTypes);
+    if (!checks || Object.keys(checks).length === 0) continue;
+
+    if (opts.dryRun) {
+      const open = Object.values(checks).filter(v => !isItemDone(v)).length;
+      console.log(`[dry-run] ${userId} ${date}: ${dc ? 're-evaluate' : 'record'} ${open} unticked item(s)`);
+      touched++;
+      continue;
+    }
+
+    // the server prices the day exactly like a save (sweep_daily_checks -> apply_daily_checks)
+    const { data: state, error } = await supabase.rpc('sweep_daily_checks', { p_user: userId, p_date: date, p_checks: checks });
+    if (error) throw error;
+    if (!state) continue; // the user saved this date meanwhile; their row wins
+    const dcId = state.daily_check?.id;
+    fined += (state.fines || []).filter(f => f.daily_check_id === dcId).length;
+    touched++;
+  }
+
+  // after the days: the sweeper rows above count as unticked days of the period
+  let settled = 0;
+  if (!opts.dryRun) {
+    const { data, error } = await supabase.rpc('settle_quota_periods', { p_user: userId, p_until: lastClosed });
+    if (error) throw error;
+    settled = data || 0;
+  }
+  return { fined, dates: touched, settled };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in environment.');
+  }
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  // contract changes whose cooling-off period is over apply before today's checklists are judged
+  const { data: applied, error: applyErr } = await supabase.rpc('apply_due_contract_changes', { p_user: null });
+  if (applyErr) throw applyErr;
+  if (applied) console.log(`${applied} contract change(s) applied after their cooling-off period`);
+
+  const { data: prefsRows, error: prefsErr } = await supabase.from('preferences').select('*');
+  if (prefsErr) throw prefsErr;
+  const userIds = (prefsRows || []).map(p => p.user_id).filter(Boolean);
+  if (userIds.length === 0) {
+    console.log('No users with preferences; nothing to sweep.');
+    return;
+  }
+
+  const { data: profiles, error: profErr } = await supabase.from('profiles').select('id, timezone').in('id', userIds);
+  if (profErr) throw profErr;
+  const profileById = {};
+  (profiles || []).forEach(p => { profileById[p.id] = p; });
+
+  const { data: typeRows, error: typesErr } = await supabase.from('item_types').select('*');
+  if (typesErr) throw typesErr;
+  const itemTypes = typeRows && typeRows.length ? typeRows : DEFAULT_ITEM_TYPES;
+
+  const { data: versionRows, error: versionsErr } = await supabase.from('preference_versions').select('user_id, effective_from, prefs').in('user_id', userIds);
+  if (versionsErr) throw versionsErr;
+  const versionsByUser = {};
+  (versionRows || []).forEach(v => { (versionsByUser[v.user_id] = versionsByUser[v.user_id] || []).push(v); });
+
+  let totalFines = 0;
+  let failures = 0;
+  for (const prefs of prefsRows || []) {
+    if (!prefs.user_id) continue;
+    try {
+      const { fined, dates, settled } = await sweepUser(supabase, prefs, profileById[prefs.user_id], itemTypes, versionsByUser[prefs.user_id] || [], opts);
+      if (dates) console.log(`${prefs.user_id}: ${dates} date(s) swept, ${fined} fine(s)`);
+      if (settled) console.log(`${prefs.user_id}: ${settled} quota period(s) settled`);
+      totalFines += fined;
+    } catch (err) {
+      failures++;
+      console.error(`sweep failed for ${prefs.user_id}:`, err.message || err);
+    }
+  }
+
+  console.log(`Done${opts.dryRun ? ' (dry run)' : ''}: ${totalFines} fine(s) for ${userIds.length} user(s), ${failures} failure(s).`);
+  if (failures) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
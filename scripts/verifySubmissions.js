@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// scripts/verifySubmissions.js
+import { readFileSync } from 'node:fs';
+import { IMPORTERS, parseSubmissions, acceptedByDate } from '../src/utils/judgeImporters.js';
+import { resolveTimezone } from '../src/utils/dates.js';
+
+/*
+Offline check of a submission history export
+- Runs the platform importer used by DailyChecklist on a saved file and prints the distinct
+  accepted problems per calendar day, so importers can be tried against fixture files
+  without a browser or a database
+- Usage:
+    node scripts/verifySubmissions.js <platform> <file> [--tz Asia/Kolkata] [--source-tz Europe/Helsinki] [--date YYYY-MM-DD]
+  platforms: codeforces (user.status JSON), leetcode (CSV), cses (saved HTML)
+- Recorded exports for each platform live in src/utils/fixtures/ and are checked by
+  src/utils/judgeImporters.test.js (npm test), e.g.
+    node scripts/verifySubmissions.js codeforces src/utils/fixtures/codeforces-user-status.json --tz Asia/Kolkata
+*/
+
+function parseArgs(argv) {
+  const opts = { platform: null, file: null, tz: null, sourceTz: undefined, date: null };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--tz') opts.tz = argv[++i];
+    else if (argv[i] === '--source-tz') opts.sourceTz = argv[++i];
+    else if (argv[i] === '--date') opts.date = argv[++i];
+    else rest.push(argv[i]);
+  }
+  [opts.platform, opts.file] = rest;
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.platform || !opts.file || !IMPORTERS[opts.platform]) {
+    console.error(`Usage: node scripts/verifySubmissions.js <${Object.keys(IMPORTERS).join('|')}> <file> [--tz TZ] [--source-tz TZ] [--date YYYY-MM-DD]`);
+    process.exit(1);
+  }
+  const tz = resolveTimezone(opts.tz);
+  const subs = parseSubmissions(opts.platform, readFileSync(opts.file, 'utf8'), opts.sourceTz ? { sourceTz: opts.sourceTz } : {});
+  const byDate = acceptedByDate(subs, tz);
+  const dates = Object.keys(byDate).sort().filter(d => !opts.date || d === opts.date);
+
+  console.log(`${subs.length} accepted submissions, ${dates.length} day(s) (${tz})`);
+  dates.forEach(d => {
+    const list = byDate[d][opts.platform] || [];
+    console.log(`${d}  ${list.length} problem(s): ${list.map(s => s.name ? `${s.problemId} ${s.name}` : s.problemId).join(', ')}`);
+  });
+}
+
+main();
@@ -18,6 +18,7 @@ import Pomodoro from './components/Pomodoro';
 import UnreadMessagesPopup from './components/UnreadMessagesPopup';
 import ConsistencyPage from './pages/ConsistencyPage';
 import AnnouncementPage from './pages/AnnouncementPage';
+import PotPage from './pages/PotPage';
 
 export default function App() {
   const [session, setSession] = useState(null);
@@ -56,6 +57,7 @@ export default function App() {
           <Route path="/checklist" element={<ChecklistPage />} />
           <Route path="/search" element={<SearchPage />} />
           <Route path="/fines" element={<MyFinesPage/>}/>
+          <Route path="/pot" element={<PotPage />} />
           <Route path="/day-profile" element={<DayProfilePage />} />
           <Route path="/tasks" element={<TaskRegistryPage />} />
           <Route path="/diary" element={<DiaryPage session={session} />} />
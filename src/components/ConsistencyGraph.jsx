@@ -2,12 +2,16 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import { lastNDays, dateStrIn } from '../utils/dates';
+import { isQuotaItem } from '../utils/checklist';
 
 /* Improved responsive layout + nicer ticks/labels
    - responsive stacking on narrow screens
    - controlled tick frequency on x axis
    - friendly user label fallback ("You")
    - collapsible debug panel
+   - quota items (N times a week / month) are left out of the daily dots; each settled period
+     is a dot on its last day in a row of its own ("quota · <label>")
 */
 
 const COLORS = {
@@ -18,24 +22,21 @@ const COLORS = {
   none: '#94a3b8'
 };
 
-function dateRange(days) {
-  const arr = [];
-  const today = dayjs().startOf('day');
-  for (let i = days - 1; i >= 0; i--) arr.push(today.subtract(i, 'day').format('YYYY-MM-DD'));
-  return arr;
-}
-
 export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
   const [days, setDays] = useState(initialDays);
   const [includeExcusedAsDone, setIncludeExcusedAsDone] = useState(true);
 
   const [rawRows, setRawRows] = useState([]);
+  const [quotaRows, setQuotaRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   const [selectedUserId, setSelectedUserId] = useState('all');
   const [userOptions, setUserOptions] = useState([{ id: 'all', label: 'All users' }]);
 
+  // viewer's profile timezone decides which calendar day is "today"
+  const [timezone, setTimezone] = useState(null);
+
   const [activeTerms, setActiveTerms] = useState(null);
   const [tooltip, setTooltip] = useState(null);
   const containerRef = useRef(null);
@@ -71,6 +72,8 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
         if (mounted && userId) {
           // only auto-select if currently 'all'
           setSelectedUserId(prev => (prev === 'all' ? userId : prev));
+          const { data: prof } = await supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle();
+          if (mounted) setTimezone(prof?.timezone || null);
         }
       } catch (err) {
         // ignore
@@ -87,8 +90,9 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
       setLoading(true);
       setError(null);
       try {
-        const start = dayjs().subtract(days - 1, 'day').format('YYYY-MM-DD');
-        const end = dayjs().format('YYYY-MM-DD');
+        const range = lastNDays(days, timezone);
+        const start = range[0];
+        const end = range[range.length - 1];
 
         // fetch distinct user_ids in range
         const { data: userRows, error: userErr } = await supabase
@@ -137,8 +141,20 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
 
         const { data, error } = await q;
         if (error) throw error;
+
+        // quota periods that ended in range
+        let qq = supabase
+          .from('quota_results')
+          .select('user_id, item_key, label, period, period_start, period_end, target, achieved, excused, shortfall')
+          .gte('period_end', start)
+          .lte('period_end', end);
+        if (selectedUserId && selectedUserId !== 'all') qq = qq.eq('user_id', selectedUserId);
+        const { data: quotas, error: quotaErr } = await qq;
+        if (quotaErr) console.warn('quota results fetch error', quotaErr);
+
         if (!mounted) return;
         setRawRows(data || []);
+        setQuotaRows(quotas || []);
       } catch (err) {
         if (!mounted) return;
         setError(err.message || String(err));
@@ -148,7 +164,7 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
     }
     load();
     return () => { mounted = false; };
-  }, [days, selectedUserId]);
+  }, [days, selectedUserId, timezone]);
 
   // helpers
   function normalizeChecks(checks) {
@@ -173,13 +189,12 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
   const aggregated = useMemo(() => {
     const map = {};
     rawRows.forEach(r => {
-      const rawDate = r.date || r.created_at;
-      const date = rawDate ? dayjs(rawDate).format('YYYY-MM-DD') : null;
+      const date = r.date ? String(r.date).slice(0,10) : (r.created_at ? dateStrIn(r.created_at, timezone) : null);
       if (!date) return;
       const checks = normalizeChecks(r.checks);
       if (!map[date]) map[date] = {};
       checks.forEach(item => {
-        if (!item || typeof item !== 'object') return;
+        if (!item || typeof item !== 'object' || isQuotaItem(item)) return;
         const t = detectItemType(item) || 'other';
         if (!map[date][t]) map[date][t] = { total: 0, done: 0, excused: 0 };
         map[date][t].total += 1;
@@ -189,8 +204,19 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
         if (isExcused) map[date][t].excused += 1;
       });
     });
+    // a settled quota period: target ticks, of which done / excused (capped at the target)
+    quotaRows.forEach(q => {
+      const date = String(q.period_end).slice(0,10);
+      const t = quotaTerm(q);
+      if (!map[date]) map[date] = {};
+      if (!map[date][t]) map[date][t] = { total: 0, done: 0, excused: 0 };
+      const done = Math.min(q.achieved, q.target);
+      map[date][t].total += q.target;
+      map[date][t].done += done;
+      map[date][t].excused += Math.min(q.excused, q.target - done);
+    });
     return map;
-  }, [rawRows]);
+  }, [rawRows, quotaRows, timezone]);
 
   // detected terms in stable order
   const detectedTerms = useMemo(() => {
@@ -198,7 +224,7 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
     rawRows.forEach(r => {
       const checks = normalizeChecks(r.checks);
       checks.forEach(item => {
-        if (!item || typeof item !== 'object') return;
+        if (!item || typeof item !== 'object' || isQuotaItem(item)) return;
         s.add(detectItemType(item) || 'other');
       });
     });
@@ -206,8 +232,10 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
     const arr = [];
     preferred.forEach(p => { if (s.has(p)) { arr.push(p); s.delete(p); }});
     Array.from(s).sort().forEach(x => arr.push(x));
+    // quota rows after the daily terms
+    Array.from(new Set(quotaRows.map(quotaTerm))).sort().forEach(x => arr.push(x));
     return arr;
-  }, [rawRows]);
+  }, [rawRows, quotaRows]);
 
   // init activeTerms robustly
   useEffect(() => {
@@ -240,7 +268,7 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
 
   // grid data
   const grid = useMemo(() => {
-    const dates = dateRange(days);
+    const dates = lastNDays(days, timezone);
     const terms = (Array.isArray(activeTerms) && activeTerms.length > 0) ? activeTerms : detectedTerms || [];
     const rows = terms.map(term => {
       const points = dates.map(date => {
@@ -259,7 +287,7 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
       return { term, points };
     });
     return { dates, rows };
-  }, [aggregated, days, activeTerms, detectedTerms, includeExcusedAsDone]);
+  }, [aggregated, days, timezone, activeTerms, detectedTerms, includeExcusedAsDone]);
 
   // tooltip handlers
   function handleDotEnter(e, data) {
@@ -308,7 +336,7 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
         </div>
         {showDebug && (
           <div style={{ marginTop: 10, padding: 12, border: '1px dashed #ddd', borderRadius: 8, background: '#fafafa' }}>
-            <div><strong>Query range:</strong> {dayjs().subtract(days - 1, 'day').format('YYYY-MM-DD')} → {dayjs().format('YYYY-MM-DD')}</div>
+            <div><strong>Query range:</strong> {grid.dates[0]} → {grid.dates[grid.dates.length - 1]}</div>
             <div><strong>Rows fetched:</strong> {rawRows.length}</div>
             <div><strong>Selected user:</strong> {selectedUserLabel}</div>
             <div><strong>Distinct dates:</strong> {Object.keys(aggregated).length ? Object.keys(aggregated).join(', ') : '— none —'}</div>
@@ -499,6 +527,10 @@ export default function ConsistencyGraphGlobal({ initialDays = 30 }) {
   );
 }
 
+function quotaTerm(q) {
+  return `quota · ${q.label || q.item_key}`;
+}
+
 function LegendBadge({ color, text }) {
   return (
     <div style={{ display: 'flex', gap: 8, alignItems: 'center', padding: '6px 8px', borderRadius: 10, border: '1px solid #f1f5f9', background: '#fff' }}>
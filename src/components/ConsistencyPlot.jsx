@@ -1,21 +1,16 @@
 // src/components/ConsistencyPlot.jsx
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
-import dayjs from 'dayjs';
+import { lastNDays } from '../utils/dates';
 
-function buildDays(n = 30) {
-  const arr = [];
-  for (let i = n-1; i >= 0; i--) arr.push(dayjs().subtract(i, 'day').format('YYYY-MM-DD'));
-  return arr;
-}
-
-export default function ConsistencyPlot({ userId, days = 30 }) {
+export default function ConsistencyPlot({ userId, days = 30, timezone = null }) {
   const [data, setData] = useState([]);
 
   useEffect(() => {
     if (!userId) return;
     (async () => {
-      const start = dayjs().subtract(days - 1, 'day').format('YYYY-MM-DD');
+      const range = lastNDays(days, timezone);
+      const start = range[0];
       const { data: rows, error } = await supabase.from('consistency_activity').select('date, completed').eq('user_id', userId).gte('date', start);
       if (error) { console.error(error); setData([]); return; }
       const map = {};
@@ -23,10 +18,10 @@ export default function ConsistencyPlot({ userId, days = 30 }) {
         const d = r.date;
         map[d] = map[d] ? map[d] + (r.completed ? 1 : 0) : (r.completed ? 1 : 0);
       });
-      const daysArr = buildDays(days).map(d => ({ day: d, count: map[d] || 0 }));
+      const daysArr = range.map(d => ({ day: d, count: map[d] || 0 }));
       setData(daysArr);
     })();
-  }, [userId, days]);
+  }, [userId, days, timezone]);
 
   if (!userId) return null;
   if (!data || data.length === 0) return <div>No data</div>;
@@ -0,0 +1,113 @@
+// src/components/ContractChanges.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { supabase } from '../supabaseClient';
+import {
+  DEFAULT_CONTRACT_CHANGE_POLICY, loadContractChangePolicy, loadContractChanges, decideContractChange, cancelContractChange, describeEffectiveAt
+} from '../utils/contractChanges';
+
+/*
+ContractChanges
+- A member's pending contract change (the parts that weaken it) and the last few decided ones
+- The member can withdraw a pending change; other members can sign it off or reject it
+- Used on the profile (Search page) and on the Preferences page; reloads on `refreshKey` and 'contract:changed'
+*/
+
+const STATUS_COLORS = { pending: '#b45309', applied: '#16a34a', rejected: '#dc2626', cancelled: '#666' };
+
+export default function ContractChanges({ userId, refreshKey = 0 }) {
+  const [requests, setRequests] = useState([]);
+  const [policy, setPolicy] = useState(DEFAULT_CONTRACT_CHANGE_POLICY);
+  const [viewerId, setViewerId] = useState(null);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setViewerId(data?.session?.user?.id ?? null));
+    loadContractChangePolicy().then(setPolicy).catch(err => console.warn('contract change policy load failed', err));
+  }, []);
+
+  const load = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setRequests(await loadContractChanges(userId));
+    } catch (err) {
+      console.error('Error loading contract changes', err);
+      setStatus('Error loading contract changes: ' + (err.message || err));
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    load();
+    const handler = (ev) => { if (!ev?.detail || ev.detail.userId === userId) load(); };
+    window.addEventListener('contract:changed', handler);
+    return () => window.removeEventListener('contract:changed', handler);
+  }, [load, refreshKey, userId]);
+
+  async function decide(req, approve) {
+    const note = approve ? null : prompt('Reason for rejecting this contract change?');
+    if (!approve && note === null) return;
+    setBusy(true);
+    try {
+      await decideContractChange(req.id, approve, note);
+      setStatus(approve ? 'Signed off — the change applies from today.' : 'Contract change rejected.');
+      await load();
+      window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId } }));
+    } catch (err) {
+      console.error('decide contract change error', err);
+      setStatus('Error: ' + (err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function cancel(req) {
+    if (!confirm('Withdraw this contract change?')) return;
+    setBusy(true);
+    try {
+      await cancelContractChange(req.id);
+      setStatus('Contract change withdrawn.');
+      await load();
+    } catch (err) {
+      console.error('cancel contract change error', err);
+      setStatus('Error: ' + (err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!userId || (requests.length === 0 && !status)) return null;
+
+  const isOwner = viewerId === userId;
+
+  return (
+    <div style={{ padding: 12, border: '1px solid #ffecb3', background: '#fffbeb', borderRadius: 6, marginBottom: 16 }}>
+      <h4 style={{ margin: 0 }}>Contract changes</h4>
+      {requests.map(req => (
+        <div key={req.id} style={{ padding: '8px 0', borderBottom: '1px solid #f5e6b8' }}>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <span style={{ color: STATUS_COLORS[req.status], fontWeight: 600 }}>{req.status}</span>
+            <span style={{ fontSize: 12, color: '#666' }}>requested {new Date(req.requested_at).toLocaleString()}</span>
+            <div style={{ flex: 1 }} />
+            {req.status === 'pending' && isOwner && <button onClick={() => cancel(req)} disabled={busy}>Withdraw</button>}
+            {req.status === 'pending' && !isOwner && viewerId && policy.peer_approval && (
+              <>
+                <button onClick={() => decide(req, true)} disabled={busy}>Sign off</button>
+                <button onClick={() => decide(req, false)} disabled={busy}>Reject</button>
+              </>
+            )}
+          </div>
+          <ul style={{ margin: '4px 0 0', paddingLeft: 18 }}>
+            {(req.weakenings || []).map((w, i) => <li key={i}>{w}</li>)}
+          </ul>
+          <div style={{ fontSize: 12, color: '#666' }}>
+            {req.status === 'pending' && `Takes effect ${describeEffectiveAt(req, policy)}.`}
+            {req.status === 'applied' && `Applied ${new Date(req.applied_at).toLocaleString()}.`}
+            {req.status === 'rejected' && `Rejected${req.decision_note ? ` — ${req.decision_note}` : ''}.`}
+            {req.status === 'cancelled' && (req.decision_note ? `Withdrawn — ${req.decision_note}.` : 'Withdrawn.')}
+          </div>
+        </div>
+      ))}
+      {status && <div style={{ marginTop: 8, color: '#555' }}>{status}</div>}
+    </div>
+  );
+}
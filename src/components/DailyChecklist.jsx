@@ -1,39 +1,122 @@
 // src/components/DailyChecklist.jsx
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
-import dayjs from 'dayjs';
+import { todayStr, daysBetween, addDays, weekdayOf, startOfDayIn, periodBounds } from '../utils/dates';
+import {
+  buildEmptyChecksFromPrefs, applyChecklistTicks, isItemDone, isExcusedOn, suspensionCovers, suspensionIsPartial, applyItemExcuses, applyWakeCheckins, windowTickState, itemQuota, quotaProgress, WEEKDAYS
+} from '../utils/checklist';
+import { APPEAL_STATUS_COLORS, fileAppeal, loadAppeals, latestAppealByFine, voteTally } from '../utils/appeals';
+import { DEFAULT_EXCUSE_POLICY, loadExcusePolicy, requestSuspension, revokeSuspension as revokeSuspensionRpc, excusedDaysInMonth, describeSuspension, monthBounds } from '../utils/suspensions';
+import { DEFAULT_LATE_POLICY, loadLatePolicy, dateEditState, describeLateRule, loadPendingChange } from '../utils/latePolicy';
+import { acceptsProof, hasProof, buildProof } from '../utils/proof';
+import { loadItemTypes } from '../utils/itemTypes';
+import { DEFAULT_ITEM_TYPES } from '../utils/itemCatalogue';
+import { versionOn, prefsEffectiveOn } from '../utils/prefVersions';
+import { IMPORTERS, parseSubmissions, acceptedByDate, verifyChecks, isVerificationLocked } from '../utils/judgeImporters';
+import { recordChecklistTick, loadChecklistTicks } from '../utils/checklistTicks';
 
 /*
 DailyChecklist.jsx
-- Builds daily checklist from prefs (theory, sports, classes, random, wake)
+- Builds daily checklist from prefs, driven by the item type catalogue (item_types); a date uses the
+  preference version in force on it (preference_versions), not today's preferences
 - Ensures each saved checklist item includes meta.type (class/theory/sport/etc)
-- Saves daily_checks (upsert), deletes previous fines for that daily_check/date, inserts new fines
-- Missed-the-contract modal creates a suspension (excuse) and deletes fines for that date
+- Saving goes through the submit_daily_checks RPC: upsert daily_checks, replace fines for the date,
+  honour suspensions — all in one transaction, returning the resulting fines + suspension
+- Missed-the-contract modal requests an excuse: this day, a date range, or recurring weekdays.
+  Within the monthly quota it applies at once (suspension + fines removal, same transaction);
+  over the quota it waits for another member's approval. An excuse can cover only some item types
+  or items (partial excuse): those items show as excused and get no fine
+- Theory / random-practice items take proof (link, screenshot, note) stored on the item and saved with the checklist
+- The wake item is not ticked by hand: a morning check-in (server timestamp, wake_check_in RPC) marks it
+  done when on time in the profile timezone; required_count is N on-time check-ins per week
+- Sport / class items in window mode: ticking the box records the tick time on the server
+  (record_checklist_tick); the window comes from the preference entry on the server, and a tick outside
+  it (± slack) is late and fined penalty × late multiplier unless a calendar event overlaps the window
+- Submission exports (Codeforces JSON, LeetCode CSV, CSES HTML) verify theory / randimpl items:
+  verified items are pre-filled, or in lock mode every matched item is fixed to the import result
+- Quota items (N times a week / month) show their progress for the period; they get no daily fine, the
+  shortfall is fined once the period closes (settle_my_quota_periods runs when the checklist opens)
+- Single fines can be appealed (reason + optional link / file); the appeal status shows next to the fine
 - Dispatches window event 'contract:changed' after changes so the Search page refreshes
+- Day boundaries (today, weekday, lateness) follow the user's profile timezone
+- Lateness, locked dates and backdated changes that need approval follow the group late policy
 */
 
-function keyFor(prefix, idx) {
-  return `${prefix}_${idx}`;
-}
-
-function normalizeDaysField(days) {
-  if (!days) return [];
-  if (Array.isArray(days)) return days.map(d => String(d).toLowerCase().slice(0,3));
-  return String(days).split(',').map(s => s.trim()).filter(Boolean).map(s => s.toLowerCase().slice(0,3));
-}
-
-export default function DailyChecklist({ user, prefs }) {
-  const [date, setDate] = useState(dayjs().format('YYYY-MM-DD'));
+export default function DailyChecklist({ user, prefs, timezone }) {
+  const [date, setDate] = useState(() => todayStr(timezone));
   const [checks, setChecks] = useState({});
   const [todayFines, setTodayFines] = useState([]);
   const [suspensionForDate, setSuspensionForDate] = useState(null);
+  const [pendingSuspension, setPendingSuspension] = useState(null);
+  const [monthSuspensions, setMonthSuspensions] = useState([]);
+  const [excusePolicy, setExcusePolicy] = useState(DEFAULT_EXCUSE_POLICY);
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
+  const [latePolicy, setLatePolicy] = useState(DEFAULT_LATE_POLICY);
+  const [pendingChange, setPendingChange] = useState(null);
+  const [wakeCheckins, setWakeCheckins] = useState([]);
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [dayEvents, setDayEvents] = useState([]);
+  const [ticks, setTicks] = useState({});
+  const [itemTypes, setItemTypes] = useState(DEFAULT_ITEM_TYPES);
+  const [periodChecks, setPeriodChecks] = useState({});
+  const [quotaResults, setQuotaResults] = useState([]);
+  const [prefVersions, setPrefVersions] = useState([]);
 
   // modal / excuse state
   const [showExcuseModal, setShowExcuseModal] = useState(false);
   const [excuseReason, setExcuseReason] = useState('');
   const [excuseProcessing, setExcuseProcessing] = useState(false);
+  const [excuseMode, setExcuseMode] = useState('day'); // 'day' | 'range' | 'recurring'
+  const [excuseEnd, setExcuseEnd] = useState('');
+  const [excuseWeekdays, setExcuseWeekdays] = useState([]);
+  const [excuseScope, setExcuseScope] = useState('all'); // 'all' | 'items'
+  const [excuseTypes, setExcuseTypes] = useState([]);
+  const [excuseKeys, setExcuseKeys] = useState([]);
+
+  // per-fine appeals
+  const [appeals, setAppeals] = useState([]);
+  const [appealFineId, setAppealFineId] = useState(null);
+  const [appealReason, setAppealReason] = useState('');
+  const [appealUrl, setAppealUrl] = useState('');
+  const [appealFile, setAppealFile] = useState(null);
+  const [appealProcessing, setAppealProcessing] = useState(false);
+
+  // proof modal state
+  const [proofKey, setProofKey] = useState(null);
+  const [proofUrl, setProofUrl] = useState('');
+  const [proofNote, setProofNote] = useState('');
+  const [proofFile, setProofFile] = useState(null);
+  const [proofProcessing, setProofProcessing] = useState(false);
+
+  // submission import state
+  const [importPlatform, setImportPlatform] = useState('codeforces');
+  const [importMode, setImportMode] = useState('prefill'); // 'prefill' | 'lock'
+  const [importFile, setImportFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    loadLatePolicy().then(setLatePolicy).catch(err => console.warn('late policy load failed', err));
+    loadExcusePolicy().then(setExcusePolicy).catch(err => console.warn('excuse policy load failed', err));
+    loadItemTypes().then(setItemTypes).catch(err => console.warn('item types load failed', err));
+    // quota periods that closed since the last visit get their shortfall fines
+    supabase.rpc('settle_my_quota_periods').then(({ error }) => { if (error) console.warn('quota settlement failed', error); });
+  }, []);
+
+  // dated versions of the contract; saving preferences adds / replaces today's
+  useEffect(() => {
+    supabase
+      .from('preference_versions')
+      .select('effective_from, prefs')
+      .eq('user_id', user.id)
+      .then(({ data, error }) => {
+        if (error) console.warn('preference versions load failed', error);
+        else setPrefVersions(data || []);
+      });
+  }, [user.id, prefs]);
+
+  // preferences in force on the selected date
+  const datePrefs = prefsEffectiveOn(prefVersions, date, prefs);
 
   useEffect(() => {
     let mounted = true;
@@ -51,8 +134,15 @@ export default function DailyChecklist({ user, prefs }) {
 
         if (dcErr) throw dcErr;
 
+        const checkins = await loadWeekCheckins();
+        const dayTicks = await loadChecklistTicks(user.id, date);
         if (mounted) {
-          setChecks(dc ? dc.checks || buildEmptyChecksFromPrefs(prefs, date) : buildEmptyChecksFromPrefs(prefs, date));
+          setWakeCheckins(checkins);
+          setTicks(dayTicks);
+          let base = dc ? dc.checks || buildEmptyChecksFromPrefs(datePrefs, date, itemTypes) : buildEmptyChecksFromPrefs(datePrefs, date, itemTypes);
+          // items ticked (e.g. by a completed task) before the member saved the day
+          if (!dc || dc.source !== 'user') base = applyChecklistTicks(base, dayTicks);
+          setChecks(applyWakeCheckins(base, checkins, date, datePrefs?.wake_rule));
         }
 
         // load fines for this date
@@ -66,17 +156,63 @@ export default function DailyChecklist({ user, prefs }) {
         if (finesErr) throw finesErr;
         if (mounted) setTodayFines(fines || []);
 
-        // load suspension for date (if any)
+        // suspensions touching this month: the one excusing the date (if any) + quota usage
+        const [monthStart, monthEnd] = monthBounds(date.slice(0,7));
         const { data: susp, error: suspErr } = await supabase
           .from('suspensions')
           .select('*')
           .eq('user_id', user.id)
-          .lte('start_date', date)
-          .gte('end_date', date)
-          .limit(1);
+          .lte('start_date', monthEnd)
+          .gte('end_date', monthStart);
 
         if (suspErr) throw suspErr;
-        if (mounted) setSuspensionForDate((susp && susp.length > 0) ? susp[0] : null);
+        if (mounted) {
+          setMonthSuspensions(susp || []);
+          setSuspensionForDate(isExcusedOn(susp, date));
+          setPendingSuspension((susp || []).find(x => x.status === 'pending' && suspensionCovers(x, date)) || null);
+        }
+
+        // the week and month around the date: progress and settled results of quota items
+        const week = periodBounds(date, 'week');
+        const month = periodBounds(date, 'month');
+        const periodStart = week.start < month.start ? week.start : month.start;
+        const periodEnd = week.end > month.end ? week.end : month.end;
+        const { data: periodRows, error: periodErr } = await supabase
+          .from('daily_checks')
+          .select('date, checks')
+          .eq('user_id', user.id)
+          .gte('date', periodStart)
+          .lte('date', periodEnd);
+        if (periodErr) throw periodErr;
+        const { data: results, error: resultsErr } = await supabase
+          .from('quota_results')
+          .select('*')
+          .eq('user_id', user.id)
+          .gte('period_start', periodStart)
+          .lte('period_start', periodEnd);
+        if (resultsErr) throw resultsErr;
+        if (mounted) {
+          const byDate = {};
+          (periodRows || []).forEach(r => { byDate[String(r.date).slice(0,10)] = r.checks || {}; });
+          setPeriodChecks(byDate);
+          setQuotaResults(results || []);
+        }
+
+        // calendar events around the date: evidence for time-window items
+        const { data: evs, error: evErr } = await supabase
+          .from('events')
+          .select('id, title, start_ts, end_ts')
+          .eq('user_id', user.id)
+          .lt('start_ts', startOfDayIn(addDays(date, 2), timezone).toISOString())
+          .gt('end_ts', startOfDayIn(date, timezone).toISOString());
+        if (evErr) throw evErr;
+        if (mounted) setDayEvents(evs || []);
+
+        const dayAppeals = await loadAppeals(user.id, date);
+        if (mounted) setAppeals(dayAppeals);
+
+        const pending = await loadPendingChange(user.id, date);
+        if (mounted) setPendingChange(pending);
       } catch (err) {
         console.error('Error loading checklist data', err);
         setStatus('Error loading data: ' + (err.message || String(err)));
@@ -87,191 +223,103 @@ export default function DailyChecklist({ user, prefs }) {
 
     load();
     return () => { mounted = false; };
-  }, [date, user.id, prefs]);
-
-  function buildEmptyChecksFromPrefs(prefsObj, dateStr) {
-    const result = {};
-    const todayWeek = dayjs(dateStr).format('ddd').toLowerCase().slice(0,3); // e.g., 'mon'
-
-    // Theory tasks
-    (prefsObj?.theory_tasks || []).forEach((t, idx) => {
-      result[keyFor('theory', idx)] = {
-        done: false,
-        label: `${String(t.topic || 'topic').toUpperCase()} ${String(t.platform || 'platform').toUpperCase()} ${t.count || 1} problems`,
-        penalty: t.penalty ?? 10,
-        meta: { type: 'theory', ref: t.id || null }
-      };
-    });
+  }, [date, user.id, datePrefs, itemTypes]);
+
+  // Monday..date: the weekly wake quota counts check-ins since the start of the week
+  async function loadWeekCheckins() {
+    const monday = addDays(date, -WEEKDAYS.indexOf(weekdayOf(date)));
+    const { data, error } = await supabase
+      .from('wake_checkins')
+      .select('*')
+      .eq('user_id', user.id)
+      .gte('date', monday)
+      .lte('date', date);
+    if (error) throw error;
+    return data || [];
+  }
 
-    // Sports tasks
-    (prefsObj?.sports_tasks || []).forEach((s, idx) => {
-      result[keyFor('sport', idx)] = {
-        done: false,
-        label: `${s.sport || 'sport'} for ${s.duration_minutes || 60} mins (${s.start_time || '00:00'} - ${s.end_time || '00:00'})`,
-        penalty: s.penalty ?? 10,
-        meta: { type: 'sport', ref: s.id || null }
-      };
-    });
+  async function checkIn() {
+    setCheckingIn(true);
+    setStatus('Checking in...');
+    try {
+      const { data: row, error } = await supabase.rpc('wake_check_in');
+      if (error) throw error;
+      const checkins = await loadWeekCheckins();
+      setWakeCheckins(checkins);
+      const { data: state, error: stateErr } = await supabase.rpc('checklist_day_state', { p_user: user.id, p_date: date });
+      if (stateErr) throw stateErr;
+      setTodayFines(state?.fines || []);
+      setChecks(prev => applyWakeCheckins(state?.daily_check?.checks || prev, checkins, date, datePrefs?.wake_rule));
+      setStatus(`Checked in at ${new Date(row.checked_in_at).toLocaleTimeString()} — ${row.on_time ? 'on time' : `after ${row.target_time}`}.`);
 
-    // Classes: only include if this weekday is selected for class
-    (prefsObj?.classes_tasks || []).forEach((c, idx) => {
-      const days = normalizeDaysField(c.days);
-      if (days.includes(todayWeek)) {
-        result[keyFor('class', idx)] = {
-          done: false,
-          label: `Class: ${c.name || 'class'} (${c.start_time || '00:00'} - ${c.end_time || '00:00'})`,
-          penalty: c.penalty ?? 10,
-          meta: { type: 'class', ref: c.id || null, days }
-        };
+      try {
+        window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId: user.id, date } }));
+      } catch (evErr) {
+        console.warn('contract:changed dispatch failed', evErr);
       }
-    });
-
-    // Random implementation
-    (prefsObj?.random_implementation || []).forEach((r, idx) => {
-      result[keyFor('randimpl', idx)] = {
-        done: false,
-        label: `Random implementation: ${String(r.platform || 'platform').toUpperCase()} ${r.count || 1} problems`,
-        penalty: r.penalty ?? 10,
-        meta: { type: 'randimpl', ref: r.id || null }
-      };
-    });
-
-    // Random thinking
-    (prefsObj?.random_thinking || []).forEach((r, idx) => {
-      result[keyFor('randthink', idx)] = {
-        done: false,
-        label: `Random thinking: ${String(r.platform || 'platform').toUpperCase()} ${r.count || 1} problems`,
-        penalty: r.penalty ?? 10,
-        meta: { type: 'randthink', ref: r.id || null }
-      };
-    });
-
-    // Wake
-    if (prefsObj?.wake_rule && Object.keys(prefsObj.wake_rule || {}).length) {
-      const w = prefsObj.wake_rule;
-      result['wake'] = {
-        done: false,
-        label: `Wake up by ${w.target_time || '07:00'} (required ${w.required_count || 1})`,
-        penalty: w.penalty ?? 10,
-        meta: { type: 'wake' }
-      };
+    } catch (err) {
+      console.error('checkIn error', err);
+      setStatus('Error checking in: ' + (err.message || String(err)));
+    } finally {
+      setCheckingIn(false);
     }
-
-    return result;
   }
 
   function toggleCheck(key) {
+    if (key === 'wake' || isVerificationLocked(checks[key])) return;
     setChecks(prev => {
       const next = { ...prev };
       if (next[key] && typeof next[key] === 'object') next[key] = { ...next[key], done: !next[key].done };
       else next[key] = !next[key];
       return next;
     });
+    // window items are judged by when the box was ticked, not when the checklist is saved
+    if (checks[key]?.meta?.window) {
+      const done = !isItemDone(checks[key]);
+      recordChecklistTick(date, key, done)
+        .then(tick => setTicks(prev => {
+          const next = { ...prev };
+          if (tick) next[key] = tick.ticked_at;
+          else delete next[key];
+          return next;
+        }))
+        .catch(err => setStatus('Error recording tick: ' + (err.message || String(err))));
+    }
   }
 
   function doneForKey(key) {
-    const v = checks[key];
-    if (v === undefined) return false;
-    if (typeof v === 'object') return !!v.done;
-    return !!v;
+    return isItemDone(checks[key]);
   }
 
-  // Save checklist (upsert) and create fines (after deleting existing fines for that date/dc)
+  // Save checklist and regenerate fines for the date in one transaction (submit_daily_checks RPC)
   async function submitChecks() {
     setStatus('Saving checklist...');
     setLoading(true);
     try {
-      const payload = {
-        user_id: user.id,
-        date,
-        checks
-      };
-
-      const { data, error } = await supabase
-        .from('daily_checks')
-        .upsert(payload, { onConflict: ['user_id', 'date'], returning: 'representation' })
-        .select()
-        .maybeSingle();
-
+      const { data: state, error } = await supabase.rpc('submit_daily_checks', { p_date: date, p_checks: checks });
       if (error) throw error;
-      const savedDc = data;
-      if (!savedDc) {
-        setStatus('Saved but could not read saved row; aborting fines creation.');
-        return;
-      }
-
-      // delete previous fines for this daily_check and legacy date-only fines
-      try {
-        if (savedDc.id) {
-          await supabase.from('fines').delete().eq('user_id', user.id).eq('daily_check_id', savedDc.id);
-        }
-        await supabase.from('fines').delete().eq('user_id', user.id).is('daily_check_id', null).eq('date', date);
-      } catch (delErr) {
-        console.error('Error deleting previous fines:', delErr);
-      }
 
-      // check suspensions (excuse)
-      const { data: susp, error: suspErr } = await supabase
-        .from('suspensions')
-        .select('*')
-        .eq('user_id', user.id)
-        .lte('start_date', date)
-        .gte('end_date', date);
-
-      if (suspErr) throw suspErr;
-      const isSuspended = (susp && susp.length > 0);
-
-      // create fines for unchecked items (skip if suspended)
-      const finesToInsert = [];
-      const now = dayjs();
-      const dateStart = dayjs(date).startOf('day');
-      const diffHours = now.diff(dateStart, 'hour');
-      const late = diffHours > 24;
-
-      if (!isSuspended) {
-        Object.entries(checks).forEach(([k, v]) => {
-          const done = (typeof v === 'object') ? !!v.done : !!v;
-          if (!done) {
-            const penalty = (v && v.penalty) ? Number(v.penalty) : 10;
-            const amount = late ? penalty * 2 : penalty;
-            const reason = (v && v.label) ? `Missed: ${v.label}` : `Missed item ${k}`;
-            finesToInsert.push({
-              user_id: user.id,
-              daily_check_id: savedDc.id ?? null,
-              date,
-              amount,
-              reason
-            });
-          }
-        });
+      const fines = state?.fines || [];
+      const suspension = state?.suspension || null;
+      if (state?.pending_request) {
+        setPendingChange(state.pending_request);
+        setStatus('This date is past the approval window — your change was sent to the group for approval.');
+        return;
       }
-
-      if (finesToInsert.length > 0) {
-        const { error: finesError } = await supabase.from('fines').insert(finesToInsert);
-        if (finesError) throw finesError;
-        setStatus('Saved checklist and recorded fines for missed items.');
+      setPendingChange(null);
+      // server-stamped fields (window ticks, wake check-in, excused flags)
+      if (state?.daily_check?.checks) setChecks(state.daily_check.checks);
+      setTodayFines(fines);
+      setSuspensionForDate(suspension);
+      // re-created fines pick up their pending appeals server-side
+      setAppeals(await loadAppeals(user.id, date));
+
+      if (fines.length > 0) {
+        setStatus(state?.late ? `Saved late — ${describeLateRule(state.late_rule)}.` : 'Saved checklist and recorded fines for missed items.');
       } else {
-        setStatus(isSuspended ? 'Saved — rules suspended for this date (no fines).' : 'Saved checklist — no fines for this date.');
+        setStatus(suspension ? 'Saved — rules suspended for this date (no fines).' : 'Saved checklist — no fines for this date.');
       }
 
-      // reload fines and suspension
-      const { data: finesReload } = await supabase
-        .from('fines')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('date', date);
-      setTodayFines(finesReload || []);
-
-      const { data: suspReload } = await supabase
-        .from('suspensions')
-        .select('*')
-        .eq('user_id', user.id)
-        .lte('start_date', date)
-        .gte('end_date', date)
-        .limit(1);
-
-      setSuspensionForDate((suspReload && suspReload.length > 0) ? suspReload[0] : null);
-
       // notify other views
       try {
         window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId: user.id, date } }));
@@ -287,60 +335,69 @@ export default function DailyChecklist({ user, prefs }) {
     }
   }
 
-  // Missed contract - create a one-day suspension, delete fines for that date
+  // Missed contract - excuse request (request_suspension RPC); single days go through excuse_date
   async function confirmMissedContract() {
     if (!excuseReason || excuseReason.trim().length < 3) {
       setStatus('Please provide a short reason (3+ chars).');
       return;
     }
+    if (excuseMode !== 'day' && (!excuseEnd || excuseEnd < date)) {
+      setStatus('Pick an end date on or after ' + date + '.');
+      return;
+    }
+    if (excuseMode === 'recurring' && excuseWeekdays.length === 0) {
+      setStatus('Pick at least one weekday.');
+      return;
+    }
+    if (excuseScope === 'items' && excuseTypes.length === 0 && excuseKeys.length === 0) {
+      setStatus('Pick the item types or items to excuse.');
+      return;
+    }
     setExcuseProcessing(true);
     setStatus('Applying missed-contract excuse...');
     try {
-      const { data: insData, error: insErr } = await supabase
-        .from('suspensions')
-        .insert([{
-          user_id: user.id,
-          start_date: date,
-          end_date: date,
-          reason: excuseReason.trim()
-        }])
-        .select()
-        .maybeSingle();
-
-      if (insErr) throw insErr;
-
-      // delete fines for this date (linked and legacy)
-      try {
-        const { data: dc } = await supabase
-          .from('daily_checks')
-          .select('id')
-          .eq('user_id', user.id)
-          .eq('date', date)
-          .maybeSingle();
-
-        if (dc && dc.id) {
-          await supabase.from('fines').delete().eq('user_id', user.id).eq('daily_check_id', dc.id);
-        }
-        await supabase.from('fines').delete().eq('user_id', user.id).is('daily_check_id', null).eq('date', date);
-      } catch (delErr) {
-        console.error('Error deleting fines after excuse', delErr);
+      let state;
+      if (excuseMode === 'day' && excuseScope === 'all') {
+        const { data, error } = await supabase.rpc('excuse_date', { p_date: date, p_reason: excuseReason.trim() });
+        if (error) throw error;
+        state = data;
+      } else {
+        await requestSuspension({
+          startDate: date,
+          endDate: excuseMode === 'day' ? date : excuseEnd,
+          weekdays: excuseMode === 'recurring' ? excuseWeekdays : null,
+          reason: excuseReason.trim(),
+          itemTypes: excuseScope === 'items' ? excuseTypes : null,
+          itemKeys: excuseScope === 'items' ? excuseKeys : null
+        });
+        const { data, error } = await supabase.rpc('checklist_day_state', { p_user: user.id, p_date: date });
+        if (error) throw error;
+        state = data;
       }
 
-      const { data: fines } = await supabase.from('fines').select('*').eq('user_id', user.id).eq('date', date);
-      setTodayFines(fines || []);
-
-      const { data: newSusp } = await supabase
+      setTodayFines(state?.fines || []);
+      setSuspensionForDate(state?.suspension || null);
+      setPendingSuspension(state?.pending_suspension || null);
+      if (state?.daily_check?.checks) setChecks(state.daily_check.checks);
+      const [monthStart, monthEnd] = monthBounds(date.slice(0,7));
+      const { data: susp } = await supabase
         .from('suspensions')
         .select('*')
         .eq('user_id', user.id)
-        .lte('start_date', date)
-        .gte('end_date', date)
-        .limit(1);
-
-      setSuspensionForDate((newSusp && newSusp.length > 0) ? newSusp[0] : null);
-      setStatus('This date has been excused — no fines will be applied.');
+        .lte('start_date', monthEnd)
+        .gte('end_date', monthStart);
+      setMonthSuspensions(susp || []);
+      setStatus(state?.pending_suspension && !state?.suspension
+        ? 'Over your monthly excuse quota — the request was sent to the group for approval.'
+        : 'Excused — no fines will be applied for the excused dates.');
       setShowExcuseModal(false);
       setExcuseReason('');
+      setExcuseMode('day');
+      setExcuseEnd('');
+      setExcuseWeekdays([]);
+      setExcuseScope('all');
+      setExcuseTypes([]);
+      setExcuseKeys([]);
 
       // notify other views
       try {
@@ -356,20 +413,141 @@ export default function DailyChecklist({ user, prefs }) {
     }
   }
 
-  async function revokeSuspension() {
-    if (!suspensionForDate) {
+  function toggleExcuseWeekday(d) {
+    setExcuseWeekdays(prev => (prev.includes(d) ? prev.filter(x => x !== d) : [...prev, d]));
+  }
+
+  function toggleIn(setter, v) {
+    setter(prev => (prev.includes(v) ? prev.filter(x => x !== v) : [...prev, v]));
+  }
+
+  async function submitAppeal() {
+    if (!appealReason || appealReason.trim().length < 3) {
+      setStatus('Please provide a short reason for the appeal (3+ chars).');
+      return;
+    }
+    setAppealProcessing(true);
+    setStatus('Filing appeal...');
+    try {
+      await fileAppeal({
+        userId: user.id,
+        fineId: appealFineId,
+        reason: appealReason.trim(),
+        attachmentUrl: appealUrl.trim() || null,
+        file: appealFile
+      });
+      setAppeals(await loadAppeals(user.id, date));
+      setStatus('Appeal filed — other members will vote on it.');
+      setAppealFineId(null);
+      setAppealReason('');
+      setAppealUrl('');
+      setAppealFile(null);
+
+      try {
+        window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId: user.id, date } }));
+      } catch (evErr) {
+        console.warn('contract:changed dispatch failed', evErr);
+      }
+    } catch (err) {
+      console.error('submitAppeal error', err);
+      setStatus('Error filing appeal: ' + (err.message || String(err)));
+    } finally {
+      setAppealProcessing(false);
+    }
+  }
+
+  // match accepted submissions on this date against the items (kept on the items, stored on save)
+  async function importSubmissions() {
+    if (!importFile) {
+      setStatus('Choose a submissions file first.');
+      return;
+    }
+    setImporting(true);
+    try {
+      const subs = parseSubmissions(importPlatform, await importFile.text());
+      const day = acceptedByDate(subs, timezone)[date] || {};
+      const { checks: next, results } = verifyChecks(checks, day, { platforms: [importPlatform], mode: importMode });
+      const matched = Object.values(results);
+      if (matched.length === 0) {
+        setStatus(`No ${importPlatform} items on this checklist.`);
+        return;
+      }
+      setChecks(next);
+      const verified = matched.filter(r => r.status === 'verified').length;
+      setStatus(`${(day[importPlatform] || []).length} accepted problem(s) on ${date}: ${verified} of ${matched.length} item(s) verified — save the checklist to store it.`);
+      setImportFile(null);
+    } catch (err) {
+      console.error('importSubmissions error', err);
+      setStatus('Error reading submissions: ' + (err.message || String(err)));
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  function openProof(key) {
+    const p = checks[key]?.proof || {};
+    setProofKey(key);
+    setProofUrl(p.url || '');
+    setProofNote(p.note || '');
+    setProofFile(null);
+  }
+
+  function closeProof() {
+    setProofKey(null);
+    setProofUrl('');
+    setProofNote('');
+    setProofFile(null);
+  }
+
+  // proof lives on the item; it is stored when the checklist is saved
+  async function attachProof(remove = false) {
+    setProofProcessing(true);
+    try {
+      const proof = remove ? null : await buildProof({
+        userId: user.id,
+        date,
+        url: proofUrl,
+        note: proofNote,
+        file: proofFile,
+        previous: checks[proofKey]?.proof
+      });
+      if (!remove && !proof) {
+        setStatus('Add a link, a screenshot or a note.');
+        return;
+      }
+      setChecks(prev => {
+        const { proof: _old, ...rest } = prev[proofKey] || {};
+        return { ...prev, [proofKey]: proof ? { ...rest, proof } : rest };
+      });
+      setStatus(remove ? 'Proof removed — save the checklist to store it.' : 'Proof attached — save the checklist to store it.');
+      closeProof();
+    } catch (err) {
+      console.error('attachProof error', err);
+      setStatus('Error attaching proof: ' + (err.message || String(err)));
+    } finally {
+      setProofProcessing(false);
+    }
+  }
+
+  async function revokeSuspension(susp = suspensionForDate) {
+    if (!susp) {
       setStatus('No suspension to revoke.');
       return;
     }
     setStatus('Revoking excuse...');
     setLoading(true);
     try {
-      const { error } = await supabase.from('suspensions').delete().eq('id', suspensionForDate.id);
-      if (error) throw error;
+      const span = describeSuspension(susp);
+      if (span !== date && !confirm(`This removes the whole excuse ${span}. Continue?`)) {
+        setStatus('');
+        return;
+      }
+      await revokeSuspensionRpc(susp.id);
       const { data: fines } = await supabase.from('fines').select('*').eq('user_id', user.id).eq('date', date);
       setTodayFines(fines || []);
-      setSuspensionForDate(null);
-      setStatus('Excuse revoked; if there are unchecked items saving the checklist again will recreate fines.');
+      setMonthSuspensions(prev => prev.filter(x => x.id !== susp.id));
+      if (suspensionForDate && suspensionForDate.id === susp.id) setSuspensionForDate(null);
+      setStatus('Excuse revoked; saved days it covered were re-priced.');
 
       // notify other views
       try {
@@ -386,6 +564,16 @@ export default function DailyChecklist({ user, prefs }) {
   }
 
   const keys = Object.keys(checks || {});
+  // excused flags as the server will set them on save (partial suspensions active on this date)
+  const shownChecks = applyWakeCheckins(applyItemExcuses(checks, monthSuspensions, date), wakeCheckins, date, datePrefs?.wake_rule);
+  const dateVersion = versionOn(prefVersions, date);
+  const latestVersion = versionOn(prefVersions, '9999-12-31');
+  const isToday = date === todayStr(timezone);
+  const partialToday = monthSuspensions.filter(x => (x.status || 'active') === 'active' && suspensionIsPartial(x) && suspensionCovers(x, date));
+  const checkTypes = Array.from(new Set(Object.values(checks || {}).map(v => v?.meta?.type).filter(Boolean)));
+  const editState = dateEditState(daysBetween(date, todayStr(timezone)), latePolicy);
+  const locked = editState === 'locked';
+  const appealByFine = latestAppealByFine(appeals);
 
   return (
     <div style={{ maxWidth: 980 }}>
@@ -395,46 +583,153 @@ export default function DailyChecklist({ user, prefs }) {
         {loading && <span style={{ marginLeft: 8, color: '#666' }}>Loading...</span>}
       </div>
 
+      {locked && (
+        <div style={{ padding: 12, background: '#fdecea', border: '1px solid #f5c6cb', marginBottom: 12 }}>
+          <strong>This date is locked.</strong> Dates older than {latePolicy.lock_after_days} days can no longer be edited.
+        </div>
+      )}
+      {!locked && editState === 'approval' && (
+        <div style={{ padding: 12, background: '#eef6ff', border: '1px solid #cfe3ff', marginBottom: 12 }}>
+          Changes to dates older than {latePolicy.approval_after_days} days need another member's approval.
+          {pendingChange && <div style={{ marginTop: 4 }}>A change submitted {new Date(pendingChange.submitted_at).toLocaleString()} is waiting for approval.</div>}
+        </div>
+      )}
+
       {suspensionForDate ? (
         <div style={{ padding: 12, background: '#eef9ee', border: '1px solid #c8e6c9', marginBottom: 12 }}>
           <strong>This date is excused.</strong>
           <div>Reason: {suspensionForDate.reason}</div>
+          {describeSuspension(suspensionForDate) !== date && <div>Covers: {describeSuspension(suspensionForDate)}</div>}
           <div style={{ marginTop: 8 }}>
-            <button onClick={revokeSuspension} disabled={loading}>Revoke excuse</button>
+            <button onClick={() => revokeSuspension()} disabled={loading || locked}>Revoke excuse</button>
           </div>
         </div>
       ) : (
         <div style={{ padding: 12, background: '#fff7e6', border: '1px solid #ffecb3', marginBottom: 12 }}>
-          <strong>Not excused</strong>
+          <strong>{partialToday.length ? 'Partly excused' : 'Not excused'}</strong>
+          {partialToday.map(x => (
+            <div key={x.id} style={{ marginTop: 4, display: 'flex', gap: 8, alignItems: 'center' }}>
+              <span>{describeSuspension(x)} — {x.reason}</span>
+              <button onClick={() => revokeSuspension(x)} disabled={loading || locked}>Revoke</button>
+            </div>
+          ))}
+          {pendingSuspension && (
+            <div style={{ marginTop: 4 }}>Excuse {describeSuspension(pendingSuspension)} is waiting for another member's approval.</div>
+          )}
+          <div style={{ marginTop: 4, fontSize: 12, color: '#666' }}>
+            Excused days in {date.slice(0,7)}: {excusedDaysInMonth(monthSuspensions, date.slice(0,7))} / {excusePolicy.monthly_quota} without approval
+          </div>
           <div style={{ marginTop: 8, display: 'flex', gap: 12, alignItems: 'center' }}>
-            <button onClick={() => setShowExcuseModal(true)} disabled={loading}>Missed the contract</button>
-            <span style={{ color: '#666' }}>Click to excuse this day (asks for reason). No fines will be applied for this date.</span>
+            <button onClick={() => setShowExcuseModal(true)} disabled={loading || locked}>Missed the contract</button>
+            <span style={{ color: '#666' }}>Click to excuse this day, a date range or recurring days (asks for reason). No fines will be applied for excused dates.</span>
           </div>
         </div>
       )}
 
       <div style={{ padding: 12, border: '1px solid #ddd', marginBottom: 12 }}>
         <h3>Checklist for {date}</h3>
+        {dateVersion && dateVersion !== latestVersion && (
+          <div style={{ fontSize: 12, color: '#666', marginBottom: 8 }}>
+            Built from your contract as in force on {date} (version of {dateVersion.effective_from}); later preference changes don't apply to this date.
+          </div>
+        )}
         <div style={{ display: 'grid', gap: 8 }}>
           {keys.length === 0 && <div>No checklist items for this date (check your preferences)</div>}
           {keys.map(k => {
-            const v = checks[k];
+            const v = shownChecks[k];
             const label = v && v.label ? v.label : k;
             const penalty = v && v.penalty ? v.penalty : 10;
+            const excused = !!(v && v.excused);
+            const verification = v && v.verification;
+            const win = v && v.meta && v.meta.window;
+            // server stamp once saved; until then the recorded tick time, or what ticking now would get
+            const tick = win ? (v.done && v.window_check ? v.window_check : windowTickState(win, date, (v.done && ticks[k]) || new Date(), timezone, dayEvents)) : null;
+            // quota items: this date's unsaved ticks count live
+            const quota = itemQuota(v);
+            const progress = quota ? quotaProgress({ ...periodChecks, [date]: shownChecks }, k, date, quota, monthSuspensions) : null;
+            const settled = progress ? quotaResults.find(r => r.item_key === k && String(r.period_start) === progress.start) : null;
             return (
               <div key={k} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: 6, borderBottom: '1px solid #f0f0f0' }}>
-                <input type="checkbox" checked={doneForKey(k)} onChange={() => toggleCheck(k)} disabled={!!suspensionForDate || loading} />
+                <input type="checkbox" checked={doneForKey(k)} onChange={() => toggleCheck(k)} disabled={!!suspensionForDate || loading || locked || k === 'wake' || isVerificationLocked(v)} />
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 600 }}>{label}</div>
-                  <div style={{ fontSize: 12, color: '#666' }}>Penalty if missed: ₹{penalty}</div>
+                  <div style={{ fontSize: 12, color: excused ? '#16a34a' : '#666' }}>
+                    {excused ? 'Excused — no fine for this item' : (quota ? `₹${penalty} per missing time when the ${quota.period} ends` : `Penalty if missed: ₹${penalty}`)}
+                  </div>
+                  {progress && (
+                    <div style={{ fontSize: 12, color: (settled ? settled.shortfall : progress.shortfall) > 0 ? '#b45309' : '#16a34a' }}>
+                      {progress.achieved}/{progress.target} this {quota.period} ({progress.start} – {progress.end})
+                      {progress.excused > 0 && ` · ${progress.excused} excused`}
+                      {settled
+                        ? ` · settled: ${settled.shortfall > 0 ? `${settled.shortfall} short, fine ₹${settled.shortfall * Number(settled.penalty)}` : 'quota met'}`
+                        : (progress.shortfall > 0 ? ` · ${progress.shortfall} to go, ${progress.daysLeft} day(s) left` : ' · quota met')}
+                    </div>
+                  )}
+                  {win && (
+                    <div style={{ fontSize: 12, color: tick.status === 'late' ? '#b45309' : '#666' }}>
+                      Window {win.start}–{win.end} (±{win.slack_minutes} min)
+                      {v.done && (v.window_check || ticks[k]) && ` · ticked ${new Date(v.window_check ? v.window_check.ticked_at : ticks[k]).toLocaleTimeString()}`}
+                      {tick.status === 'on_time' && (v.done && v.window_check ? ' · on time' : '')}
+                      {tick.status === 'evidence' && ' · outside the window, a calendar event counts as evidence'}
+                      {tick.status === 'late' && (v.done
+                        ? ` · ${v.window_check || ticks[k] ? 'late tick' : 'saving now is a late tick'}${tick.multiplier > 0 ? ` — fine ₹${penalty * tick.multiplier}` : ' (flagged)'}`
+                        : ` · ticking now is late${tick.multiplier > 0 ? ` — fine ₹${penalty * tick.multiplier}` : ''}`)}
+                    </div>
+                  )}
+                  {k === 'wake' && v && v.checkin && (
+                    <div style={{ fontSize: 12, color: v.checkin.checked_in_at ? (v.checkin.on_time ? '#16a34a' : '#b45309') : '#666' }}>
+                      {v.checkin.checked_in_at
+                        ? `Checked in ${new Date(v.checkin.checked_in_at).toLocaleTimeString()} (${v.checkin.on_time ? 'on time' : `after ${v.checkin.target_time}`})`
+                        : 'No check-in'}
+                      {` · ${v.checkin.week_on_time}/${v.checkin.required} on time this week`}
+                      {!v.checkin.done && (v.checkin.achievable ? ' · still reachable this week, no fine yet' : ' · weekly target missed')}
+                    </div>
+                  )}
+                  {verification && (
+                    <div style={{ fontSize: 12, color: verification.status === 'verified' ? '#16a34a' : '#b45309' }}>
+                      {verification.status === 'verified' ? 'Verified' : 'Not verified'} on {verification.platform}: {verification.found}/{verification.required} accepted
+                      {verification.problems?.length > 0 && ` (${verification.problems.join(', ')})`}
+                      {verification.locked && ' — locked'}
+                    </div>
+                  )}
+                  {hasProof(v) && (
+                    <div style={{ fontSize: 12, color: '#2563eb' }}>
+                      Proof: {[v.proof.url && 'link', v.proof.screenshot_url && 'screenshot', v.proof.note && 'note'].filter(Boolean).join(', ')}
+                    </div>
+                  )}
                 </div>
+                {k === 'wake' && isToday && !v?.checkin?.checked_in_at && (
+                  <button onClick={checkIn} disabled={checkingIn || loading}>{checkingIn ? 'Checking in...' : 'Check in now'}</button>
+                )}
+                {typeof v === 'object' && acceptsProof(k, v) && (
+                  <button onClick={() => openProof(k)} disabled={loading || locked}>{hasProof(v) ? 'Edit proof' : 'Add proof'}</button>
+                )}
               </div>
             );
           })}
         </div>
 
+        <div style={{ marginTop: 12, display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', fontSize: 14 }}>
+          <span>Verify from submissions:</span>
+          <select value={importPlatform} onChange={(e) => { setImportPlatform(e.target.value); setImportFile(null); }} disabled={importing || locked}>
+            {Object.values(IMPORTERS).map(imp => <option key={imp.platform} value={imp.platform}>{imp.label}</option>)}
+          </select>
+          <input
+            key={importPlatform}
+            type="file"
+            accept={IMPORTERS[importPlatform]?.accept}
+            onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+            disabled={importing || locked}
+          />
+          <select value={importMode} onChange={(e) => setImportMode(e.target.value)} disabled={importing || locked}>
+            <option value="prefill">Pre-fill verified items</option>
+            <option value="lock">Lock items to the import</option>
+          </select>
+          <button onClick={importSubmissions} disabled={importing || loading || locked || !!suspensionForDate}>{importing ? 'Reading...' : 'Import'}</button>
+        </div>
+
         <div style={{ marginTop: 12, display: 'flex', gap: 12, alignItems: 'center' }}>
-          <button onClick={submitChecks} disabled={loading}>{loading ? 'Saving...' : 'Save today\'s checklist & generate fines'}</button>
+          <button onClick={submitChecks} disabled={loading || locked}>{loading ? 'Saving...' : 'Save today\'s checklist & generate fines'}</button>
           <div style={{ color: '#333' }}>{status}</div>
         </div>
       </div>
@@ -443,12 +738,95 @@ export default function DailyChecklist({ user, prefs }) {
         <h4>Fines for {date}</h4>
         <ul>
           {todayFines.length === 0 && <li>No fines for this date</li>}
-          {todayFines.map(f => (
-            <li key={f.id}>₹{f.amount} — {f.reason} — {new Date(f.created_at).toLocaleString()} {f.paid ? '(paid)' : '(unpaid)'}</li>
-          ))}
+          {todayFines.map(f => {
+            const appeal = appealByFine[f.id];
+            const tally = voteTally(appeal);
+            return (
+              <li key={f.id} style={{ marginBottom: 6 }}>
+                ₹{f.amount} — {f.reason} — {new Date(f.created_at).toLocaleString()} {f.paid ? '(paid)' : '(unpaid)'}
+                {f.late_rule && Number(f.late_rule.multiplier) > 1 && <span style={{ marginLeft: 8, color: '#b45309' }}>late ×{f.late_rule.multiplier}</span>}
+                {f.escalation && Number(f.escalation.multiplier) !== 1 && <span style={{ marginLeft: 8, color: '#b91c1c' }}>step {f.escalation.consecutive} ×{f.escalation.multiplier}</span>}
+                {appeal && (
+                  <span style={{ marginLeft: 8, color: APPEAL_STATUS_COLORS[appeal.status] }}>
+                    Appeal {appeal.status}{appeal.status === 'pending' ? ` (${tally.approve} approve / ${tally.reject} reject)` : ''}
+                    {appeal.status === 'approved' ? ` — was ₹${appeal.amount}` : ''}
+                  </span>
+                )}
+                {Number(f.amount) > 0 && (!appeal || appeal.status === 'rejected') && (
+                  <button style={{ marginLeft: 8 }} onClick={() => setAppealFineId(f.id)} disabled={loading}>Appeal</button>
+                )}
+              </li>
+            );
+          })}
         </ul>
       </div>
 
+      {/* Appeal modal */}
+      {appealFineId && (
+        <div style={{
+          position: 'fixed', left: 0, top: 0, right: 0, bottom: 0,
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+          background: 'rgba(0,0,0,0.4)', zIndex: 9999
+        }}>
+          <div style={{ width: 520, background: 'white', padding: 20, borderRadius: 8 }}>
+            <h3>Appeal fine — {todayFines.find(f => f.id === appealFineId)?.reason}</h3>
+            <textarea
+              placeholder="Why should this fine be reversed?"
+              value={appealReason}
+              onChange={(e) => setAppealReason(e.target.value)}
+              style={{ width: '100%', height: 100, padding: 8 }}
+              disabled={appealProcessing}
+            />
+            <div style={{ marginTop: 8, display: 'grid', gap: 6 }}>
+              <input placeholder="Link to proof (optional)" value={appealUrl} onChange={(e) => setAppealUrl(e.target.value)} disabled={appealProcessing} />
+              <input type="file" onChange={(e) => setAppealFile(e.target.files?.[0] || null)} disabled={appealProcessing} />
+            </div>
+            <div style={{ marginTop: 12, display: 'flex', gap: 8 }}>
+              <button onClick={submitAppeal} disabled={appealProcessing}>{appealProcessing ? 'Filing...' : 'File appeal'}</button>
+              <button onClick={() => { setAppealFineId(null); setAppealReason(''); setAppealUrl(''); setAppealFile(null); }} disabled={appealProcessing}>Cancel</button>
+            </div>
+            <div style={{ marginTop: 8, color: '#666' }}>
+              Other members vote on the appeal. If it is approved only this fine is reversed.
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Proof modal */}
+      {proofKey && (
+        <div style={{
+          position: 'fixed', left: 0, top: 0, right: 0, bottom: 0,
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+          background: 'rgba(0,0,0,0.4)', zIndex: 9999
+        }}>
+          <div style={{ width: 520, background: 'white', padding: 20, borderRadius: 8 }}>
+            <h3>Proof — {checks[proofKey]?.label || proofKey}</h3>
+            <div style={{ display: 'grid', gap: 6 }}>
+              <input placeholder="Problem / submission URL" value={proofUrl} onChange={(e) => setProofUrl(e.target.value)} disabled={proofProcessing} />
+              <input type="file" accept="image/*" onChange={(e) => setProofFile(e.target.files?.[0] || null)} disabled={proofProcessing} />
+              {checks[proofKey]?.proof?.screenshot_url && !proofFile && (
+                <a href={checks[proofKey].proof.screenshot_url} target="_blank" rel="noreferrer">Current screenshot</a>
+              )}
+              <textarea
+                placeholder="Short note (optional)"
+                value={proofNote}
+                onChange={(e) => setProofNote(e.target.value)}
+                style={{ width: '100%', height: 70, padding: 8 }}
+                disabled={proofProcessing}
+              />
+            </div>
+            <div style={{ marginTop: 12, display: 'flex', gap: 8 }}>
+              <button onClick={() => attachProof()} disabled={proofProcessing}>{proofProcessing ? 'Uploading...' : 'Attach proof'}</button>
+              {hasProof(checks[proofKey]) && <button onClick={() => attachProof(true)} disabled={proofProcessing}>Remove proof</button>}
+              <button onClick={closeProof} disabled={proofProcessing}>Cancel</button>
+            </div>
+            <div style={{ marginTop: 8, color: '#666' }}>
+              Peers see the proof next to this item in your history.
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Excuse modal */}
       {showExcuseModal && (
         <div style={{
@@ -458,6 +836,37 @@ export default function DailyChecklist({ user, prefs }) {
         }}>
           <div style={{ width: 520, background: 'white', padding: 20, borderRadius: 8 }}>
             <h3>Missed the contract — provide reason</h3>
+            <div style={{ display: 'flex', gap: 12, marginBottom: 8 }}>
+              <label><input type="radio" checked={excuseMode === 'day'} onChange={() => setExcuseMode('day')} disabled={excuseProcessing} /> Only {date}</label>
+              <label><input type="radio" checked={excuseMode === 'range'} onChange={() => setExcuseMode('range')} disabled={excuseProcessing} /> Date range</label>
+              <label><input type="radio" checked={excuseMode === 'recurring'} onChange={() => setExcuseMode('recurring')} disabled={excuseProcessing} /> Recurring</label>
+            </div>
+            <div style={{ display: 'flex', gap: 12, marginBottom: 8, flexWrap: 'wrap' }}>
+              <label><input type="radio" checked={excuseScope === 'all'} onChange={() => setExcuseScope('all')} disabled={excuseProcessing} /> Whole day</label>
+              <label><input type="radio" checked={excuseScope === 'items'} onChange={() => setExcuseScope('items')} disabled={excuseProcessing} /> Only some items</label>
+            </div>
+            {excuseScope === 'items' && (
+              <div style={{ display: 'grid', gap: 4, marginBottom: 8, maxHeight: 180, overflowY: 'auto' }}>
+                <div>
+                  <span style={{ marginRight: 8 }}>Item types:</span>
+                  {checkTypes.map(t => (
+                    <label key={t} style={{ marginRight: 8 }}><input type="checkbox" checked={excuseTypes.includes(t)} onChange={() => toggleIn(setExcuseTypes, t)} disabled={excuseProcessing} /> {itemTypes.find(x => x.key === t)?.name || t}</label>
+                  ))}
+                </div>
+                {keys.map(k => (
+                  <label key={k}><input type="checkbox" checked={excuseKeys.includes(k) || excuseTypes.includes(checks[k]?.meta?.type)} onChange={() => toggleIn(setExcuseKeys, k)} disabled={excuseProcessing || excuseTypes.includes(checks[k]?.meta?.type)} /> {checks[k]?.label || k}</label>
+                ))}
+              </div>
+            )}
+            {excuseMode !== 'day' && (
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8, flexWrap: 'wrap' }}>
+                <span>From {date} to</span>
+                <input type="date" value={excuseEnd} min={date} onChange={(e) => setExcuseEnd(e.target.value)} disabled={excuseProcessing} />
+                {excuseMode === 'recurring' && WEEKDAYS.map(d => (
+                  <label key={d}><input type="checkbox" checked={excuseWeekdays.includes(d)} onChange={() => toggleExcuseWeekday(d)} disabled={excuseProcessing} /> {d}</label>
+                ))}
+              </div>
+            )}
             <textarea
               placeholder="Short reason (why the contract was missed) — e.g., medical emergency..."
               value={excuseReason}
@@ -467,10 +876,11 @@ export default function DailyChecklist({ user, prefs }) {
             />
             <div style={{ marginTop: 12, display: 'flex', gap: 8 }}>
               <button onClick={confirmMissedContract} disabled={excuseProcessing}>{excuseProcessing ? 'Processing...' : 'Confirm excuse'}</button>
-              <button onClick={() => { setShowExcuseModal(false); setExcuseReason(''); }} disabled={excuseProcessing}>Cancel</button>
+              <button onClick={() => { setShowExcuseModal(false); setExcuseReason(''); setExcuseMode('day'); setExcuseScope('all'); }} disabled={excuseProcessing}>Cancel</button>
             </div>
             <div style={{ marginTop: 8, color: '#666' }}>
-              Creating an excuse will ensure no fines are applied for this date. You can revoke the excuse from this page.
+              Up to {excusePolicy.monthly_quota} excused days a month apply straight away; beyond that another member has to approve.
+              You can revoke an excuse from this page.
             </div>
           </div>
         </div>
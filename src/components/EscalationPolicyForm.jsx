@@ -0,0 +1,106 @@
+// src/components/EscalationPolicyForm.jsx
+import React, { useEffect, useState } from 'react';
+import { ESCALATION_CURVES, DECAY_MODES, DEFAULT_POLICY } from '../utils/escalation';
+import { loadEscalationPolicy, saveEscalationPolicy, escalationPreview } from '../utils/escalationPolicy';
+
+/*
+EscalationPolicyForm
+- Admin editor for the group escalation policy: one curve per checklist item type (domain),
+  or none (the domain's fines are not escalated)
+- Shows what the 1st..5th miss in a row is multiplied by; a day the domain is kept decays the
+  multiplier (halve, step down or reset) and the next miss continues the curve from there,
+  grace days are days with nothing to judge that don't end the streak
+- Read-only for everyone else
+*/
+
+export default function EscalationPolicyForm({ user, isAdmin, itemTypes }) {
+  const [domains, setDomains] = useState({});
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    loadEscalationPolicy()
+      .then(p => setDomains(p.domains))
+      .catch(err => setStatus('Error loading escalation policy: ' + (err.message || err)));
+  }, []);
+
+  const setCurve = (domain, curve) => setDomains(d => {
+    const next = { ...d };
+    if (curve) next[domain] = { ...DEFAULT_POLICY, ...(d[domain] || {}), curve };
+    else delete next[domain];
+    return next;
+  });
+  const setField = (domain, k, v) => setDomains(d => ({ ...d, [domain]: { ...d[domain], [k]: v } }));
+
+  const save = async () => {
+    setStatus('Saving escalation policy...');
+    try {
+      const saved = await saveEscalationPolicy({ domains }, user.id);
+      setDomains(saved.domains);
+      setStatus('Escalation policy saved.');
+    } catch (err) {
+      console.error('Error saving escalation policy', err);
+      setStatus('Error saving escalation policy: ' + (err.message || err));
+    }
+  };
+
+  const preview = (policy) => {
+    try {
+      return escalationPreview(policy).map(m => `×${m}`).join(', ');
+    } catch (err) {
+      return err.message || String(err);
+    }
+  };
+
+  const disabled = !isAdmin;
+
+  return (
+    <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 6, marginBottom: 16 }}>
+      <h3 style={{ marginTop: 0 }}>Fine escalation {disabled && <small style={{ color: '#666' }}>(set by admins)</small>}</h3>
+      <div style={{ display: 'grid', gap: 8 }}>
+        {(itemTypes || []).map(t => {
+          const p = domains[t.key];
+          return (
+            <div key={t.key} style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+              <strong style={{ width: 200 }}>{t.name}</strong>
+              <select value={p?.curve || ''} onChange={e => setCurve(t.key, e.target.value)} disabled={disabled}>
+                <option value="">no escalation</option>
+                {Object.keys(ESCALATION_CURVES).map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+              {p?.curve === 'exponential' && (
+                <label>base <input type="number" min="1" step="0.5" value={p.base ?? 2} onChange={e => setField(t.key, 'base', e.target.value)} disabled={disabled} style={{ width: 60 }} /></label>
+              )}
+              {p?.curve === 'linear' && (
+                <label>step <input type="number" min="0.5" step="0.5" value={p.step ?? 1} onChange={e => setField(t.key, 'step', e.target.value)} disabled={disabled} style={{ width: 60 }} /></label>
+              )}
+              {p?.curve === 'capped-step' && (
+                <label>steps <input
+                  key={(p.steps || []).join(',')}
+                  defaultValue={(p.steps || [2, 3, 5]).join(', ')}
+                  onBlur={e => setField(t.key, 'steps', e.target.value.split(',').map(s => Number(s.trim())).filter(n => n > 0))}
+                  disabled={disabled}
+                  style={{ width: 100 }}
+                /></label>
+              )}
+              {p && (
+                <>
+                  <label>max × <input type="number" min="1" placeholder="none" value={p.max_multiplier ?? ''} onChange={e => setField(t.key, 'max_multiplier', e.target.value === '' ? null : e.target.value)} disabled={disabled} style={{ width: 60 }} /></label>
+                  <label>after a kept day <select value={p.decay || DEFAULT_POLICY.decay} onChange={e => setField(t.key, 'decay', e.target.value)} disabled={disabled}>
+                    {Object.keys(DECAY_MODES).map(d => <option key={d} value={d}>{d}</option>)}
+                  </select></label>
+                  <label>grace days <input type="number" min="0" value={p.grace_days ?? 0} onChange={e => setField(t.key, 'grace_days', e.target.value)} disabled={disabled} style={{ width: 50 }} /></label>
+                  <span style={{ color: '#666', fontSize: 12 }}>{preview(p)}</span>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {!disabled && (
+        <div style={{ marginTop: 12 }}>
+          <button type="button" onClick={save}>Save escalation policy</button>
+        </div>
+      )}
+      {status && <div style={{ marginTop: 8, color: '#555' }}>{status}</div>}
+    </div>
+  );
+}
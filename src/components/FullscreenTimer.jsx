@@ -2,6 +2,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import dayjs from 'dayjs';
 import { supabase } from '../supabaseClient';
+import { startTaskSession, endTaskSession } from '../utils/taskSessions';
+import { loadActiveTimer, subscribeActiveTimer, isThisTab } from '../utils/activeTimer';
 
 /**
  * FullscreenTimer (robust production-level)
@@ -13,6 +15,12 @@ import { supabase } from '../supabaseClient';
  *  - onFinish(): called when timer reaches zero (caller should mark task completed if desired)
  *  - persistIntervalMs: how often to persist while running (default 10000)
  *  - autoCloseOnFinish: boolean, close overlay automatically after finish (default true)
+ *
+ * Resume/pause/stop/finish also open or close the task's task_sessions row (see utils/taskSessions);
+ * periodic and on-hide persists only touch the countdown.
+ * Only one timer runs per member (active_timers): starting here pauses any other running task, and
+ * while this task is driven from another tab/device the overlay follows it without persisting, and
+ * Stop only closes it (the session keeps running where it was started).
  */
 export default function FullscreenTimer({
   task,
@@ -42,6 +50,8 @@ export default function FullscreenTimer({
   const intervalRef = useRef(null);
   const subRef = useRef(null);
   const unmountedRef = useRef(false);
+  const elsewhereRef = useRef(false); // this task's timer is held by another tab/device
+  const [timerElsewhere, setTimerElsewhere] = useState(false);
 
   // play short beep
   const playBeep = () => {
@@ -142,16 +152,43 @@ export default function FullscreenTimer({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [task?.id]);
 
+  // follow the member's active timer: if another tab/device holds this task, stop persisting from here
+  useEffect(() => {
+    const userId = task?.created_by;
+    if (!task?.id || !userId) return;
+    let cancelled = false;
+    const sync = async () => {
+      try {
+        const active = await loadActiveTimer(userId);
+        if (cancelled) return;
+        const elsewhere = Boolean(active) && active.task_id === task.id && !isThisTab(active);
+        elsewhereRef.current = elsewhere;
+        setTimerElsewhere(elsewhere);
+      } catch (e) {
+        console.warn('active timer load failed', e);
+      }
+    };
+    sync();
+    const channel = subscribeActiveTimer(userId, `overlay-${task.id}`, sync);
+    return () => {
+      cancelled = true;
+      try { channel.unsubscribe(); } catch (e) {}
+    };
+  }, [task?.id, task?.created_by]);
+
   // persist helpers
-  async function persistToDb(forceStop = false) {
+  async function persistToDb(forceStop = false, sessionEvent = null) {
     // forceStop: if true, write is_running=false, last_started_at=null. Otherwise if running write is_running true and last_started_at as startTsRef
+    // sessionEvent: 'start' opens a session, 'pause' | 'stop' | 'finish' closes the open one
     if (!task?.id) return;
+    // the tab holding the timer keeps the countdown; explicit actions here still go through
+    if (elsewhereRef.current && !forceStop && !sessionEvent) return;
     try {
       const cur = computeRemainingNow();
       const payload = {
         remaining_seconds: Math.max(0, Math.floor(cur)),
       };
-      if (forceStop || !running) {
+      if (forceStop || (!running && sessionEvent !== 'start')) {
         payload.is_running = false;
         payload.last_started_at = null;
       } else {
@@ -166,6 +203,8 @@ export default function FullscreenTimer({
       const { error } = await supabase.from('tasks').update(payload).eq('id', task.id);
       if (error) throw error;
       lastPersistRef.current = Date.now();
+      if (sessionEvent === 'start') await startTaskSession(task.id, payload.remaining_seconds);
+      else if (sessionEvent) await endTaskSession(task.id, sessionEvent);
     } catch (err) {
       // don't block UI on persist errors, but log them
       console.warn('persistToDb failed', err);
@@ -223,7 +262,7 @@ export default function FullscreenTimer({
       startTsRef.current = null;
       // persist final zero
       (async () => {
-        await persistToDb(true).catch(()=>{});
+        await persistToDb(true, 'finish').catch(()=>{});
       })();
       playBeep();
       try { if (typeof window !== 'undefined') window.navigator.vibrate?.(200); } catch (e) {}
@@ -251,7 +290,7 @@ export default function FullscreenTimer({
     startTsRef.current = Date.now();
     setRunning(true);
     lastPersistRef.current = 0;
-    await persistToDb(false).catch(e => console.warn('persist resume failed', e));
+    await persistToDb(false, 'start').catch(e => console.warn('persist resume failed', e));
   }
 
   // pause click
@@ -261,13 +300,15 @@ export default function FullscreenTimer({
     baseRemainingRef.current = Math.max(0, curNow);
     startTsRef.current = null;
     setRunning(false);
-    await persistToDb(true).catch(e => console.warn('persist pause failed', e));
+    await persistToDb(true, 'pause').catch(e => console.warn('persist pause failed', e));
   }
 
   // user stops (close overlay) - persist as paused
   async function handleStop() {
-    // persist pause then call onClose
-    await persistToDb(true).catch(e => console.warn('persist stop failed', e));
+    // a follower must not end the session of the tab that holds the timer: just close
+    if (!elsewhereRef.current) {
+      await persistToDb(true, 'stop').catch(e => console.warn('persist stop failed', e));
+    }
     if (typeof onClose === 'function') onClose();
   }
 
@@ -278,7 +319,7 @@ export default function FullscreenTimer({
     startTsRef.current = null;
     setRemaining(0);
     setRunning(false);
-    await persistToDb(true).catch(()=>{});
+    await persistToDb(true, 'finish').catch(()=>{});
     playBeep();
     if (typeof onFinish === 'function') onFinish();
     if (autoCloseOnFinish && typeof onClose === 'function') {
@@ -334,13 +375,20 @@ export default function FullscreenTimer({
           </div>
         </div>
 
+        {timerElsewhere && running && (
+          <div style={{ marginTop: 18, color: '#fcd34d', fontSize: 14 }}>
+            This timer is running in another tab or device — this window only follows it.
+            <button onClick={handleResume} style={{ ...secondaryBtn, marginLeft: 12, padding: '6px 12px' }}>Take over here</button>
+          </div>
+        )}
+
         <div style={{ marginTop: 30, display: 'flex', gap: 12, justifyContent: 'center' }}>
           {running ? (
             <button onClick={handlePause} style={primaryBtn}>Pause</button>
           ) : (
             <button onClick={handleResume} style={primaryBtn}>Resume</button>
           )}
-          <button onClick={handleStop} style={secondaryBtn}>Stop</button>
+          <button onClick={handleStop} style={secondaryBtn}>{timerElsewhere ? 'Close' : 'Stop'}</button>
           <button onClick={handleFinishNow} style={dangerBtn}>Finish now</button>
         </div>
 
@@ -0,0 +1,211 @@
+// src/components/ItemTypeForm.jsx
+import React, { useState } from 'react';
+import { FIELD_KINDS, SCHEDULE_KINDS, renderItemLabel, emptyEntry, describeSchedule, validateItemType } from '../utils/itemCatalogue';
+import { createItemType, updateItemType, deleteItemType } from '../utils/itemTypes';
+
+/*
+ItemTypeForm
+- Lists the checklist item type catalogue and lets members add their own types
+  (fields, label template, schedule, default penalty) with a live label preview
+- The creator or an admin can edit / remove a type; built-in types only admins can edit
+*/
+
+const WEEKDAYS = ['mon','tue','wed','thu','fri','sat','sun'];
+
+// quota schedules: the item has to be ticked `count` times per week / month
+const SCHEDULE_COUNTS = {
+  per_week: { option: 'N per week', unit: 'times a week', initial: 3, max: 7 },
+  per_month: { option: 'N per month', unit: 'times a month', initial: 8, max: 31 }
+};
+
+const thStyle = { textAlign: 'left', borderBottom: '1px solid #ddd', padding: '6px 8px' };
+const tdStyle = { borderBottom: '1px solid #f0f0f0', padding: '6px 8px', verticalAlign: 'top' };
+
+function blankType() {
+  return {
+    key: '',
+    name: '',
+    fields: [{ name: 'what', label: 'What', kind: 'text', default: '' }],
+    label_template: '{what}',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    sort_order: 100
+  };
+}
+
+export default function ItemTypeForm({ user, isAdmin, itemTypes, onChanged }) {
+  const [draft, setDraft] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+  const [status, setStatus] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = (t) => isAdmin || (!t.builtin && t.created_by === user.id);
+
+  const setField = (k, v) => setDraft(d => ({ ...d, [k]: v }));
+  const setSchedule = (patch) => setDraft(d => ({ ...d, schedule: { ...d.schedule, ...patch } }));
+  const setDef = (idx, patch) => setDraft(d => ({ ...d, fields: d.fields.map((f, i) => (i === idx ? { ...f, ...patch } : f)) }));
+  const addDef = () => setDraft(d => ({ ...d, fields: [...d.fields, { name: `field${d.fields.length + 1}`, label: '', kind: 'text', default: '' }] }));
+  const removeDef = (idx) => setDraft(d => ({ ...d, fields: d.fields.filter((_, i) => i !== idx) }));
+
+  function toggleScheduleDay(day) {
+    const days = draft.schedule.days || [];
+    setSchedule({ days: days.includes(day) ? days.filter(x => x !== day) : [...days, day] });
+  }
+
+  function startNew() {
+    setDraft(blankType());
+    setEditingKey(null);
+    setStatus('');
+  }
+
+  function startEdit(t) {
+    setDraft(JSON.parse(JSON.stringify(t)));
+    setEditingKey(t.key);
+    setStatus('');
+  }
+
+  async function save() {
+    const type = { ...draft, key: String(draft.key || '').trim().toLowerCase(), default_penalty: Number(draft.default_penalty) };
+    const problem = validateItemType(type, editingKey ? [] : itemTypes.map(t => t.key));
+    if (problem) {
+      setStatus(problem);
+      return;
+    }
+    setSaving(true);
+    setStatus('Saving item type...');
+    try {
+      if (editingKey) await updateItemType(type);
+      else await createItemType(type, user.id);
+      setStatus('Item type saved.');
+      setDraft(null);
+      setEditingKey(null);
+      if (onChanged) await onChanged();
+    } catch (err) {
+      console.error('Error saving item type', err);
+      setStatus('Error saving item type: ' + (err.message || err));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function remove(t) {
+    if (!confirm(`Remove the item type "${t.name}"? Members' entries for it stay in their preferences but no longer show up.`)) return;
+    try {
+      await deleteItemType(t.key);
+      setStatus('Item type removed.');
+      if (onChanged) await onChanged();
+    } catch (err) {
+      console.error('Error removing item type', err);
+      setStatus('Error removing item type: ' + (err.message || err));
+    }
+  }
+
+  return (
+    <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 6, marginBottom: 16 }}>
+      <h3 style={{ marginTop: 0 }}>Checklist item types</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr>
+            <th style={thStyle}>Type</th>
+            <th style={thStyle}>Label</th>
+            <th style={thStyle}>Schedule</th>
+            <th style={thStyle}>Default fine</th>
+            <th style={thStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {itemTypes.map(t => (
+            <tr key={t.key}>
+              <td style={tdStyle}>{t.name} <small style={{ color: '#666' }}>({t.key}{t.builtin ? ', built-in' : ''})</small></td>
+              <td style={tdStyle}><code>{t.label_template}</code></td>
+              <td style={tdStyle}>{describeSchedule(t.schedule)}</td>
+              <td style={tdStyle}>₹{t.default_penalty}</td>
+              <td style={tdStyle}>
+                {canEdit(t) && <button type="button" onClick={() => startEdit(t)}>Edit</button>}
+                {canEdit(t) && !t.builtin && <button type="button" onClick={() => remove(t)} style={{ marginLeft: 6 }}>Remove</button>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!draft && <div style={{ marginTop: 8 }}><button type="button" onClick={startNew}>Add item type</button></div>}
+
+      {draft && (
+        <div style={{ marginTop: 12, padding: 8, border: '1px solid #ddd', display: 'grid', gap: 8 }}>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <label>Key:</label>
+            <input value={draft.key} onChange={e => setField('key', e.target.value)} disabled={!!editingKey} placeholder="reading" style={{ width: 120 }} />
+            <label>Name:</label>
+            <input value={draft.name} onChange={e => setField('name', e.target.value)} placeholder="Reading" />
+            <label>Default fine:</label>
+            <input type="number" min="0" value={draft.default_penalty} onChange={e => setField('default_penalty', e.target.value)} style={{ width: 90 }} />
+          </div>
+
+          <div>
+            <strong>Fields</strong>
+            {draft.fields.map((f, idx) => (
+              <div key={idx} style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 4, flexWrap: 'wrap' }}>
+                <input value={f.name} onChange={e => setDef(idx, { name: e.target.value })} placeholder="name" style={{ width: 110 }} disabled={draft.builtin} />
+                <input value={f.label || ''} onChange={e => setDef(idx, { label: e.target.value })} placeholder="label" style={{ width: 140 }} />
+                <select value={f.kind} onChange={e => setDef(idx, { kind: e.target.value, default: e.target.value === 'weekdays' ? [] : '' })} disabled={draft.builtin}>
+                  {FIELD_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+                </select>
+                {f.kind === 'select' && (
+                  <input
+                    value={(f.options || []).join(', ')}
+                    onChange={e => setDef(idx, { options: e.target.value.split(',').map(x => x.trim()).filter(Boolean) })}
+                    placeholder="options, comma separated"
+                    style={{ width: 200 }}
+                  />
+                )}
+                {f.kind !== 'weekdays' && (
+                  <input
+                    value={f.default ?? ''}
+                    onChange={e => setDef(idx, { default: f.kind === 'number' ? Number(e.target.value) : e.target.value })}
+                    placeholder="default"
+                    style={{ width: 100 }}
+                  />
+                )}
+                {!draft.builtin && <button type="button" onClick={() => removeDef(idx)}>remove</button>}
+              </div>
+            ))}
+            {!draft.builtin && <div style={{ marginTop: 4 }}><button type="button" onClick={addDef}>Add field</button></div>}
+          </div>
+
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <label>Label template:</label>
+            <input value={draft.label_template} onChange={e => setField('label_template', e.target.value)} style={{ width: 320 }} />
+            <span style={{ color: '#666' }}>Preview: {renderItemLabel(draft, emptyEntry(draft))}</span>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <label>Schedule:</label>
+            <select
+              value={draft.schedule.kind}
+              onChange={e => setField('schedule', { kind: e.target.value, ...(e.target.value === 'weekdays' ? { days: [] } : {}), ...(SCHEDULE_COUNTS[e.target.value] ? { count: SCHEDULE_COUNTS[e.target.value].initial } : {}) })}
+              disabled={draft.builtin}
+            >
+              {SCHEDULE_KINDS.map(k => <option key={k} value={k}>{SCHEDULE_COUNTS[k] ? SCHEDULE_COUNTS[k].option : k}</option>)}
+            </select>
+            {draft.schedule.kind === 'weekdays' && !draft.schedule.days_field && WEEKDAYS.map(d => (
+              <label key={d}><input type="checkbox" checked={(draft.schedule.days || []).includes(d)} onChange={() => toggleScheduleDay(d)} /> {d}</label>
+            ))}
+            {SCHEDULE_COUNTS[draft.schedule.kind] && (
+              <>
+                <input type="number" min="1" max={SCHEDULE_COUNTS[draft.schedule.kind].max} value={draft.schedule.count} onChange={e => setSchedule({ count: Number(e.target.value) })} style={{ width: 60 }} />
+                <span>{SCHEDULE_COUNTS[draft.schedule.kind].unit}</span>
+              </>
+            )}
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="button" onClick={save} disabled={saving}>{saving ? 'Saving...' : 'Save item type'}</button>
+            <button type="button" onClick={() => { setDraft(null); setEditingKey(null); }} disabled={saving}>Cancel</button>
+          </div>
+        </div>
+      )}
+      {status && <div style={{ marginTop: 8, color: '#555' }}>{status}</div>}
+    </div>
+  );
+}
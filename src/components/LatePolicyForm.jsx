@@ -0,0 +1,75 @@
+// src/components/LatePolicyForm.jsx
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_LATE_POLICY, loadLatePolicy, saveLatePolicy } from '../utils/latePolicy';
+
+/*
+LatePolicyForm
+- Admin editor for the group late-submission policy (grace window, tiers, locking, approvals)
+- Read-only for everyone else so members can see the rules that price their fines
+*/
+
+export default function LatePolicyForm({ user, isAdmin }) {
+  const [policy, setPolicy] = useState(DEFAULT_LATE_POLICY);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    loadLatePolicy()
+      .then(setPolicy)
+      .catch(err => setStatus('Error loading late policy: ' + (err.message || err)));
+  }, []);
+
+  const setField = (k, v) => setPolicy(p => ({ ...p, [k]: v }));
+  const setTier = (idx, k, v) => setPolicy(p => ({ ...p, tiers: p.tiers.map((t, i) => (i === idx ? { ...t, [k]: v } : t)) }));
+  const addTier = () => setPolicy(p => ({ ...p, tiers: [...p.tiers, { after_hours: 24, multiplier: 3 }] }));
+  const removeTier = (idx) => setPolicy(p => ({ ...p, tiers: p.tiers.filter((_, i) => i !== idx) }));
+
+  const save = async () => {
+    setStatus('Saving late policy...');
+    try {
+      setPolicy(await saveLatePolicy(policy, user.id));
+      setStatus('Late policy saved.');
+    } catch (err) {
+      console.error('Error saving late policy', err);
+      setStatus('Error saving late policy: ' + (err.message || err));
+    }
+  };
+
+  const disabled = !isAdmin;
+
+  return (
+    <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 6, marginBottom: 16 }}>
+      <h3 style={{ marginTop: 0 }}>Late submission policy {disabled && <small style={{ color: '#666' }}>(set by admins)</small>}</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '220px 1fr', gap: 8, alignItems: 'center' }}>
+        <label>Grace window (hours after the day starts)</label>
+        <input type="number" min="0" value={policy.grace_hours} onChange={e => setField('grace_hours', e.target.value)} disabled={disabled} style={{ width: 100 }} />
+
+        <label>Multiplier tiers</label>
+        <div style={{ display: 'grid', gap: 4 }}>
+          {policy.tiers.map((t, idx) => (
+            <div key={idx} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+              <span>more than</span>
+              <input type="number" min="0" value={t.after_hours} onChange={e => setTier(idx, 'after_hours', e.target.value)} disabled={disabled} style={{ width: 70 }} />
+              <span>h past grace → ×</span>
+              <input type="number" min="1" step="0.5" value={t.multiplier} onChange={e => setTier(idx, 'multiplier', e.target.value)} disabled={disabled} style={{ width: 60 }} />
+              {!disabled && <button type="button" onClick={() => removeTier(idx)}>Remove</button>}
+            </div>
+          ))}
+          {policy.tiers.length === 0 && <span style={{ color: '#666' }}>No tiers — late submissions are not penalised extra.</span>}
+          {!disabled && <div><button type="button" onClick={addTier}>Add tier</button></div>}
+        </div>
+
+        <label>Lock dates older than (days)</label>
+        <input type="number" min="0" placeholder="never" value={policy.lock_after_days ?? ''} onChange={e => setField('lock_after_days', e.target.value)} disabled={disabled} style={{ width: 100 }} />
+
+        <label>Backdated changes need approval after (days)</label>
+        <input type="number" min="0" placeholder="never" value={policy.approval_after_days ?? ''} onChange={e => setField('approval_after_days', e.target.value)} disabled={disabled} style={{ width: 100 }} />
+      </div>
+      {!disabled && (
+        <div style={{ marginTop: 12 }}>
+          <button type="button" onClick={save}>Save late policy</button>
+        </div>
+      )}
+      {status && <div style={{ marginTop: 8, color: '#555' }}>{status}</div>}
+    </div>
+  );
+}
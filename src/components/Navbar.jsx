@@ -1,9 +1,61 @@
 // src/components/Navbar.jsx
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
+import { countUnreadNotifications } from '../utils/notifications';
+import { loadActiveTimer, subscribeActiveTimer, timerRemaining } from '../utils/activeTimer';
+
+function fmtClock(s) {
+  const m = Math.floor(s / 60).toString().padStart(2, '0');
+  const sec = Math.floor(s % 60).toString().padStart(2, '0');
+  return `${m}:${sec}`;
+}
 
 export default function Navbar({ session }) {
+  const [unread, setUnread] = useState(0);
+  const [activeTimer, setActiveTimer] = useState(null);
+  const [, setTick] = useState(0);
+  const userId = session?.user?.id;
+
+  // unread notifications badge (payment confirmations etc.), kept live via realtime
+  useEffect(() => {
+    if (!userId) {
+      setUnread(0);
+      return;
+    }
+    const refresh = () => countUnreadNotifications(userId).then(setUnread).catch(() => setUnread(0));
+    refresh();
+    const channel = supabase
+      .channel(`notifications-${userId}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'notifications', filter: `user_id=eq.${userId}` }, () => refresh())
+      .subscribe();
+    return () => {
+      channel.unsubscribe().catch(()=>{});
+    };
+  }, [userId]);
+
+  // the member's running task timer (one at a time), kept live via realtime
+  useEffect(() => {
+    if (!userId) {
+      setActiveTimer(null);
+      return;
+    }
+    const refresh = () => loadActiveTimer(userId).then(setActiveTimer).catch(() => setActiveTimer(null));
+    refresh();
+    const channel = subscribeActiveTimer(userId, 'navbar', refresh);
+    return () => {
+      channel.unsubscribe().catch(()=>{});
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!activeTimer) return;
+    const id = setInterval(() => setTick(t => t + 1), 1000);
+    return () => clearInterval(id);
+  }, [activeTimer]);
+
+  const activeLeft = timerRemaining(activeTimer);
+
   const logout = async () => {
     await supabase.auth.signOut();
   };
@@ -24,9 +76,20 @@ export default function Navbar({ session }) {
 
       {/* <Link to="/today-others">Tasks done today (others)</Link> */}
 
-      <Link to="/fines">My fines</Link>
+      <Link to="/fines">
+        My fines
+        {unread > 0 && (
+          <span style={{ marginLeft: 4, padding: '0 6px', borderRadius: 10, background: '#d33', color: '#fff', fontSize: 12 }}>{unread}</span>
+        )}
+      </Link>
+      <Link to="/pot">Pot</Link>
 
       <div style={{ marginLeft: 'auto' }}>
+        {activeTimer && (
+          <Link to="/tasks" title="Running task timer" style={{ marginRight: 12, padding: '2px 8px', borderRadius: 10, background: '#fef3c7', color: '#92400e', textDecoration: 'none' }}>
+            ▶ {activeTimer.tasks?.title || 'Task'}{activeLeft != null ? ` · ${fmtClock(activeLeft)}` : ''}
+          </Link>
+        )}
         {session ? (
           <>
             <span style={{ marginRight: 12 }}>{session.user?.email}</span>
@@ -2,10 +2,21 @@
 // Drop-in replacement for your existing PreferenceForm.jsx
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
+import { DEFAULT_ITEM_TYPES, emptyEntry, itemTypeEntries, describeSchedule } from '../utils/itemCatalogue';
+import { contractWeakenings } from '../utils/prefVersions';
+import { requestContractChange, describeEffectiveAt } from '../utils/contractChanges';
+
+/*
+PreferenceForm
+- One section per item type of the catalogue (item_types), fields rendered from the type definition
+- Built-in types save to their own preferences columns, user-defined types to preferences.custom_items
+- Single types (wake) hold one rule instead of a list
+- Changes that weaken the contract (removed items, lower fines / counts, looser rules) are filed as a
+  contract change request and wait for the cooling-off period or a peer's sign-off; stricter changes save at once
+- Every save becomes that day's dated version of the contract (preference_versions); onSaved lets the page refresh its history
+- Entries of daily types can be turned into a quota (N times a week / month) instead of every day
+*/
 
-const TOPICS = ['dp', 'graphs', 'trees', 'mathematics', 'bitmasking', 'sorting', 'two-pointer', 'greedy', 'number-theory'];
-const PLATFORMS = ['cses', 'codeforces', 'leetcode', 'codechef', 'atcoder', 'interviewbit', 'geeksforgeeks'];
-const QUESTION_COUNTS = [1,2,3,4,5,6,7,8,9,10];
 const WEEKDAYS = ['mon','tue','wed','thu','fri','sat','sun'];
 
 function generateId() {
@@ -13,11 +24,9 @@ function generateId() {
   return `${Date.now().toString(36)}-${Math.floor(Math.random()*100000).toString(36)}`;
 }
 
-function emptyTheory() { return { id: generateId(), topic: 'dp', platform: 'cses', count: 3, penalty: 10 }; }
-function emptySport() { return { id: generateId(), sport: 'gym', duration_minutes: 60, start_time: '07:00', end_time: '08:00', penalty: 10 }; }
-function emptyClass() { return { id: generateId(), name: '', days: ['mon'], start_time: '09:00', end_time: '10:00', penalty: 10 }; }
-function emptyRandom() { return { id: generateId(), platform: 'codeforces', count: 3, penalty: 10 }; }
-function emptyWake() { return { target_time: '07:00', required_count: 1, penalty: 10 }; }
+// window_mode: the item has to be ticked inside start..end (± slack_minutes); a late tick is fined penalty × late_multiplier
+const WINDOW_DEFAULTS = { window_mode: false, slack_minutes: 15, late_multiplier: 0.5 };
+const windowFields = (x) => ({ window_mode: !!x.window_mode, slack_minutes: x.slack_minutes ?? WINDOW_DEFAULTS.slack_minutes, late_multiplier: x.late_multiplier ?? WINDOW_DEFAULTS.late_multiplier });
 
 function normalizeDaysField(days) {
   if (!days) return [];
@@ -30,93 +39,50 @@ function normalizeDaysField(days) {
     .map(s => s.toLowerCase().slice(0,3));
 }
 
-export default function PreferenceForm({ user, initialPrefs = {}, templates = [] }) {
+// entry with every field of the type present (defaults for missing ones) and a stable id
+function normalizeEntry(type, raw) {
+  const base = emptyEntry(type, type.single ? null : generateId());
+  const copy = { ...base, ...(raw || {}) };
+  if (!type.single && !copy.id) copy.id = base.id;
+  (type.fields || []).forEach(f => {
+    if (f.kind === 'weekdays') copy[f.name] = normalizeDaysField(copy[f.name]);
+    if (f.kind === 'number' && copy[f.name] !== '' && copy[f.name] !== undefined) copy[f.name] = Number(copy[f.name]);
+  });
+  copy.penalty = raw?.penalty ?? base.penalty;
+  return type.supports_window ? { ...copy, ...windowFields(copy) } : copy;
+}
+
+export default function PreferenceForm({ user, initialPrefs = {}, templates = [], itemTypes = DEFAULT_ITEM_TYPES, onSaved }) {
   const userId = user.id;
 
-  // state with robust defaults
-  const [theoryTasks, setTheoryTasks] = useState([]);
-  const [sportsTasks, setSportsTasks] = useState([]);
-  const [classesTasks, setClassesTasks] = useState([]);
-  const [randomImpl, setRandomImpl] = useState([]);
-  const [randomThink, setRandomThink] = useState([]);
-  const [wakeRule, setWakeRule] = useState(emptyWake());
+  // type key -> list of entries (single types: a one-element list)
+  const [entries, setEntries] = useState({});
 
   const [status, setStatus] = useState('');
   const [saving, setSaving] = useState(false);
+  // contract as last saved: what a change is weighed against
+  const [baseline, setBaseline] = useState(initialPrefs);
 
   // normalize incoming initialPrefs on load
   useEffect(() => {
-    if (!initialPrefs) return;
-
-    // helper to ensure each item has id and normalized days
-    const normalizeList = (arr, type) => {
-      if (!Array.isArray(arr)) return [];
-      return arr.map(item => {
-        const copy = { ...(item || {}) };
-        // ensure id
-        if (!copy.id) copy.id = generateId();
-        // if class type, normalize days
-        if (type === 'class') {
-          copy.days = normalizeDaysField(copy.days);
-        }
-        return copy;
-      });
-    };
-
-    setTheoryTasks(normalizeList(initialPrefs.theory_tasks || [], 'theory').map(x => ({ id: x.id, topic: x.topic || 'dp', platform: x.platform || 'cses', count: x.count || 3, penalty: x.penalty ?? 10 })));
-    setSportsTasks(normalizeList(initialPrefs.sports_tasks || [], 'sport').map(x => ({ id: x.id, sport: x.sport || 'gym', duration_minutes: x.duration_minutes || 60, start_time: x.start_time || '07:00', end_time: x.end_time || '08:00', penalty: x.penalty ?? 10 })));
-    setClassesTasks(normalizeList(initialPrefs.classes_tasks || [], 'class').map(x => ({ id: x.id, name: x.name || '', days: x.days || ['mon'], start_time: x.start_time || '09:00', end_time: x.end_time || '10:00', penalty: x.penalty ?? 10 })));
-    setRandomImpl(normalizeList(initialPrefs.random_implementation || [], 'randimpl').map(x => ({ id: x.id, platform: x.platform || 'codeforces', count: x.count || 3, penalty: x.penalty ?? 10 })));
-    setRandomThink(normalizeList(initialPrefs.random_thinking || [], 'randthink').map(x => ({ id: x.id, platform: x.platform || 'interviewbit', count: x.count || 3, penalty: x.penalty ?? 10 })));
-    if (initialPrefs.wake_rule && Object.keys(initialPrefs.wake_rule).length) {
-      setWakeRule({ target_time: initialPrefs.wake_rule.target_time || '07:00', required_count: initialPrefs.wake_rule.required_count || 1, penalty: initialPrefs.wake_rule.penalty ?? 10 });
-    } else {
-      setWakeRule(emptyWake());
-    }
-  }, [initialPrefs]);
-
-  // ---------- Theory handlers ----------
-  function addTheory() { setTheoryTasks(prev => [...prev, emptyTheory()]); }
-  function updateTheory(id, patch) { setTheoryTasks(prev => prev.map(i => i.id === id ? { ...i, ...patch } : i)); }
-  function removeTheory(id) { setTheoryTasks(prev => prev.filter(i => i.id !== id)); }
-
-  // ---------- Sports handlers ----------
-  function addSport() { setSportsTasks(prev => [...prev, emptySport()]); }
-  function updateSport(id, patch) { setSportsTasks(prev => prev.map(i => i.id === id ? { ...i, ...patch } : i)); }
-  function removeSport(id) { setSportsTasks(prev => prev.filter(i => i.id !== id)); }
-
-  // ---------- Classes handlers (fixed multi-day selection) ----------
-  function addClass() { setClassesTasks(prev => [...prev, emptyClass()]); }
-  function updateClass(id, patch) { setClassesTasks(prev => prev.map(i => i.id === id ? { ...i, ...patch } : i)); }
-  function removeClassTask(id) { setClassesTasks(prev => prev.filter(i => i.id !== id)); }
-
-  function toggleClassDay(classId, day) {
-    setClassesTasks(prev => {
-      return prev.map(cls => {
-        if (cls.id !== classId) return cls;
-        const daysArr = Array.isArray(cls.days) ? [...cls.days] : normalizeDaysField(cls.days);
-        const idx = daysArr.indexOf(day);
-        if (idx === -1) {
-          daysArr.push(day);
-        } else {
-          daysArr.splice(idx, 1);
-        }
-        return { ...cls, days: daysArr };
-      });
+    const next = {};
+    itemTypes.forEach(type => {
+      const list = itemTypeEntries(initialPrefs || {}, type).map(e => normalizeEntry(type, e));
+      // single rules (wake) always have a row to edit
+      next[type.key] = type.single && list.length === 0 ? [normalizeEntry(type, null)] : list;
     });
-  }
+    setEntries(next);
+    setBaseline(initialPrefs);
+  }, [initialPrefs, itemTypes]);
 
-  // ---------- Random handlers ----------
-  function addRandomImpl() { setRandomImpl(prev => [...prev, emptyRandom()]); }
-  function updateRandomImpl(id, patch) { setRandomImpl(prev => prev.map(i => i.id === id ? { ...i, ...patch } : i)); }
-  function removeRandomImpl(id) { setRandomImpl(prev => prev.filter(i => i.id !== id)); }
+  function addEntry(type) { setEntries(prev => ({ ...prev, [type.key]: [...(prev[type.key] || []), normalizeEntry(type, null)] })); }
+  function updateEntry(type, idx, patch) { setEntries(prev => ({ ...prev, [type.key]: (prev[type.key] || []).map((e, i) => (i === idx ? { ...e, ...patch } : e)) })); }
+  function removeEntry(type, idx) { setEntries(prev => ({ ...prev, [type.key]: (prev[type.key] || []).filter((_, i) => i !== idx) })); }
 
-  function addRandomThink() { setRandomThink(prev => [...prev, emptyRandom()]); }
-  function updateRandomThink(id, patch) { setRandomThink(prev => prev.map(i => i.id === id ? { ...i, ...patch } : i)); }
-  function removeRandomThink(id) { setRandomThink(prev => prev.filter(i => i.id !== id)); }
-
-  // wake rule
-  function setWakeField(field, val) { setWakeRule(prev => ({ ...prev, [field]: val })); }
+  function toggleDay(type, idx, field, day) {
+    const current = normalizeDaysField((entries[type.key] || [])[idx]?.[field]);
+    updateEntry(type, idx, { [field]: current.includes(day) ? current.filter(d => d !== day) : [...current, day] });
+  }
 
   // ---------- Save preferences (unchanged robust upsert/fallback) ----------
   const save = async () => {
@@ -124,14 +90,30 @@ export default function PreferenceForm({ user, initialPrefs = {}, templates = []
     setStatus('Saving preferences...');
     const payload = {
       user_id: userId,
-      theory_tasks: theoryTasks,
-      sports_tasks: sportsTasks,
-      classes_tasks: classesTasks,
-      random_implementation: randomImpl,
-      random_thinking: randomThink,
-      wake_rule: wakeRule,
+      custom_items: {},
       updated_at: new Date().toISOString()
     };
+    itemTypes.forEach(type => {
+      const value = type.single ? (entries[type.key] || [])[0] || {} : entries[type.key] || [];
+      if (type.prefs_column) payload[type.prefs_column] = value;
+      else payload.custom_items[type.key] = value;
+    });
+
+    // weakening changes wait (request_contract_change); the preferences trigger refuses them here
+    const weakenings = contractWeakenings(baseline, payload, itemTypes);
+    if (weakenings.length > 0) {
+      try {
+        const req = await requestContractChange(payload);
+        setStatus(`This change weakens your contract (${weakenings.join('; ')}). It takes effect ${describeEffectiveAt(req)}.`);
+        if (onSaved) onSaved();
+      } catch (err) {
+        console.error('Contract change request error', err);
+        setStatus('Error requesting contract change: ' + (err.message || err));
+      } finally {
+        setSaving(false);
+      }
+      return;
+    }
 
     try {
       const { data, error } = await supabase
@@ -143,6 +125,8 @@ export default function PreferenceForm({ user, initialPrefs = {}, templates = []
       if (!error) {
         setStatus('Saved (upsert).');
         setSaving(false);
+        setBaseline(payload);
+        if (onSaved) onSaved();
         return;
       }
 
@@ -163,13 +147,21 @@ export default function PreferenceForm({ user, initialPrefs = {}, templates = []
             .update(payload)
             .eq('user_id', userId);
           if (updErr) setStatus('Error updating prefs: ' + updErr.message);
-          else setStatus('Saved (updated).');
+          else {
+            setStatus('Saved (updated).');
+            setBaseline(payload);
+            if (onSaved) onSaved();
+          }
         } else {
           const { error: insErr } = await supabase
             .from('preferences')
             .insert(payload);
           if (insErr) setStatus('Error inserting prefs: ' + insErr.message);
-          else setStatus('Saved (inserted).');
+          else {
+            setStatus('Saved (inserted).');
+            setBaseline(payload);
+            if (onSaved) onSaved();
+          }
         }
         setSaving(false);
         return;
@@ -187,137 +179,43 @@ export default function PreferenceForm({ user, initialPrefs = {}, templates = []
   // ---------- Render UI ----------
   return (
     <div style={{ padding: 16, border: '1px solid #eee', borderRadius: 6 }}>
-      <h3>Theory tasks</h3>
-      {theoryTasks.map(t => (
-        <div key={t.id} style={{ display: 'flex', gap: 8, marginBottom: 8, alignItems: 'center' }}>
-          <label>Select Topic:</label>
-          <select value={t.topic} onChange={e => updateTheory(t.id, { topic: e.target.value })}>
-            {TOPICS.map(x => <option key={x} value={x}>{x}</option>)}
-          </select>
-          <label>Select Platform:</label>
-          <select value={t.platform} onChange={e => updateTheory(t.id, { platform: e.target.value })}>
-            {PLATFORMS.map(x => <option key={x} value={x}>{x}</option>)}
-          </select>
-          <lablel>number of questions:</lablel>
-          <select value={t.count} onChange={e => updateTheory(t.id, { count: Number(e.target.value) })}>
-            {QUESTION_COUNTS.map(c => <option key={c} value={c}>{c}</option>)}
-          </select>
-          <label>fine:</label>
-          <input type="number" min="0" value={t.penalty} onChange={e => updateTheory(t.id, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
-          <button type="button" onClick={() => removeTheory(t.id)}>remove</button>
-        </div>
-      ))}
-      <button type="button" onClick={addTheory}>Add theory</button>
-
-      <hr />
-
-      <h3>Sports tasks</h3>
-      {sportsTasks.map(s => (
-        <div key={s.id} style={{ marginBottom: 8, padding: 8, border: '1px solid #ddd' }}>
-          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-            <label>Sports:</label>
-            <input placeholder="sport" value={s.sport} onChange={e => updateSport(s.id, { sport: e.target.value })} />
-            <label>duration:</label>
-            <input type="number" min="1" value={s.duration_minutes} onChange={e => updateSport(s.id, { duration_minutes: Number(e.target.value) })} style={{ width: 110 }} />
-            
-            <label style={{ fontSize: 12 }}>mins</label>
-            <label>Time Start</label>
-            <input type="time" value={s.start_time} onChange={e => updateSport(s.id, { start_time: e.target.value })} />
-            <label>Time Ends</label>
-            <input type="time" value={s.end_time} onChange={e => updateSport(s.id, { end_time: e.target.value })} />
-            <label>fine:</label>
-            <input type="number" min="0" value={s.penalty} onChange={e => updateSport(s.id, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
-            <button type="button" onClick={() => removeSport(s.id)}>remove</button>
-          </div>
-        </div>
-      ))}
-      <button type="button" onClick={addSport}>Add sport</button>
-
-      <hr />
-
-      <h3>Classes Mandatory to Attend</h3>
-      {classesTasks.map(c => (
-        <div key={c.id} style={{ marginBottom: 8, padding: 8, border: '1px solid #eee' }}>
-          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-            <label>class name:</label>
-            <input placeholder="class name" value={c.name} onChange={e => updateClass(c.id, { name: e.target.value })} />
-            <label>Time Start</label>
-            <input type="time" value={c.start_time} onChange={e => updateClass(c.id, { start_time: e.target.value })} />
-            <label>Time Ends</label>
-            <input type="time" value={c.end_time} onChange={e => updateClass(c.id, { end_time: e.target.value })} />
-            <label>fine:</label>
-            <input type="number" min="0" value={c.penalty} onChange={e => updateClass(c.id, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
-
-            <button type="button" onClick={() => removeClassTask(c.id)}>remove</button>
-          </div>
-          <div style={{ marginTop: 8 }}>
-            {WEEKDAYS.map(d => (
-              <label key={d} style={{ marginRight: 8 }}>
-                <input
-                  type="checkbox"
-                  checked={Array.isArray(c.days) ? c.days.includes(d) : normalizeDaysField(c.days).includes(d)}
-                  onChange={() => toggleClassDay(c.id, d)}
-                /> {d}
-              </label>
-            ))}
-          </div>
-        </div>
-      ))}
-      <button type="button" onClick={addClass}>Add class</button>
-
-      <hr />
-
-      <h3>Random Implementation problems (count)</h3>
-      {randomImpl.map(r => (
-        <div key={r.id} style={{ display: 'flex', gap: 8, marginBottom: 8, alignItems: 'center' }}>
-          <label>platform:</label>
-          <select value={r.platform} onChange={e => updateRandomImpl(r.id, { platform: e.target.value })}>
-            {PLATFORMS.map(x => <option key={x} value={x}>{x}</option>)}
-          </select>
-          <label>count</label>
-          <select value={r.count} onChange={e => updateRandomImpl(r.id, { count: Number(e.target.value) })}>
-            {QUESTION_COUNTS.map(c => <option key={c} value={c}>{c}</option>)}
-          </select>
-          <label>fine: </label>
-          <input type="number" min="0" value={r.penalty} onChange={e => updateRandomImpl(r.id, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
-          <button type="button" onClick={() => removeRandomImpl(r.id)}>remove</button>
-        </div>
-      ))}
-      <button type="button" onClick={addRandomImpl}>Add random implementation</button>
-
-      <hr />
-
-      <h3>Random Thinking problems (count)</h3>
-      {randomThink.map(r => (
-        <div key={r.id} style={{ display: 'flex', gap: 8, marginBottom: 8, alignItems: 'center' }}>
-            <label>platform: </label>
-          <select value={r.platform} onChange={e => updateRandomThink(r.id, { platform: e.target.value })}>
-            {PLATFORMS.map(x => <option key={x} value={x}>{x}</option>)}
-          </select>
-          <label>count:</label>
-          <select value={r.count} onChange={e => updateRandomThink(r.id, { count: Number(e.target.value) })}>
-            {QUESTION_COUNTS.map(c => <option key={c} value={c}>{c}</option>)}
-          </select>
-          <label>fine:</label>
-          <input text="fine" type="number" min="0" value={r.penalty} onChange={e => updateRandomThink(r.id, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
-          <button type="button" onClick={() => removeRandomThink(r.id)}>remove</button>
+      {itemTypes.map((type, typeIdx) => (
+        <div key={type.key}>
+          {typeIdx > 0 && <hr />}
+          <h3>{type.name} <small style={{ color: '#666', fontWeight: 'normal' }}>({describeSchedule(type.schedule)})</small></h3>
+          {(entries[type.key] || []).map((entry, idx) => (
+            <div key={entry.id || idx} style={{ marginBottom: 8, padding: 8, border: '1px solid #eee' }}>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                {(type.fields || []).filter(f => f.kind !== 'weekdays').map(f => (
+                  <React.Fragment key={f.name}>
+                    <label>{f.label || f.name}:</label>
+                    <FieldInput field={f} value={entry[f.name]} onChange={v => updateEntry(type, idx, { [f.name]: v })} />
+                  </React.Fragment>
+                ))}
+                <label>fine:</label>
+                <input type="number" min="0" value={entry.penalty} onChange={e => updateEntry(type, idx, { penalty: Number(e.target.value) })} style={{ width: 90 }} />
+                {!type.single && <button type="button" onClick={() => removeEntry(type, idx)}>remove</button>}
+              </div>
+              {!type.single && (type.schedule?.kind || 'daily') === 'daily' && <QuotaFields item={entry} onChange={patch => updateEntry(type, idx, patch)} />}
+              {type.supports_window && <WindowFields item={entry} onChange={patch => updateEntry(type, idx, patch)} />}
+              {(type.fields || []).filter(f => f.kind === 'weekdays').map(f => (
+                <div key={f.name} style={{ marginTop: 8 }}>
+                  {WEEKDAYS.map(d => (
+                    <label key={d} style={{ marginRight: 8 }}>
+                      <input
+                        type="checkbox"
+                        checked={normalizeDaysField(entry[f.name]).includes(d)}
+                        onChange={() => toggleDay(type, idx, f.name, d)}
+                      /> {d}
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ))}
+          {!type.single && <button type="button" onClick={() => addEntry(type)}>Add {type.name.toLowerCase()}</button>}
         </div>
       ))}
-      <button type="button" onClick={addRandomThink}>Add random thinking</button>
-
-      <hr />
-
-      <h3>Wake rule</h3>
-      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-        <label>Target wake time:</label>
-        <input type="time" value={wakeRule.target_time} onChange={e => setWakeField('target_time', e.target.value)} />
-        <label>Required count:</label>
-        <select value={wakeRule.required_count} onChange={e => setWakeField('required_count', Number(e.target.value))}>
-          {[1,2,3,4,5,6,7].map(n => <option key={n} value={n}>{n}</option>)}
-        </select>
-        <label>Penalty:</label>
-        <input type="number" min="0" value={wakeRule.penalty} onChange={e => setWakeField('penalty', Number(e.target.value))} style={{ width: 90 }} />
-      </div>
 
       <div style={{ marginTop: 16 }}>
         <button type="button" onClick={save} disabled={saving}>{saving ? 'Saving...' : 'Save preferences'}</button>
@@ -326,3 +224,63 @@ export default function PreferenceForm({ user, initialPrefs = {}, templates = []
     </div>
   );
 }
+
+function FieldInput({ field, value, onChange }) {
+  if (field.kind === 'select') {
+    return (
+      <select value={value ?? ''} onChange={e => onChange(e.target.value)}>
+        {(field.options || []).map(x => <option key={x} value={x}>{x}</option>)}
+      </select>
+    );
+  }
+  if (field.kind === 'number') {
+    return <input type="number" min={field.min} max={field.max} value={value ?? ''} onChange={e => onChange(Number(e.target.value))} style={{ width: 90 }} />;
+  }
+  if (field.kind === 'time') {
+    return <input type="time" value={value || ''} onChange={e => onChange(e.target.value)} />;
+  }
+  return <input placeholder={field.label || field.name} value={value ?? ''} onChange={e => onChange(e.target.value)} />;
+}
+
+// quota_period '' = every day; 'week' / 'month' = quota_count ticks per Mon–Sun week / calendar month, fined per missing tick when it ends
+function QuotaFields({ item, onChange }) {
+  const period = item.quota_period || '';
+  return (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, fontSize: 14 }}>
+      <label>How often:</label>
+      <select
+        value={period}
+        onChange={e => onChange({ quota_period: e.target.value, quota_count: e.target.value ? (item.quota_count || (e.target.value === 'week' ? 3 : 8)) : null })}
+      >
+        <option value="">every day</option>
+        <option value="week">N times a week</option>
+        <option value="month">N times a month</option>
+      </select>
+      {period && (
+        <>
+          <input type="number" min="1" max={period === 'week' ? 7 : 31} value={item.quota_count || ''} onChange={e => onChange({ quota_count: Number(e.target.value) })} style={{ width: 60 }} />
+          <span style={{ color: '#666' }}>times a {period} — the fine is charged per missing time once the {period} is over</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+function WindowFields({ item, onChange }) {
+  return (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, fontSize: 14 }}>
+      <label>
+        <input type="checkbox" checked={!!item.window_mode} onChange={e => onChange({ window_mode: e.target.checked })} /> Check in during the window
+      </label>
+      {item.window_mode && (
+        <>
+          <label>slack (mins):</label>
+          <input type="number" min="0" value={item.slack_minutes} onChange={e => onChange({ slack_minutes: Number(e.target.value) })} style={{ width: 70 }} />
+          <label>late tick fine ×</label>
+          <input type="number" min="0" step="0.25" value={item.late_multiplier} onChange={e => onChange({ late_multiplier: Number(e.target.value) })} style={{ width: 70 }} />
+          <span style={{ color: '#666' }}>(below 1 reduces, above 1 escalates, 0 only flags)</span>
+        </>
+      )}
+    </div>
+  );
+}
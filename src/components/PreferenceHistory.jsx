@@ -0,0 +1,103 @@
+// src/components/PreferenceHistory.jsx
+import React, { useEffect, useState } from 'react';
+import { supabase } from '../supabaseClient';
+import { DEFAULT_ITEM_TYPES } from '../utils/itemCatalogue';
+import { diffPrefVersions } from '../utils/prefVersions';
+
+/*
+PreferenceHistory
+- Lists the dated versions of a member's preferences (preference_versions), newest first
+- Each version shows what changed against the one before it: items added, removed, and the
+  fields that changed (penalty, counts, times, ...)
+- Reloads when `refreshKey` changes (PreferencesPage bumps it after a save)
+*/
+
+const thStyle = { textAlign: 'left', borderBottom: '1px solid #ddd', padding: '6px 8px' };
+const tdStyle = { borderBottom: '1px solid #f0f0f0', padding: '6px 8px', verticalAlign: 'top' };
+
+const KIND_COLORS = { added: '#16a34a', removed: '#dc2626', changed: '#b45309' };
+
+function fmt(v) {
+  if (v === null || v === undefined || v === '') return '—';
+  if (Array.isArray(v)) return v.join(', ') || '—';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+export default function PreferenceHistory({ userId, itemTypes = DEFAULT_ITEM_TYPES, refreshKey = 0 }) {
+  const [versions, setVersions] = useState([]);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      setStatus('Loading history...');
+      const { data, error } = await supabase
+        .from('preference_versions')
+        .select('*')
+        .eq('user_id', userId)
+        .order('effective_from', { ascending: true });
+      if (!mounted) return;
+      if (error) {
+        console.error('Error loading preference history', error);
+        setStatus('Error loading history: ' + error.message);
+        return;
+      }
+      setVersions(data || []);
+      setStatus('');
+    }
+    load();
+    return () => { mounted = false; };
+  }, [userId, refreshKey]);
+
+  const rows = versions.map((v, i) => ({ ...v, changes: diffPrefVersions(i > 0 ? versions[i - 1].prefs : null, v.prefs, itemTypes) })).reverse();
+
+  return (
+    <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 6, marginTop: 16 }}>
+      <h3 style={{ marginTop: 0 }}>Contract history</h3>
+      <div style={{ fontSize: 13, color: '#666', marginBottom: 8 }}>
+        Each day's checklist is built from the version in force on that day; a change applies from the day it was saved.
+      </div>
+      {status && <div style={{ color: '#555' }}>{status}</div>}
+      {!status && rows.length === 0 && <div>No saved versions yet.</div>}
+      {rows.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+          <thead>
+            <tr>
+              <th style={thStyle}>Effective from</th>
+              <th style={thStyle}>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((v, i) => (
+              <tr key={v.id}>
+                <td style={tdStyle}>
+                  {v.effective_from}
+                  {i === 0 && <div style={{ fontSize: 12, color: '#16a34a' }}>current</div>}
+                  <div style={{ fontSize: 12, color: '#666' }}>saved {new Date(v.created_at).toLocaleString()}</div>
+                </td>
+                <td style={tdStyle}>
+                  {v.changes.length === 0 ? <span style={{ color: '#666' }}>No checklist changes</span> : (
+                    <ul style={{ margin: 0, paddingLeft: 16 }}>
+                      {v.changes.map((c, ci) => (
+                        <li key={ci}>
+                          <span style={{ color: KIND_COLORS[c.kind], fontWeight: 600 }}>{c.kind}</span> {c.typeName}: {c.label}
+                          {c.kind === 'changed' && c.before !== c.label && <span style={{ color: '#666' }}> (was {c.before})</span>}
+                          {c.fields.length > 0 && (
+                            <div style={{ fontSize: 12, color: '#555' }}>
+                              {c.fields.map(f => `${f.field}: ${fmt(f.from)} → ${fmt(f.to)}`).join('; ')}
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// src/components/SessionTimeline.jsx
+import React from 'react';
+import { sessionsOnDay, fmtFocus } from '../utils/taskSessions';
+import { addDays, startOfDayIn, timeStrIn } from '../utils/dates';
+
+/*
+SessionTimeline
+- One day (00:00–24:00 in the member's profile timezone, `timezone`) as a bar with a block per task session from task_sessions
+- Blocks are coloured per task; hover shows the task, the times and why the session ended
+- `sessions` may span several days — only the part on `date` is drawn
+*/
+
+const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+const HOURS = [0, 6, 12, 18, 24];
+
+function colorFor(taskId) {
+  const s = String(taskId || '');
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) >>> 0;
+  return COLORS[h % COLORS.length];
+}
+
+export default function SessionTimeline({ sessions, date, timezone = null, height = 22 }) {
+  const dayStart = startOfDayIn(date, timezone).valueOf();
+  const dayLength = startOfDayIn(addDays(date, 1), timezone).valueOf() - dayStart;
+  const parts = sessionsOnDay(sessions, date, timezone);
+  const total = parts.reduce((sum, p) => sum + p.seconds, 0);
+
+  return (
+    <div>
+      <div style={{ fontSize: 12, color: '#666', marginBottom: 4 }}>
+        Focused: <strong>{fmtFocus(total)}</strong> in {parts.length} session{parts.length === 1 ? '' : 's'}
+      </div>
+      <div style={{ position: 'relative', height, background: '#f3f6fb', borderRadius: 6, overflow: 'hidden' }}>
+        {parts.map(p => (
+          <div
+            key={p.id}
+            title={`${p.tasks?.title || 'Task'} — ${timeStrIn(p.fromMs, timezone)}–${p.ended_at ? timeStrIn(p.toMs, timezone) : 'now'} (${fmtFocus(p.seconds)})${p.end_reason ? ` · ${p.end_reason}` : ''}`}
+            style={{
+              position: 'absolute', top: 0, bottom: 0,
+              left: `${((p.fromMs - dayStart) / dayLength) * 100}%`,
+              width: `${Math.max(0.3, ((p.toMs - p.fromMs) / dayLength) * 100)}%`,
+              background: colorFor(p.task_id),
+              opacity: p.ended_at ? 0.85 : 1,
+            }}
+          />
+        ))}
+      </div>
+      <div style={{ position: 'relative', height: 14, fontSize: 10, color: '#999' }}>
+        {HOURS.map(h => (
+          <span key={h} style={{ position: 'absolute', left: `${(h / 24) * 100}%`, transform: h === 0 ? 'none' : (h === 24 ? 'translateX(-100%)' : 'translateX(-50%)') }}>
+            {String(h).padStart(2, '0')}:00
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
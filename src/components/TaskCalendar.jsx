@@ -2,6 +2,9 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import SessionTimeline from './SessionTimeline';
+import { loadTaskSessions, focusedSecondsByDay, fmtFocus } from '../utils/taskSessions';
+import { addDays, dateStrIn, lastNDays, startOfDayIn, timeStrIn } from '../utils/dates';
 
 /**
  * TaskCalendar (updated)
@@ -9,6 +12,9 @@ import dayjs from 'dayjs';
  * - Choose user from profiles dropdown (or "All users")
  * - Hover a day/task to see quick details (tooltip)
  * - Click a task to edit (owner only) — inline modal editor
+ * - Focused time per day and a timeline of the selected day come from task_sessions
+ * - Completed occurrences of recurring tasks count like any task and are marked ↻
+ * - Days follow the profile timezone of the selected user (the viewer's for "All users")
  *
  * Expects tasks table to contain: id, title, created_by, completed_at, start_time, end_time,
  * duration_minutes, remaining_seconds, status, description
@@ -17,7 +23,8 @@ import dayjs from 'dayjs';
 export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
   const [profiles, setProfiles] = useState([]);
   const [selectedUser, setSelectedUser] = useState(propUserId ?? 'all');
-  const [data, setData] = useState([]); // [{ date, label, count, tasks }]
+  const [data, setData] = useState([]); // [{ date, label, count, tasks, focusedSeconds }]
+  const [sessions, setSessions] = useState([]); // task_sessions overlapping the range
   const [loading, setLoading] = useState(true);
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedTasks, setSelectedTasks] = useState([]);
@@ -25,6 +32,7 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
   const [editingTask, setEditingTask] = useState(null); // task object for modal
   const [currentUserId, setCurrentUserId] = useState(null);
   const containerRef = useRef(null);
+  const timezone = profiles.find(p => p.id === (selectedUser && selectedUser !== 'all' ? selectedUser : currentUserId))?.timezone || null;
 
   useEffect(() => {
     let mounted = true;
@@ -38,7 +46,7 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
 
       // fetch profiles for selector
       try {
-        const { data: pRows, error } = await supabase.from('profiles').select('id,full_name');
+        const { data: pRows, error } = await supabase.from('profiles').select('id,full_name,timezone');
         if (!mounted) return;
         if (error) {
           console.warn('profiles fetch', error);
@@ -61,31 +69,37 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
     async function load() {
       setLoading(true);
       try {
-        const since = dayjs().subtract(days - 1, 'day').startOf('day').toISOString();
-        let q = supabase.from('tasks').select('id,title,description,created_by,completed_at,start_time,end_time,duration_minutes,remaining_seconds,status').gte('completed_at', since).order('completed_at', { ascending: true });
+        const range = lastNDays(days, timezone);
+        const since = startOfDayIn(range[0], timezone).toISOString();
+        let q = supabase.from('tasks').select('id,title,description,created_by,completed_at,start_time,end_time,duration_minutes,remaining_seconds,status,series_id').gte('completed_at', since).order('completed_at', { ascending: true });
         if (selectedUser && selectedUser !== 'all') {
           q = q.eq('created_by', selectedUser);
         }
         const { data: rows, error } = await q;
         if (error) throw error;
+        const sessionRows = await loadTaskSessions({
+          userId: selectedUser && selectedUser !== 'all' ? selectedUser : null,
+          fromTs: since,
+          toTs: startOfDayIn(addDays(range[range.length - 1], 1), timezone).toISOString(),
+        });
+        const focused = focusedSecondsByDay(sessionRows, timezone);
 
         const map = {};
         (rows || []).forEach(r => {
-          const d = r.completed_at ? dayjs(r.completed_at).format('YYYY-MM-DD') : 'unknown';
+          const d = r.completed_at ? dateStrIn(r.completed_at, timezone) : 'unknown';
           map[d] = map[d] || [];
           map[d].push(r);
         });
 
         const out = [];
-        for (let i = days - 1; i >= 0; i--) {
-          const day = dayjs().subtract(i, 'day');
-          const key = day.format('YYYY-MM-DD');
+        range.forEach(key => {
           const tasks = (map[key] || []).sort((a,b) => new Date(a.completed_at) - new Date(b.completed_at));
-          out.push({ date: key, label: day.format('MMM D'), count: tasks.length, tasks });
-        }
+          out.push({ date: key, label: dayjs(key).format('MMM D'), count: tasks.length, tasks, focusedSeconds: focused[key] || 0 });
+        });
 
         if (!cancelled) {
           setData(out);
+          setSessions(sessionRows);
           // reset selected date view if not present
           if (selectedDate) {
             const exists = out.find(d => d.date === selectedDate);
@@ -97,7 +111,10 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
         }
       } catch (err) {
         console.error('TaskCalendar load err', err);
-        if (!cancelled) setData([]);
+        if (!cancelled) {
+          setData([]);
+          setSessions([]);
+        }
       } finally {
         if (!cancelled) setLoading(false);
       }
@@ -113,13 +130,14 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
         // naive refresh — lightweight
         load();
       })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'task_sessions' }, () => load())
       .subscribe();
 
     return () => {
       channel.unsubscribe().catch(()=>{});
       cancelled = true;
     };
-  }, [selectedUser, days, selectedDate]);
+  }, [selectedUser, days, selectedDate, timezone]);
 
   const maxCount = useMemo(() => Math.max(1, ...(data.map(d => d.count))), [data]);
 
@@ -315,10 +333,10 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
       return (
         <div style={style}>
           <div style={{ fontWeight: 700 }}>{dayjs(d.date).format('dddd, MMM D')}</div>
-          <div style={{ color: '#666', fontSize: 13, marginTop: 6 }}>{d.count} completed</div>
+          <div style={{ color: '#666', fontSize: 13, marginTop: 6 }}>{d.count} completed · {fmtFocus(d.focusedSeconds)} focused</div>
           {d.count > 0 && (
             <ul style={{ marginTop: 8, maxHeight: 160, overflowY: 'auto', paddingLeft: 18 }}>
-              {(d.tasks || []).slice(0,8).map(t => <li key={t.id} style={{ fontSize: 13 }}>{dayjs(t.completed_at).format('HH:mm')} — {t.title}</li>)}
+              {(d.tasks || []).slice(0,8).map(t => <li key={t.id} style={{ fontSize: 13 }}>{timeStrIn(t.completed_at, timezone)} — {t.series_id ? '↻ ' : ''}{t.title}</li>)}
             </ul>
           )}
         </div>
@@ -345,7 +363,7 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
           <strong>Past {days} days — completed tasks</strong>
-          <div style={{ color: '#666', fontSize: 13 }}>{loading ? 'Loading...' : `${data.reduce((s,d)=>s+d.count,0)} completed`}</div>
+          <div style={{ color: '#666', fontSize: 13 }}>{loading ? 'Loading...' : `${data.reduce((s,d)=>s+d.count,0)} completed · ${fmtFocus(data.reduce((s,d)=>s+d.focusedSeconds,0))} focused`}</div>
         </div>
 
         <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
@@ -372,6 +390,7 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
                }}>
             <div style={{ fontSize: 12, color: '#073c5b', fontWeight: 700 }}>{d.label}</div>
             <div style={{ fontSize: 18, fontWeight: 700, marginTop: 6 }}>{d.count}</div>
+            {d.focusedSeconds > 0 && <div style={{ fontSize: 11, color: '#073c5b' }}>{fmtFocus(d.focusedSeconds)}</div>}
 
             {/* miniature list of tasks (clickable, hover for tooltip) */}
             {d.tasks && d.tasks.length > 0 && (
@@ -383,7 +402,7 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
                        onMouseLeave={onTaskLeave}
                        onClick={(ev) => { ev.stopPropagation(); openEditModal(t); }}
                        style={{ padding: '4px 8px', borderRadius: 999, background: '#ffffffaa', cursor: 'pointer', fontSize: 12, maxWidth: 120, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                    {t.title}
+                    {t.series_id ? '↻ ' : ''}{t.title}
                   </div>
                 ))}
                 {d.tasks.length > 3 && <div style={{ padding: '4px 8px', borderRadius: 999, background: '#ffffffaa', fontSize: 12 }}>+{d.tasks.length-3}</div>}
@@ -402,13 +421,17 @@ export default function TaskCalendar({ days = 30, userId: propUserId = null }) {
               <div style={{ color: '#666' }}>{selectedTasks.length} completed</div>
             </div>
 
+            <div style={{ marginTop: 8 }}>
+              <SessionTimeline sessions={sessions} date={selectedDate} timezone={timezone} />
+            </div>
+
             <div style={{ marginTop: 8 }}>
               {selectedTasks.length === 0 ? <div style={{ color: '#999' }}>No tasks completed on this date</div> : (
                 <div style={{ display: 'grid', gap: 8 }}>
                   {selectedTasks.map(t => (
                     <div key={t.id} style={{ padding: 10, borderRadius: 8, border: '1px solid #f3f7fb', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                       <div>
-                        <div style={{ fontWeight: 700 }}>{t.title}</div>
+                        <div style={{ fontWeight: 700 }}>{t.series_id ? '↻ ' : ''}{t.title}</div>
                         <div style={{ color: '#666', fontSize: 13 }}>{t.description || <em>No description</em>}</div>
                         <div style={{ marginTop: 6, fontSize: 12, color: '#666' }}>{t.start_time ? dayjs(t.start_time).format('HH:mm') : '-'} — {t.end_time ? dayjs(t.end_time).format('HH:mm') : '-'}</div>
                       </div>
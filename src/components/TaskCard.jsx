@@ -3,11 +3,17 @@ import React, { useMemo, useState } from 'react';
 import dayjs from 'dayjs';
 import { supabase } from '../supabaseClient';
 import FullscreenTimer from './FullscreenTimer';
+import { startTaskSession, endTaskSession } from '../utils/taskSessions';
+import { subtaskProgress, openBlockers, setSubtaskDone } from '../utils/subtasks';
+import { parseRRule, describeRule } from '../utils/recurrence';
+import { deleteOccurrence } from '../utils/taskSeries';
+import { tickLinkedChecklistItem, describeTick } from '../utils/taskChecklist';
 
 export default function TaskCard({ task, currentUser, onEdit, onChange }) {
   const [busy, setBusy] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [timerOpen, setTimerOpen] = useState(false);
+  const [note, setNote] = useState('');
 
   const owner = currentUser?.id === task.created_by;
 
@@ -21,11 +27,16 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
     return Math.max(0, base);
   }, [task]);
 
+  // with subtasks the bar rolls up their completion, otherwise it shows time spent
+  const subProgress = useMemo(() => subtaskProgress(task.subtasks), [task.subtasks]);
+  const blockedBy = useMemo(() => openBlockers(task), [task]);
+
   const percentDone = useMemo(() => {
+    if (subProgress) return subProgress.percent;
     const total = (task.duration_minutes ?? 0) * 60 || 1;
     const done = Math.max(0, total - (liveRemaining ?? total));
     return Math.round((done / total) * 100);
-  }, [task, liveRemaining]);
+  }, [task, liveRemaining, subProgress]);
 
   const duration = task.duration_minutes ?? (task.end_time && task.start_time ? Math.max(1, Math.round((new Date(task.end_time) - new Date(task.start_time))/60000)) : 25);
 
@@ -45,6 +56,9 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
         : { is_running: true, last_started_at: new Date().toISOString(), remaining_seconds: initRemaining };
       const { error } = await supabase.from('tasks').update(payload).eq('id', task.id);
       if (error) throw error;
+      // session log: a start opens a task_sessions row, a pause closes it
+      if (task.is_running) await endTaskSession(task.id, 'pause');
+      else await startTaskSession(task.id, initRemaining);
       if (onChange) onChange();
       if (!task.is_running) setTimerOpen(true);
     } catch (err) {
@@ -53,12 +67,40 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
     } finally { setBusy(false); }
   }
 
+  // a completed task linked to a checklist item ticks it (and the day's fines are re-evaluated)
+  async function tickChecklist() {
+    try {
+      const result = await tickLinkedChecklistItem(task, currentUser.id);
+      if (!result) return;
+      if (result.status === 'missing') alert(describeTick(result, task));
+      else setNote(describeTick(result, task));
+    } catch (err) {
+      console.error('tick checklist item', err);
+      alert('Task completed, but ticking its checklist item failed: ' + (err.message || err));
+    }
+  }
+
+  async function toggleSubtask(subtask) {
+    if (!owner) return;
+    setBusy(true);
+    try {
+      await setSubtaskDone(subtask, !subtask.done);
+      if (onChange) onChange();
+    } catch (err) {
+      console.error('toggleSubtask', err);
+      alert(err.message || 'Failed');
+    } finally { setBusy(false); }
+  }
+
   async function markComplete() {
+    if (blockedBy.length) return alert(`Blocked by open tasks: ${blockedBy.map(b => b.title).join(', ')}`);
     if (!confirm('Mark this task as completed?')) return;
     setBusy(true);
     try {
       const { error } = await supabase.from('tasks').update({ status: 'completed', completed_at: new Date().toISOString(), is_running: false, remaining_seconds: 0 }).eq('id', task.id);
       if (error) throw error;
+      await endTaskSession(task.id, 'finish');
+      await tickChecklist();
       if (onChange) onChange();
     } catch (err) {
       console.error('markComplete', err);
@@ -70,8 +112,13 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
     if (!confirmDelete) return setConfirmDelete(true);
     setBusy(true);
     try {
-      const { error } = await supabase.from('tasks').delete().eq('id', task.id);
-      if (error) throw error;
+      if (task.series_id) {
+        const allFuture = confirm('Also delete the later occurrences of this recurring task? (Cancel deletes only this one.)');
+        await deleteOccurrence(task, allFuture);
+      } else {
+        const { error } = await supabase.from('tasks').delete().eq('id', task.id);
+        if (error) throw error;
+      }
       if (onChange) onChange();
     } catch (err) {
       console.error('delete', err);
@@ -104,7 +151,29 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
               <div style={{ fontSize: 12, color: '#666' }}>Dur: <strong>{duration}m</strong></div>
               <div style={{ fontSize: 12, color: '#666' }}>Remaining: <strong>{fmtSec(liveRemaining)}</strong></div>
               <div style={{ fontSize: 12, color: '#666' }}>Status: <strong>{task.status}</strong></div>
+              {task.series_id && (
+                <div style={{ fontSize: 12, color: '#6d28d9' }} title={`Occurrence of ${task.occurrence_date}`}>
+                  ↻ {describeRule(parseRRule(task.task_series?.rrule))}
+                </div>
+              )}
             </div>
+            {task.checklist_item_type && (
+              <div style={{ marginTop: 6, fontSize: 12, color: '#047857' }}>Ticks checklist item: {task.checklist_item_label || task.checklist_item_key}</div>
+            )}
+            {note && <div style={{ marginTop: 4, fontSize: 12, color: '#555' }}>{note}</div>}
+            {blockedBy.length > 0 && (
+              <div style={{ marginTop: 6, fontSize: 12, color: '#b91c1c' }}>Blocked by: {blockedBy.map(b => b.title).join(', ')}</div>
+            )}
+            {(task.subtasks || []).length > 0 && (
+              <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 2 }}>
+                {task.subtasks.map(st => (
+                  <label key={st.id} style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13, color: st.done ? '#999' : '#333', textDecoration: st.done ? 'line-through' : 'none' }}>
+                    <input type="checkbox" checked={st.done} disabled={!owner || busy} onChange={() => toggleSubtask(st)} />
+                    {st.title}
+                  </label>
+                ))}
+              </div>
+            )}
           </div>
 
           <div style={{ textAlign: 'right' }}>
@@ -119,7 +188,7 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
             <div style={{ width: `${percentDone}%`, height: '100%', background: task.status === 'completed' ? '#10b981' : (task.is_running ? '#f59e0b' : '#3b82f6'), transition: 'width .35s' }} />
           </div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 6, fontSize: 12, color: '#666' }}>
-            <div>{percentDone}%</div>
+            <div>{subProgress ? `${subProgress.done}/${subProgress.total} subtasks · ` : ''}{percentDone}%</div>
             <div>{task.completed_at ? dayjs(task.completed_at).format('HH:mm') : '-'}</div>
           </div>
         </div>
@@ -132,7 +201,7 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
 
         <button onClick={() => { if (onEdit) onEdit(task); }} style={{ padding: '8px 10px', borderRadius: 8, border: '1px solid #e6eef6', background: '#fff', cursor: 'pointer' }}>Edit</button>
 
-        <button onClick={markComplete} disabled={busy || task.status === 'completed'} style={{ padding: '8px 10px', borderRadius: 8, border: 'none', background: '#10b981', color: '#fff' }}>Complete</button>
+        <button onClick={markComplete} disabled={busy || task.status === 'completed' || blockedBy.length > 0} title={blockedBy.length ? `Blocked by: ${blockedBy.map(b => b.title).join(', ')}` : undefined} style={{ padding: '8px 10px', borderRadius: 8, border: 'none', background: '#10b981', color: '#fff' }}>Complete</button>
 
         <button onClick={doDelete} disabled={busy} style={{ padding: '8px 10px', borderRadius: 8, border: '1px solid #ffd7d7', background: confirmDelete ? '#ef4444' : '#fff', color: confirmDelete ? '#fff' : '#b91c1c' }}>
           {confirmDelete ? 'Confirm Delete' : 'Delete'}
@@ -146,9 +215,13 @@ export default function TaskCard({ task, currentUser, onEdit, onChange }) {
           onClose={() => { setTimerOpen(false); if (onChange) onChange(); }}
           onFinish={async () => {
             try {
-              await supabase.from('tasks').update({ status: 'completed', completed_at: new Date().toISOString(), is_running: false, remaining_seconds: 0 }).eq('id', task.id);
+              // the time is up, but a task with open blockers stays open
+              const { error } = await supabase.from('tasks').update({ status: 'completed', completed_at: new Date().toISOString(), is_running: false, remaining_seconds: 0 }).eq('id', task.id);
+              if (error) throw error;
+              await tickChecklist();
             } catch (err) {
               console.error('finish error', err);
+              alert(err.message || 'Could not complete the task');
             } finally { if (onChange) onChange(); }
           }}
         />
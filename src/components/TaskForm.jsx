@@ -2,13 +2,61 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import { saveSubtasks, saveBlockers } from '../utils/subtasks';
+import { parseRRule, validateRule, describeRule, occurrenceDates } from '../utils/recurrence';
+import { createSeries, editFutureOccurrences } from '../utils/taskSeries';
+import { linkableChecklistItems } from '../utils/checklist';
+import { loadItemTypes } from '../utils/itemTypes';
 
-export default function TaskForm({ user, task, onSaved, onCancel }) {
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const NO_REPEAT = { kind: 'none', interval: 2, days: ['mon', 'tue', 'wed', 'thu', 'fri'], ends: 'never', until: '', count: 10 };
+
+// form state <-> recurrence rule (utils/recurrence.js)
+function repeatFromRule(rule) {
+  if (!rule) return NO_REPEAT;
+  return {
+    ...NO_REPEAT,
+    kind: rule.freq === 'weekly' ? 'weekly' : (rule.interval > 1 ? 'interval' : 'daily'),
+    interval: rule.freq === 'daily' && rule.interval > 1 ? rule.interval : NO_REPEAT.interval,
+    days: rule.freq === 'weekly' && rule.days.length ? rule.days : NO_REPEAT.days,
+    ends: rule.until ? 'until' : (rule.count ? 'count' : 'never'),
+    until: rule.until || '',
+    count: rule.count || NO_REPEAT.count,
+  };
+}
+
+function ruleFromRepeat(r) {
+  if (r.kind === 'none') return null;
+  const rule = r.kind === 'weekly'
+    ? { freq: 'weekly', interval: 1, days: r.days }
+    : { freq: 'daily', interval: r.kind === 'interval' ? Number(r.interval) : 1, days: [] };
+  return { ...rule, until: r.ends === 'until' ? r.until || null : null, count: r.ends === 'count' ? Number(r.count) : null };
+}
+
+// checklist item a task ticks on completion: { type, key, ref, label }
+function linkFromTask(task) {
+  return task?.checklist_item_type
+    ? { type: task.checklist_item_type, key: task.checklist_item_key, ref: task.checklist_item_ref, label: task.checklist_item_label || task.checklist_item_key }
+    : null;
+}
+
+const linkValue = (i) => `${i.type}|${i.ref || i.key}`;
+
+// tasks: the user's tasks, offered as "blocked by" candidates
+// task.task_series: the series of a recurring occurrence ({ rrule }), embedded by TaskRegistryPage
+export default function TaskForm({ user, task, tasks = [], onSaved, onCancel }) {
   const [title, setTitle] = useState(task?.title || '');
   const [description, setDescription] = useState(task?.description || '');
   const [startTime, setStartTime] = useState(task?.start_time ? dayjs(task.start_time).format('YYYY-MM-DDTHH:mm') : '');
   const [endTime, setEndTime] = useState(task?.end_time ? dayjs(task.end_time).format('YYYY-MM-DDTHH:mm') : '');
   const [duration, setDuration] = useState(task?.duration_minutes ?? 25);
+  const [subtaskDrafts, setSubtaskDrafts] = useState((task?.subtasks || []).map(s => ({ id: s.id, title: s.title })));
+  const [newSubtask, setNewSubtask] = useState('');
+  const [blockerIds, setBlockerIds] = useState((task?.blockers || []).map(b => b.id));
+  const [repeat, setRepeat] = useState(repeatFromRule(parseRRule(task?.task_series?.rrule)));
+  const [scope, setScope] = useState('this'); // recurring occurrence: 'this' | 'future'
+  const [linkable, setLinkable] = useState([]); // checklist items from the user's preferences
+  const [link, setLink] = useState(linkFromTask(task));
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
 
@@ -18,8 +66,53 @@ export default function TaskForm({ user, task, onSaved, onCancel }) {
     setStartTime(task?.start_time ? dayjs(task.start_time).format('YYYY-MM-DDTHH:mm') : '');
     setEndTime(task?.end_time ? dayjs(task.end_time).format('YYYY-MM-DDTHH:mm') : '');
     setDuration(task?.duration_minutes ?? 25);
+    setSubtaskDrafts((task?.subtasks || []).map(s => ({ id: s.id, title: s.title })));
+    setNewSubtask('');
+    setBlockerIds((task?.blockers || []).map(b => b.id));
+    setRepeat(repeatFromRule(parseRRule(task?.task_series?.rrule)));
+    setScope('this');
+    setLink(linkFromTask(task));
   }, [task]);
 
+  useEffect(() => {
+    if (!user) return;
+    let mounted = true;
+    (async () => {
+      try {
+        const [{ data: prefs, error: prefErr }, itemTypes] = await Promise.all([
+          supabase.from('preferences').select('*').eq('user_id', user.id).maybeSingle(),
+          loadItemTypes(),
+        ]);
+        if (prefErr) throw prefErr;
+        if (mounted) setLinkable(linkableChecklistItems(prefs, itemTypes));
+      } catch (err) {
+        console.warn('checklist items load failed', err);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [user]);
+
+  // the linked item may have left the preferences since; keep it selectable
+  const linkOptions = link && !linkable.some(i => linkValue(i) === linkValue(link)) ? [link, ...linkable] : linkable;
+
+  const isOccurrence = Boolean(task?.series_id);
+  const showRepeat = !isOccurrence || scope === 'future';
+  const dtstart = task?.occurrence_date || (startTime ? dayjs(startTime).format('YYYY-MM-DD') : dayjs().format('YYYY-MM-DD'));
+  const rule = ruleFromRepeat(repeat);
+
+  // open tasks other than this one, plus blockers already chosen
+  const blockerCandidates = tasks.filter(t => t.id !== task?.id && (t.status !== 'completed' || blockerIds.includes(t.id)));
+
+  function addSubtask() {
+    if (!newSubtask.trim()) return;
+    setSubtaskDrafts(prev => [...prev, { title: newSubtask.trim() }]);
+    setNewSubtask('');
+  }
+
+  function toggleBlocker(id) {
+    setBlockerIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  }
+
   async function handleSubmit(e) {
     e?.preventDefault();
     setError('');
@@ -30,6 +123,10 @@ export default function TaskForm({ user, task, onSaved, onCancel }) {
     if (startTime && endTime && new Date(endTime) <= new Date(startTime)) {
       return setError('End time must be after start time.');
     }
+    if (showRepeat && rule) {
+      const bad = validateRule(rule, dtstart);
+      if (bad) return setError(bad);
+    }
     setSaving(true);
 
     try {
@@ -39,19 +136,40 @@ export default function TaskForm({ user, task, onSaved, onCancel }) {
         start_time: startTime ? new Date(startTime).toISOString() : null,
         end_time: endTime ? new Date(endTime).toISOString() : null,
         duration_minutes: duration ? Number(duration) : null,
+        checklist_item_type: link?.type || null,
+        checklist_item_key: link?.key || null,
+        checklist_item_ref: link?.ref || null,
+        checklist_item_label: link?.label || null,
         created_by: user.id,
       };
 
-      if (task && task.id) {
-        const { error } = await supabase.from('tasks').update(payload).eq('id', task.id);
-        if (error) throw error;
+      const pendingSubtasks = newSubtask.trim() ? [...subtaskDrafts, { title: newSubtask.trim() }] : subtaskDrafts;
+      const subtaskTitles = pendingSubtasks.map(d => d.title.trim()).filter(Boolean);
+      const { created_by, ...template } = payload;
+
+      if (!task && rule) {
+        // a new recurring task: the series generates its occurrences
+        await createSeries(user.id, template, rule, dtstart, subtaskTitles);
       } else {
-        const { error } = await supabase.from('tasks').insert([payload]);
-        if (error) throw error;
+        let taskId = task?.id;
+        if (task && task.id) {
+          const { error } = await supabase.from('tasks').update(payload).eq('id', task.id);
+          if (error) throw error;
+        } else {
+          const { data, error } = await supabase.from('tasks').insert([payload]).select('id').single();
+          if (error) throw error;
+          taskId = data.id;
+        }
+        await saveSubtasks(taskId, task?.subtasks || [], pendingSubtasks);
+        await saveBlockers(taskId, (task?.blockers || []).map(b => b.id), blockerIds);
+
+        if (isOccurrence && scope === 'future') await editFutureOccurrences(task, template, rule, subtaskTitles);
+        else if (task && !isOccurrence && rule) await createSeries(user.id, template, rule, dtstart, subtaskTitles, task);
       }
 
       if (onSaved) onSaved();
       setTitle(''); setDescription(''); setStartTime(''); setEndTime(''); setDuration(25);
+      setSubtaskDrafts([]); setNewSubtask(''); setBlockerIds([]); setRepeat(NO_REPEAT); setScope('this'); setLink(null);
     } catch (err) {
       console.error('TaskForm save error', err);
       setError(err.message || String(err));
@@ -82,6 +200,67 @@ export default function TaskForm({ user, task, onSaved, onCancel }) {
         <input type="number" min="1" value={duration} onChange={(e) => setDuration(e.target.value)} style={{ ...inputStyle, width: 140 }} />
       </div>
 
+      {isOccurrence && (
+        <div style={{ display: 'flex', gap: 12, fontSize: 13, padding: 8, borderRadius: 8, background: '#f8fafc' }}>
+          <span>Recurring ({describeRule(parseRRule(task.task_series?.rrule))}) — apply to:</span>
+          <label><input type="radio" checked={scope === 'this'} onChange={() => setScope('this')} /> this occurrence</label>
+          <label><input type="radio" checked={scope === 'future'} onChange={() => setScope('future')} /> this and all future</label>
+        </div>
+      )}
+
+      {showRepeat && <RepeatFields repeat={repeat} onChange={setRepeat} rule={rule} dtstart={dtstart} stopping={isOccurrence} />}
+
+      <label style={{ fontSize: 13 }}>Counts as checklist item (ticked when the task is completed)</label>
+      <select
+        value={link ? linkValue(link) : ''}
+        onChange={(e) => setLink(linkOptions.find(i => linkValue(i) === e.target.value) || null)}
+        style={inputStyle}
+      >
+        <option value="">— none —</option>
+        {linkOptions.map(i => <option key={linkValue(i)} value={linkValue(i)}>{i.typeName ? `${i.typeName}: ` : ''}{i.label}</option>)}
+      </select>
+
+      <label style={{ fontSize: 13 }}>Subtasks</label>
+      {subtaskDrafts.map((d, i) => (
+        <div key={d.id || `new-${i}`} style={{ display: 'flex', gap: 6 }}>
+          <input
+            value={d.title}
+            onChange={(e) => setSubtaskDrafts(prev => prev.map((x, j) => j === i ? { ...x, title: e.target.value } : x))}
+            style={inputStyle}
+          />
+          <button type="button" onClick={() => setSubtaskDrafts(prev => prev.filter((_, j) => j !== i))} style={{ padding: '0 10px', borderRadius: 8 }}>×</button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: 6 }}>
+        <input
+          placeholder="Add a subtask"
+          value={newSubtask}
+          onChange={(e) => setNewSubtask(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addSubtask(); } }}
+          style={inputStyle}
+        />
+        <button type="button" onClick={addSubtask} style={{ padding: '0 12px', borderRadius: 8 }}>Add</button>
+      </div>
+
+      {/* blockers belong to a single task, not to a new series */}
+      {!(task == null && rule) && (
+        <>
+          <label style={{ fontSize: 13 }}>Blocked by</label>
+          {blockerCandidates.length === 0 ? (
+            <div style={{ fontSize: 12, color: '#888' }}>No other open tasks.</div>
+          ) : (
+            <div style={{ maxHeight: 120, overflowY: 'auto', border: '1px solid #e6eef6', borderRadius: 8, padding: 6 }}>
+              {blockerCandidates.map(t => (
+                <label key={t.id} style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13 }}>
+                  <input type="checkbox" checked={blockerIds.includes(t.id)} onChange={() => toggleBlocker(t.id)} />
+                  {t.title}{t.status === 'completed' ? ' (completed)' : ''}
+                </label>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
       {error && <div style={{ color: 'crimson' }}>{error}</div>}
 
       <div style={{ display: 'flex', gap: 8 }}>
@@ -93,3 +272,55 @@ export default function TaskForm({ user, task, onSaved, onCancel }) {
 }
 
 const inputStyle = { width: '100%', padding: 10, borderRadius: 8, border: '1px solid #e6eef6', boxSizing: 'border-box' };
+
+// repeat rule editor; `stopping`: editing future occurrences, where "does not repeat" ends the series
+function RepeatFields({ repeat, onChange, rule, dtstart, stopping }) {
+  const set = (patch) => onChange({ ...repeat, ...patch });
+  const toggleDay = (d) => set({ days: repeat.days.includes(d) ? repeat.days.filter(x => x !== d) : [...repeat.days, d] });
+  const upcoming = rule && !validateRule(rule, dtstart) ? occurrenceDates(rule, dtstart, dtstart, dayjs(dtstart).add(1, 'year').format('YYYY-MM-DD')).slice(0, 4) : [];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <label style={{ fontSize: 13 }}>Repeat</label>
+      <select value={repeat.kind} onChange={(e) => set({ kind: e.target.value })} style={inputStyle}>
+        <option value="none">{stopping ? 'Stop repeating after this one' : 'Does not repeat'}</option>
+        <option value="daily">Every day</option>
+        <option value="interval">Every N days</option>
+        <option value="weekly">Weekly on given days</option>
+      </select>
+
+      {repeat.kind === 'interval' && (
+        <div style={{ fontSize: 13 }}>
+          Every <input type="number" min="1" value={repeat.interval} onChange={(e) => set({ interval: e.target.value })} style={{ ...inputStyle, width: 80 }} /> days
+        </div>
+      )}
+
+      {repeat.kind === 'weekly' && (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', fontSize: 13 }}>
+          {WEEKDAYS.map(d => (
+            <label key={d}><input type="checkbox" checked={repeat.days.includes(d)} onChange={() => toggleDay(d)} /> {d}</label>
+          ))}
+        </div>
+      )}
+
+      {repeat.kind !== 'none' && (
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, flexWrap: 'wrap' }}>
+          Ends:
+          <select value={repeat.ends} onChange={(e) => set({ ends: e.target.value })} style={{ padding: 6, borderRadius: 8 }}>
+            <option value="never">never</option>
+            <option value="until">on date</option>
+            <option value="count">after N times</option>
+          </select>
+          {repeat.ends === 'until' && <input type="date" value={repeat.until} onChange={(e) => set({ until: e.target.value })} style={{ padding: 6, borderRadius: 8 }} />}
+          {repeat.ends === 'count' && <input type="number" min="1" value={repeat.count} onChange={(e) => set({ count: e.target.value })} style={{ padding: 6, borderRadius: 8, width: 80 }} />}
+        </div>
+      )}
+
+      {rule && (
+        <div style={{ fontSize: 12, color: '#666' }}>
+          {describeRule(rule)}{upcoming.length ? ` — next: ${upcoming.join(', ')}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
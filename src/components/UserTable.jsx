@@ -2,12 +2,25 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import { eachDay, timeStrIn } from '../utils/dates';
+import { suspensionCovers, suspensionIsPartial, applyItemExcuses, itemQuota } from '../utils/checklist';
+import { hasProof } from '../utils/proof';
+import { APPEAL_STATUS_COLORS, loadAppeals, latestAppealByFine, voteOnAppeal, voteTally } from '../utils/appeals';
 
 /*
 UserTable.jsx
 - Loads daily_checks, fines, suspensions for the selected user
-- Classifies checklist items into columns; has robust fallback to detect class items
+- Classifies checklist items into columns; has robust fallback to detect class items;
+  items of user-defined types go to the Other column
 - If a date is excused (suspension covers date) it shows Excused badge and sets fines total to 0
+- Partial excuses only mark the matching items as excused (no ✗, no fallback fine)
+- Wake column shows the server-stamped check-in time (in the member's timezone) for the day
+- Flags window items ticked late or accepted on calendar evidence
+- Marks items verified from judge submission imports
+- Shows proof of completion (link / screenshot / note) attached to items so peers can audit them
+- Quota items (N times a week / month) never show as missed on a day; each settled period gets its
+  own row (ticks vs target, shortfall fine) dated on the period's last day
+- Shows appeal status per fine; other members can vote on pending appeals from here
 - Listens for 'contract:changed' events and can Refresh
 */
 
@@ -15,6 +28,11 @@ export default function UserTable({ userId }) {
   const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [errorMsg, setErrorMsg] = useState(null);
+  const [viewerId, setViewerId] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setViewerId(data?.session?.user?.id ?? null));
+  }, []);
 
   const load = useCallback(async () => {
     if (!userId) {
@@ -49,14 +67,37 @@ export default function UserTable({ userId }) {
         .eq('user_id', userId);
       if (suspErr) throw suspErr;
 
+      // wake check-ins
+      const { data: checkinData, error: checkinErr } = await supabase
+        .from('wake_checkins')
+        .select('*')
+        .eq('user_id', userId);
+      if (checkinErr) throw checkinErr;
+      const checkinByDate = {};
+      (checkinData || []).forEach(c => { checkinByDate[String(c.date)] = c; });
+
+      // settled quota periods
+      const { data: quotaData, error: quotaErr } = await supabase
+        .from('quota_results')
+        .select('*')
+        .eq('user_id', userId)
+        .order('period_end', { ascending: false });
+      if (quotaErr) throw quotaErr;
+
       const fines = finesData || [];
       const suspensions = suspData || [];
+      const appeals = await loadAppeals(userId);
+      const appealByFine = latestAppealByFine(appeals);
 
       // group fines
       const finesByDailyId = {};
       const finesByDate = {};
+      const finesByQuota = {};
       fines.forEach(f => {
-        if (f.daily_check_id) {
+        if (f.quota_result_id) {
+          finesByQuota[f.quota_result_id] = finesByQuota[f.quota_result_id] || [];
+          finesByQuota[f.quota_result_id].push(f);
+        } else if (f.daily_check_id) {
           finesByDailyId[f.daily_check_id] = finesByDailyId[f.daily_check_id] || [];
           finesByDailyId[f.daily_check_id].push(f);
         } else {
@@ -66,36 +107,38 @@ export default function UserTable({ userId }) {
         }
       });
 
-      // group suspensions into a map date->suspension (handles multi-day)
+      // group active whole-day suspensions into a map date->suspension (handles multi-day and recurring weekdays)
+      const activeSusp = suspensions.filter(s => (s.status || 'active') === 'active');
       const suspByDate = {};
-      suspensions.forEach(s => {
-        const start = dayjs(s.start_date);
-        const end = dayjs(s.end_date);
-        const diffDays = Math.max(0, end.diff(start, 'day'));
-        for (let i = 0; i <= diffDays; i++) {
-          const d = start.add(i, 'day');
-          suspByDate[d.format('YYYY-MM-DD')] = s;
-        }
+      activeSusp.forEach(s => {
+        if (suspensionIsPartial(s)) return;
+        const start = String(s.start_date).slice(0,10);
+        const end = String(s.end_date || s.start_date).slice(0,10);
+        eachDay(start, end).filter(d => suspensionCovers(s, d)).forEach(d => { suspByDate[d] = s; });
       });
 
       // transform checks into rows
       const transformed = (checksData || []).map(dc => {
-        const ch = dc.checks || {};
+        const ch = applyItemExcuses(dc.checks || {}, activeSusp, String(dc.date));
         const theory = [];
         const sports = [];
         const classes = [];
         const randImpl = [];
         const randThink = [];
         const wake = [];
+        const other = [];
         const missedLabelsFallback = [];
+        const proofs = [];
 
         Object.entries(ch).forEach(([k, v]) => {
           let done = false;
           let label = String(k);
           let penalty = 0;
           let metaType = null;
+          let excused = false;
           if (v && typeof v === 'object') {
             done = !!v.done;
+            excused = !!v.excused;
             label = v.label || label;
             penalty = Number(v.penalty || 0);
             metaType = (v.meta && v.meta.type) ? v.meta.type : null;
@@ -103,7 +146,11 @@ export default function UserTable({ userId }) {
             done = !!v;
           }
 
-          const short = `${label} ${done ? '✓' : '✗'}`;
+          const verified = v && typeof v === 'object' && v.verification && v.verification.status === 'verified';
+          const windowStatus = done && v && typeof v === 'object' && v.window_check ? v.window_check.status : null;
+          const quota = itemQuota(v);
+          const short = `${label} ${done ? '✓' : (excused ? '(excused)' : (quota ? `(${quota.count}× a ${quota.period})` : '✗'))}${verified ? ` (verified on ${v.verification.platform})` : ''}`
+            + (windowStatus === 'late' ? ' (late tick)' : windowStatus === 'evidence' ? ' (calendar evidence)' : '');
 
           // classification: prefer explicit meta.type, then key prefix, then label heuristics
           if (metaType === 'theory' || k.startsWith('theory')) theory.push(short);
@@ -112,6 +159,7 @@ export default function UserTable({ userId }) {
           else if (metaType === 'randimpl' || k.startsWith('randimpl')) randImpl.push(short);
           else if (metaType === 'randthink' || k.startsWith('randthink')) randThink.push(short);
           else if (metaType === 'wake' || k === 'wake') wake.push(short);
+          else if (metaType) other.push(short); // user-defined item types
           else {
             const low = (label || '').toLowerCase();
             if (low.includes('class')) classes.push(short); // fallback
@@ -120,12 +168,16 @@ export default function UserTable({ userId }) {
             else theory.push(short);
           }
 
-          if (!done) {
+          if (hasProof(v)) proofs.push({ key: k, label, done, ...v.proof });
+
+          if (!done && !excused && !quota) {
             missedLabelsFallback.push({ label, penalty });
           }
         });
 
         const dateStr = String(dc.date);
+        const checkin = checkinByDate[dateStr];
+        if (checkin) wake.push(`checked in ${timeStrIn(checkin.checked_in_at, checkin.timezone)} (${checkin.on_time ? 'on time' : `target ${checkin.target_time}`})`);
         const suspension = suspByDate[dateStr] || null;
         const isExcused = !!suspension;
 
@@ -136,11 +188,18 @@ export default function UserTable({ userId }) {
         if (isExcused) {
           missedDetails.push({ label: `Excused — ${suspension.reason || 'no reason provided'}`, amount: 0, paid: true });
         } else if (finesForThisDc.length > 0) {
-          finesForThisDc.forEach(f => missedDetails.push({ label: f.reason || 'Missed item', amount: Number(f.amount || 0), paid: !!f.paid }));
+          finesForThisDc.forEach(f => missedDetails.push({ label: f.reason || 'Missed item', amount: Number(f.amount || 0), paid: !!f.paid, appeal: appealByFine[f.id] || null }));
         } else {
           missedLabelsFallback.forEach(m => missedDetails.push({ label: m.label, amount: m.penalty || 0, paid: m.penalty ? false : true }));
         }
 
+        // approved appeals whose fine was dropped when the checklist was re-submitted
+        if (!isExcused) {
+          appeals
+            .filter(a => a.status === 'approved' && !a.fine_id && String(a.date) === dateStr)
+            .forEach(a => missedDetails.push({ label: a.item_key && ch[a.item_key]?.label ? ch[a.item_key].label : 'Appealed fine', amount: 0, paid: true, appeal: a }));
+        }
+
         const paid = isExcused ? true : (finesForThisDc.length === 0 ? true : finesForThisDc.every(f => !!f.paid));
 
         return {
@@ -153,15 +212,34 @@ export default function UserTable({ userId }) {
           randImpl: randImpl.join('; '),
           randThink: randThink.join('; '),
           wake: wake.join('; '),
+          other: other.join('; '),
           finesTotal,
           missedDetails,
+          proofs,
           paid,
           excused: isExcused,
           excuseReason: suspension ? suspension.reason : null
         };
       });
 
-      setRows(transformed);
+      const quotaRows = (quotaData || []).map(q => {
+        const qFines = finesByQuota[q.id] || [];
+        const missedDetails = qFines.map(f => ({ label: f.reason || 'Quota shortfall', amount: Number(f.amount || 0), paid: !!f.paid, appeal: appealByFine[f.id] || null }));
+        return {
+          id: `quota-${q.id}`,
+          quota: true,
+          date: String(q.period_end),
+          dateDisplay: `${q.period === 'week' ? 'Week' : 'Month'} ${String(q.period_start)} – ${String(q.period_end)}`,
+          quotaSummary: `${q.label || q.item_key}: ${q.achieved}/${q.target} this ${q.period}${q.excused ? ` (+${q.excused} excused)` : ''}${q.shortfall > 0 ? ` — ${q.shortfall} short` : ' — met'}`,
+          finesTotal: qFines.reduce((s, f) => s + (Number(f.amount) || 0), 0),
+          missedDetails,
+          paid: qFines.every(f => !!f.paid),
+          excused: false
+        };
+      });
+
+      // quota rows sit right above the last day of their period
+      setRows([...quotaRows, ...transformed].sort((a, b) => (a.date === b.date ? (a.quota ? -1 : 0) - (b.quota ? -1 : 0) : (a.date < b.date ? 1 : -1))));
     } catch (err) {
       console.error('UserTable load error', err);
       setErrorMsg(err.message || String(err));
@@ -171,6 +249,16 @@ export default function UserTable({ userId }) {
     }
   }, [userId]);
 
+  const vote = async (appeal, choice) => {
+    try {
+      await voteOnAppeal(appeal.id, choice);
+      await load();
+    } catch (err) {
+      console.error('vote error', err);
+      alert('Error voting: ' + (err.message || err));
+    }
+  };
+
   useEffect(() => {
     load();
 
@@ -220,6 +308,8 @@ export default function UserTable({ userId }) {
                 <th style={thStyle}>Random Impl</th>
                 <th style={thStyle}>Random Think</th>
                 <th style={thStyle}>Wake</th>
+                <th style={thStyle}>Other</th>
+                <th style={thStyle}>Proof</th>
                 <th style={thStyle}>Fines (₹)</th>
                 <th style={thStyle}>Paid</th>
                 <th style={thStyle}>Excused</th>
@@ -227,7 +317,27 @@ export default function UserTable({ userId }) {
               </tr>
             </thead>
             <tbody>
-              {rows.map(r => (
+              {rows.map(r => r.quota ? (
+                <tr key={r.id} style={{ background: '#f8fafc' }}>
+                  <td style={tdStyle}>{r.dateDisplay}</td>
+                  <td style={tdStyle} colSpan={8}><strong>Quota</strong> — {r.quotaSummary}</td>
+                  <td style={tdStyle}>₹{r.finesTotal}</td>
+                  <td style={tdStyle}><input type="checkbox" checked={!!r.paid} readOnly /></td>
+                  <td style={tdStyle}>-</td>
+                  <td style={tdStyle}>
+                    {r.missedDetails.length === 0 ? <span style={{ color: 'green' }}>None</span> : (
+                      <ul style={{ margin: 0, paddingLeft: 14 }}>
+                        {r.missedDetails.map((m, i) => (
+                          <li key={i}>
+                            {m.label} — ₹{m.amount} {m.paid ? '(paid)' : '(unpaid)'}
+                            {m.appeal && <AppealBadge appeal={m.appeal} canVote={!!viewerId && viewerId !== userId} viewerId={viewerId} onVote={vote} />}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              ) : (
                 <tr key={r.id}>
                   <td style={tdStyle}>{r.dateDisplay}</td>
                   <td style={tdStyle}>{r.theory || '-'}</td>
@@ -236,13 +346,34 @@ export default function UserTable({ userId }) {
                   <td style={tdStyle}>{r.randImpl || '-'}</td>
                   <td style={tdStyle}>{r.randThink || '-'}</td>
                   <td style={tdStyle}>{r.wake || '-'}</td>
+                  <td style={tdStyle}>{r.other || '-'}</td>
+                  <td style={tdStyle}>
+                    {r.proofs.length === 0 ? '-' : (
+                      <ul style={{ margin: 0, paddingLeft: 14 }}>
+                        {r.proofs.map(p => (
+                          <li key={p.key}>
+                            {p.label}{!p.done && <span style={{ color: '#b45309' }}> (not ticked)</span>}:{' '}
+                            {p.url && <a href={p.url} target="_blank" rel="noreferrer">link</a>}
+                            {p.url && p.screenshot_url && ' · '}
+                            {p.screenshot_url && <a href={p.screenshot_url} target="_blank" rel="noreferrer">screenshot</a>}
+                            {p.note && <div style={{ fontSize: 12, color: '#555' }}>{p.note}</div>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
                   <td style={tdStyle}>₹{r.excused ? 0 : r.finesTotal}</td>
                   <td style={tdStyle}><input type="checkbox" checked={!!r.paid} readOnly /></td>
                   <td style={tdStyle}>{r.excused ? <span style={{ color: 'green' }}>Yes — {r.excuseReason || 'no reason'}</span> : <span>-</span>}</td>
                   <td style={tdStyle}>
                     {r.missedDetails.length === 0 ? <span style={{ color: 'green' }}>None</span> : (
                       <ul style={{ margin: 0, paddingLeft: 14 }}>
-                        {r.missedDetails.map((m, i) => <li key={i}>{m.label} — ₹{m.amount} {m.paid ? '(paid)' : '(unpaid)'}</li>)}
+                        {r.missedDetails.map((m, i) => (
+                          <li key={i}>
+                            {m.label} — ₹{m.amount} {m.paid ? '(paid)' : '(unpaid)'}
+                            {m.appeal && <AppealBadge appeal={m.appeal} canVote={!!viewerId && viewerId !== userId} viewerId={viewerId} onVote={vote} />}
+                          </li>
+                        ))}
                       </ul>
                     )}
                   </td>
@@ -258,6 +389,27 @@ export default function UserTable({ userId }) {
   );
 }
 
+function AppealBadge({ appeal, canVote, viewerId, onVote }) {
+  const tally = voteTally(appeal);
+  const myVote = (appeal.votes || []).find(v => v.voter_id === viewerId)?.vote;
+  return (
+    <div style={{ fontSize: 12 }}>
+      <span style={{ color: APPEAL_STATUS_COLORS[appeal.status] }}>
+        Appeal {appeal.status}{appeal.status === 'approved' ? ` (was ₹${appeal.amount})` : ''}
+      </span>
+      {' — '}{appeal.reason}
+      {appeal.attachment_url && <> — <a href={appeal.attachment_url} target="_blank" rel="noreferrer">attachment</a></>}
+      {appeal.status === 'pending' && <span style={{ color: '#666' }}> ({tally.approve} approve / {tally.reject} reject)</span>}
+      {appeal.status === 'pending' && canVote && (
+        <span style={{ marginLeft: 6 }}>
+          <button onClick={() => onVote(appeal, 'approve')} disabled={myVote === 'approve'}>Approve</button>
+          <button onClick={() => onVote(appeal, 'reject')} disabled={myVote === 'reject'} style={{ marginLeft: 4 }}>Reject</button>
+        </span>
+      )}
+    </div>
+  );
+}
+
 const thStyle = {
   borderBottom: '1px solid #ddd',
   textAlign: 'left',
@@ -3,8 +3,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import dayjs from 'dayjs';
 import { supabase } from '../supabaseClient';
+import { uploadFile, urlForPath } from '../utils/uploads';
 
-const BUCKET = 'chat-uploads';
 const MAX_FILE_SIZE = 30 * 1024 * 1024; // 30MB
 const UNREAD_STORAGE_KEY = 'chat-unread-v1';
 const NOTIF_PREF_KEY = 'chat-notif-prefs-v1';
@@ -181,7 +181,7 @@ try {
       await Promise.all(normalized.map(async (m) => {
         if (m.attachments && m.attachments.length > 0) {
           for (const att of m.attachments) {
-            if (!att.url && att.path) att.url = await safeGetUrlForPath(att.path);
+            if (!att.url && att.path) att.url = await urlForPath(att.path);
           }
         }
       }));
@@ -201,7 +201,7 @@ try {
           // ensure attachments urls
           if (msg.attachments && msg.attachments.length > 0) {
             for (const att of msg.attachments) {
-              if (!att.url && att.path) att.url = await safeGetUrlForPath(att.path);
+              if (!att.url && att.path) att.url = await urlForPath(att.path);
             }
           }
           // update rooms preview list
@@ -255,31 +255,13 @@ try {
   }
 
   // ---------------- Storage helpers (files) ----------------
-  async function safeGetUrlForPath(path) {
-    if (!path) return null;
-    try {
-      const { data: pub } = supabase.storage.from(BUCKET).getPublicUrl(path);
-      const publicUrl = pub?.publicUrl || pub?.public_url || pub?.url || null;
-      if (publicUrl) return publicUrl;
-    } catch (e) {}
-    try {
-      const { data: signed, error } = await supabase.storage.from(BUCKET).createSignedUrl(path, 60 * 60);
-      if (!error && (signed?.signedUrl || signed?.signed_url)) return signed.signedUrl ?? signed.signed_url;
-    } catch (e) { console.warn('createSignedUrl failed', e); }
-    return null;
-  }
-
   async function uploadFiles(roomId, fileArray) {
     if (!fileArray || fileArray.length === 0) return [];
     const results = [];
     for (const file of fileArray) {
-      if (file.size > MAX_FILE_SIZE) throw new Error(`${file.name} exceeds max size of ${Math.round(MAX_FILE_SIZE / (1024*1024))} MB`);
-      const safeName = file.name.replace(/[^a-zA-Z0-9.\-_]/g, '_');
-      const path = `uploads/${roomId}/${Date.now()}_${Math.random().toString(36).slice(2,8)}_${safeName}`;
-      const { data, error } = await supabase.storage.from(BUCKET).upload(path, file, { upsert: false });
-      if (error) { console.error('storage.upload error', error); throw error; }
-      const url = await safeGetUrlForPath(data.path);
-      results.push({ name: file.name, size: file.size, type: file.type, path: data.path, url });
+      try {
+        results.push(await uploadFile(`uploads/${roomId}`, file, { maxSize: MAX_FILE_SIZE }));
+      } catch (error) { console.error('storage.upload error', error); throw error; }
     }
     return results;
   }
@@ -400,7 +382,7 @@ try {
         if (m.attachments && m.attachments.length) {
           for (const att of m.attachments) {
             if (!att.url && att.path) {
-              const url = await safeGetUrlForPath(att.path);
+              const url = await urlForPath(att.path);
               if (url) { att.url = url; changed = true; }
             }
           }
@@ -1,11 +1,18 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
-import dayjs from 'dayjs';
 import DailyChecklist from '../components/DailyChecklist';
+import { isItemDone } from '../utils/checklist';
+import { loadChangesToApprove, decideChange } from '../utils/latePolicy';
+import { loadSuspensionsToApprove, decideSuspension, describeSuspension } from '../utils/suspensions';
+import { applyMyDueContractChanges } from '../utils/contractChanges';
 
 export default function ChecklistPage() {
   const [user, setUser] = useState(null);
   const [prefs, setPrefs] = useState(null);
+  const [timezone, setTimezone] = useState(null);
+  const [changesToApprove, setChangesToApprove] = useState([]);
+  const [excusesToApprove, setExcusesToApprove] = useState([]);
+  const [names, setNames] = useState({});
 
   useEffect(() => {
     const load = async () => {
@@ -14,20 +21,103 @@ export default function ChecklistPage() {
       setUser(s.session.user);
       const userId = s.session.user.id;
 
+      // contract changes whose cooling-off period is over apply first
+      await applyMyDueContractChanges().catch(err => console.warn('applying due contract changes failed', err));
+
       // get preferences
       const { data: pref } = await supabase.from('preferences').select('*').eq('user_id', userId).single().maybeSingle();
+      // day boundaries follow the profile timezone
+      const { data: prof } = await supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle();
+      setTimezone(prof?.timezone || null);
+
       setPrefs(pref || { platforms: [], classes: [], sports: [], template: 'custom' });
+      await loadApprovals(userId);
     };
     load();
   }, []);
 
+  // other members' backdated checklist changes (late policy) and over-quota excuse requests
+  const loadApprovals = async (userId) => {
+    try {
+      const rows = await loadChangesToApprove(userId);
+      const excuses = await loadSuspensionsToApprove(userId);
+      setChangesToApprove(rows);
+      setExcusesToApprove(excuses);
+      const ids = [...rows, ...excuses].map(r => r.user_id);
+      if (ids.length) {
+        const { data: profs } = await supabase.from('profiles').select('id, full_name').in('id', ids);
+        setNames((profs || []).reduce((acc, p) => { acc[p.id] = p.full_name; return acc; }, {}));
+      }
+    } catch (err) {
+      console.warn('Error loading checklist changes to approve', err);
+    }
+  };
+
+  const decide = async (req, approve) => {
+    const note = approve ? null : prompt('Reason for rejecting this change?');
+    if (!approve && note === null) return;
+    try {
+      await decideChange(req.id, approve, note);
+      await loadApprovals(user.id);
+    } catch (err) {
+      console.error('decide change error', err);
+      alert('Error: ' + (err.message || err));
+    }
+  };
+
+  const decideExcuse = async (susp, approve) => {
+    const note = approve ? null : prompt('Reason for rejecting this excuse?');
+    if (!approve && note === null) return;
+    try {
+      await decideSuspension(susp.id, approve, note);
+      await loadApprovals(user.id);
+    } catch (err) {
+      console.error('decide excuse error', err);
+      alert('Error: ' + (err.message || err));
+    }
+  };
+
   if (!user) return <div>Please login first.</div>;
   if (!prefs) return <div>Loading your preferences...</div>;
 
   return (
     <div>
       <h2>Daily Checklist</h2>
-      <DailyChecklist user={user} prefs={prefs} />
+      {changesToApprove.length > 0 && (
+        <div style={{ padding: 12, background: '#eef6ff', border: '1px solid #cfe3ff', marginBottom: 12, maxWidth: 980 }}>
+          <h3 style={{ marginTop: 0 }}>Backdated changes awaiting approval</h3>
+          {changesToApprove.map(req => {
+            const items = Object.values(req.checks || {});
+            const done = items.filter(isItemDone).length;
+            return (
+              <div key={req.id} style={{ display: 'flex', gap: 12, alignItems: 'center', padding: 6, borderBottom: '1px solid #f0f0f0' }}>
+                <div style={{ flex: 1 }}>
+                  <strong>{names[req.user_id] || req.user_id}</strong> — {req.date}: {done}/{items.length} items done
+                  <div style={{ fontSize: 12, color: '#666' }}>submitted {new Date(req.submitted_at).toLocaleString()}</div>
+                </div>
+                <button onClick={() => decide(req, true)}>Approve</button>
+                <button onClick={() => decide(req, false)}>Reject</button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {excusesToApprove.length > 0 && (
+        <div style={{ padding: 12, background: '#eef6ff', border: '1px solid #cfe3ff', marginBottom: 12, maxWidth: 980 }}>
+          <h3 style={{ marginTop: 0 }}>Excuse requests over the monthly quota</h3>
+          {excusesToApprove.map(susp => (
+            <div key={susp.id} style={{ display: 'flex', gap: 12, alignItems: 'center', padding: 6, borderBottom: '1px solid #f0f0f0' }}>
+              <div style={{ flex: 1 }}>
+                <strong>{names[susp.user_id] || susp.user_id}</strong> — {describeSuspension(susp)}
+                <div style={{ fontSize: 12, color: '#666' }}>{susp.reason}</div>
+              </div>
+              <button onClick={() => decideExcuse(susp, true)}>Approve</button>
+              <button onClick={() => decideExcuse(susp, false)}>Reject</button>
+            </div>
+          ))}
+        </div>
+      )}
+      <DailyChecklist user={user} prefs={prefs} timezone={timezone} />
     </div>
   );
 }
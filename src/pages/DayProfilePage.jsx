@@ -2,12 +2,17 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import SessionTimeline from '../components/SessionTimeline';
+import { loadTaskSessions, sessionsOnDay, fmtFocus } from '../utils/taskSessions';
+import { addDays, dateStrIn, startOfDayIn } from '../utils/dates';
 
 /*
 DayProfilePage
 - Select a user and a date
-- Shows all tasks for that user that were CREATED or COMPLETED on that date
+- Shows all tasks for that user that were CREATED or COMPLETED on that date, or worked on (task_sessions)
+- Timeline of the day's work sessions, focused time per task
 - Tabular format with status + remaining + start/pause info
+- The date is a calendar day in the selected user's profile timezone
 */
 
 export default function DayProfilePage() {
@@ -16,7 +21,9 @@ export default function DayProfilePage() {
   const [selectedUser, setSelectedUser] = useState(null);
   const [date, setDate] = useState(dayjs().format('YYYY-MM-DD'));
   const [tasks, setTasks] = useState([]);
+  const [sessions, setSessions] = useState([]);
   const [error, setError] = useState(null);
+  const timezone = profiles.find(p => p.id === selectedUser)?.timezone || null;
 
   useEffect(() => {
     // load profiles (small list)
@@ -24,7 +31,7 @@ export default function DayProfilePage() {
     const loadProfiles = async () => {
       setLoading(true);
       try {
-        const { data, error } = await supabase.from('profiles').select('id,full_name').order('full_name', { ascending: true });
+        const { data, error } = await supabase.from('profiles').select('id,full_name,timezone').order('full_name', { ascending: true });
         if (error) throw error;
         if (!mounted) return;
         setProfiles(data || []);
@@ -44,6 +51,7 @@ export default function DayProfilePage() {
     const load = async () => {
       if (!selectedUser) {
         setTasks([]);
+        setSessions([]);
         return;
       }
       setLoading(true);
@@ -58,24 +66,36 @@ export default function DayProfilePage() {
 
         if (error) throw error;
 
+        const sessionRows = await loadTaskSessions({
+          userId: selectedUser,
+          fromTs: startOfDayIn(date, timezone).toISOString(),
+          toTs: startOfDayIn(addDays(date, 1), timezone).toISOString(),
+        });
+        const workedOn = new Set(sessionRows.map(s => s.task_id));
+
         const results = (data || []).filter(t => {
-          // include if created_at or completed_at is on the chosen date
-          const created = t.created_at ? dayjs(t.created_at).isSame(date, 'day') : false;
-          const completed = t.completed_at ? dayjs(t.completed_at).isSame(date, 'day') : false;
-          return created || completed;
+          // include if created_at or completed_at is on the chosen date, or it was worked on that day
+          const created = t.created_at ? dateStrIn(t.created_at, timezone) === date : false;
+          const completed = t.completed_at ? dateStrIn(t.completed_at, timezone) === date : false;
+          return created || completed || workedOn.has(t.id);
         });
 
         setTasks(results);
+        setSessions(sessionRows);
       } catch (err) {
         console.error('load tasks for day', err);
         setError(err.message || String(err));
         setTasks([]);
+        setSessions([]);
       } finally {
         setLoading(false);
       }
     };
     load();
-  }, [selectedUser, date]);
+  }, [selectedUser, date, timezone]);
+
+  const focusedByTask = {};
+  sessionsOnDay(sessions, date, timezone).forEach(s => { focusedByTask[s.task_id] = (focusedByTask[s.task_id] || 0) + s.seconds; });
 
   function fmtSeconds(s) {
     if (s == null) return '-';
@@ -102,6 +122,12 @@ export default function DayProfilePage() {
       {loading && <div>Loading...</div>}
       {error && <div style={{ color: 'crimson' }}>Error: {error}</div>}
 
+      {!loading && sessions.length > 0 && (
+        <div style={{ marginBottom: 16, padding: 12, border: '1px solid #eef2f7', borderRadius: 8 }}>
+          <SessionTimeline sessions={sessions} date={date} timezone={timezone} />
+        </div>
+      )}
+
       {!loading && tasks.length === 0 && <div style={{ color: '#666' }}>No tasks found for this user on this date.</div>}
 
       {!loading && tasks.length > 0 && (
@@ -113,6 +139,7 @@ export default function DayProfilePage() {
                 <th style={th}>Description</th>
                 <th style={th}>Duration (min)</th>
                 <th style={th}>Remaining</th>
+                <th style={th}>Focused</th>
                 <th style={th}>Started</th>
                 <th style={th}>Is running</th>
                 <th style={th}>Status</th>
@@ -132,6 +159,7 @@ export default function DayProfilePage() {
                     <td style={td}>{t.description || '-'}</td>
                     <td style={td}>{t.duration_minutes ?? '-'}</td>
                     <td style={td}>{remaining == null ? '-' : fmtSeconds(remaining)}</td>
+                    <td style={td}>{focusedByTask[t.id] ? fmtFocus(focusedByTask[t.id]) : '-'}</td>
                     <td style={td}>{t.last_started_at ? dayjs(t.last_started_at).format('YYYY-MM-DD HH:mm') : '-'}</td>
                     <td style={td}>{t.is_running ? 'Yes' : 'No'}</td>
                     <td style={td}>{t.status}</td>
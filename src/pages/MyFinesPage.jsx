@@ -1,13 +1,50 @@
 // src/pages/MyFinesPage.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import dayjs from 'dayjs';
+import {
+  PAYMENT_METHODS, outstandingFor, recordPayment, reversePayment, loadPaymentLedger, buildStatement,
+  confirmPayment, rejectPayment, loadClaimsToConfirm, loadConfirmationHistory, loadPaymentsToReverse
+} from '../utils/payments';
+import { loadNotifications, markNotificationsRead } from '../utils/notifications';
+import { describeLateRule } from '../utils/latePolicy';
+import { describeEscalation } from '../utils/escalationPolicy';
+
+/*
+MyFinesPage
+- Fines with paid / outstanding amounts (fines.paid_amount is maintained by the payments ledger)
+- Each fine explains its amount from the late-policy rule and escalation recorded on it
+  (fines.late_rule, fines.escalation)
+- Record a payment (partial or full) against selected fines, or oldest outstanding first
+- Payments are claims until another member / treasurer confirms them; claims still count as unpaid
+- Confirm or reject other members' claims, with a history of who confirmed what
+- Reverse a confirmed payment: the confirmer, a treasurer or an admin (never the payer)
+- Payments ledger with reversals, running-balance statement and printable receipts
+*/
 
 export default function MyFinesPage() {
   const [user, setUser] = useState(null);
   const [fines, setFines] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [allocations, setAllocations] = useState([]);
+  const [confirmations, setConfirmations] = useState([]);
+  const [claimsToConfirm, setClaimsToConfirm] = useState([]);
+  const [paymentsToReverse, setPaymentsToReverse] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [profilesMap, setProfilesMap] = useState({});
   const [loading, setLoading] = useState(true);
-  const [updatingIds, setUpdatingIds] = useState(new Set());
+  const [selectedIds, setSelectedIds] = useState(new Set());
+
+  // payment form
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(PAYMENT_METHODS[0]);
+  const [reference, setReference] = useState('');
+  const [note, setNote] = useState('');
+  const [confirmerId, setConfirmerId] = useState('');
+  const [paying, setPaying] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const [receiptFor, setReceiptFor] = useState(null);
 
   useEffect(() => {
     const loadSessionAndFines = async () => {
@@ -20,14 +57,14 @@ export default function MyFinesPage() {
         return;
       }
       setUser(session.user);
-      await loadFines(session.user.id);
+      await loadAll(session.user.id);
       setLoading(false);
     };
 
     loadSessionAndFines();
   }, []);
 
-  const loadFines = async (userId) => {
+  const loadAll = async (userId) => {
     const { data, error } = await supabase
       .from('fines')
       .select('*')
@@ -38,80 +75,400 @@ export default function MyFinesPage() {
       console.error('Error loading fines', error);
       setFines([]);
     } else {
-      // show unpaid first, then paid
+      // show outstanding first, then paid
       const sorted = (data || []).sort((a,b) => {
-        if (a.paid === b.paid) return new Date(b.date) - new Date(a.date);
-        return a.paid ? 1 : -1;
+        const aOpen = outstandingFor(a) > 0;
+        const bOpen = outstandingFor(b) > 0;
+        if (aOpen === bOpen) return new Date(b.date) - new Date(a.date);
+        return aOpen ? -1 : 1;
       });
       setFines(sorted);
     }
+
+    const { data: profRows } = await supabase.from('profiles').select('id, full_name, is_treasurer, is_admin');
+    const map = (profRows || []).reduce((acc, p) => { acc[p.id] = p; return acc; }, {});
+    setProfilesMap(map);
+    const isTreasurer = !!map[userId]?.is_treasurer;
+    const isAdmin = !!map[userId]?.is_admin;
+
+    try {
+      const ledger = await loadPaymentLedger(userId);
+      const claims = await loadClaimsToConfirm(userId, isTreasurer);
+      setPayments(ledger.payments);
+      setAllocations(ledger.allocations);
+      setClaimsToConfirm(claims);
+      setPaymentsToReverse(await loadPaymentsToReverse(userId, { isTreasurer, isAdmin }));
+      setConfirmations(await loadConfirmationHistory(ledger.payments.map(p => p.id)));
+    } catch (err) {
+      console.error('Error loading payments', err);
+      setPayments([]);
+      setAllocations([]);
+      setClaimsToConfirm([]);
+      setPaymentsToReverse([]);
+      setConfirmations([]);
+    }
+
+    try {
+      const unread = await loadNotifications(userId, { unreadOnly: true });
+      setNotifications(unread);
+      await markNotificationsRead(unread.map(n => n.id));
+    } catch (err) {
+      console.warn('Error loading notifications', err);
+    }
+  };
+
+  const nameOf = (id) => profilesMap[id]?.full_name || id;
+
+  const toggleSelected = (fineId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(fineId)) next.delete(fineId);
+      else next.add(fineId);
+      return next;
+    });
   };
 
-  const togglePaid = async (fineId, newVal) => {
-    setUpdatingIds(prev => new Set(prev).add(fineId));
+  const selectedOutstanding = useMemo(
+    () => fines.filter(f => selectedIds.has(f.id)).reduce((s, f) => s + outstandingFor(f), 0),
+    [fines, selectedIds]
+  );
+
+  const submitPayment = async (e) => {
+    e?.preventDefault();
+    const value = Number(amount || selectedOutstanding);
+    if (!value || value <= 0) {
+      setStatus('Enter an amount to pay.');
+      return;
+    }
+    setPaying(true);
+    setStatus('Recording payment...');
     try {
-      const { error } = await supabase.from('fines').update({ paid: newVal }).eq('id', fineId);
-      if (error) throw error;
-      // reload fines
-      if (user) await loadFines(user.id);
+      const payment = await recordPayment({ amount: value, method, reference, note, fineIds: Array.from(selectedIds), confirmerId });
+      setStatus('Payment claimed — it counts once another member confirms it.');
+      setAmount(''); setReference(''); setNote('');
+      setSelectedIds(new Set());
+      await loadAll(user.id);
+      if (payment?.id) setReceiptFor(payment.id);
     } catch (ex) {
-      console.error('Error updating fine paid', ex);
-      alert('Error updating fine: ' + (ex.message || ex));
+      console.error('Error recording payment', ex);
+      setStatus('Error recording payment: ' + (ex.message || ex));
     } finally {
-      setUpdatingIds(prev => {
-        const copy = new Set(prev);
-        copy.delete(fineId);
-        return copy;
-      });
+      setPaying(false);
+    }
+  };
+
+  const doConfirm = async (payment) => {
+    if (!confirm(`Confirm that ${nameOf(payment.user_id)} paid ₹${payment.amount}?`)) return;
+    try {
+      await confirmPayment(payment.id);
+      setStatus('Payment confirmed.');
+      await loadAll(user.id);
+    } catch (ex) {
+      console.error('Error confirming payment', ex);
+      alert('Error confirming payment: ' + (ex.message || ex));
     }
   };
 
+  const doReject = async (payment) => {
+    const reason = prompt(`Reject ${nameOf(payment.user_id)}'s payment of ₹${payment.amount}? Give a reason:`);
+    if (reason === null) return;
+    try {
+      await rejectPayment(payment.id, reason);
+      setStatus('Payment rejected.');
+      await loadAll(user.id);
+    } catch (ex) {
+      console.error('Error rejecting payment', ex);
+      alert('Error rejecting payment: ' + (ex.message || ex));
+    }
+  };
+
+  const doReverse = async (payment) => {
+    const reason = prompt(`Reverse ${nameOf(payment.user_id)}'s payment of ₹${payment.amount}? Give a reason:`);
+    if (reason === null) return;
+    try {
+      await reversePayment(payment.id, reason);
+      setStatus('Payment reversed.');
+      await loadAll(user.id);
+    } catch (ex) {
+      console.error('Error reversing payment', ex);
+      alert('Error reversing payment: ' + (ex.message || ex));
+    }
+  };
+
+  const statement = useMemo(() => buildStatement(fines, payments), [fines, payments]);
+
   if (loading) return <div style={{ padding: 16 }}>Loading your fines...</div>;
   if (!user) return <div style={{ padding: 16 }}>Please login to see your fines.</div>;
 
-  const totalUnpaid = fines.reduce((s, f) => s + (!f.paid ? Number(f.amount || 0) : 0), 0);
+  const totalFined = fines.reduce((s, f) => s + Number(f.amount || 0), 0);
+  const totalUnpaid = fines.reduce((s, f) => s + outstandingFor(f), 0);
+  const confirmedPayments = payments.filter(p => p.status === 'confirmed');
+  const totalPaid = confirmedPayments.reduce((s, p) => s + Number(p.amount || 0), 0);
+  const totalClaimed = payments.filter(p => p.status === 'claimed').reduce((s, p) => s + Number(p.amount || 0), 0);
+  const balance = totalFined - totalPaid;
+  const receiptPayment = receiptFor ? payments.find(p => p.id === receiptFor) : null;
 
   return (
     <div style={{ maxWidth: 980, margin: '0 auto', padding: 20 }}>
       <h2>My fines</h2>
-      <div style={{ marginBottom: 12 }}>
-        <strong>Total unpaid:</strong> ₹{totalUnpaid}
+      <div style={{ marginBottom: 12, display: 'flex', gap: 24, flexWrap: 'wrap' }}>
+        <div><strong>Total unpaid:</strong> ₹{totalUnpaid}{totalClaimed > 0 && <span style={{ color: '#666' }}> (₹{totalClaimed} claimed, awaiting confirmation)</span>}</div>
+        <div><strong>Total fined:</strong> ₹{totalFined}</div>
+        <div><strong>Total paid:</strong> ₹{totalPaid}</div>
+        <div><strong>Balance:</strong> {balance >= 0 ? `₹${balance} owed` : `₹${-balance} credit`}</div>
       </div>
 
+      {notifications.length > 0 && (
+        <div style={{ padding: 12, background: '#eef6ff', border: '1px solid #cfe3ff', marginBottom: 12 }}>
+          {notifications.map(n => (
+            <div key={n.id}><strong>{n.title}</strong> — {n.body} <span style={{ color: '#666', fontSize: 12 }}>{dayjs(n.created_at).format('YYYY-MM-DD HH:mm')}</span></div>
+          ))}
+        </div>
+      )}
+
+      {claimsToConfirm.length > 0 && (
+        <div style={{ padding: 12, background: '#fff7e6', border: '1px solid #ffecb3', marginBottom: 12 }}>
+          <h3 style={{ marginTop: 0 }}>Payments awaiting your confirmation</h3>
+          {claimsToConfirm.map(p => (
+            <div key={p.id} style={{ display: 'flex', gap: 12, alignItems: 'center', padding: 6, borderBottom: '1px solid #f0f0f0' }}>
+              <div style={{ flex: 1 }}>
+                <strong>{nameOf(p.user_id)}</strong> — ₹{p.amount} via {p.method || '-'} {p.reference ? `(ref ${p.reference})` : ''}
+                <div style={{ fontSize: 12, color: '#666' }}>{dayjs(p.created_at).format('YYYY-MM-DD HH:mm')}{p.note ? ` — ${p.note}` : ''}</div>
+              </div>
+              <button onClick={() => doConfirm(p)}>Confirm</button>
+              <button onClick={() => doReject(p)}>Reject</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {paymentsToReverse.length > 0 && (
+        <details style={{ padding: 12, border: '1px solid #eee', marginBottom: 12 }}>
+          <summary>Confirmed payments you can reverse ({paymentsToReverse.length})</summary>
+          {paymentsToReverse.map(p => (
+            <div key={p.id} style={{ display: 'flex', gap: 12, alignItems: 'center', padding: 6, borderBottom: '1px solid #f0f0f0' }}>
+              <div style={{ flex: 1 }}>
+                <strong>{nameOf(p.user_id)}</strong> — ₹{p.amount} via {p.method || '-'} {p.reference ? `(ref ${p.reference})` : ''}
+                <div style={{ fontSize: 12, color: '#666' }}>confirmed by {nameOf(p.confirmed_by)} {p.confirmed_at ? dayjs(p.confirmed_at).format('YYYY-MM-DD HH:mm') : ''}</div>
+              </div>
+              <button onClick={() => doReverse(p)}>Reverse</button>
+            </div>
+          ))}
+        </details>
+      )}
+
       <div style={{ overflowX: 'auto' }}>
         <table style={{ width: '100%', borderCollapse: 'collapse' }}>
           <thead>
             <tr>
+              <th style={thStyle}>Pay</th>
               <th style={thStyle}>Date</th>
               <th style={thStyle}>Reason</th>
               <th style={thStyle}>Amount (₹)</th>
+              <th style={thStyle}>Why this amount</th>
+              <th style={thStyle}>Paid (₹)</th>
+              <th style={thStyle}>Outstanding (₹)</th>
               <th style={thStyle}>Created</th>
-              <th style={thStyle}>Paid</th>
             </tr>
           </thead>
           <tbody>
-            {fines.map(f => (
-              <tr key={f.id}>
-                <td style={tdStyle}>{dayjs(f.date).format('YYYY-MM-DD')}</td>
-                <td style={tdStyle}>{f.reason}</td>
-                <td style={tdStyle}>₹{f.amount}</td>
-                <td style={tdStyle}>{dayjs(f.created_at).format('YYYY-MM-DD HH:mm')}</td>
+            {fines.map(f => {
+              const open = outstandingFor(f);
+              return (
+                <tr key={f.id}>
+                  <td style={tdStyle}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(f.id)}
+                      disabled={open === 0 || paying}
+                      onChange={() => toggleSelected(f.id)}
+                    />
+                  </td>
+                  <td style={tdStyle}>{dayjs(f.date).format('YYYY-MM-DD')}</td>
+                  <td style={tdStyle}>{f.reason}</td>
+                  <td style={tdStyle}>₹{f.amount}</td>
+                  <td style={{ ...tdStyle, fontSize: 12, color: '#555' }}>{[describeLateRule(f.late_rule), describeEscalation(f.escalation)].filter(Boolean).join('; ') || '-'}</td>
+                  <td style={tdStyle}>₹{Number(f.paid_amount || 0)}</td>
+                  <td style={tdStyle}>{open === 0 ? <span style={{ color: 'green' }}>paid</span> : `₹${open}`}</td>
+                  <td style={tdStyle}>{dayjs(f.created_at).format('YYYY-MM-DD HH:mm')}</td>
+                </tr>
+              );
+            })}
+            {fines.length === 0 && (
+              <tr><td colSpan="8" style={{ padding: 12 }}>You have no fines.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={submitPayment} style={{ marginTop: 16, padding: 12, border: '1px solid #eee', borderRadius: 6 }}>
+        <h3 style={{ marginTop: 0 }}>Record a payment</h3>
+        <div style={{ fontSize: 13, color: '#666', marginBottom: 8 }}>
+          {selectedIds.size > 0
+            ? `Applies to ${selectedIds.size} selected fine(s), ₹${selectedOutstanding} outstanding.`
+            : 'No fines selected — the payment covers your oldest outstanding fines first.'}
+        </div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <label>Amount (₹):</label>
+          <input type="number" min="1" value={amount} placeholder={selectedOutstanding ? String(selectedOutstanding) : ''} onChange={e => setAmount(e.target.value)} style={{ width: 110 }} />
+          <label>Method:</label>
+          <select value={method} onChange={e => setMethod(e.target.value)}>
+            {PAYMENT_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <label>Reference:</label>
+          <input placeholder="UPI ref / txn id" value={reference} onChange={e => setReference(e.target.value)} />
+          <label>Note:</label>
+          <input value={note} onChange={e => setNote(e.target.value)} />
+          <label>Confirm by:</label>
+          <select value={confirmerId} onChange={e => setConfirmerId(e.target.value)}>
+            <option value="">any member / treasurer</option>
+            {Object.values(profilesMap).filter(p => p.id !== user.id).map(p => (
+              <option key={p.id} value={p.id}>{p.full_name || p.id}{p.is_treasurer ? ' (treasurer)' : ''}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={paying}>{paying ? 'Saving...' : 'Record payment'}</button>
+        </div>
+        {status && <div style={{ marginTop: 8, color: '#333' }}>{status}</div>}
+      </form>
+
+      <h3 style={{ marginTop: 24 }}>Payments</h3>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={thStyle}>When</th>
+              <th style={thStyle}>Kind</th>
+              <th style={thStyle}>Status</th>
+              <th style={thStyle}>Amount (₹)</th>
+              <th style={thStyle}>Method</th>
+              <th style={thStyle}>Reference</th>
+              <th style={thStyle}>Note</th>
+              <th style={thStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.slice().reverse().map(p => (
+              <tr key={p.id} style={{ color: p.reversed_by_payment_id ? '#999' : undefined }}>
+                <td style={tdStyle}>{dayjs(p.created_at).format('YYYY-MM-DD HH:mm')}</td>
+                <td style={tdStyle}>{p.kind}{p.reversed_by_payment_id ? ' (reversed)' : ''}</td>
                 <td style={tdStyle}>
-                  <input
-                    type="checkbox"
-                    checked={!!f.paid}
-                    disabled={updatingIds.has(f.id)}
-                    onChange={(e) => togglePaid(f.id, e.target.checked)}
-                  />
+                  {p.status}
+                  {p.status === 'claimed' && p.confirmer_id && <div style={{ fontSize: 12, color: '#666' }}>waiting for {nameOf(p.confirmer_id)}</div>}
+                  {confirmations.filter(c => c.payment_id === p.id).map(c => (
+                    <div key={c.id} style={{ fontSize: 12, color: '#666' }}>
+                      {c.action} by {nameOf(c.actor_id)} {dayjs(c.created_at).format('YYYY-MM-DD HH:mm')}{c.note ? ` — ${c.note}` : ''}
+                    </div>
+                  ))}
+                </td>
+                <td style={tdStyle}>₹{p.amount}</td>
+                <td style={tdStyle}>{p.method || '-'}</td>
+                <td style={tdStyle}>{p.reference || '-'}</td>
+                <td style={tdStyle}>{p.note || '-'}</td>
+                <td style={tdStyle}>
+                  <button onClick={() => setReceiptFor(p.id)}>Receipt</button>
                 </td>
               </tr>
             ))}
-            {fines.length === 0 && (
-              <tr><td colSpan="5" style={{ padding: 12 }}>You have no fines.</td></tr>
+            {payments.length === 0 && (
+              <tr><td colSpan="8" style={{ padding: 12 }}>No payments yet.</td></tr>
             )}
           </tbody>
         </table>
       </div>
+
+      <h3 style={{ marginTop: 24 }}>Statement</h3>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={thStyle}>When</th>
+              <th style={thStyle}>Entry</th>
+              <th style={thStyle}>Change (₹)</th>
+              <th style={thStyle}>Balance (₹)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {statement.map(l => (
+              <tr key={l.id}>
+                <td style={tdStyle}>{dayjs(l.at).format('YYYY-MM-DD HH:mm')}</td>
+                <td style={tdStyle}>{l.label}</td>
+                <td style={tdStyle}>{l.change >= 0 ? `+${l.change}` : l.change}</td>
+                <td style={tdStyle}>{l.balance}</td>
+              </tr>
+            ))}
+            {statement.length === 0 && (
+              <tr><td colSpan="4" style={{ padding: 12 }}>Nothing yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {receiptPayment && (
+        <PaymentReceipt
+          payment={receiptPayment}
+          allocations={allocations.filter(a => a.payment_id === receiptPayment.id)}
+          fines={fines}
+          user={user}
+          confirmerName={receiptPayment.confirmed_by ? nameOf(receiptPayment.confirmed_by) : null}
+          onClose={() => setReceiptFor(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function PaymentReceipt({ payment, allocations, fines, user, confirmerName, onClose }) {
+  const fineById = fines.reduce((acc, f) => { acc[f.id] = f; return acc; }, {});
+  const allocated = allocations.reduce((s, a) => s + Number(a.amount || 0), 0);
+  const credit = Number(payment.amount || 0) - allocated;
+
+  return (
+    <div style={{
+      position: 'fixed', left: 0, top: 0, right: 0, bottom: 0,
+      display: 'flex', alignItems: 'center', justifyContent: 'center',
+      background: 'rgba(0,0,0,0.4)', zIndex: 9999
+    }}>
+      <div style={{ width: 560, maxWidth: '95%', background: 'white', padding: 20, borderRadius: 8 }}>
+        <h3 style={{ marginTop: 0 }}>{payment.kind === 'reversal' ? 'Reversal receipt' : 'Payment receipt'}</h3>
+        <div><strong>Receipt #:</strong> {String(payment.id).slice(0, 8).toUpperCase()}</div>
+        <div><strong>Date:</strong> {dayjs(payment.created_at).format('YYYY-MM-DD HH:mm')}</div>
+        <div><strong>Paid by:</strong> {user.email || payment.user_id}</div>
+        <div><strong>Amount:</strong> ₹{payment.amount}</div>
+        <div><strong>Status:</strong> {payment.status}{confirmerName ? ` by ${confirmerName} on ${dayjs(payment.confirmed_at).format('YYYY-MM-DD HH:mm')}` : ''}</div>
+        <div><strong>Method:</strong> {payment.method || '-'}</div>
+        <div><strong>Reference:</strong> {payment.reference || '-'}</div>
+        {payment.note && <div><strong>Note:</strong> {payment.note}</div>}
+        {payment.reverses_payment_id && <div><strong>Reverses:</strong> #{String(payment.reverses_payment_id).slice(0, 8).toUpperCase()}</div>}
+        {payment.reversed_by_payment_id && <div style={{ color: 'crimson' }}>This payment was reversed.</div>}
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: 12 }}>
+          <thead>
+            <tr>
+              <th style={thStyle}>Fine</th>
+              <th style={thStyle}>Applied (₹)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {allocations.map(a => {
+              const f = fineById[a.fine_id];
+              return (
+                <tr key={a.id}>
+                  <td style={tdStyle}>{f ? `${dayjs(f.date).format('YYYY-MM-DD')} — ${f.reason}` : 'Removed fine'}</td>
+                  <td style={tdStyle}>₹{a.amount}</td>
+                </tr>
+              );
+            })}
+            {credit !== 0 && (
+              <tr><td style={tdStyle}>Unallocated (credit)</td><td style={tdStyle}>₹{credit}</td></tr>
+            )}
+          </tbody>
+        </table>
+
+        <div style={{ marginTop: 12, display: 'flex', gap: 8 }}>
+          <button onClick={() => window.print()}>Print</button>
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
     </div>
   );
 }
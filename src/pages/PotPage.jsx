@@ -0,0 +1,304 @@
+// src/pages/PotPage.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { supabase } from '../supabaseClient';
+import dayjs from 'dayjs';
+import {
+  PAYOUT_RULES, DEFAULT_RULE, loadSeasons, saveSeason, loadCollections, loadSeasonChecks,
+  consistencyScores, computeSettlement, settlementCsv
+} from '../utils/pot';
+
+/*
+PotPage
+- Group pot for a season: confirmed fine payments + confirmed consistency fine payments, per member
+- Admins (profiles.is_admin) create seasons, pick the payout rule and close the season
+- Closing stores the settlement; until then it is recomputed live from the current data
+- Settlement sheet downloads as CSV
+*/
+
+const thStyle = { textAlign: 'left', padding: 8, borderBottom: '1px solid #ddd' };
+const tdStyle = { padding: 8, borderBottom: '1px solid #f3f3f3' };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  start_date: dayjs().startOf('month').format('YYYY-MM-DD'),
+  end_date: dayjs().endOf('month').format('YYYY-MM-DD'),
+  rule: { ...DEFAULT_RULE }
+});
+
+function downloadCsv(csv, filename) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function PotPage() {
+  const [user, setUser] = useState(null);
+  const [profilesMap, setProfilesMap] = useState({});
+  const [seasons, setSeasons] = useState([]);
+  const [seasonId, setSeasonId] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [checkRows, setCheckRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    const init = async () => {
+      setLoading(true);
+      const { data: s } = await supabase.auth.getSession();
+      const session = s?.session ?? null;
+      setUser(session?.user ?? null);
+      if (session) {
+        const { data: profRows } = await supabase.from('profiles').select('id, full_name, is_admin');
+        setProfilesMap((profRows || []).reduce((acc, p) => { acc[p.id] = p; return acc; }, {}));
+        await refreshSeasons();
+      }
+      setLoading(false);
+    };
+    init();
+  }, []);
+
+  const refreshSeasons = async (selectId = null) => {
+    try {
+      const rows = await loadSeasons();
+      setSeasons(rows);
+      setSeasonId(prev => selectId || prev || rows[0]?.id || null);
+    } catch (err) {
+      console.error('Error loading seasons', err);
+      setStatus('Error loading seasons: ' + (err.message || err));
+    }
+  };
+
+  const season = seasons.find(s => s.id === seasonId) || null;
+
+  useEffect(() => {
+    if (!season) {
+      setCollections([]);
+      setCheckRows([]);
+      return;
+    }
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const [cols, checks] = await Promise.all([
+          loadCollections(season.start_date, season.end_date),
+          loadSeasonChecks(season.start_date, season.end_date)
+        ]);
+        if (cancelled) return;
+        setCollections(cols);
+        setCheckRows(checks);
+      } catch (err) {
+        console.error('Error loading pot', err);
+        if (!cancelled) setStatus('Error loading pot: ' + (err.message || err));
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [season?.id, season?.start_date, season?.end_date]);
+
+  // everyone who paid into the pot or kept a checklist during the season
+  const members = useMemo(() => {
+    const scores = consistencyScores(checkRows);
+    const ids = new Set([...Object.keys(scores), ...collections.map(c => c.user_id)]);
+    return Array.from(ids).map(id => {
+      const mine = collections.filter(c => c.user_id === id);
+      const fines = round2(mine.filter(c => c.source === 'fines').reduce((s, c) => s + c.amount, 0));
+      const consistency = round2(mine.filter(c => c.source === 'consistency_fines').reduce((s, c) => s + c.amount, 0));
+      return {
+        user_id: id,
+        name: profilesMap[id]?.full_name || id,
+        fines,
+        consistency,
+        collected: round2(fines + consistency),
+        score: scores[id]?.score ?? null
+      };
+    }).sort((a, b) => b.collected - a.collected);
+  }, [checkRows, collections, profilesMap]);
+
+  const pot = round2(members.reduce((s, m) => s + m.collected, 0));
+  const settlement = useMemo(() => {
+    if (!season) return [];
+    if (season.settled_at && Array.isArray(season.settlement)) return season.settlement;
+    return computeSettlement(pot, season.rule, members);
+  }, [season, pot, members]);
+
+  const isAdmin = !!(user && profilesMap[user.id]?.is_admin);
+
+  const submitForm = async (e) => {
+    e?.preventDefault();
+    if (!form.name.trim()) {
+      setStatus('Give the season a name.');
+      return;
+    }
+    if (form.end_date < form.start_date) {
+      setStatus('Season ends before it starts.');
+      return;
+    }
+    try {
+      const saved = await saveSeason({
+        ...(form.id ? { id: form.id } : { created_by: user.id }),
+        name: form.name.trim(),
+        start_date: form.start_date,
+        end_date: form.end_date,
+        rule: form.rule
+      });
+      setForm(null);
+      setStatus('Season saved.');
+      await refreshSeasons(saved?.id);
+    } catch (err) {
+      console.error('Error saving season', err);
+      setStatus('Error saving season: ' + (err.message || err));
+    }
+  };
+
+  const closeSeason = async () => {
+    if (!confirm(`Close "${season.name}" and lock the settlement of ₹${pot}?`)) return;
+    try {
+      await saveSeason({ id: season.id, settlement, settled_at: new Date().toISOString() });
+      setStatus('Season closed.');
+      await refreshSeasons(season.id);
+    } catch (err) {
+      console.error('Error closing season', err);
+      setStatus('Error closing season: ' + (err.message || err));
+    }
+  };
+
+  const download = () => {
+    const csv = settlementCsv(season, members, settlement);
+    downloadCsv(csv, `settlement-${season.name.replace(/\s+/g, '-').toLowerCase()}.csv`);
+  };
+
+  const setRule = (patch) => setForm(f => ({ ...f, rule: { ...f.rule, ...patch } }));
+
+  if (loading) return <div style={{ padding: 16 }}>Loading pot...</div>;
+  if (!user) return <div style={{ padding: 16 }}>Please login to see the pot.</div>;
+
+  return (
+    <div style={{ maxWidth: 980, margin: '0 auto', padding: 12 }}>
+      <h2>Group pot</h2>
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 12 }}>
+        <label>Season:</label>
+        <select value={seasonId || ''} onChange={e => setSeasonId(e.target.value || null)}>
+          {seasons.length === 0 && <option value="">No seasons yet</option>}
+          {seasons.map(s => (
+            <option key={s.id} value={s.id}>{s.name} ({s.start_date} → {s.end_date}){s.settled_at ? ' — closed' : ''}</option>
+          ))}
+        </select>
+        {isAdmin && <button onClick={() => setForm(emptyForm())}>New season</button>}
+        {isAdmin && season && !season.settled_at && (
+          <button onClick={() => setForm({ id: season.id, name: season.name, start_date: season.start_date, end_date: season.end_date, rule: { ...DEFAULT_RULE, ...season.rule } })}>Edit season</button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={submitForm} style={{ padding: 12, border: '1px solid #eee', marginBottom: 12, display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+          <label>Name:</label>
+          <input value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+          <label>From:</label>
+          <input type="date" value={form.start_date} onChange={e => setForm(f => ({ ...f, start_date: e.target.value }))} />
+          <label>To:</label>
+          <input type="date" value={form.end_date} onChange={e => setForm(f => ({ ...f, end_date: e.target.value }))} />
+          <label>Payout rule:</label>
+          <select value={form.rule.kind} onChange={e => setForm(f => ({ ...f, rule: { kind: e.target.value } }))}>
+            {Object.entries(PAYOUT_RULES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          {form.rule.kind === 'best_consistency' && (
+            <>
+              <label>Top N:</label>
+              <input type="number" min="1" style={{ width: 60 }} value={form.rule.top_n ?? 1} onChange={e => setRule({ top_n: Number(e.target.value) })} />
+            </>
+          )}
+          {form.rule.kind === 'charity' && (
+            <>
+              <label>Charity:</label>
+              <input value={form.rule.charity_name || ''} onChange={e => setRule({ charity_name: e.target.value })} />
+              <label>Share %:</label>
+              <input type="number" min="0" max="100" style={{ width: 60 }} value={form.rule.share_pct ?? 100} onChange={e => setRule({ share_pct: Number(e.target.value) })} />
+            </>
+          )}
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setForm(null)}>Cancel</button>
+        </form>
+      )}
+
+      {status && <div style={{ marginBottom: 12, color: '#555' }}>{status}</div>}
+
+      {season && (
+        <>
+          <div style={{ display: 'flex', gap: 16, marginBottom: 12, flexWrap: 'wrap' }}>
+            <div><strong>Pot:</strong> ₹{pot}</div>
+            <div><strong>Rule:</strong> {PAYOUT_RULES[season.rule?.kind] || season.rule?.kind}</div>
+            {season.settled_at && <div><strong>Closed:</strong> {dayjs(season.settled_at).format('YYYY-MM-DD HH:mm')}</div>}
+          </div>
+
+          <h3>Collected</h3>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={thStyle}>Member</th>
+                  <th style={thStyle}>Checklist fines (₹)</th>
+                  <th style={thStyle}>Consistency fines (₹)</th>
+                  <th style={thStyle}>Total (₹)</th>
+                  <th style={thStyle}>Consistency</th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map(m => (
+                  <tr key={m.user_id}>
+                    <td style={tdStyle}>{m.user_id === user.id ? `${m.name} (you)` : m.name}</td>
+                    <td style={tdStyle}>₹{m.fines}</td>
+                    <td style={tdStyle}>₹{m.consistency}</td>
+                    <td style={tdStyle}>₹{m.collected}</td>
+                    <td style={tdStyle}>{m.score === null ? '-' : `${Math.round(m.score * 100)}%`}</td>
+                  </tr>
+                ))}
+                {members.length === 0 && (
+                  <tr><td colSpan="5" style={{ padding: 12 }}>Nothing collected in this season.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 style={{ marginTop: 20 }}>Settlement{season.settled_at ? '' : ' (live)'}</h3>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={thStyle}>Payee</th>
+                  <th style={thStyle}>Amount (₹)</th>
+                  <th style={thStyle}>Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {settlement.map((r, i) => (
+                  <tr key={`${r.user_id || 'payee'}-${i}`}>
+                    <td style={tdStyle}>{r.payee}</td>
+                    <td style={tdStyle}>₹{r.amount}</td>
+                    <td style={tdStyle}>{r.note}</td>
+                  </tr>
+                ))}
+                {settlement.length === 0 && (
+                  <tr><td colSpan="3" style={{ padding: 12 }}>No payouts for this rule yet.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button onClick={download} disabled={settlement.length === 0}>Download settlement sheet</button>
+            {isAdmin && !season.settled_at && <button onClick={closeSeason} disabled={settlement.length === 0}>Close season</button>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
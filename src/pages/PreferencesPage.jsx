@@ -1,6 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import PreferenceForm from '../components/PreferenceForm';
+import LatePolicyForm from '../components/LatePolicyForm';
+import EscalationPolicyForm from '../components/EscalationPolicyForm';
+import ItemTypeForm from '../components/ItemTypeForm';
+import PreferenceHistory from '../components/PreferenceHistory';
+import ContractChanges from '../components/ContractChanges';
+import { applyMyDueContractChanges } from '../utils/contractChanges';
+import { loadItemTypes } from '../utils/itemTypes';
+import { DEFAULT_ITEM_TYPES } from '../utils/itemCatalogue';
+import { TIMEZONE_CHOICES, DEFAULT_TIMEZONE, browserTimezone, isValidTimezone } from '../utils/dates';
 
 export default function PreferencesPage() {
   const [loading, setLoading] = useState(true);
@@ -8,7 +17,11 @@ export default function PreferencesPage() {
   const [profile, setProfile] = useState(null);
   const [preferences, setPreferences] = useState(null);
   const [templates, setTemplates] = useState([]);
+  const [itemTypes, setItemTypes] = useState(DEFAULT_ITEM_TYPES);
   const [error, setError] = useState('');
+  const [timezone, setTimezone] = useState('');
+  const [tzStatus, setTzStatus] = useState('');
+  const [historyKey, setHistoryKey] = useState(0);
 
   useEffect(() => {
     const load = async () => {
@@ -43,8 +56,12 @@ export default function PreferencesPage() {
           setProfile({ id: user.id, full_name: user.email });
         } else {
           setProfile(profRow);
+          setTimezone(profRow.timezone || '');
         }
 
+        // changes whose cooling-off period is over apply before the form loads
+        await applyMyDueContractChanges().catch(err => console.warn('applying due contract changes failed', err));
+
         // load preferences if any
         const { data: prefRow, error: prefErr } = await supabase
           .from('preferences')
@@ -60,6 +77,8 @@ export default function PreferencesPage() {
           .select('*');
         if (templErr) throw templErr;
         setTemplates(templRows || []);
+
+        setItemTypes(await loadItemTypes());
       } catch (ex) {
         console.error('Error loading preferences page', ex);
         setError(ex?.message || 'Unknown error');
@@ -71,6 +90,34 @@ export default function PreferencesPage() {
     load();
   }, []);
 
+  const reloadItemTypes = async () => {
+    try {
+      setItemTypes(await loadItemTypes());
+    } catch (ex) {
+      console.error('Error loading item types', ex);
+      setError(ex?.message || 'Unknown error');
+    }
+  };
+
+  // timezone decides where each calendar day starts for checklist, fines and streaks
+  const saveTimezone = async () => {
+    const tz = timezone.trim();
+    if (tz && !isValidTimezone(tz)) {
+      setTzStatus('Unknown timezone: ' + tz);
+      return;
+    }
+    setTzStatus('Saving timezone...');
+    const { error: tzErr } = await supabase
+      .from('profiles')
+      .update({ timezone: tz || null })
+      .eq('id', sessionUser.id);
+    if (tzErr) setTzStatus('Error saving timezone: ' + tzErr.message);
+    else {
+      setProfile(prev => ({ ...(prev || {}), timezone: tz || null }));
+      setTzStatus('Timezone saved.');
+    }
+  };
+
   if (loading) return <div style={{ padding: 20 }}>Loading...</div>;
   if (!sessionUser) return <div style={{ padding: 20 }}>Please login first to edit preferences.</div>;
 
@@ -78,11 +125,36 @@ export default function PreferencesPage() {
     <div style={{ maxWidth: 980, margin: '0 auto', padding: 20 }}>
       <h1>Your Preferences</h1>
       {error && <div style={{ color: 'crimson', marginBottom: 12 }}>Error: {error}</div>}
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 16 }}>
+        <label>Timezone:</label>
+        <input
+          list="timezone-choices"
+          placeholder={`not set: days follow ${DEFAULT_TIMEZONE}`}
+          value={timezone}
+          onChange={e => setTimezone(e.target.value)}
+          style={{ width: 240 }}
+        />
+        <datalist id="timezone-choices">
+          {TIMEZONE_CHOICES.map(tz => <option key={tz} value={tz} />)}
+        </datalist>
+        {!timezone && browserTimezone() !== DEFAULT_TIMEZONE && (
+          <button type="button" onClick={() => setTimezone(browserTimezone())}>Use this browser's ({browserTimezone()})</button>
+        )}
+        <button type="button" onClick={saveTimezone}>Save timezone</button>
+        <span>{tzStatus}</span>
+      </div>
+      <LatePolicyForm user={sessionUser} isAdmin={!!profile?.is_admin} />
+      <EscalationPolicyForm user={sessionUser} isAdmin={!!profile?.is_admin} itemTypes={itemTypes} />
+      <ItemTypeForm user={sessionUser} isAdmin={!!profile?.is_admin} itemTypes={itemTypes} onChanged={reloadItemTypes} />
+      <ContractChanges userId={sessionUser.id} refreshKey={historyKey} />
       <PreferenceForm
         user={sessionUser}
         initialPrefs={preferences}
         templates={templates}
+        itemTypes={itemTypes}
+        onSaved={() => setHistoryKey(k => k + 1)}
       />
+      <PreferenceHistory userId={sessionUser.id} itemTypes={itemTypes} refreshKey={historyKey} />
       <div style={{ marginTop: 24, color: '#444' }}>
         <small>
           Tip: choose platforms (codeforces, leetcode, interviewbit etc), classes you attend (it will be used to auto-create class-related checklist items),
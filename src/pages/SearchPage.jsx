@@ -1,11 +1,18 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import UserTable from '../components/UserTable';
+import ContractChanges from '../components/ContractChanges';
 
 export default function SearchPage() {
   const [users, setUsers] = useState([]);
   const [query, setQuery] = useState('');
-  const [selectedUserId, setSelectedUserId] = useState(null);
+  // ?user=<id> preselects a participant (links from notifications)
+  const [selectedUserId, setSelectedUserId] = useState(() => {
+    try {
+      if (typeof window === 'undefined') return null;
+      return new URLSearchParams(window.location.search).get('user') || null;
+    } catch (e) { return null; }
+  });
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -72,7 +79,10 @@ export default function SearchPage() {
 
         <div style={{ flex: 1 }}>
           {selectedUserId ? (
-            <UserTable userId={selectedUserId} />
+            <>
+              <ContractChanges userId={selectedUserId} />
+              <UserTable userId={selectedUserId} />
+            </>
           ) : (
             <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 6 }}>
               Select a user to view their history in table form.
@@ -4,6 +4,8 @@ import { supabase } from '../supabaseClient';
 import TaskForm from '../components/TaskForm';
 import TaskList from '../components/TaskList';
 import TaskCalendar from '../components/TaskCalendar';
+import { withTaskDetails } from '../utils/subtasks';
+import { generateDueInstances } from '../utils/taskSeries';
 import dayjs from 'dayjs';
 
 /*
@@ -11,6 +13,8 @@ TaskRegistryPage (updated)
 - By default shows only the current user's tasks (as requested).
 - Optionally toggle "Show all users" to inspect others.
 - Keeps realtime subscription and reload behavior.
+- Tasks carry their subtasks and "blocked by" tasks (utils/subtasks.js).
+- Recurring tasks: the next week's occurrences of the user's series are generated on open (utils/taskSeries.js).
 */
 
 export default function TaskRegistryPage() {
@@ -38,7 +42,7 @@ export default function TaskRegistryPage() {
   const loadTasks = useCallback(async () => {
     setLoading(true);
     try {
-      let query = supabase.from('tasks').select('*').order('created_at', { ascending: false });
+      let query = supabase.from('tasks').select('*, task_series(rrule)').order('created_at', { ascending: false });
 
       if (!showAllUsers) {
         // show only my tasks
@@ -65,7 +69,7 @@ export default function TaskRegistryPage() {
         remaining_seconds: t.remaining_seconds ?? (t.duration_minutes ? t.duration_minutes * 60 : null),
       }));
 
-      setTasks(normalized);
+      setTasks(await withTaskDetails(normalized));
 
       // update available creators when showing all
       if (showAllUsers) {
@@ -91,6 +95,12 @@ export default function TaskRegistryPage() {
     loadTasks();
   }, [user, showAllUsers, selectedCreator, loadTasks]);
 
+  // recurring tasks: make sure the coming week's occurrences exist (realtime reloads the list)
+  useEffect(() => {
+    if (!user) return;
+    generateDueInstances(user.id).catch(err => console.warn('generate recurring tasks failed', err));
+  }, [user]);
+
   // realtime subscription to tasks table: reload on any change
   useEffect(() => {
     const channel = supabase
@@ -98,6 +108,8 @@ export default function TaskRegistryPage() {
       .on('postgres_changes', { event: '*', schema: 'public', table: 'tasks' }, () => {
         loadTasks();
       })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'task_subtasks' }, () => loadTasks())
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'task_dependencies' }, () => loadTasks())
       .subscribe();
 
     return () => {
@@ -131,7 +143,7 @@ export default function TaskRegistryPage() {
           width: 420, border: '1px solid #e6e9ee', padding: 16, borderRadius: 10, background: '#fff'
         }}>
           <h3 style={{ marginTop: 0 }}>{editingTask ? 'Edit task' : 'Create new task'}</h3>
-          <TaskForm user={user} task={editingTask} onSaved={onSaved} onCancel={() => setEditingTask(null)} />
+          <TaskForm user={user} task={editingTask} tasks={tasks.filter(t => t.created_by === user.id)} onSaved={onSaved} onCancel={() => setEditingTask(null)} />
           <div style={{ marginTop: 12, fontSize: 13, color: '#666' }}>
             Notes: by default you only see your tasks. Toggle "Show all users" to inspect others.
           </div>
@@ -0,0 +1,60 @@
+// src/utils/activeTimer.js
+import { supabase } from '../supabaseClient';
+
+/*
+activeTimer.js
+- One running task timer per member (active_timers): start_task_session claims it for this tab,
+  pausing any other running task, and end_task_session releases it
+- tabId: per-tab id (sessionStorage) sent as the claiming device, so a tab can tell whether it
+  drives the running timer or only follows one started in another tab/device
+- timerRemaining: what is left on the active timer, from its session (started with
+  planned_seconds on the clock)
+*/
+
+const TAB_KEY = 'timer-tab-id';
+let memoTabId = null;
+
+export function tabId() {
+  if (memoTabId) return memoTabId;
+  try {
+    memoTabId = sessionStorage.getItem(TAB_KEY);
+    if (!memoTabId) {
+      memoTabId = (crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      sessionStorage.setItem(TAB_KEY, memoTabId);
+    }
+  } catch (e) {
+    memoTabId = memoTabId || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+  return memoTabId;
+}
+
+// { user_id, task_id, device_id, claimed_at, tasks: { title }, task_sessions: { started_at, planned_seconds } } or null
+export async function loadActiveTimer(userId) {
+  const { data, error } = await supabase
+    .from('active_timers')
+    .select('user_id,task_id,device_id,claimed_at,tasks(title),task_sessions(started_at,planned_seconds)')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// realtime: calls onChange() whenever the member's active timer is claimed, moved or released;
+// `name` keeps channels of different components in one tab apart
+export function subscribeActiveTimer(userId, name, onChange) {
+  return supabase
+    .channel(`active-timer-${name}-${userId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'active_timers', filter: `user_id=eq.${userId}` }, () => onChange())
+    .subscribe();
+}
+
+export function isThisTab(timer) {
+  return Boolean(timer) && timer.device_id === tabId();
+}
+
+// seconds left, or null when the session isn't known
+export function timerRemaining(timer, now = Date.now()) {
+  const s = timer?.task_sessions;
+  if (!s || s.planned_seconds == null) return null;
+  return Math.max(0, s.planned_seconds - Math.floor((now - Date.parse(s.started_at)) / 1000));
+}
@@ -0,0 +1,79 @@
+// src/utils/appeals.js
+import { supabase } from '../supabaseClient';
+import { uploadFile } from './uploads';
+
+/*
+appeals.js
+- Per-fine appeals (fine_appeals + fine_appeal_votes), written only through RPCs
+- Other members vote; the first side to reach group_settings['appeal_policy'].votes_needed
+  decides (an admin's vote decides alone)
+- An approved appeal zeroes just that fine, turns anything paid towards it into credit and
+  is logged in fines_history
+- Attachments go to the chat-uploads bucket under appeals/<user>/
+*/
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+export const APPEAL_STATUS_COLORS = {
+  pending: '#f59e0b',
+  approved: '#16a34a',
+  rejected: '#ef4444'
+};
+
+export async function fileAppeal({ userId, fineId, reason, attachmentUrl = null, file = null }) {
+  let url = attachmentUrl || null;
+  let path = null;
+  if (file) {
+    const uploaded = await uploadFile(`appeals/${userId}`, file, { maxSize: MAX_ATTACHMENT_SIZE });
+    url = uploaded.url;
+    path = uploaded.path;
+  }
+  const { data, error } = await supabase.rpc('file_fine_appeal', {
+    p_fine_id: fineId,
+    p_reason: reason,
+    p_attachment_url: url,
+    p_attachment_path: path
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function voteOnAppeal(appealId, vote, note = null) {
+  const { data, error } = await supabase.rpc('vote_fine_appeal', { p_appeal_id: appealId, p_vote: vote, p_note: note });
+  if (error) throw error;
+  return data;
+}
+
+// appeals (with their votes) for a user, optionally limited to one date
+export async function loadAppeals(userId, date = null) {
+  let q = supabase.from('fine_appeals').select('*').eq('user_id', userId).order('created_at', { ascending: false });
+  if (date) q = q.eq('date', date);
+  const { data: appeals, error } = await q;
+  if (error) throw error;
+  if (!appeals || appeals.length === 0) return [];
+
+  const { data: votes, error: votesErr } = await supabase
+    .from('fine_appeal_votes')
+    .select('*')
+    .in('appeal_id', appeals.map(a => a.id));
+  if (votesErr) throw votesErr;
+  return appeals.map(a => ({ ...a, votes: (votes || []).filter(v => v.appeal_id === a.id) }));
+}
+
+// latest appeal per fine id (a rejected fine can be appealed again)
+export function latestAppealByFine(appeals) {
+  const map = {};
+  (appeals || []).forEach(a => {
+    if (!a.fine_id) return;
+    if (!map[a.fine_id] || new Date(a.created_at) > new Date(map[a.fine_id].created_at)) map[a.fine_id] = a;
+  });
+  return map;
+}
+
+export function voteTally(appeal) {
+  const votes = appeal?.votes || [];
+  return {
+    approve: votes.filter(v => v.vote === 'approve').length,
+    reject: votes.filter(v => v.vote === 'reject').length
+  };
+}
@@ -0,0 +1,255 @@
+// src/utils/checklist.js
+import { weekdayOf, addDays, wallTimeIn, periodBounds, eachDay, daysBetween } from './dates.js';
+import { DEFAULT_ITEM_TYPES, sortItemTypes, itemTypeEntries, renderItemLabel } from './itemCatalogue.js';
+
+/*
+checklist.js
+- Pure checklist rules shared by DailyChecklist (browser) and the nightly sweeper (node)
+- buildEmptyChecksFromPrefs: preferences row + item type catalogue -> { key: { done, label, penalty, meta } } for a date
+- suspensionCovers / isExcusedOn: date ranges with optional weekdays; only 'active' suspensions excuse
+- applyItemExcuses: partial suspensions (item types / keys) flag single items as excused
+- itemWindow / windowTickState: sport and class items in "check in during the window" mode (window_tick_state)
+- wakeItemState / applyWakeCheckins: the wake item follows server-stamped check-ins (wake_item_state)
+- itemQuota / quotaProgress: per-week / per-month quota items, settled when the period closes (settle_quota_periods)
+- linkableChecklistItems / findLinkedItemKey: checklist items a task can be bound to, and finding it on a day
+- applyChecklistTicks: ticks recorded before the day was saved (checklist_ticks) mark their items done
+- Keep this file free of supabase/browser imports so scripts/ can load it directly
+*/
+
+export function keyFor(prefix, idx) {
+  return `${prefix}_${idx}`;
+}
+
+export function normalizeDaysField(days) {
+  if (!days) return [];
+  if (Array.isArray(days)) return days.map(d => String(d).toLowerCase().slice(0,3));
+  return String(days).split(',').map(s => s.trim()).filter(Boolean).map(s => s.toLowerCase().slice(0,3));
+}
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// mirrors suspension_covers in the database (status is checked separately)
+export function suspensionCovers(s, dateStr) {
+  if (!s) return false;
+  const start = String(s.start_date).slice(0,10);
+  const end = String(s.end_date || s.start_date).slice(0,10);
+  if (dateStr < start || dateStr > end) return false;
+  const weekdays = Array.isArray(s.weekdays) ? s.weekdays : [];
+  return weekdays.length === 0 || weekdays.includes(weekdayOf(dateStr));
+}
+
+// partial suspensions only excuse some item types / keys (suspension_is_partial)
+export function suspensionIsPartial(s) {
+  return (s?.item_types || []).length > 0 || (s?.item_keys || []).length > 0;
+}
+
+export function suspensionExcusesItem(s, key, item) {
+  if (!suspensionIsPartial(s)) return true;
+  const type = item?.meta?.type || item?.type || '';
+  return (s.item_keys || []).includes(key) || (s.item_types || []).includes(type);
+}
+
+// rows written before suspensions had a status are active
+const activeOn = (suspensions, dateStr) =>
+  (suspensions || []).filter(s => (s.status || 'active') === 'active' && suspensionCovers(s, dateStr));
+
+// whole-day excuse for the date, if any
+export function isExcusedOn(suspensions, dateStr) {
+  return activeOn(suspensions, dateStr).find(s => !suspensionIsPartial(s)) || null;
+}
+
+// checks with `excused` set from the partial suspensions of the date (mark_excused_items)
+export function applyItemExcuses(checks, suspensions, dateStr) {
+  const partial = activeOn(suspensions, dateStr).filter(suspensionIsPartial);
+  const out = {};
+  Object.entries(checks || {}).forEach(([k, v]) => {
+    if (!v || typeof v !== 'object') {
+      out[k] = v;
+      return;
+    }
+    const { excused, ...rest } = v;
+    out[k] = partial.some(s => suspensionExcusesItem(s, k, v)) ? { ...rest, excused: true } : rest;
+  });
+  return out;
+}
+
+// mirrors wake_item_state: done with an on-time check-in today or once the week (Mon–Sun) has
+// required_count of them; `achievable` while the days left can still reach it (no fine yet)
+export function wakeItemState(checkins, dateStr, wakeRule) {
+  const required = Math.min(Math.max(Number(wakeRule?.required_count || 1), 1), 7);
+  const idx = WEEKDAYS.indexOf(weekdayOf(dateStr));
+  const monday = addDays(dateStr, -idx);
+  const week = (checkins || []).filter(c => String(c.date) >= monday && String(c.date) <= dateStr);
+  const today = week.find(c => String(c.date) === dateStr) || null;
+  const weekOnTime = week.filter(c => c.on_time).length;
+  const done = !!(today && today.on_time) || weekOnTime >= required;
+  return {
+    checked_in_at: today ? today.checked_in_at : null,
+    on_time: !!(today && today.on_time),
+    target_time: today ? today.target_time : null,
+    week_on_time: weekOnTime,
+    required,
+    done,
+    achievable: done || weekOnTime + (6 - idx) >= required
+  };
+}
+
+export function applyWakeCheckins(checks, checkins, dateStr, wakeRule) {
+  const w = checks && checks.wake;
+  if (!w || typeof w !== 'object') return checks;
+  const state = wakeItemState(checkins, dateStr, wakeRule);
+  return { ...checks, wake: { ...w, done: state.done, checkin: state } };
+}
+
+// meta.window for a sport / class preference entry in window mode, else null (mirrors item_window)
+export function itemWindow(entry) {
+  if (!entry || !entry.window_mode || !entry.start_time || !entry.end_time) return null;
+  return {
+    start: entry.start_time,
+    end: entry.end_time,
+    slack_minutes: Math.max(0, Number(entry.slack_minutes ?? 15)),
+    late_multiplier: Math.max(0, Number(entry.late_multiplier ?? 0.5))
+  };
+}
+
+// mirrors window_tick_state: 'on_time' inside the window (± slack), 'evidence' when a calendar
+// event overlaps the window, else 'late'
+export function windowTickState(win, dateStr, tickedAt, tz, events = []) {
+  if (!win) return null;
+  const start = wallTimeIn(`${dateStr} ${win.start}`, tz).getTime();
+  let end = wallTimeIn(`${dateStr} ${win.end}`, tz).getTime();
+  if (end <= start) end = wallTimeIn(`${addDays(dateStr, 1)} ${win.end}`, tz).getTime();
+  const slack = Number(win.slack_minutes || 0) * 60000;
+  const at = new Date(tickedAt).getTime();
+  let status = 'late';
+  if (at >= start - slack && at <= end + slack) status = 'on_time';
+  else if ((events || []).some(e => new Date(e.start_ts).getTime() < end && new Date(e.end_ts).getTime() > start)) status = 'evidence';
+  return {
+    status,
+    ticked_at: new Date(at).toISOString(),
+    window_start: new Date(start).toISOString(),
+    window_end: new Date(end).toISOString(),
+    slack_minutes: Number(win.slack_minutes || 0),
+    multiplier: status === 'late' ? Number(win.late_multiplier ?? 1) : 1
+  };
+}
+
+export function isItemDone(v) {
+  if (v === undefined) return false;
+  if (v && typeof v === 'object') return !!v.done;
+  return !!v;
+}
+
+// items of every catalogue type scheduled on dateStr; keys are <type>_<idx> (single types: <type>)
+export function buildEmptyChecksFromPrefs(prefsObj, dateStr, itemTypes = DEFAULT_ITEM_TYPES) {
+  const result = {};
+  const todayWeek = weekdayOf(dateStr); // e.g., 'mon'
+
+  sortItemTypes(itemTypes).forEach(type => {
+    const schedule = type.schedule || { kind: 'daily' };
+    itemTypeEntries(prefsObj, type).forEach((entry, idx) => {
+      if (schedule.kind === 'weekdays') {
+        const days = normalizeDaysField(schedule.days_field ? entry[schedule.days_field] : schedule.days);
+        if (!days.includes(todayWeek)) return;
+      }
+
+      const meta = type.single ? { type: type.key } : { type: type.key, ref: entry.id || null };
+      (type.meta_fields || []).forEach(name => {
+        const field = (type.fields || []).find(f => f.name === name) || {};
+        const v = entry[name] ?? field.default ?? null;
+        if (field.kind === 'number') meta[name] = Number(v || 1);
+        else if (field.kind === 'weekdays') meta[name] = normalizeDaysField(v);
+        else meta[name] = v;
+      });
+      if (type.supports_window) meta.window = itemWindow(entry);
+      const quota = schedule.kind === 'daily' && !type.single ? entryQuota(entry) : null;
+      if (quota) meta.schedule = quota;
+      else if (QUOTA_PERIODS[schedule.kind]) meta.schedule = { kind: schedule.kind, count: Number(schedule.count || 1) };
+
+      result[type.single ? type.key : keyFor(type.key, idx)] = {
+        done: false,
+        label: renderItemLabel(type, entry),
+        penalty: entry.penalty ?? type.default_penalty ?? 10,
+        meta
+      };
+    });
+  });
+
+  return result;
+}
+
+// preference entries a task can be bound to: [{ type, typeName, key, ref, label }];
+// single types (wake) follow check-ins and are left out
+export function linkableChecklistItems(prefsObj, itemTypes = DEFAULT_ITEM_TYPES) {
+  const out = [];
+  sortItemTypes(itemTypes).filter(t => !t.single).forEach(type => {
+    itemTypeEntries(prefsObj, type).forEach((entry, idx) => {
+      out.push({ type: type.key, typeName: type.name, key: keyFor(type.key, idx), ref: entry.id || null, label: renderItemLabel(type, entry) });
+    });
+  });
+  return out;
+}
+
+// key of a task's linked item in a day's checks, or null; by entry id when the entry has one
+// (keys follow the entry's position), else by key; link: { type, key, ref }
+export function findLinkedItemKey(checks, link) {
+  if (!link?.type) return null;
+  if (link.ref) {
+    const byRef = Object.entries(checks || {}).find(([, v]) => v?.meta?.type === link.type && v?.meta?.ref === link.ref);
+    return byRef ? byRef[0] : null;
+  }
+  const v = link.key ? checks?.[link.key] : null;
+  return v && (v.meta?.type ?? link.type) === link.type ? link.key : null;
+}
+
+// ticks: { item_key: ticked_at }; mirrors the merge in sweep_daily_checks
+export function applyChecklistTicks(checks, ticks) {
+  const out = { ...(checks || {}) };
+  Object.keys(ticks || {}).forEach(k => {
+    if (out[k] && typeof out[k] === 'object' && !out[k].done) out[k] = { ...out[k], done: true };
+  });
+  return out;
+}
+
+export const QUOTA_PERIODS = { per_week: 'week', per_month: 'month' };
+
+// preference entry of a daily type turned into a quota: quota_period 'week' | 'month' + quota_count
+function entryQuota(entry) {
+  const kind = `per_${entry.quota_period}`;
+  if (!QUOTA_PERIODS[kind] || !(Number(entry.quota_count) >= 1)) return null;
+  return { kind, count: Number(entry.quota_count) };
+}
+
+// { period: 'week' | 'month', count } for quota items, else null; quota items get no daily fine
+export function itemQuota(v) {
+  const s = v && typeof v === 'object' && v.meta ? v.meta.schedule : null;
+  if (!s || !QUOTA_PERIODS[s.kind]) return null;
+  return { period: QUOTA_PERIODS[s.kind], count: Math.max(1, Number(s.count || 1)) };
+}
+
+export function isQuotaItem(v) {
+  return !!itemQuota(v);
+}
+
+// ticks of a quota item over the period containing dateStr; checksByDate = { 'YYYY-MM-DD': checks }.
+// Excused days (partial excuse on the item, or a whole-day suspension) count towards the quota.
+export function quotaProgress(checksByDate, key, dateStr, quota, suspensions = []) {
+  const { start, end } = periodBounds(dateStr, quota.period);
+  let achieved = 0;
+  let excused = 0;
+  eachDay(start, end).forEach(d => {
+    const v = (checksByDate || {})[d]?.[key];
+    if (v === undefined) return;
+    if (isItemDone(v)) achieved++;
+    else if ((v && v.excused) || isExcusedOn(suspensions, d)) excused++;
+  });
+  return {
+    start,
+    end,
+    achieved,
+    excused,
+    target: quota.count,
+    shortfall: Math.max(0, quota.count - achieved - excused),
+    daysLeft: Math.max(0, daysBetween(dateStr, end))
+  };
+}
@@ -0,0 +1,48 @@
+// src/utils/checklist.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { wakeItemState, applyChecklistTicks } from './checklist.js';
+
+/*
+checklist.test.js
+- Pure checklist rules (no supabase); run with `npm test`
+*/
+
+const checks = {
+  dsa_0: { done: false, label: 'DSA', penalty: 20 },
+  wake: { done: true, label: 'Wake up' }
+};
+
+// 2026-10-19 is a Monday
+const checkin = (date, on_time = true) => ({ date, on_time, checked_in_at: `${date}T06:00:00Z`, target_time: '07:00' });
+
+test('a wake day without a check-in is not done while the week can still reach the quota', () => {
+  const state = wakeItemState([checkin('2026-10-19')], '2026-10-20', { required_count: 3 });
+  assert.equal(state.done, false);
+  assert.equal(state.achievable, true);
+  assert.equal(state.week_on_time, 1);
+});
+
+test('the wake item is done by an on-time check-in today or a met weekly quota', () => {
+  assert.equal(wakeItemState([checkin('2026-10-20')], '2026-10-20', { required_count: 5 }).done, true);
+  assert.equal(wakeItemState([checkin('2026-10-20', false)], '2026-10-20', { required_count: 5 }).done, false);
+  const met = ['2026-10-19', '2026-10-20', '2026-10-21'].map(d => checkin(d));
+  assert.equal(wakeItemState(met, '2026-10-22', { required_count: 3 }).done, true);
+});
+
+test('once the week can no longer reach the quota the day is neither done nor achievable', () => {
+  // Saturday with one on-time check-in and Sunday left: 1 + 1 < 3
+  const state = wakeItemState([checkin('2026-10-19')], '2026-10-24', { required_count: 3 });
+  assert.equal(state.done, false);
+  assert.equal(state.achievable, false);
+  // last week's check-ins don't count
+  assert.equal(wakeItemState([checkin('2026-10-18')], '2026-10-19', { required_count: 1 }).week_on_time, 0);
+});
+
+test('recorded ticks mark their items done and leave the rest alone', () => {
+  const merged = applyChecklistTicks(checks, { dsa_0: '2026-10-19T10:00:00Z', gone_0: '2026-10-19T11:00:00Z' });
+  assert.equal(merged.dsa_0.done, true);
+  assert.equal(merged.dsa_0.label, 'DSA');
+  assert.equal(merged.gone_0, undefined);
+  assert.equal(checks.dsa_0.done, false);
+});
@@ -0,0 +1,22 @@
+// src/utils/checklistTicks.js
+import { supabase } from '../supabaseClient';
+
+/*
+checklistTicks.js
+- The moment a checklist item was ticked (checklist_ticks), recorded by the server clock when the
+  box is ticked rather than when the checklist is saved; window items are judged by it
+- record_checklist_tick only records the tick: fines are evaluated on the next save or sweep
+*/
+
+export async function recordChecklistTick(date, key, done, taskId = null) {
+  const { data, error } = await supabase.rpc('record_checklist_tick', { p_date: date, p_key: key, p_done: done, p_task_id: taskId });
+  if (error) throw error;
+  return data;
+}
+
+// { item_key: ticked_at } for a user's date
+export async function loadChecklistTicks(userId, date) {
+  const { data, error } = await supabase.from('checklist_ticks').select('item_key, ticked_at').eq('user_id', userId).eq('date', date);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(t => [t.item_key, t.ticked_at]));
+}
@@ -0,0 +1,61 @@
+// src/utils/contractChanges.js
+import { supabase } from '../supabaseClient';
+
+/*
+contractChanges.js
+- Weakening preference changes (see contractWeakenings in prefVersions.js) are filed as
+  contract_change_requests and applied after the cooling-off period of the group
+  'contract_change_policy' setting, or earlier when another member signs them off
+- Strengthening changes keep saving straight to preferences
+- apply_my_due_contract_changes applies the caller's requests whose cooling-off period is over
+*/
+
+export const DEFAULT_CONTRACT_CHANGE_POLICY = { cooling_off_hours: 72, peer_approval: true };
+
+export async function loadContractChangePolicy() {
+  const { data, error } = await supabase.from('group_settings').select('value').eq('key', 'contract_change_policy').maybeSingle();
+  if (error) throw error;
+  return { ...DEFAULT_CONTRACT_CHANGE_POLICY, ...(data?.value || {}) };
+}
+
+export async function requestContractChange(prefs) {
+  const { data, error } = await supabase.rpc('request_contract_change', { p_prefs: prefs });
+  if (error) throw error;
+  return data;
+}
+
+export async function decideContractChange(requestId, approve, note = null) {
+  const { data, error } = await supabase.rpc('decide_contract_change', { p_request_id: requestId, p_approve: approve, p_note: note });
+  if (error) throw error;
+  return data;
+}
+
+export async function cancelContractChange(requestId) {
+  const { data, error } = await supabase.rpc('cancel_contract_change', { p_request_id: requestId });
+  if (error) throw error;
+  return data;
+}
+
+export async function applyMyDueContractChanges() {
+  const { data, error } = await supabase.rpc('apply_my_due_contract_changes');
+  if (error) throw error;
+  return data || 0;
+}
+
+// the member's pending request plus the last few decided ones, newest first
+export async function loadContractChanges(userId, limit = 5) {
+  const { data, error } = await supabase
+    .from('contract_change_requests')
+    .select('*')
+    .eq('user_id', userId)
+    .order('requested_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+export function describeEffectiveAt(req, policy = DEFAULT_CONTRACT_CHANGE_POLICY) {
+  if (!req.effective_at) return 'once another member signs it off';
+  const at = new Date(req.effective_at).toLocaleString();
+  return policy.peer_approval ? `on ${at}, or earlier if another member signs it off` : `on ${at}`;
+}
@@ -0,0 +1,122 @@
+// src/utils/dates.js
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/*
+dates.js
+- Shared calendar-day helpers for fines, checklist, suspensions and consistency
+- A "date" is always a plain 'YYYY-MM-DD' string for the user's local calendar day
+- Which day "now" falls on depends on the user's timezone (profiles.timezone); a profile without
+  one uses DEFAULT_TIMEZONE (UTC), the same fallback as the database and the sweeper
+- Arithmetic on date strings is done in UTC so DST shifts can't skip or repeat a day
+*/
+
+const DATE_FMT = 'YYYY-MM-DD';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+export function browserTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+export function isValidTimezone(tz) {
+  if (!tz) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// profile timezone if set and valid, else DEFAULT_TIMEZONE (never the browser's: the server
+// has to agree on where the member's day starts)
+export function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// calendar day an instant falls on in tz
+export function dateStrIn(ts, tz) {
+  return dayjs(ts).tz(resolveTimezone(tz)).format(DATE_FMT);
+}
+
+// wall-clock 'HH:mm' of an instant in tz
+export function timeStrIn(ts, tz) {
+  return dayjs(ts).tz(resolveTimezone(tz)).format('HH:mm');
+}
+
+export function todayStr(tz, now = new Date()) {
+  return dateStrIn(now, tz);
+}
+
+export function addDays(dateStr, n) {
+  return dayjs.utc(dateStr).add(n, 'day').format(DATE_FMT);
+}
+
+// whole calendar days from a to b (b - a)
+export function daysBetween(a, b) {
+  return dayjs.utc(b).diff(dayjs.utc(a), 'day');
+}
+
+// 'mon' | 'tue' | ... for a calendar day
+export function weekdayOf(dateStr) {
+  return dayjs.utc(dateStr).format('ddd').toLowerCase().slice(0,3);
+}
+
+// instant at which dateStr begins in tz (handles DST days of 23/25 hours)
+export function startOfDayIn(dateStr, tz) {
+  return dayjs.tz(dateStr, resolveTimezone(tz));
+}
+
+// instant of a wall-clock time ('YYYY-MM-DD HH:mm:ss') in tz
+export function wallTimeIn(str, tz) {
+  return dayjs.tz(str, resolveTimezone(tz)).toDate();
+}
+
+// the instant n calendar days after ts at the same wall-clock time in tz
+export function shiftDaysIn(ts, n, tz) {
+  const local = dayjs(ts).tz(resolveTimezone(tz));
+  return wallTimeIn(`${addDays(local.format(DATE_FMT), n)} ${local.format('HH:mm:ss')}`, tz);
+}
+
+export function hoursSinceDayStart(dateStr, tz, now = new Date()) {
+  return dayjs(now).diff(startOfDayIn(dateStr, tz), 'hour');
+}
+
+// inclusive list of `days` calendar days ending today in tz, oldest first
+export function lastNDays(days, tz, now = new Date()) {
+  const end = todayStr(tz, now);
+  const arr = [];
+  for (let i = days - 1; i >= 0; i--) arr.push(addDays(end, -i));
+  return arr;
+}
+
+// first and last calendar day of the Mon–Sun week or calendar month containing dateStr
+export function periodBounds(dateStr, period) {
+  if (period === 'month') {
+    const start = dayjs.utc(dateStr).startOf('month');
+    return { start: start.format(DATE_FMT), end: start.endOf('month').format(DATE_FMT) };
+  }
+  const start = addDays(dateStr, -((dayjs.utc(dateStr).day() + 6) % 7));
+  return { start, end: addDays(start, 6) };
+}
+
+// inclusive list of calendar days between two dates
+export function eachDay(startStr, endStr) {
+  const arr = [];
+  const n = daysBetween(startStr, endStr);
+  for (let i = 0; i <= n; i++) arr.push(addDays(startStr, i));
+  return arr;
+}
+
+export const TIMEZONE_CHOICES = [
+  'Asia/Kolkata', 'UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York',
+  'America/Chicago', 'America/Los_Angeles', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'
+];
@@ -0,0 +1,86 @@
+// src/utils/dates.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TIMEZONE, resolveTimezone, todayStr, dateStrIn, timeStrIn, startOfDayIn, wallTimeIn,
+  hoursSinceDayStart, addDays, daysBetween, weekdayOf, lastNDays, eachDay, shiftDaysIn
+} from './dates.js';
+
+/*
+dates.test.js
+- Day boundaries across DST transitions (America/New_York, Europe/Berlin) and in a
+  half-hour-offset zone (Asia/Kolkata, UTC+5:30)
+- Run with `npm test`
+*/
+
+const NY = 'America/New_York';
+const BERLIN = 'Europe/Berlin';
+const IST = 'Asia/Kolkata';
+
+test('an unset or unknown timezone falls back to UTC, as in the database and the sweeper', () => {
+  assert.equal(DEFAULT_TIMEZONE, 'UTC');
+  assert.equal(resolveTimezone(null), 'UTC');
+  assert.equal(resolveTimezone('Not/AZone'), 'UTC');
+  assert.equal(resolveTimezone(IST), IST);
+  assert.equal(todayStr(null, new Date('2026-10-18T23:59:59Z')), '2026-10-18');
+  assert.equal(todayStr(null, new Date('2026-10-19T00:00:00Z')), '2026-10-19');
+});
+
+test('spring-forward day is 23 hours long', () => {
+  // 2026-03-08: clocks go from 02:00 EST to 03:00 EDT
+  assert.equal(startOfDayIn('2026-03-08', NY).toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(startOfDayIn('2026-03-09', NY).toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(hoursSinceDayStart('2026-03-08', NY, new Date('2026-03-09T04:00:00Z')), 23);
+  assert.equal(todayStr(NY, new Date('2026-03-09T03:59:59Z')), '2026-03-08');
+  assert.equal(todayStr(NY, new Date('2026-03-09T04:00:00Z')), '2026-03-09');
+  assert.equal(wallTimeIn('2026-03-08 03:30', NY).toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('fall-back day is 25 hours long', () => {
+  // 2026-11-01: clocks go from 02:00 EDT back to 01:00 EST
+  assert.equal(startOfDayIn('2026-11-01', NY).toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.equal(startOfDayIn('2026-11-02', NY).toISOString(), '2026-11-02T05:00:00.000Z');
+  assert.equal(hoursSinceDayStart('2026-11-01', NY, new Date('2026-11-02T05:00:00Z')), 25);
+  assert.equal(todayStr(NY, new Date('2026-11-02T04:59:59Z')), '2026-11-01');
+  assert.equal(todayStr(NY, new Date('2026-11-02T05:00:00Z')), '2026-11-02');
+});
+
+test('European DST switch moves the day start, not the date', () => {
+  // 2026-03-29 and 2026-10-25 in Berlin
+  assert.equal(startOfDayIn('2026-03-29', BERLIN).toISOString(), '2026-03-28T23:00:00.000Z');
+  assert.equal(startOfDayIn('2026-03-30', BERLIN).toISOString(), '2026-03-29T22:00:00.000Z');
+  assert.equal(startOfDayIn('2026-10-26', BERLIN).toISOString(), '2026-10-25T23:00:00.000Z');
+  assert.equal(dateStrIn('2026-10-25T22:59:59Z', BERLIN), '2026-10-25');
+});
+
+test('date arithmetic never skips or repeats a day across DST', () => {
+  assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+  assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+  assert.equal(addDays('2026-11-01', 1), '2026-11-02');
+  assert.equal(addDays('2026-11-02', -2), '2026-10-31');
+  assert.equal(daysBetween('2026-03-01', '2026-03-15'), 14);
+  assert.equal(daysBetween('2026-10-25', '2026-11-08'), 14);
+  assert.deepEqual(eachDay('2026-10-31', '2026-11-02'), ['2026-10-31', '2026-11-01', '2026-11-02']);
+  assert.equal(weekdayOf('2026-03-08'), 'sun');
+  assert.equal(weekdayOf('2026-11-02'), 'mon');
+  assert.deepEqual(lastNDays(3, NY, new Date('2026-03-09T12:00:00Z')), ['2026-03-07', '2026-03-08', '2026-03-09']);
+});
+
+test('shifting by days keeps the wall-clock time across DST', () => {
+  // 09:00 EDT the day before fall-back is 09:00 EST the day after
+  assert.equal(shiftDaysIn('2026-10-31T13:00:00Z', 2, NY).toISOString(), '2026-11-02T14:00:00.000Z');
+  assert.equal(shiftDaysIn('2026-03-07T14:00:00Z', 1, NY).toISOString(), '2026-03-08T13:00:00.000Z');
+  assert.equal(shiftDaysIn('2026-10-19T01:30:00Z', 7, IST).toISOString(), '2026-10-26T01:30:00.000Z');
+});
+
+test('UTC+5:30 days start at 18:30 UTC the evening before', () => {
+  assert.equal(startOfDayIn('2026-10-19', IST).toISOString(), '2026-10-18T18:30:00.000Z');
+  assert.equal(todayStr(IST, new Date('2026-10-18T18:29:59Z')), '2026-10-18');
+  assert.equal(todayStr(IST, new Date('2026-10-18T18:30:00Z')), '2026-10-19');
+  assert.equal(timeStrIn('2026-10-19T01:30:00Z', IST), '07:00');
+  assert.equal(wallTimeIn('2026-10-19 07:00', IST).toISOString(), '2026-10-19T01:30:00.000Z');
+  assert.equal(hoursSinceDayStart('2026-10-19', IST, new Date('2026-10-19T18:29:00Z')), 23);
+  // the same instant is already tomorrow in India while still today in UTC
+  assert.equal(todayStr(IST, new Date('2026-10-19T20:00:00Z')), '2026-10-20');
+  assert.equal(todayStr('UTC', new Date('2026-10-19T20:00:00Z')), '2026-10-19');
+});
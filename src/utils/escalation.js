@@ -0,0 +1,116 @@
+// src/utils/escalation.js
+import { daysBetween } from './dates.js';
+
+/*
+escalation.js
+- Escalation policies for fines (pure; the ledger that stores them is fineEngine.js):
+    curve          -> 'exponential' | 'linear' | 'fibonacci' | 'capped-step' (see ESCALATION_CURVES)
+    base / step / steps -> curve parameters
+    max_multiplier -> cap applied to every curve (null = uncapped)
+    decay          -> what a success does to the multiplier: 'halve' | 'step-down' | 'reset'
+    grace_days     -> extra days allowed between misses that still count as a streak
+- nextMissState / nextSuccessState drive the per-domain ledger (fineEngine.js)
+- streakEscalation prices a checklist miss from the domain's judged days; escalation_for in the
+  database mirrors it (ESCALATION_CURVES, DECAY_MODES, max_multiplier, grace_days)
+*/
+
+export const computeAmount = (base, mult) => (Number(base || 0) * Number(mult || 1));
+
+// multiplier for the n-th consecutive miss (n >= 1)
+export const ESCALATION_CURVES = {
+  exponential: (n, p) => Math.pow(Number(p.base) || 2, n),
+  linear: (n, p) => 1 + (Number(p.step) || 1) * n,
+  fibonacci: (n) => {
+    let a = 1, b = 2;
+    for (let i = 1; i < n; i++) [a, b] = [b, a + b];
+    return b;
+  },
+  'capped-step': (n, p) => {
+    const steps = Array.isArray(p.steps) && p.steps.length ? p.steps : [2, 3, 5];
+    return Number(steps[Math.min(n, steps.length) - 1]) || 1;
+  }
+};
+
+export const DECAY_MODES = {
+  halve: (mult) => Math.floor(mult / 2),
+  'step-down': (mult) => mult - 1,
+  reset: () => 1
+};
+
+// matches the original hard-coded behaviour: x2 per consecutive miss, halve on success
+export const DEFAULT_POLICY = {
+  curve: 'exponential',
+  base: 2,
+  max_multiplier: null,
+  decay: 'halve',
+  grace_days: 0
+};
+
+export function resolvePolicy(policy) {
+  const merged = { ...DEFAULT_POLICY, ...(policy || {}) };
+  if (!ESCALATION_CURVES[merged.curve]) throw new Error(`unknown escalation curve: ${merged.curve}`);
+  if (!DECAY_MODES[merged.decay]) throw new Error(`unknown decay mode: ${merged.decay}`);
+  return merged;
+}
+
+export function applyCap(mult, cap) {
+  if (cap === null || cap === undefined || cap === '') return mult;
+  return Math.min(mult, Number(cap));
+}
+
+// pure: next fine state after a miss on missDate
+export function nextMissState(fine, missDate, policy = DEFAULT_POLICY) {
+  const p = resolvePolicy(policy);
+  const last = fine.last_miss_date ? String(fine.last_miss_date).slice(0,10) : null;
+  const gap = last ? daysBetween(last, missDate) : null;
+  const inStreak = gap !== null && gap >= 1 && gap <= 1 + Number(p.grace_days || 0);
+
+  const consecutive = inStreak ? (Number(fine.consecutive_misses) || 0) + 1 : 1;
+  const multiplier = applyCap(ESCALATION_CURVES[p.curve](consecutive, p), p.max_multiplier);
+  return { multiplier, consecutive_misses: consecutive, last_miss_date: missDate };
+}
+
+// multiplier after a success: decayed, never below 1, capped
+export function decayMultiplier(mult, policy = DEFAULT_POLICY) {
+  const p = resolvePolicy(policy);
+  return mult > 1 ? applyCap(Math.max(1, DECAY_MODES[p.decay](mult)), p.max_multiplier) : mult;
+}
+
+// pure: next fine state after a success
+export function nextSuccessState(fine, policy = DEFAULT_POLICY) {
+  return { multiplier: decayMultiplier(Number(fine.multiplier) || 1, policy), consecutive_misses: 0 };
+}
+
+// curve steps whose multiplier is still within mult (0 below the first step, or once back at 1)
+export function stepsWithin(mult, policy = DEFAULT_POLICY) {
+  const p = resolvePolicy(policy);
+  if (mult <= 1) return 0;
+  let n = 0;
+  while (n < 366 && applyCap(ESCALATION_CURVES[p.curve](n + 1, p), p.max_multiplier) <= mult) n++;
+  return n;
+}
+
+// pure: { consecutive, multiplier } of a miss after `days` (oldest first) of one domain:
+// 'miss', 'kept' or null (nothing to judge). A miss climbs the curve, a kept day decays the
+// multiplier and the next miss continues from the steps still within it, more than grace_days
+// days with nothing to judge end the streak. Mirrors escalation_for in the database.
+export function streakEscalation(days, policy = DEFAULT_POLICY) {
+  const p = resolvePolicy(policy);
+  const curve = (n) => applyCap(ESCALATION_CURVES[p.curve](n, p), p.max_multiplier);
+  let n = 0, mult = 1, gap = 0;
+  (days || []).forEach(day => {
+    if (day === 'miss') {
+      n += 1;
+      mult = curve(n);
+      gap = 0;
+    } else if (day === 'kept') {
+      mult = decayMultiplier(mult, p);
+      n = stepsWithin(mult, p);
+      gap = 0;
+    } else if (++gap > Number(p.grace_days || 0)) {
+      n = 0;
+      mult = 1;
+    }
+  });
+  return { consecutive: n + 1, multiplier: curve(n + 1) };
+}
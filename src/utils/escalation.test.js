@@ -0,0 +1,63 @@
+// src/utils/escalation.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ESCALATION_CURVES, resolvePolicy, nextMissState, nextSuccessState, streakEscalation } from './escalation.js';
+
+/*
+escalation.test.js
+- Escalation curves, decay and miss streaks (no supabase); run with `npm test`
+*/
+
+const curve = (name, extra = {}) => [1, 2, 3, 4, 5].map(n => ESCALATION_CURVES[name](n, resolvePolicy({ curve: name, ...extra })));
+
+test('each curve gives the multiplier of the n-th miss in a row', () => {
+  assert.deepEqual(curve('exponential'), [2, 4, 8, 16, 32]);
+  assert.deepEqual(curve('exponential', { base: 3 }), [3, 9, 27, 81, 243]);
+  assert.deepEqual(curve('linear', { step: 0.5 }), [1.5, 2, 2.5, 3, 3.5]);
+  assert.deepEqual(curve('fibonacci'), [2, 3, 5, 8, 13]);
+  assert.deepEqual(curve('capped-step', { steps: [2, 4] }), [2, 4, 4, 4, 4]);
+  assert.throws(() => resolvePolicy({ curve: 'cubic' }), /unknown escalation curve/);
+  assert.throws(() => resolvePolicy({ decay: 'slow' }), /unknown decay mode/);
+});
+
+test('misses climb the curve up to the cap, and a gap longer than grace days restarts it', () => {
+  const policy = { curve: 'exponential', max_multiplier: 5, grace_days: 1 };
+  let fine = { multiplier: 1, consecutive_misses: 0, last_miss_date: null };
+  fine = nextMissState(fine, '2026-10-01', policy);
+  assert.deepEqual(fine, { multiplier: 2, consecutive_misses: 1, last_miss_date: '2026-10-01' });
+  fine = nextMissState(fine, '2026-10-03', policy);
+  assert.equal(fine.multiplier, 4);
+  fine = nextMissState(fine, '2026-10-04', policy);
+  assert.deepEqual([fine.multiplier, fine.consecutive_misses], [5, 3]);
+  fine = nextMissState(fine, '2026-10-07', policy);
+  assert.deepEqual([fine.multiplier, fine.consecutive_misses], [2, 1]);
+});
+
+test('a success decays the multiplier by the policy, never below 1', () => {
+  const fine = { multiplier: 8, consecutive_misses: 3 };
+  assert.deepEqual(nextSuccessState(fine, { decay: 'halve' }), { multiplier: 4, consecutive_misses: 0 });
+  assert.deepEqual(nextSuccessState(fine, { decay: 'step-down' }), { multiplier: 7, consecutive_misses: 0 });
+  assert.deepEqual(nextSuccessState(fine, { decay: 'reset' }), { multiplier: 1, consecutive_misses: 0 });
+  assert.equal(nextSuccessState({ multiplier: 1.5 }, { decay: 'halve' }).multiplier, 1);
+  assert.equal(nextSuccessState({ multiplier: 1 }, { decay: 'step-down' }).multiplier, 1);
+});
+
+test('a kept day decays the streak and the next miss continues the curve from there', () => {
+  const misses = ['miss', 'miss', 'miss'];
+  assert.deepEqual(streakEscalation([], { curve: 'exponential' }), { consecutive: 1, multiplier: 2 });
+  assert.deepEqual(streakEscalation(misses, { curve: 'exponential' }), { consecutive: 4, multiplier: 16 });
+  // ×8 halves to ×4 (2 steps), so the next miss is ×8 again
+  assert.deepEqual(streakEscalation([...misses, 'kept'], { curve: 'exponential', decay: 'halve' }), { consecutive: 3, multiplier: 8 });
+  assert.deepEqual(streakEscalation([...misses, 'kept', 'kept'], { curve: 'exponential', decay: 'halve' }), { consecutive: 2, multiplier: 4 });
+  // linear ×4 steps down to ×3
+  assert.deepEqual(streakEscalation([...misses, 'kept'], { curve: 'linear', decay: 'step-down' }), { consecutive: 3, multiplier: 4 });
+  assert.deepEqual(streakEscalation([...misses, 'kept'], { curve: 'exponential', decay: 'reset' }), { consecutive: 1, multiplier: 2 });
+});
+
+test('days with nothing to judge end the streak only past the grace days', () => {
+  const policy = { curve: 'exponential', grace_days: 1 };
+  assert.equal(streakEscalation(['miss', 'miss', null], policy).multiplier, 8);
+  assert.equal(streakEscalation(['miss', 'miss', null, null], policy).multiplier, 2);
+  assert.equal(streakEscalation(['miss', null, 'miss', null], policy).multiplier, 8);
+  assert.equal(streakEscalation(['miss', 'miss', 'miss'], { curve: 'exponential', max_multiplier: 10 }).multiplier, 10);
+});
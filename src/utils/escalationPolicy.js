@@ -0,0 +1,67 @@
+// src/utils/escalationPolicy.js
+import { supabase } from '../supabaseClient';
+import { resolvePolicy, nextMissState } from './escalation';
+import { addDays } from './dates';
+
+/*
+escalationPolicy.js
+- Group escalation policy (group_settings row 'escalation_policy'), edited by admins:
+  { domains: { <item type key>: <fineEngine policy> } }
+- A missed checklist item whose type has a policy is fined penalty × late multiplier × the
+  curve's multiplier for its step in the streak (escalation_for in the database, mirrored by
+  streakEscalation): each miss climbs one step, a kept day decays the multiplier by the policy's
+  decay; the policy and the multiplier used are kept on the fine (fines.escalation) and logged
+  in fines_history
+- Domains without a policy are not escalated
+*/
+
+const numOrNull = (v) => (v === null || v === undefined || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+export function resolveEscalationPolicy(raw) {
+  const domains = {};
+  Object.entries(raw?.domains || {}).forEach(([domain, policy]) => {
+    if (!policy) return;
+    const p = resolvePolicy(policy);
+    domains[domain] = {
+      ...p,
+      base: numOrNull(p.base),
+      step: numOrNull(p.step),
+      max_multiplier: numOrNull(p.max_multiplier),
+      grace_days: Math.max(0, Number(p.grace_days || 0))
+    };
+  });
+  return { domains };
+}
+
+// multipliers of the 1st..n-th consecutive miss, via the engine's own state transitions
+export function escalationPreview(policy, n = 5) {
+  const out = [];
+  let fine = { multiplier: 1, consecutive_misses: 0, last_miss_date: null };
+  let day = '2026-01-01';
+  for (let i = 0; i < n; i++) {
+    fine = nextMissState(fine, day, policy);
+    out.push(fine.multiplier);
+    day = addDays(day, 1);
+  }
+  return out;
+}
+
+export function describeEscalation(esc) {
+  if (!esc || Number(esc.multiplier || 1) === 1) return '';
+  return `× ${esc.multiplier}: ${esc.curve} escalation, step ${esc.consecutive}`;
+}
+
+export async function loadEscalationPolicy() {
+  const { data, error } = await supabase.from('group_settings').select('value').eq('key', 'escalation_policy').maybeSingle();
+  if (error) throw error;
+  return resolveEscalationPolicy(data?.value);
+}
+
+export async function saveEscalationPolicy(policy, userId) {
+  const value = resolveEscalationPolicy(policy);
+  const { error } = await supabase
+    .from('group_settings')
+    .upsert({ key: 'escalation_policy', value, updated_by: userId, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+  if (error) throw error;
+  return value;
+}
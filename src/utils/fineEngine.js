@@ -0,0 +1,111 @@
+// src/utils/fineEngine.js
+import { supabase } from '../supabaseClient';
+import { todayStr } from './dates';
+import { computeAmount, resolvePolicy, applyCap, nextMissState, nextSuccessState, DEFAULT_POLICY } from './escalation';
+
+/*
+fineEngine.js
+- One implementation of the escalating per-domain fine ledger (multiplier x base_fine)
+- A ledger is bound to a table set: { fines, history } e.g. consistency_fines/consistency_fines_history
+- Behaviour on miss/success is driven by a plain-data escalation policy stored on the fine row as
+  `escalation` (escalation.js: curves, decay, grace days)
+- The policy in force is snapshotted into every history row so amounts can be reproduced
+- consistencyFines.js is a thin adapter over createFineLedger; checklist fines (fines) are only
+  written by the database (apply_daily_checks, the payment RPCs), clients read them
+- Checklist fines are escalated in the database with the group's per-domain policies
+  (escalationPolicy.js, streakEscalation in escalation.js)
+*/
+
+export function createFineLedger(tables, defaultPolicy = DEFAULT_POLICY) {
+  const { fines: finesTable, history: historyTable } = tables;
+
+  // a row's own escalation wins over the ledger default
+  const policyFor = (fine) => resolvePolicy({ ...defaultPolicy, ...(fine?.escalation || {}) });
+
+  async function logHistory(before, after, eventType, note) {
+    const { error } = await supabase.from(historyTable).insert([{
+      fine_id: after.id, user_id: after.user_id, domain: after.domain, event_type: eventType,
+      amount_before: before ? computeAmount(before.base_fine, before.multiplier) : 0,
+      amount_after: computeAmount(after.base_fine, after.multiplier),
+      multiplier_before: before ? before.multiplier : 0, multiplier_after: after.multiplier,
+      consecutive_before: before ? before.consecutive_misses : 0, consecutive_after: after.consecutive_misses,
+      escalation: policyFor(after),
+      note
+    }]);
+    if (error) console.warn(`${historyTable} insert failed`, error);
+  }
+
+  async function updateFine(id, patch) {
+    const { data, error } = await supabase.from(finesTable).update({
+      ...patch, updated_at: new Date().toISOString()
+    }).eq('id', id).select().maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function getOrCreateFine(userId, domain, baseFine = 10, escalation = null) {
+    const { data, error } = await supabase.from(finesTable).select('*').eq('user_id', userId).eq('domain', domain).maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+
+    const now = new Date().toISOString();
+    const insert = { user_id: userId, domain, base_fine: baseFine, multiplier: 1, consecutive_misses: 0, last_miss_date: null, last_paid: false, escalation: resolvePolicy({ ...defaultPolicy, ...(escalation || {}) }), created_at: now, updated_at: now };
+    const { data: created, error: e2 } = await supabase.from(finesTable).insert([insert]).select().maybeSingle();
+    if (e2) throw e2;
+
+    await logHistory(null, created, 'created', 'created');
+    return created;
+  }
+
+  // today in the member's profile timezone
+  async function memberToday(userId) {
+    const { data, error } = await supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle();
+    if (error) throw error;
+    return todayStr(data?.timezone);
+  }
+
+  // missDate/successDate default to today in the member's profile timezone
+  async function recordMiss(userId, domain, baseFine = 10, missDate = null) {
+    missDate = missDate || await memberToday(userId);
+    const f = await getOrCreateFine(userId, domain, baseFine);
+    const updated = await updateFine(f.id, { ...nextMissState(f, missDate, policyFor(f)), last_paid: false });
+    await logHistory(f, updated, 'miss', `miss ${missDate}`);
+    return updated;
+  }
+
+  async function recordSuccess(userId, domain, baseFine = 10, successDate = null) {
+    successDate = successDate || await memberToday(userId);
+    const f = await getOrCreateFine(userId, domain, baseFine);
+    const updated = await updateFine(f.id, nextSuccessState(f, policyFor(f)));
+    await logHistory(f, updated, 'reduced', `reduced ${successDate}`);
+    return updated;
+  }
+
+  // switch a domain to another curve; the current multiplier is kept until the next miss/success
+  async function setEscalation(userId, domain, escalation, baseFine = 10) {
+    const f = await getOrCreateFine(userId, domain, baseFine, escalation);
+    const next = resolvePolicy({ ...defaultPolicy, ...escalation });
+    const updated = await updateFine(f.id, { escalation: next, multiplier: applyCap(Number(f.multiplier) || 1, next.max_multiplier) });
+    await logHistory(f, updated, 'policy', `escalation ${next.curve}`);
+    return updated;
+  }
+
+  // a self-reported 'paid' row; the pot only counts it once confirmed (confirm_consistency_fine_payment)
+  async function markFinePaid(fineId, byUser = null) {
+    const { data: before } = await supabase.from(finesTable).select('*').eq('id', fineId).maybeSingle();
+    if (!before) throw new Error('fine not found');
+    // already paid since the last miss: nothing new was collected
+    if (before.last_paid) return before;
+    const updated = await updateFine(fineId, { last_paid: true });
+    await logHistory(before, updated, 'paid', `paid by ${byUser ?? updated.user_id}`);
+    return updated;
+  }
+
+  async function getFinesForUser(userId) {
+    const { data, error } = await supabase.from(finesTable).select('*').eq('user_id', userId).order('updated_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  return { computeAmount, getOrCreateFine, recordMiss, recordSuccess, setEscalation, markFinePaid, getFinesForUser };
+}
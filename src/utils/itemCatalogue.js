@@ -0,0 +1,196 @@
+// src/utils/itemCatalogue.js
+
+/*
+itemCatalogue.js
+- Checklist item types (item_types table): fields, label template, schedule, default penalty
+- DEFAULT_ITEM_TYPES mirrors the built-in rows seeded by 20261019001400_item_types.sql and is
+  used until the catalogue has loaded (and by scripts when the table is empty)
+- Built-in types keep their entries in their old preferences column (theory_tasks, wake_rule, ...);
+  user-defined types live in preferences.custom_items[<type key>]
+- Label templates: {field} or {field|upper}; an empty value falls back to the field's fallback/default
+- per_week / per_month schedules are quotas: ticked N times in the week / month, settled when it closes
+- Pure: no supabase/browser imports, so node scripts can load it directly
+*/
+
+export const FIELD_KINDS = ['text', 'number', 'time', 'select', 'weekdays'];
+export const SCHEDULE_KINDS = ['daily', 'weekdays', 'per_week', 'per_month'];
+
+const TOPICS = ['dp', 'graphs', 'trees', 'mathematics', 'bitmasking', 'sorting', 'two-pointer', 'greedy', 'number-theory'];
+const PLATFORMS = ['cses', 'codeforces', 'leetcode', 'codechef', 'atcoder', 'interviewbit', 'geeksforgeeks'];
+
+export const DEFAULT_ITEM_TYPES = [
+  {
+    key: 'theory',
+    name: 'Theory tasks',
+    fields: [
+      { name: 'topic', label: 'Topic', kind: 'select', options: TOPICS, default: 'dp' },
+      { name: 'platform', label: 'Platform', kind: 'select', options: PLATFORMS, default: 'cses' },
+      { name: 'count', label: 'Number of questions', kind: 'number', min: 1, max: 10, default: 3 }
+    ],
+    label_template: '{topic|upper} {platform|upper} {count} problems',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    prefs_column: 'theory_tasks',
+    single: false,
+    meta_fields: ['platform', 'count'],
+    supports_window: false,
+    sort_order: 10,
+    builtin: true
+  },
+  {
+    key: 'sport',
+    name: 'Sports tasks',
+    fields: [
+      { name: 'sport', label: 'Sport', kind: 'text', default: 'gym' },
+      { name: 'duration_minutes', label: 'Duration (mins)', kind: 'number', min: 1, default: 60 },
+      { name: 'start_time', label: 'Time start', kind: 'time', default: '07:00' },
+      { name: 'end_time', label: 'Time ends', kind: 'time', default: '08:00' }
+    ],
+    label_template: '{sport} for {duration_minutes} mins ({start_time} - {end_time})',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    prefs_column: 'sports_tasks',
+    single: false,
+    meta_fields: [],
+    supports_window: true,
+    sort_order: 20,
+    builtin: true
+  },
+  {
+    key: 'class',
+    name: 'Classes mandatory to attend',
+    fields: [
+      { name: 'name', label: 'Class name', kind: 'text', default: '', fallback: 'class' },
+      { name: 'days', label: 'Days', kind: 'weekdays', default: ['mon'] },
+      { name: 'start_time', label: 'Time start', kind: 'time', default: '09:00' },
+      { name: 'end_time', label: 'Time ends', kind: 'time', default: '10:00' }
+    ],
+    label_template: 'Class: {name} ({start_time} - {end_time})',
+    schedule: { kind: 'weekdays', days_field: 'days' },
+    default_penalty: 10,
+    prefs_column: 'classes_tasks',
+    single: false,
+    meta_fields: ['days'],
+    supports_window: true,
+    sort_order: 30,
+    builtin: true
+  },
+  {
+    key: 'randimpl',
+    name: 'Random implementation problems',
+    fields: [
+      { name: 'platform', label: 'Platform', kind: 'select', options: PLATFORMS, default: 'codeforces' },
+      { name: 'count', label: 'Count', kind: 'number', min: 1, max: 10, default: 3 }
+    ],
+    label_template: 'Random implementation: {platform|upper} {count} problems',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    prefs_column: 'random_implementation',
+    single: false,
+    meta_fields: ['platform', 'count'],
+    supports_window: false,
+    sort_order: 40,
+    builtin: true
+  },
+  {
+    key: 'randthink',
+    name: 'Random thinking problems',
+    fields: [
+      { name: 'platform', label: 'Platform', kind: 'select', options: PLATFORMS, default: 'interviewbit' },
+      { name: 'count', label: 'Count', kind: 'number', min: 1, max: 10, default: 3 }
+    ],
+    label_template: 'Random thinking: {platform|upper} {count} problems',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    prefs_column: 'random_thinking',
+    single: false,
+    meta_fields: ['platform', 'count'],
+    supports_window: false,
+    sort_order: 50,
+    builtin: true
+  },
+  {
+    key: 'wake',
+    name: 'Wake rule',
+    fields: [
+      { name: 'target_time', label: 'Target wake time', kind: 'time', default: '07:00' },
+      { name: 'required_count', label: 'On-time check-ins per week', kind: 'number', min: 1, max: 7, default: 1 }
+    ],
+    label_template: 'Wake up by {target_time} (check in {required_count}× a week)',
+    schedule: { kind: 'daily' },
+    default_penalty: 10,
+    prefs_column: 'wake_rule',
+    single: true,
+    meta_fields: ['target_time', 'required_count'],
+    supports_window: false,
+    sort_order: 60,
+    builtin: true
+  }
+];
+
+export function sortItemTypes(types) {
+  return [...(types || [])].sort((a, b) => (a.sort_order ?? 100) - (b.sort_order ?? 100) || String(a.key).localeCompare(String(b.key)));
+}
+
+function fieldValue(field, entry) {
+  const v = entry ? entry[field.name] : undefined;
+  if (v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0)) return field.fallback ?? field.default ?? '';
+  return v;
+}
+
+export function renderItemLabel(type, entry) {
+  const fields = type.fields || [];
+  return String(type.label_template || type.name || type.key).replace(/\{(\w+)(\|upper)?\}/g, (_, name, upper) => {
+    const field = fields.find(f => f.name === name) || { name };
+    const v = fieldValue(field, entry);
+    const s = Array.isArray(v) ? v.join(', ') : String(v);
+    return upper ? s.toUpperCase() : s;
+  });
+}
+
+// a fresh preference entry for the type, filled with field defaults
+export function emptyEntry(type, id = null) {
+  const entry = id ? { id } : {};
+  (type.fields || []).forEach(f => { entry[f.name] = Array.isArray(f.default) ? [...f.default] : (f.default ?? (f.kind === 'number' ? 1 : '')); });
+  entry.penalty = Number(type.default_penalty ?? 10);
+  return entry;
+}
+
+// preference entries of a type: a list, or [object] for single types (wake)
+export function itemTypeEntries(prefsObj, type) {
+  const raw = type.prefs_column ? prefsObj?.[type.prefs_column] : prefsObj?.custom_items?.[type.key];
+  if (type.single) return raw && typeof raw === 'object' && !Array.isArray(raw) && Object.keys(raw).length ? [raw] : [];
+  return Array.isArray(raw) ? raw : [];
+}
+
+// human-readable schedule
+export function describeSchedule(schedule) {
+  const s = schedule || { kind: 'daily' };
+  if (s.kind === 'weekdays') return s.days_field ? 'on the chosen days' : `every ${(s.days || []).join(', ')}`;
+  if (s.kind === 'per_week') return `${s.count || 1}× a week`;
+  if (s.kind === 'per_month') return `${s.count || 1}× a month`;
+  return 'every day';
+}
+
+// error message for an invalid type definition, or null
+export function validateItemType(type, existingKeys = []) {
+  if (!/^[a-z][a-z0-9]{1,23}$/.test(type.key || '')) return 'Key must be 2-24 lowercase letters or digits, starting with a letter.';
+  if (existingKeys.includes(type.key)) return `An item type "${type.key}" already exists.`;
+  if (!String(type.name || '').trim()) return 'Name is required.';
+  const names = (type.fields || []).map(f => f.name);
+  if (names.some(n => !/^[a-z][a-z0-9_]*$/.test(n || ''))) return 'Field names must be lowercase letters, digits or _.';
+  if (new Set(names).size !== names.length) return 'Field names must be unique.';
+  if (names.includes('penalty') || names.includes('id')) return '"penalty" and "id" are reserved field names.';
+  if ((type.fields || []).some(f => !FIELD_KINDS.includes(f.kind))) return 'Unknown field kind.';
+  if ((type.fields || []).some(f => f.kind === 'select' && !(f.options || []).length)) return 'Select fields need options.';
+  const used = [...String(type.label_template || '').matchAll(/\{(\w+)(\|upper)?\}/g)].map(m => m[1]);
+  const missing = used.filter(n => !names.includes(n));
+  if (missing.length) return `Label template uses unknown field(s): ${missing.join(', ')}`;
+  const s = type.schedule || {};
+  if (!SCHEDULE_KINDS.includes(s.kind)) return 'Unknown schedule.';
+  if (s.kind === 'weekdays' && !s.days_field && !(s.days || []).length) return 'Pick at least one weekday.';
+  if (s.kind === 'per_week' && !(Number(s.count) >= 1 && Number(s.count) <= 7)) return 'Per-week count must be 1-7.';
+  if (s.kind === 'per_month' && !(Number(s.count) >= 1 && Number(s.count) <= 31)) return 'Per-month count must be 1-31.';
+  if (!(Number(type.default_penalty) >= 0)) return 'Default penalty must be 0 or more.';
+  return null;
+}
@@ -0,0 +1,38 @@
+// src/utils/itemTypes.js
+import { supabase } from '../supabaseClient';
+import { DEFAULT_ITEM_TYPES, sortItemTypes } from './itemCatalogue';
+
+/*
+itemTypes.js
+- Reads and writes the item_types catalogue (see itemCatalogue.js for the shape and rules)
+- An empty catalogue (migration not applied yet) falls back to the built-in types
+*/
+
+export async function loadItemTypes() {
+  const { data, error } = await supabase.from('item_types').select('*');
+  if (error) throw error;
+  return data && data.length ? sortItemTypes(data) : DEFAULT_ITEM_TYPES;
+}
+
+const EDITABLE = ['name', 'fields', 'label_template', 'schedule', 'default_penalty', 'sort_order'];
+
+export async function createItemType(type, userId) {
+  const row = { key: type.key, created_by: userId };
+  EDITABLE.forEach(k => { if (type[k] !== undefined) row[k] = type[k]; });
+  const { data, error } = await supabase.from('item_types').insert(row).select().single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateItemType(type) {
+  const patch = { updated_at: new Date().toISOString() };
+  EDITABLE.forEach(k => { if (type[k] !== undefined) patch[k] = type[k]; });
+  const { data, error } = await supabase.from('item_types').update(patch).eq('key', type.key).select().single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteItemType(key) {
+  const { error } = await supabase.from('item_types').delete().eq('key', key);
+  if (error) throw error;
+}
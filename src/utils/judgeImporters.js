@@ -0,0 +1,194 @@
+// src/utils/judgeImporters.js
+import { dateStrIn, wallTimeIn } from './dates.js';
+
+/*
+judgeImporters.js
+- Verifies competitive-programming checklist items from submission history exports
+- One importer per platform (registerImporter): parse(text, opts) -> accepted submissions
+  [{ platform, problemId, name, at }] — no network, so every importer runs offline on a saved file
+  (see scripts/verifySubmissions.js)
+- acceptedByDate groups distinct accepted problems by calendar day in the user's timezone
+- verifyChecks matches a day's problems against theory / randimpl items (meta.platform, meta.count)
+  and either pre-fills the checkboxes or locks them to the import result
+- Pure: no supabase/browser imports, so node scripts can load it directly
+*/
+
+export const VERIFIABLE_TYPES = ['theory', 'randimpl'];
+
+export const IMPORTERS = {};
+
+export function registerImporter(platform, importer) {
+  IMPORTERS[platform] = { platform, ...importer };
+}
+
+export function parseSubmissions(platform, text, opts = {}) {
+  const importer = IMPORTERS[platform];
+  if (!importer) throw new Error(`No importer for ${platform}`);
+  return importer.parse(String(text || ''), opts)
+    .filter(s => s && s.problemId && s.at && !Number.isNaN(new Date(s.at).getTime()))
+    .map(s => ({ ...s, platform }));
+}
+
+// minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(x => x !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(x => x !== '')) rows.push(row);
+  return rows;
+}
+
+// epoch seconds / milliseconds or a date string
+function toDate(v, tz) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return new Date(s.length > 11 ? Number(s) : Number(s) * 1000);
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(s) && tz) return wallTimeIn(s.replace('T', ' '), tz);
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const stripTags = (html) => String(html).replace(/<[^>]*>/g, '').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+
+// Codeforces API user.status response ({ status, result: [...] }) or its result array
+registerImporter('codeforces', {
+  label: 'Codeforces (user.status JSON)',
+  accept: '.json,application/json',
+  parse(text) {
+    const json = JSON.parse(text);
+    const list = Array.isArray(json) ? json : (json.result || []);
+    return list
+      .filter(s => s.verdict === 'OK')
+      .map(s => ({
+        problemId: `${s.problem?.contestId ?? s.contestId ?? ''}${s.problem?.index ?? ''}`,
+        name: s.problem?.name || null,
+        at: new Date(Number(s.creationTimeSeconds) * 1000).toISOString()
+      }));
+  }
+});
+
+// LeetCode submissions CSV; column names vary between export tools, so headers are matched loosely
+registerImporter('leetcode', {
+  label: 'LeetCode (submissions CSV)',
+  accept: '.csv,text/csv',
+  parse(text, { sourceTz = 'UTC' } = {}) {
+    const [header = [], ...rows] = parseCsv(text);
+    // names in order of preference, so 'timestamp' wins over the 'time' in a Runtime column
+    const col = (...names) => {
+      for (const n of names) {
+        const i = header.findIndex(h => h.trim().toLowerCase().includes(n));
+        if (i >= 0) return i;
+      }
+      return -1;
+    };
+    const iSlug = col('slug');
+    const iTitle = col('title', 'question', 'problem', 'slug');
+    const iStatus = col('status', 'result', 'verdict');
+    const iTime = col('timestamp', 'submitted', 'time', 'date');
+    if (iTitle < 0 || iStatus < 0 || iTime < 0) throw new Error('CSV needs title, status and timestamp columns');
+    return rows
+      .filter(r => /^accepted$/i.test(String(r[iStatus] || '').trim()))
+      .map(r => {
+        const at = toDate(r[iTime], sourceTz);
+        const title = String(r[iTitle] || '').trim();
+        const slug = iSlug >= 0 ? String(r[iSlug] || '').trim() : '';
+        return { problemId: (slug || title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''), name: title, at: at ? at.toISOString() : null };
+      });
+  }
+});
+
+// CSES submission list saved as HTML: one <tr> per submission with a time, a task link and the result
+registerImporter('cses', {
+  label: 'CSES (saved submissions page HTML)',
+  accept: '.html,.htm,text/html',
+  parse(text, { sourceTz = 'Europe/Helsinki' } = {}) {
+    const out = [];
+    const rows = text.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+    rows.forEach(row => {
+      const time = row.match(/(\d{4}-\d{2}-\d{2} \d{2}:\d{2}(?::\d{2})?)/);
+      const task = row.match(/\/problemset\/(?:task|submit|view)\/(\d+)[^>]*>([\s\S]*?)<\/a>/i);
+      const accepted = /class="[^"]*\bfull\b[^"]*"/i.test(row) || /\bACCEPTED\b/i.test(stripTags(row));
+      if (!time || !task || !accepted) return;
+      out.push({ problemId: task[1], name: stripTags(task[2]) || null, at: wallTimeIn(time[1], sourceTz).toISOString() });
+    });
+    return out;
+  }
+});
+
+// { 'YYYY-MM-DD': { platform: [{ problemId, name, at }] } } — first accepted submission per problem only
+export function acceptedByDate(submissions, tz) {
+  const seen = new Set();
+  const byDate = {};
+  [...(submissions || [])]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .forEach(s => {
+      const id = `${s.platform}:${s.problemId}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+      const d = dateStrIn(s.at, tz);
+      byDate[d] = byDate[d] || {};
+      (byDate[d][s.platform] = byDate[d][s.platform] || []).push(s);
+    });
+  return byDate;
+}
+
+// platform / required count of an item; rows saved before meta carried them fall back to the label
+export function itemTarget(key, item) {
+  if (!item || typeof item !== 'object') return null;
+  const type = item.meta?.type || VERIFIABLE_TYPES.find(t => String(key).startsWith(t));
+  if (!VERIFIABLE_TYPES.includes(type)) return null;
+  const label = String(item.label || '').toLowerCase();
+  const platform = item.meta?.platform || Object.keys(IMPORTERS).find(p => label.includes(p)) || null;
+  const count = Number(item.meta?.count || (label.match(/(\d+)\s+problems?/) || [])[1] || 1);
+  return platform ? { type, platform, count } : null;
+}
+
+// mode 'prefill': tick items the import proves, leave the rest editable
+// mode 'lock': tick or untick every matched item to the import result and lock it
+// Each problem counts towards one item only. Items on platforms not in `platforms` are left alone.
+export function verifyChecks(checks, dayAccepted, { platforms = Object.keys(dayAccepted || {}), mode = 'prefill', importedAt = new Date().toISOString() } = {}) {
+  const pool = {};
+  platforms.forEach(p => { pool[p] = [...((dayAccepted || {})[p] || [])]; });
+  const out = { ...(checks || {}) };
+  const results = {};
+  Object.entries(checks || {}).forEach(([k, v]) => {
+    const target = itemTarget(k, v);
+    if (!target || !pool[target.platform]) return;
+    const used = pool[target.platform].splice(0, target.count);
+    const verified = used.length >= target.count;
+    const verification = {
+      status: verified ? 'verified' : 'unverified',
+      platform: target.platform,
+      required: target.count,
+      found: used.length,
+      problems: used.map(s => s.problemId),
+      locked: mode === 'lock',
+      imported_at: importedAt
+    };
+    results[k] = verification;
+    const done = mode === 'lock' ? verified : (verified || !!v.done);
+    out[k] = { ...v, done, verification };
+  });
+  return { checks: out, results };
+}
+
+export function isVerificationLocked(item) {
+  return !!(item && typeof item === 'object' && item.verification && item.verification.locked);
+}
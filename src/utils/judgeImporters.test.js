@@ -0,0 +1,68 @@
+// src/utils/judgeImporters.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseSubmissions, acceptedByDate, verifyChecks, isVerificationLocked } from './judgeImporters.js';
+
+/*
+judgeImporters.test.js
+- Runs every importer on a recorded export in ./fixtures (Codeforces user.status response,
+  LeetCode submissions CSV, CSES submissions page) and checks the accepted problems per day
+- All three fixtures hold the same history: two problems on 2026-10-18 UTC, one more (and a
+  repeat) early on 2026-10-19 UTC, and one rejected attempt
+*/
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const ids = (list) => (list || []).map(s => s.problemId);
+
+test('codeforces: only OK verdicts, problem id is contest + index', () => {
+  const subs = parseSubmissions('codeforces', fixture('codeforces-user-status.json'));
+  assert.equal(subs.length, 4);
+  assert.ok(subs.every(s => s.platform === 'codeforces'));
+  const byDate = acceptedByDate(subs, 'UTC');
+  assert.deepEqual(ids(byDate['2026-10-18'].codeforces), ['1850A', '2009A']);
+  assert.deepEqual(ids(byDate['2026-10-19'].codeforces), ['2009B']);
+  assert.equal(byDate['2026-10-18'].codeforces[1].name, 'Minimize!');
+});
+
+test('leetcode: accepted rows only, timestamp column rather than runtime, quoted commas', () => {
+  const subs = parseSubmissions('leetcode', fixture('leetcode-submissions.csv'));
+  assert.equal(subs.length, 4);
+  const byDate = acceptedByDate(subs, 'UTC');
+  assert.deepEqual(ids(byDate['2026-10-18'].leetcode), ['two-sum', 'valid-parentheses']);
+  assert.deepEqual(ids(byDate['2026-10-19'].leetcode), ['merge-intervals-ii']);
+  assert.equal(byDate['2026-10-19'].leetcode[0].name, 'Merge Intervals, II');
+  assert.equal(subs[0].at, '2026-10-18T09:12:44.000Z');
+});
+
+test('cses: full-score rows only, times read in Helsinki time', () => {
+  const subs = parseSubmissions('cses', fixture('cses-submissions.html'));
+  assert.equal(subs.length, 3);
+  const byDate = acceptedByDate(subs, 'UTC');
+  assert.deepEqual(ids(byDate['2026-10-18'].cses), ['1068', '1069']);
+  assert.deepEqual(ids(byDate['2026-10-19'].cses), ['1083']);
+  assert.equal(byDate['2026-10-18'].cses[0].name, 'Weird Algorithm & more');
+  assert.equal(byDate['2026-10-18'].cses[1].at, '2026-10-18T19:40:02.000Z');
+});
+
+test('days follow the member timezone: the evening UTC solves are the next day in India', () => {
+  const byDate = acceptedByDate(parseSubmissions('codeforces', fixture('codeforces-user-status.json')), 'Asia/Kolkata');
+  assert.deepEqual(ids(byDate['2026-10-18'].codeforces), ['1850A']);
+  assert.deepEqual(ids(byDate['2026-10-19'].codeforces), ['2009A', '2009B']);
+});
+
+test('lock mode ticks and locks the item from the import', () => {
+  const day = acceptedByDate(parseSubmissions('codeforces', fixture('codeforces-user-status.json')), 'UTC')['2026-10-18'];
+  const checks = {
+    theory_0: { done: false, label: 'Solve 2 problems on codeforces', meta: { type: 'theory', platform: 'codeforces', count: 2 } },
+    randimpl_0: { done: true, label: 'Solve 1 problems on codeforces', meta: { type: 'randimpl', platform: 'codeforces', count: 1 } }
+  };
+  const { checks: next, results } = verifyChecks(checks, day, { mode: 'lock', importedAt: '2026-10-19T00:00:00Z' });
+  assert.equal(next.theory_0.done, true);
+  assert.deepEqual(results.theory_0.problems, ['1850A', '2009A']);
+  // both problems went to the first item, so the second is unticked
+  assert.equal(next.randimpl_0.done, false);
+  assert.equal(results.randimpl_0.status, 'unverified');
+  assert.ok(isVerificationLocked(next.theory_0) && isVerificationLocked(next.randimpl_0));
+});
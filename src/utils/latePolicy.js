@@ -0,0 +1,60 @@
+// src/utils/latePolicy.js
+import { supabase } from '../supabaseClient';
+import { DEFAULT_LATE_POLICY, resolveLatePolicy, dateEditState, describeLateRule } from './lateRules';
+
+/*
+latePolicy.js
+- Group late-submission policy (group_settings row 'late_policy'), edited by admins
+- Fines are priced in the database: late_rule_for decides the multiplier and apply_daily_checks
+  stores it on every fine (fines.late_rule); describeLateRule (lateRules.js) turns it back into
+  a sentence (late ticks of time-window items record their window there instead)
+- Backdated changes past approval_after_days become checklist_change_requests that another
+  member approves or rejects
+*/
+
+export { DEFAULT_LATE_POLICY, resolveLatePolicy, dateEditState, describeLateRule };
+
+export async function loadLatePolicy() {
+  const { data, error } = await supabase.from('group_settings').select('value').eq('key', 'late_policy').maybeSingle();
+  if (error) throw error;
+  return resolveLatePolicy(data?.value);
+}
+
+export async function saveLatePolicy(policy, userId) {
+  const value = resolveLatePolicy(policy);
+  const { error } = await supabase
+    .from('group_settings')
+    .upsert({ key: 'late_policy', value, updated_by: userId, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+  if (error) throw error;
+  return value;
+}
+
+export async function loadPendingChange(userId, date) {
+  const { data, error } = await supabase
+    .from('checklist_change_requests')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('date', date)
+    .eq('status', 'pending')
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// other members' pending backdated changes
+export async function loadChangesToApprove(actorId) {
+  const { data, error } = await supabase
+    .from('checklist_change_requests')
+    .select('*')
+    .eq('status', 'pending')
+    .neq('user_id', actorId)
+    .order('submitted_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function decideChange(requestId, approve, note = null) {
+  const { data, error } = await supabase.rpc('decide_checklist_change', { p_request_id: requestId, p_approve: approve, p_note: note });
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,54 @@
+// src/utils/lateRules.js
+
+/*
+lateRules.js
+- Late-submission policy rules (pure; loading and saving the policy is latePolicy.js)
+- resolveLatePolicy: a stored / edited policy -> numbers, tiers sorted, multipliers at least 1
+- dateEditState: whether a past date can still be edited, needs approval or is locked
+  (mirrors assert_checklist_date_editable / checklist_date_age in the database)
+- describeLateRule: the late_rule stored on a fine (late_rule_for in the database, or a time
+  window for late ticks) as a sentence
+*/
+
+export const DEFAULT_LATE_POLICY = {
+  grace_hours: 24,
+  tiers: [{ after_hours: 0, multiplier: 2 }],
+  lock_after_days: null,
+  approval_after_days: null
+};
+
+const numOrNull = (v) => (v === null || v === undefined || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+export function resolveLatePolicy(raw) {
+  const p = { ...DEFAULT_LATE_POLICY, ...(raw || {}) };
+  return {
+    grace_hours: Math.max(0, Number(p.grace_hours ?? 24)),
+    tiers: (Array.isArray(p.tiers) ? p.tiers : [])
+      .map(t => ({ after_hours: Math.max(0, Number(t.after_hours || 0)), multiplier: Math.max(1, Number(t.multiplier || 1)) }))
+      .sort((a, b) => a.after_hours - b.after_hours),
+    lock_after_days: numOrNull(p.lock_after_days),
+    approval_after_days: numOrNull(p.approval_after_days)
+  };
+}
+
+// 'editable' | 'approval' | 'locked' for a date `ageDays` days in the past
+export function dateEditState(ageDays, policy) {
+  const p = resolveLatePolicy(policy);
+  if (p.lock_after_days !== null && ageDays > p.lock_after_days) return 'locked';
+  if (p.approval_after_days !== null && ageDays > p.approval_after_days) return 'approval';
+  return 'editable';
+}
+
+export function describeLateRule(rule) {
+  if (!rule) return '';
+  if (rule.window) {
+    const t = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const w = rule.window;
+    return `₹${rule.base} × ${rule.multiplier}: ticked at ${t(w.ticked_at)}, outside the ${t(w.window_start)}–${t(w.window_end)} window (±${w.slack_minutes} min) with no calendar event`;
+  }
+  if (Number(rule.multiplier || 1) <= 1) {
+    return rule.hours_since_start !== undefined ? `On time (${rule.hours_since_start}h after the day started, grace ${rule.grace_hours}h)` : 'On time';
+  }
+  const base = rule.base !== undefined ? `₹${rule.base} × ${rule.multiplier}` : `× ${rule.multiplier}`;
+  return `${base}: submitted ${rule.hours_late}h after the ${rule.grace_hours}h grace window (tier: more than ${rule.after_hours}h late)`;
+}
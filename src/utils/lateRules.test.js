@@ -0,0 +1,49 @@
+// src/utils/lateRules.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LATE_POLICY, resolveLatePolicy, dateEditState, describeLateRule } from './lateRules.js';
+
+/*
+lateRules.test.js
+- Late-submission policy rules (no supabase); run with `npm test`
+*/
+
+test('an empty policy resolves to the defaults', () => {
+  assert.deepEqual(resolveLatePolicy(null), DEFAULT_LATE_POLICY);
+  assert.deepEqual(resolveLatePolicy({}), DEFAULT_LATE_POLICY);
+});
+
+test('form values become numbers, tiers are sorted and multipliers never drop below 1', () => {
+  const p = resolveLatePolicy({
+    grace_hours: '-3',
+    tiers: [{ after_hours: '48', multiplier: '3' }, { after_hours: '', multiplier: '0' }, { after_hours: 12, multiplier: 0.5 }],
+    lock_after_days: '',
+    approval_after_days: '7'
+  });
+  assert.equal(p.grace_hours, 0);
+  assert.deepEqual(p.tiers, [
+    { after_hours: 0, multiplier: 1 },
+    { after_hours: 12, multiplier: 1 },
+    { after_hours: 48, multiplier: 3 }
+  ]);
+  assert.equal(p.lock_after_days, null);
+  assert.equal(p.approval_after_days, 7);
+  assert.deepEqual(resolveLatePolicy({ tiers: 'none' }).tiers, []);
+});
+
+test('past dates need approval and then lock as the policy says', () => {
+  const policy = { approval_after_days: 2, lock_after_days: 7 };
+  assert.equal(dateEditState(2, policy), 'editable');
+  assert.equal(dateEditState(3, policy), 'approval');
+  assert.equal(dateEditState(8, policy), 'locked');
+  assert.equal(dateEditState(400, {}), 'editable');
+});
+
+test('a stored late rule reads back as a sentence', () => {
+  assert.equal(describeLateRule(null), '');
+  assert.equal(describeLateRule({ multiplier: 1, hours_since_start: 20, grace_hours: 24 }), 'On time (20h after the day started, grace 24h)');
+  assert.equal(
+    describeLateRule({ multiplier: 2, base: 10, hours_late: 5, grace_hours: 24, after_hours: 0 }),
+    '₹10 × 2: submitted 5h after the 24h grace window (tier: more than 0h late)'
+  );
+});
@@ -0,0 +1,40 @@
+// src/utils/notifications.js
+import { supabase } from '../supabaseClient';
+
+/*
+notifications.js
+- In-app notifications (notifications table), written by database functions
+  e.g. "payment awaiting confirmation"; the client only reads and marks them read
+*/
+
+export async function loadNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  let q = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (unreadOnly) q = q.is('read_at', null);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countUnreadNotifications(userId) {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function markNotificationsRead(ids) {
+  if (!ids || ids.length === 0) return;
+  const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .in('id', ids);
+  if (error) throw error;
+}
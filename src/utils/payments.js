@@ -0,0 +1,140 @@
+// src/utils/payments.js
+import { supabase } from '../supabaseClient';
+
+/*
+payments.js
+- Fine payments ledger (fine_payments + fine_payment_allocations)
+- Payments and reversals are written only through RPCs so allocations, fines.paid_amount
+  and the audit trail always change together
+- A reversal is a new ledger row with a negative amount pointing at the payment it undoes; only
+  the member who confirmed the payment, a treasurer or an admin may reverse it (never the payer)
+- A payment starts as a claim ('claimed'); it is allocated to fines only once another member
+  (the chosen confirmer or a treasurer) confirms it, so claims still count as unpaid
+*/
+
+export const PAYMENT_METHODS = ['upi', 'cash', 'bank transfer', 'other'];
+
+export const outstandingFor = (fine) => Math.max(0, Number(fine.amount || 0) - Number(fine.paid_amount || 0));
+
+export async function recordPayment({ amount, method, reference, note, fineIds = null, confirmerId = null }) {
+  const { data, error } = await supabase.rpc('record_fine_payment', {
+    p_amount: Number(amount),
+    p_method: method || null,
+    p_reference: reference || null,
+    p_note: note || null,
+    p_fine_ids: fineIds && fineIds.length ? fineIds : null,
+    p_confirmer_id: confirmerId || null
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function confirmPayment(paymentId, note = null) {
+  const { data, error } = await supabase.rpc('confirm_fine_payment', { p_payment_id: paymentId, p_note: note });
+  if (error) throw error;
+  return data;
+}
+
+export async function rejectPayment(paymentId, note) {
+  const { data, error } = await supabase.rpc('reject_fine_payment', { p_payment_id: paymentId, p_note: note });
+  if (error) throw error;
+  return data;
+}
+
+// mirrors can_confirm_fine_payment in the database
+export function canConfirm(payment, actorId, actorIsTreasurer = false) {
+  if (!actorId || payment.status !== 'claimed' || payment.user_id === actorId) return false;
+  return !payment.confirmer_id || payment.confirmer_id === actorId || actorIsTreasurer;
+}
+
+// other members' claims the actor may confirm
+export async function loadClaimsToConfirm(actorId, actorIsTreasurer = false) {
+  const { data, error } = await supabase
+    .from('fine_payments')
+    .select('*')
+    .eq('status', 'claimed')
+    .neq('user_id', actorId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).filter(p => canConfirm(p, actorId, actorIsTreasurer));
+}
+
+export async function loadConfirmationHistory(paymentIds) {
+  if (!paymentIds || paymentIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from('fine_payment_confirmations')
+    .select('*')
+    .in('payment_id', paymentIds)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// mirrors can_reverse_fine_payment in the database
+export function canReverse(payment, actorId, { isTreasurer = false, isAdmin = false } = {}) {
+  if (!actorId || payment.kind !== 'payment' || payment.status !== 'confirmed' || payment.reversed_by_payment_id) return false;
+  if (payment.user_id === actorId) return false;
+  return payment.confirmed_by === actorId || isTreasurer || isAdmin;
+}
+
+// other members' confirmed payments the actor may reverse, newest first
+export async function loadPaymentsToReverse(actorId, roles = {}) {
+  const { data, error } = await supabase
+    .from('fine_payments')
+    .select('*')
+    .eq('kind', 'payment')
+    .eq('status', 'confirmed')
+    .is('reversed_by_payment_id', null)
+    .neq('user_id', actorId)
+    .order('confirmed_at', { ascending: false })
+    .limit(50);
+  if (error) throw error;
+  return (data || []).filter(p => canReverse(p, actorId, roles));
+}
+
+export async function reversePayment(paymentId, reason) {
+  const { data, error } = await supabase.rpc('reverse_fine_payment', { p_payment_id: paymentId, p_reason: reason });
+  if (error) throw error;
+  return data;
+}
+
+export async function loadPaymentLedger(userId) {
+  const { data: payments, error } = await supabase
+    .from('fine_payments')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const ids = (payments || []).map(p => p.id);
+  let allocations = [];
+  if (ids.length) {
+    const { data: allocRows, error: allocErr } = await supabase
+      .from('fine_payment_allocations')
+      .select('*')
+      .in('payment_id', ids);
+    if (allocErr) throw allocErr;
+    allocations = allocRows || [];
+  }
+  return { payments: payments || [], allocations };
+}
+
+// statement lines (fines charged, confirmed payments, reversals) in time order with a running balance owed
+export function buildStatement(fines, payments) {
+  const lines = [
+    ...(fines || []).map(f => ({
+      id: `fine-${f.id}`, at: f.created_at, kind: 'fine', label: f.reason || 'Fine', change: Number(f.amount || 0)
+    })),
+    ...(payments || []).filter(p => p.status === 'confirmed').map(p => ({
+      id: `payment-${p.id}`, at: p.created_at, kind: p.kind,
+      label: p.kind === 'reversal' ? `Reversal: ${p.note || ''}` : `Payment${p.method ? ` (${p.method})` : ''}`,
+      change: -Number(p.amount || 0)
+    }))
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  let balance = 0;
+  return lines.map(l => {
+    balance += l.change;
+    return { ...l, balance };
+  });
+}
@@ -0,0 +1,45 @@
+// src/utils/pot.js
+import { supabase } from '../supabaseClient';
+import { PAYOUT_RULES, DEFAULT_RULE, consistencyScores, computeSettlement, settlementCsv } from './potSettlement';
+
+/*
+pot.js
+- Group pot per season: confirmed fine payments + confirmed consistency fine payments (pot_collections RPC)
+- Seasons and the daily_checks a season's consistency scores are computed from; scores, payout
+  rules and the settlement sheet are potSettlement.js
+*/
+
+export { PAYOUT_RULES, DEFAULT_RULE, consistencyScores, computeSettlement, settlementCsv };
+
+export async function loadSeasons() {
+  const { data, error } = await supabase.from('pot_seasons').select('*').order('start_date', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function saveSeason(season) {
+  const { id, ...fields } = season;
+  const q = id
+    ? supabase.from('pot_seasons').update(fields).eq('id', id)
+    : supabase.from('pot_seasons').insert([fields]);
+  const { data, error } = await q.select().maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// [{ user_id, source, amount }]
+export async function loadCollections(startDate, endDate) {
+  const { data, error } = await supabase.rpc('pot_collections', { p_start: startDate, p_end: endDate });
+  if (error) throw error;
+  return (data || []).map(r => ({ ...r, amount: Number(r.amount || 0) }));
+}
+
+export async function loadSeasonChecks(startDate, endDate) {
+  const { data, error } = await supabase
+    .from('daily_checks')
+    .select('user_id, date, checks')
+    .gte('date', startDate)
+    .lte('date', endDate);
+  if (error) throw error;
+  return data || [];
+}
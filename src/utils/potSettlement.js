@@ -0,0 +1,104 @@
+// src/utils/potSettlement.js
+import { isItemDone } from './checklist.js';
+
+/*
+potSettlement.js
+- Pure pot rules (loading seasons and collections is pot.js)
+- consistencyScores: daily_checks rows -> score per member over the season, same ratio
+  ConsistencyGraph shows ((done + excused) / items)
+- computeSettlement: pot + payout rule (pot_seasons.rule) + members -> settlement rows; amounts
+  are split in paise so the rows always add up to the pot exactly
+- settlementCsv: the settlement sheet as CSV
+*/
+
+export const PAYOUT_RULES = {
+  best_consistency: 'Best consistency (top N split equally)',
+  equal: 'Equal split among members',
+  charity: 'Charity target'
+};
+
+export const DEFAULT_RULE = { kind: 'equal' };
+
+// daily_checks rows -> { userId: { total, done, excused, score } }, score in 0..1 (null without items)
+export function consistencyScores(rows, { includeExcusedAsDone = true } = {}) {
+  const byUser = {};
+  (rows || []).forEach(r => {
+    if (!r.user_id) return;
+    const s = byUser[r.user_id] || (byUser[r.user_id] = { total: 0, done: 0, excused: 0, score: null });
+    Object.values(r.checks || {}).forEach(item => {
+      s.total += 1;
+      if (isItemDone(item)) s.done += 1;
+      else if (item && typeof item === 'object' && item.excused) s.excused += 1;
+    });
+  });
+  Object.values(byUser).forEach(s => {
+    const effective = includeExcusedAsDone ? s.done + s.excused : s.done;
+    s.score = s.total === 0 ? null : effective / s.total;
+  });
+  return byUser;
+}
+
+// split `amount` rupees over `n` shares; the leftover paise go to the first shares
+function splitEvenly(amount, n) {
+  if (n <= 0) return [];
+  const paise = Math.round(amount * 100);
+  const each = Math.floor(paise / n);
+  const extra = paise - each * n;
+  return Array.from({ length: n }, (_, i) => (each + (i < extra ? 1 : 0)) / 100);
+}
+
+/*
+computeSettlement(pot, rule, members)
+- members: [{ user_id, name, collected, score }]
+- returns [{ payee, user_id, score, amount, note }]
+- best_consistency: top_n members by score (ties at the cut-off are all included);
+  members without a score are never winners
+*/
+export function computeSettlement(pot, rule, members) {
+  const r = { ...DEFAULT_RULE, ...(rule || {}) };
+  const list = members || [];
+  const toRow = (m, amount, note) => ({ payee: m.name || m.user_id, user_id: m.user_id, score: m.score, amount, note });
+
+  if (pot <= 0) return [];
+
+  if (r.kind === 'charity') {
+    const pct = Math.min(100, Math.max(0, Number(r.share_pct ?? 100)));
+    const charityAmount = Math.round(pot * pct) / 100;
+    const rows = [{ payee: r.charity_name || 'Charity', user_id: null, score: null, amount: charityAmount, note: `${pct}% to charity` }];
+    const rest = Math.round((pot - charityAmount) * 100) / 100;
+    if (rest > 0 && list.length) {
+      splitEvenly(rest, list.length).forEach((a, i) => rows.push(toRow(list[i], a, 'remainder, equal split')));
+    }
+    return rows;
+  }
+
+  if (r.kind === 'best_consistency') {
+    const ranked = list.filter(m => m.score !== null && m.score !== undefined).sort((a, b) => b.score - a.score);
+    const topN = Math.max(1, Number(r.top_n || 1));
+    if (ranked.length === 0) return [];
+    const cutoff = ranked[Math.min(topN, ranked.length) - 1].score;
+    const winners = ranked.filter(m => m.score >= cutoff);
+    const note = winners.length > topN ? `top ${topN} (tie at cut-off)` : `top ${topN}`;
+    return splitEvenly(pot, winners.length).map((a, i) => toRow(winners[i], a, note));
+  }
+
+  // equal
+  if (list.length === 0) return [];
+  return splitEvenly(pot, list.length).map((a, i) => toRow(list[i], a, 'equal split'));
+}
+
+export function settlementCsv(season, members, settlement) {
+  const esc = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  const pct = s => (s === null || s === undefined ? '' : `${Math.round(s * 100)}%`);
+  const lines = [
+    [esc('Season'), esc(season.name), esc(season.start_date), esc(season.end_date)].join(','),
+    [esc('Rule'), esc(PAYOUT_RULES[season.rule?.kind] || season.rule?.kind)].join(','),
+    '',
+    ['member', 'collected', 'consistency'].map(esc).join(','),
+    ...members.map(m => [esc(m.name || m.user_id), m.collected.toFixed(2), esc(pct(m.score))].join(',')),
+    '',
+    ['payee', 'amount', 'note'].map(esc).join(','),
+    ...settlement.map(r => [esc(r.payee), Number(r.amount).toFixed(2), esc(r.note)].join(','))
+  ];
+  return lines.join('\n');
+}
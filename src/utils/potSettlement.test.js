@@ -0,0 +1,75 @@
+// src/utils/potSettlement.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { consistencyScores, computeSettlement, settlementCsv } from './potSettlement.js';
+
+/*
+potSettlement.test.js
+- Consistency scores, payout rules and the settlement sheet (no supabase); run with `npm test`
+*/
+
+const members = [
+  { user_id: 'a', name: 'Asha', collected: 50, score: 0.9 },
+  { user_id: 'b', name: 'Ben', collected: 30, score: 0.9 },
+  { user_id: 'c', name: 'Cy', collected: 20.5, score: 0.5 },
+  { user_id: 'd', name: 'Dee', collected: 0, score: null }
+];
+
+const total = (rows) => Math.round(rows.reduce((s, r) => s + r.amount, 0) * 100) / 100;
+
+test('excused items count as done unless asked otherwise, and a member without items has no score', () => {
+  const rows = [
+    { user_id: 'a', date: '2026-10-19', checks: { dsa_0: { done: true }, gym_0: { done: false, excused: true }, read_0: false } },
+    { user_id: 'b', date: '2026-10-19', checks: {} },
+    { user_id: null, date: '2026-10-19', checks: { x: true } }
+  ];
+  const scores = consistencyScores(rows);
+  assert.deepEqual(scores.a, { total: 3, done: 1, excused: 1, score: 2 / 3 });
+  assert.equal(scores.b.score, null);
+  assert.equal(Object.keys(scores).length, 2);
+  assert.equal(consistencyScores(rows, { includeExcusedAsDone: false }).a.score, 1 / 3);
+});
+
+test('an equal split hands the leftover paise to the first members and adds up to the pot', () => {
+  const rows = computeSettlement(10, null, members.slice(0, 3));
+  assert.deepEqual(rows.map(r => r.amount), [3.34, 3.33, 3.33]);
+  assert.equal(total(rows), 10);
+  assert.deepEqual(computeSettlement(0, { kind: 'equal' }, members), []);
+  assert.deepEqual(computeSettlement(10, { kind: 'equal' }, []), []);
+});
+
+test('best consistency pays the top N, everyone tied at the cut-off, never a member without a score', () => {
+  const rows = computeSettlement(100.01, { kind: 'best_consistency', top_n: 1 }, members);
+  assert.deepEqual(rows.map(r => [r.user_id, r.amount, r.note]), [
+    ['a', 50.01, 'top 1 (tie at cut-off)'],
+    ['b', 50, 'top 1 (tie at cut-off)']
+  ]);
+  const top3 = computeSettlement(90, { kind: 'best_consistency', top_n: 5 }, members);
+  assert.deepEqual(top3.map(r => r.user_id), ['a', 'b', 'c']);
+  assert.deepEqual(computeSettlement(90, { kind: 'best_consistency' }, [members[3]]), []);
+});
+
+test('a charity share comes first and the rest is split equally', () => {
+  const rows = computeSettlement(100, { kind: 'charity', charity_name: 'Food bank', share_pct: 40 }, members.slice(0, 3));
+  assert.deepEqual(rows.map(r => [r.payee, r.amount]), [['Food bank', 40], ['Asha', 20], ['Ben', 20], ['Cy', 20]]);
+  assert.deepEqual(computeSettlement(55.5, { kind: 'charity' }, members).map(r => [r.payee, r.amount]), [['Charity', 55.5]]);
+});
+
+test('the settlement sheet quotes text, formats amounts and shows scores as percentages', () => {
+  const season = { name: 'Autumn "26', start_date: '2026-09-01', end_date: '2026-11-30', rule: { kind: 'equal' } };
+  const two = members.slice(0, 2);
+  const csv = settlementCsv(season, [...two, members[3]], computeSettlement(10, season.rule, two));
+  assert.equal(csv, [
+    '"Season","Autumn ""26","2026-09-01","2026-11-30"',
+    '"Rule","Equal split among members"',
+    '',
+    '"member","collected","consistency"',
+    '"Asha",50.00,"90%"',
+    '"Ben",30.00,"90%"',
+    '"Dee",0.00,""',
+    '',
+    '"payee","amount","note"',
+    '"Asha",5.00,"equal split"',
+    '"Ben",5.00,"equal split"'
+  ].join('\n'));
+});
@@ -0,0 +1,102 @@
+// src/utils/prefVersions.js
+import { DEFAULT_ITEM_TYPES, sortItemTypes, itemTypeEntries, renderItemLabel } from './itemCatalogue.js';
+
+/*
+prefVersions.js
+- Dated preference versions (preference_versions, recorded by a trigger on every preferences save)
+- versionOn / prefsEffectiveOn: the version in force on a date (mirrors preference_on): the latest one
+  effective on or before it, the first one for earlier dates, the live row when there are none
+- diffPrefVersions: what changed between two versions, per item type (added / removed / changed entries)
+- contractWeakenings: the parts of a change that make the contract easier (mirrors contract_weakenings);
+  those wait for the cooling-off period or a peer's sign-off
+- Pure: no supabase/browser imports, so node scripts can load it directly
+*/
+
+// versions: [{ effective_from, prefs }] in any order
+export function versionOn(versions, dateStr) {
+  const sorted = [...(versions || [])].sort((a, b) => String(a.effective_from).localeCompare(String(b.effective_from)));
+  if (sorted.length === 0) return null;
+  const inForce = sorted.filter(v => String(v.effective_from).slice(0,10) <= dateStr);
+  return inForce.length ? inForce[inForce.length - 1] : sorted[0];
+}
+
+export function prefsEffectiveOn(versions, dateStr, current) {
+  const v = versionOn(versions, dateStr);
+  return v ? v.prefs : current;
+}
+
+// fields of one entry that differ (ids are bookkeeping, not contract)
+function entryChanges(before, after) {
+  const names = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})])).filter(n => n !== 'id');
+  return names
+    .filter(n => JSON.stringify(before?.[n] ?? null) !== JSON.stringify(after?.[n] ?? null))
+    .map(n => ({ field: n, from: before?.[n] ?? null, to: after?.[n] ?? null }));
+}
+
+// [{ type, typeName, kind: 'added' | 'removed' | 'changed', label, before?, fields }]; prev = null for the first version
+export function diffPrefVersions(prev, next, itemTypes = DEFAULT_ITEM_TYPES) {
+  const changes = [];
+  sortItemTypes(itemTypes).forEach(type => {
+    const before = prev ? itemTypeEntries(prev, type) : [];
+    const after = itemTypeEntries(next, type);
+    const matched = new Set();
+    const base = { type: type.key, typeName: type.name };
+
+    after.forEach((entry, idx) => {
+      // list entries pair up by id (by position for entries saved without one)
+      const j = type.single
+        ? (before.length ? 0 : -1)
+        : before.findIndex((b, bi) => !matched.has(bi) && (entry.id || b.id ? b.id === entry.id : bi === idx));
+      if (j < 0) {
+        changes.push({ ...base, kind: 'added', label: renderItemLabel(type, entry), fields: [] });
+        return;
+      }
+      matched.add(j);
+      const fields = entryChanges(before[j], entry);
+      if (fields.length) changes.push({ ...base, kind: 'changed', label: renderItemLabel(type, entry), before: renderItemLabel(type, before[j]), fields });
+    });
+
+    before.forEach((b, bi) => {
+      if (!matched.has(bi)) changes.push({ ...base, kind: 'removed', label: renderItemLabel(type, b), fields: [] });
+    });
+  });
+  return changes;
+}
+
+const QUOTA_RANK = { '': 0, week: 1, month: 2 };
+const num = (v) => (v === null || v === undefined || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+const lower = (from, to) => num(from) !== null && num(to) !== null && num(to) < num(from);
+const higher = (from, to) => num(from) !== null && num(to) !== null && num(to) > num(from);
+
+// why one changed field makes the entry easier to meet, or null
+function weakerField(type, f) {
+  const def = (type.fields || []).find(x => x.name === f.field);
+  if (f.field === 'penalty') return lower(f.from, f.to) ? `fine ₹${f.from} → ₹${f.to}` : null;
+  if (def && def.kind === 'number') return lower(f.from, f.to) ? `${def.label || def.name} ${f.from} → ${f.to}` : null;
+  if (def && def.kind === 'weekdays') {
+    const dropped = (Array.isArray(f.from) ? f.from : []).filter(d => !(Array.isArray(f.to) ? f.to : []).includes(d));
+    return dropped.length ? `${def.label || def.name} without ${dropped.join(', ')}` : null;
+  }
+  if (f.field === 'target_time') return f.from && f.to && f.to > f.from ? `wake target ${f.from} → ${f.to}` : null;
+  if (f.field === 'quota_period') return (QUOTA_RANK[f.to || ''] ?? 0) > (QUOTA_RANK[f.from || ''] ?? 0) ? `${f.from ? `quota per ${f.from}` : 'every day'} → quota per ${f.to}` : null;
+  if (f.field === 'quota_count') return lower(f.from, f.to) ? `quota ${f.from} → ${f.to}` : null;
+  if (f.field === 'window_mode') return f.from && !f.to ? 'window check-in turned off' : null;
+  if (f.field === 'slack_minutes') return higher(f.from, f.to) ? `window slack ${f.from} → ${f.to} min` : null;
+  if (f.field === 'late_multiplier') return lower(f.from, f.to) ? `late tick fine ×${f.from} → ×${f.to}` : null;
+  return null;
+}
+
+// ['Sports tasks: gym … removed', 'Theory tasks: DP CSES 3 problems — Number of questions 3 → 2', ...]
+export function contractWeakenings(prev, next, itemTypes = DEFAULT_ITEM_TYPES) {
+  if (!prev) return [];
+  const byKey = {};
+  (itemTypes || []).forEach(t => { byKey[t.key] = t; });
+  const out = [];
+  diffPrefVersions(prev, next, itemTypes).forEach(c => {
+    if (c.kind === 'removed') out.push(`${c.typeName}: ${c.label} removed`);
+    if (c.kind !== 'changed') return;
+    const reasons = c.fields.map(f => weakerField(byKey[c.type], f)).filter(Boolean);
+    if (reasons.length) out.push(`${c.typeName}: ${c.before} — ${reasons.join(', ')}`);
+  });
+  return out;
+}
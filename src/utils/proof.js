@@ -0,0 +1,46 @@
+// src/utils/proof.js
+import { uploadFile } from './uploads';
+
+/*
+proof.js
+- Proof of completion for theory and random-practice checklist items: a problem URL,
+  a screenshot (chat-uploads bucket under proofs/<user>/<date>/) and/or a short note
+- Stored on the item itself in daily_checks.checks as `proof: { url, note, screenshot_url,
+  screenshot_path, added_at }`, so it is saved together with the checklist
+*/
+
+export const PROOF_ITEM_TYPES = ['theory', 'randimpl', 'randthink'];
+
+const MAX_SCREENSHOT_SIZE = 10 * 1024 * 1024; // 10MB
+
+// same classification as UserTable: meta.type first, then key prefix
+export function acceptsProof(key, item) {
+  const type = item && typeof item === 'object' && item.meta ? item.meta.type : null;
+  if (type) return PROOF_ITEM_TYPES.includes(type);
+  return PROOF_ITEM_TYPES.some(t => String(key).startsWith(t));
+}
+
+export function hasProof(item) {
+  const p = item && typeof item === 'object' ? item.proof : null;
+  return !!(p && (p.url || p.note || p.screenshot_url));
+}
+
+export async function uploadProofScreenshot(userId, date, file) {
+  return uploadFile(`proofs/${userId}/${date}`, file, { maxSize: MAX_SCREENSHOT_SIZE, imageOnly: true });
+}
+
+// builds the proof object for an item; keeps the previous screenshot unless a new file is given
+export async function buildProof({ userId, date, url = '', note = '', file = null, previous = null }) {
+  const cleanUrl = String(url || '').trim();
+  if (cleanUrl && !/^https?:\/\//i.test(cleanUrl)) throw new Error('Proof link must start with http:// or https://');
+  let screenshot = previous && previous.screenshot_url ? { url: previous.screenshot_url, path: previous.screenshot_path || null } : null;
+  if (file) screenshot = await uploadProofScreenshot(userId, date, file);
+  const proof = {
+    url: cleanUrl || null,
+    note: String(note || '').trim().slice(0, 500) || null,
+    screenshot_url: screenshot ? screenshot.url : null,
+    screenshot_path: screenshot ? screenshot.path : null,
+    added_at: new Date().toISOString()
+  };
+  return hasProof({ proof }) ? proof : null;
+}
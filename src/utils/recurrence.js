@@ -0,0 +1,116 @@
+// src/utils/recurrence.js
+import { addDays, daysBetween, weekdayOf, periodBounds } from './dates.js';
+
+/*
+recurrence.js
+- Recurrence rules of task series, stored as RRULE-style text (task_series.rrule):
+    FREQ=DAILY[;INTERVAL=n]                 daily / every n days
+    FREQ=WEEKLY[;INTERVAL=n];BYDAY=MO,WE    weekly on the given days
+  optionally ending with ;UNTIL=YYYYMMDD (inclusive) or ;COUNT=n (occurrences from DTSTART)
+- Parsed form: { freq: 'daily' | 'weekly', interval, days: ['mon', ...], until: 'YYYY-MM-DD' | null, count }
+- occurrenceDates enumerates plain 'YYYY-MM-DD' days from the series' first day (dtstart);
+  exdates (deleted occurrences) are skipped but still use up COUNT, as in RFC 5545
+- Pure: no supabase/browser imports, so node scripts can load it directly
+*/
+
+const BYDAY = { mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA', sun: 'SU' };
+const DAY_ORDER = Object.keys(BYDAY);
+
+export function parseRRule(str) {
+  const parts = {};
+  String(str || '').split(';').forEach(p => {
+    const [k, v] = p.split('=');
+    if (k && v !== undefined) parts[k.trim().toUpperCase()] = v.trim();
+  });
+  const freq = parts.FREQ === 'WEEKLY' ? 'weekly' : (parts.FREQ === 'DAILY' ? 'daily' : null);
+  if (!freq) return null;
+  const days = (parts.BYDAY || '').split(',').map(c => DAY_ORDER.find(d => BYDAY[d] === c.trim().toUpperCase())).filter(Boolean);
+  const until = /^\d{8}/.test(parts.UNTIL || '') ? `${parts.UNTIL.slice(0,4)}-${parts.UNTIL.slice(4,6)}-${parts.UNTIL.slice(6,8)}` : null;
+  return {
+    freq,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    days,
+    until,
+    count: parts.COUNT ? Math.max(1, parseInt(parts.COUNT, 10) || 1) : null,
+  };
+}
+
+export function formatRRule(rule) {
+  if (!rule) return null;
+  const out = [`FREQ=${rule.freq === 'weekly' ? 'WEEKLY' : 'DAILY'}`];
+  if ((rule.interval || 1) > 1) out.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'weekly' && (rule.days || []).length) {
+    out.push(`BYDAY=${DAY_ORDER.filter(d => rule.days.includes(d)).map(d => BYDAY[d]).join(',')}`);
+  }
+  if (rule.until) out.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  else if (rule.count) out.push(`COUNT=${rule.count}`);
+  return out.join(';');
+}
+
+// null when fine, else what is wrong
+export function validateRule(rule, dtstart) {
+  if (!rule) return 'Pick how the task repeats.';
+  if (!(rule.interval >= 1)) return 'Repeat interval must be at least 1.';
+  if (rule.freq === 'weekly' && !(rule.days || []).length) return 'Pick at least one weekday.';
+  if (rule.until && dtstart && rule.until < dtstart) return 'Repeat end date is before the first occurrence.';
+  if (rule.count != null && !(rule.count >= 1)) return 'Number of occurrences must be at least 1.';
+  return null;
+}
+
+// 'Every 2 days, 10 times' / 'Weekly on mon, wed, fri until 2026-12-31'
+export function describeRule(rule) {
+  if (!rule) return 'Does not repeat';
+  let s;
+  if (rule.freq === 'daily') s = rule.interval > 1 ? `Every ${rule.interval} days` : 'Every day';
+  else s = `${rule.interval > 1 ? `Every ${rule.interval} weeks` : 'Weekly'} on ${DAY_ORDER.filter(d => (rule.days || []).includes(d)).join(', ')}`;
+  if (rule.until) s += ` until ${rule.until}`;
+  else if (rule.count) s += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  return s;
+}
+
+function matches(rule, dtstart, dateStr) {
+  if (dateStr < dtstart) return false;
+  if (rule.freq === 'daily') return daysBetween(dtstart, dateStr) % rule.interval === 0;
+  const days = (rule.days || []).length ? rule.days : [weekdayOf(dtstart)];
+  if (!days.includes(weekdayOf(dateStr))) return false;
+  const weeks = Math.floor(daysBetween(periodBounds(dtstart, 'week').start, dateStr) / 7);
+  return weeks % rule.interval === 0;
+}
+
+// occurrence days in [from, to], in order
+export function occurrenceDates(rule, dtstart, from, to, exdates = []) {
+  if (!rule || !dtstart) return [];
+  const last = rule.until && rule.until < to ? rule.until : to;
+  const skip = new Set(exdates || []);
+  const out = [];
+  let n = 0;
+  for (let d = dtstart; d <= last; d = addDays(d, 1)) {
+    if (!matches(rule, dtstart, d)) continue;
+    n += 1;
+    if (rule.count && n > rule.count) break;
+    if (d >= from && !skip.has(d)) out.push(d);
+  }
+  return out;
+}
+
+// occurrences strictly before dateStr (used when a series is split at dateStr)
+export function countBefore(rule, dtstart, dateStr) {
+  if (!rule || !dtstart || dateStr <= dtstart) return 0;
+  return occurrenceDates(rule, dtstart, dtstart, addDays(dateStr, -1)).length;
+}
+
+// "this and all future" from dateStr: the new series' rule (an unchanged COUNT carries on from
+// where the old series stopped), its exdates, and the ids of the old series' occurrences from
+// dateStr on (`occurrences`: { id, occurrence_date }). They all move to the new series, started
+// and completed ones too, so the new series doesn't generate those days a second time.
+export function splitSeries(series, occurrences, dateStr, rule) {
+  const oldRule = parseRRule(series.rrule);
+  const counted = rule.count && oldRule?.count === rule.count
+    ? { ...rule, count: Math.max(1, rule.count - countBefore(oldRule, series.dtstart, dateStr)) }
+    : rule;
+  return {
+    rule: counted,
+    exdates: (series.exdates || []).filter(d => d > dateStr),
+    move: (occurrences || []).filter(t => t.occurrence_date >= dateStr).map(t => t.id)
+  };
+}
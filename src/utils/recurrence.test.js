@@ -0,0 +1,56 @@
+// src/utils/recurrence.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRRule, formatRRule, occurrenceDates, countBefore, splitSeries } from './recurrence.js';
+
+/*
+recurrence.test.js
+- Task series rules, their expansion and splitting a series (no supabase); run with `npm test`
+*/
+
+// 2026-10-19 is a Monday
+test('rules survive a round trip through the stored text', () => {
+  const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5');
+  assert.deepEqual(rule, { freq: 'weekly', interval: 2, days: ['mon', 'thu'], until: null, count: 5 });
+  assert.equal(formatRRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5');
+  assert.equal(formatRRule({ freq: 'weekly', interval: 1, days: ['fri', 'mon'] }), 'FREQ=WEEKLY;BYDAY=MO,FR');
+  assert.equal(parseRRule('FREQ=DAILY;UNTIL=20261031').until, '2026-10-31');
+  assert.equal(parseRRule('FREQ=MONTHLY'), null);
+});
+
+test('occurrences follow the interval, weekdays, UNTIL and the [from, to] window', () => {
+  const biweekly = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+  assert.deepEqual(occurrenceDates(biweekly, '2026-10-19', '2026-10-01', '2026-11-06'), ['2026-10-19', '2026-10-22', '2026-11-02', '2026-11-05']);
+  const every3 = parseRRule('FREQ=DAILY;INTERVAL=3;UNTIL=20261031');
+  assert.deepEqual(occurrenceDates(every3, '2026-10-19', '2026-10-22', '2026-12-31'), ['2026-10-22', '2026-10-25', '2026-10-28', '2026-10-31']);
+  assert.deepEqual(occurrenceDates(null, '2026-10-19', '2026-10-19', '2026-10-25'), []);
+});
+
+test('deleted occurrences are skipped but still use up COUNT', () => {
+  const rule = parseRRule('FREQ=DAILY;COUNT=4');
+  assert.deepEqual(occurrenceDates(rule, '2026-10-19', '2026-10-01', '2026-12-31', ['2026-10-20']), ['2026-10-19', '2026-10-21', '2026-10-22']);
+  assert.equal(countBefore(rule, '2026-10-19', '2026-10-21'), 2);
+  assert.equal(countBefore(rule, '2026-10-19', '2026-10-19'), 0);
+});
+
+test('splitting a series carries an unchanged COUNT on and keeps later exdates', () => {
+  const series = { rrule: 'FREQ=DAILY;COUNT=10', dtstart: '2026-10-19', exdates: ['2026-10-20', '2026-10-25'] };
+  const split = splitSeries(series, [], '2026-10-23', parseRRule('FREQ=DAILY;COUNT=10'));
+  assert.equal(split.rule.count, 6);
+  assert.deepEqual(split.exdates, ['2026-10-25']);
+  // a new COUNT starts afresh
+  assert.equal(splitSeries(series, [], '2026-10-23', parseRRule('FREQ=DAILY;COUNT=3')).rule.count, 3);
+});
+
+test('started and completed occurrences from the split date on move to the new series too', () => {
+  const series = { rrule: 'FREQ=DAILY', dtstart: '2026-10-19', exdates: [] };
+  const occurrences = [
+    { id: 'mon', occurrence_date: '2026-10-19', status: 'completed' },
+    { id: 'wed', occurrence_date: '2026-10-21', status: 'pending' },
+    { id: 'thu', occurrence_date: '2026-10-22', status: 'completed' },
+    { id: 'fri', occurrence_date: '2026-10-23', status: 'in_progress' }
+  ];
+  const split = splitSeries(series, occurrences, '2026-10-21', parseRRule('FREQ=DAILY'));
+  // the new series holds those days, so generating it (unique series/date) skips them
+  assert.deepEqual(split.move, ['wed', 'thu', 'fri']);
+});
@@ -0,0 +1,88 @@
+// src/utils/subtasks.js
+import { supabase } from '../supabaseClient';
+
+/*
+subtasks.js
+- Subtasks (task_subtasks): checklist steps inside a task, each with its own completion
+- Dependencies (task_dependencies): a task is blocked by other tasks until they are completed;
+  the database refuses to complete a task with open blockers (guard_task_completion)
+- withTaskDetails attaches `subtasks` and `blockers` to loaded task rows for TaskList / TaskCard
+- subtaskProgress / openBlockers are the roll-up and the completion check the cards use
+*/
+
+// tasks -> same tasks with subtasks: [...] (by position) and blockers: [{ id, title, status }]
+export async function withTaskDetails(tasks) {
+  const ids = (tasks || []).map(t => t.id);
+  if (ids.length === 0) return tasks || [];
+
+  const [subRes, depRes] = await Promise.all([
+    supabase.from('task_subtasks').select('*').in('task_id', ids).order('position', { ascending: true }),
+    supabase.from('task_dependencies')
+      .select('task_id,blocked_by,blocker:tasks!task_dependencies_blocked_by_fkey(id,title,status)')
+      .in('task_id', ids),
+  ]);
+  if (subRes.error) throw subRes.error;
+  if (depRes.error) throw depRes.error;
+
+  const subsByTask = {};
+  (subRes.data || []).forEach(s => { (subsByTask[s.task_id] = subsByTask[s.task_id] || []).push(s); });
+  const blockersByTask = {};
+  (depRes.data || []).forEach(d => {
+    (blockersByTask[d.task_id] = blockersByTask[d.task_id] || []).push(d.blocker || { id: d.blocked_by, title: '(unknown task)', status: null });
+  });
+
+  return tasks.map(t => ({ ...t, subtasks: subsByTask[t.id] || [], blockers: blockersByTask[t.id] || [] }));
+}
+
+// { done, total, percent } or null when the task has no subtasks
+export function subtaskProgress(subtasks) {
+  const total = (subtasks || []).length;
+  if (total === 0) return null;
+  const done = subtasks.filter(s => s.done).length;
+  return { done, total, percent: Math.round((done / total) * 100) };
+}
+
+export function openBlockers(task) {
+  return (task?.blockers || []).filter(b => b.status !== 'completed');
+}
+
+export async function setSubtaskDone(subtask, done) {
+  const { error } = await supabase
+    .from('task_subtasks')
+    .update({ done, done_at: done ? new Date().toISOString() : null })
+    .eq('id', subtask.id);
+  if (error) throw error;
+}
+
+// drafts: [{ id?, title }] in display order; rows missing from drafts are deleted
+export async function saveSubtasks(taskId, existing, drafts) {
+  const keep = new Set(drafts.filter(d => d.id).map(d => d.id));
+  const removed = (existing || []).filter(s => !keep.has(s.id)).map(s => s.id);
+  if (removed.length) {
+    const { error } = await supabase.from('task_subtasks').delete().in('id', removed);
+    if (error) throw error;
+  }
+  for (let i = 0; i < drafts.length; i++) {
+    const d = drafts[i];
+    const title = d.title.trim();
+    if (!title) continue;
+    const { error } = d.id
+      ? await supabase.from('task_subtasks').update({ title, position: i }).eq('id', d.id)
+      : await supabase.from('task_subtasks').insert([{ task_id: taskId, title, position: i }]);
+    if (error) throw error;
+  }
+}
+
+// replaces the task's blockers with blockerIds
+export async function saveBlockers(taskId, existingIds, blockerIds) {
+  const removed = (existingIds || []).filter(id => !blockerIds.includes(id));
+  const added = blockerIds.filter(id => !(existingIds || []).includes(id));
+  if (removed.length) {
+    const { error } = await supabase.from('task_dependencies').delete().eq('task_id', taskId).in('blocked_by', removed);
+    if (error) throw error;
+  }
+  if (added.length) {
+    const { error } = await supabase.from('task_dependencies').insert(added.map(id => ({ task_id: taskId, blocked_by: id })));
+    if (error) throw error;
+  }
+}
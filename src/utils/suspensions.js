@@ -0,0 +1,91 @@
+// src/utils/suspensions.js
+import { supabase } from '../supabaseClient';
+import { addDays, eachDay } from './dates';
+import { suspensionCovers } from './checklist';
+
+/*
+suspensions.js
+- Excuse requests: single day, date range, or recurring weekdays inside a range; whole day or
+  only some item types / keys (partial excuse, items get `excused: true`)
+- request_suspension activates the excuse straight away while the member stays within the
+  monthly quota (group_settings 'excuse_policy'); over the quota it waits as 'pending'
+  until another member approves it (decide_suspension)
+- Clients cannot insert, update or delete suspensions; new rows start as 'pending' and only these
+  RPCs activate them. revoke_suspension marks an excuse 'revoked' and re-prices the days it
+  covered, so a revoked excuse no longer excuses a day or counts toward the quota
+*/
+
+export const DEFAULT_EXCUSE_POLICY = { monthly_quota: 4, max_days: 90 };
+
+export async function loadExcusePolicy() {
+  const { data, error } = await supabase.from('group_settings').select('value').eq('key', 'excuse_policy').maybeSingle();
+  if (error) throw error;
+  return { ...DEFAULT_EXCUSE_POLICY, ...(data?.value || {}) };
+}
+
+// itemTypes / itemKeys narrow the excuse to those checklist items (partial excuse)
+export async function requestSuspension({ startDate, endDate, weekdays = null, reason, itemTypes = null, itemKeys = null }) {
+  const { data, error } = await supabase.rpc('request_suspension', {
+    p_start: startDate,
+    p_end: endDate || startDate,
+    p_weekdays: weekdays && weekdays.length ? weekdays : null,
+    p_reason: reason,
+    p_item_types: itemTypes && itemTypes.length ? itemTypes : null,
+    p_item_keys: itemKeys && itemKeys.length ? itemKeys : null
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function decideSuspension(suspensionId, approve, note = null) {
+  const { data, error } = await supabase.rpc('decide_suspension', { p_suspension_id: suspensionId, p_approve: approve, p_note: note });
+  if (error) throw error;
+  return data;
+}
+
+export async function revokeSuspension(suspensionId) {
+  const { data, error } = await supabase.rpc('revoke_suspension', { p_suspension_id: suspensionId });
+  if (error) throw error;
+  return data;
+}
+
+export async function loadUserSuspensions(userId) {
+  const { data, error } = await supabase.from('suspensions').select('*').eq('user_id', userId).order('start_date', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+// other members' excuse requests waiting for approval
+export async function loadSuspensionsToApprove(actorId) {
+  const { data, error } = await supabase
+    .from('suspensions')
+    .select('*')
+    .eq('status', 'pending')
+    .neq('user_id', actorId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// [first, last] date of a month (YYYY-MM)
+export function monthBounds(month) {
+  const first = `${month}-01`;
+  const nextFirst = `${addDays(first, 32).slice(0,7)}-01`;
+  return [first, addDays(nextFirst, -1)];
+}
+
+// days of the month (YYYY-MM) excused by active or pending suspensions
+export function excusedDaysInMonth(suspensions, month) {
+  const [first, last] = monthBounds(month);
+  const active = (suspensions || []).filter(s => ['active', 'pending'].includes(s.status || 'active'));
+  return eachDay(first, last).filter(d => active.some(s => suspensionCovers(s, d))).length;
+}
+
+export function describeSuspension(s) {
+  const start = String(s.start_date).slice(0,10);
+  const end = String(s.end_date || s.start_date).slice(0,10);
+  const range = start === end ? start : `${start} – ${end}`;
+  const days = Array.isArray(s.weekdays) && s.weekdays.length ? ` (every ${s.weekdays.join(', ')})` : '';
+  const scope = [...(s.item_types || []).map(t => `${t} items`), ...(s.item_keys || [])];
+  return `${range}${days}${scope.length ? ` — only ${scope.join(', ')}` : ''}`;
+}
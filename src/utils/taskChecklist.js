@@ -0,0 +1,76 @@
+// src/utils/taskChecklist.js
+import { supabase } from '../supabaseClient';
+import { todayStr } from './dates';
+import { buildEmptyChecksFromPrefs, findLinkedItemKey, isItemDone, applyChecklistTicks } from './checklist';
+import { prefsEffectiveOn } from './prefVersions';
+import { loadItemTypes } from './itemTypes';
+import { recordChecklistTick, loadChecklistTicks } from './checklistTicks';
+
+/*
+taskChecklist.js
+- A task bound to a checklist item (tasks.checklist_item_type / _key / _ref) ticks that item when
+  it is completed (Complete button or the timer finishing)
+- The item is ticked on today's checklist in the profile timezone. When the member already saved
+  the day, it is saved through submit_daily_checks, so the day's fines are re-evaluated exactly as
+  after a manual save. Otherwise only the tick is recorded (record_checklist_tick): submitting a
+  half-empty day would fine every other item mid-day. The checklist and the nightly sweep pick the
+  tick up; a day without a saved checklist is built from the preference version in force on it
+*/
+
+export function taskChecklistLink(task) {
+  return task?.checklist_item_type
+    ? { type: task.checklist_item_type, key: task.checklist_item_key, ref: task.checklist_item_ref }
+    : null;
+}
+
+// { checks, saved }: saved = the member submitted the day themselves (not the sweeper)
+async function loadDayChecks(userId, date) {
+  const { data: dc, error } = await supabase.from('daily_checks').select('checks, source').eq('user_id', userId).eq('date', date).maybeSingle();
+  if (error) throw error;
+  if (dc?.checks && dc.source === 'user') return { checks: dc.checks, saved: true };
+  const ticks = await loadChecklistTicks(userId, date);
+  if (dc?.checks) return { checks: applyChecklistTicks(dc.checks, ticks), saved: false };
+
+  const [{ data: prefs, error: prefErr }, { data: versions, error: verErr }, itemTypes] = await Promise.all([
+    supabase.from('preferences').select('*').eq('user_id', userId).maybeSingle(),
+    supabase.from('preference_versions').select('effective_from, prefs').eq('user_id', userId),
+    loadItemTypes(),
+  ]);
+  if (prefErr) throw prefErr;
+  if (verErr) throw verErr;
+  return { checks: applyChecklistTicks(buildEmptyChecksFromPrefs(prefsEffectiveOn(versions || [], date, prefs), date, itemTypes), ticks), saved: false };
+}
+
+// { status: 'ticked' | 'recorded' | 'already' | 'missing' | 'pending', date, label? }, or null for unlinked tasks
+export async function tickLinkedChecklistItem(task, userId) {
+  const link = taskChecklistLink(task);
+  if (!link) return null;
+
+  const { data: prof } = await supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle();
+  const date = todayStr(prof?.timezone);
+  const { checks, saved } = await loadDayChecks(userId, date);
+  const key = findLinkedItemKey(checks, link);
+  if (!key) return { status: 'missing', date };
+  if (isItemDone(checks[key])) return { status: 'already', date, label: checks[key].label };
+
+  if (!saved) {
+    await recordChecklistTick(date, key, true, task.id);
+    window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId, date } }));
+    return { status: 'recorded', date, label: checks[key].label };
+  }
+
+  const next = { ...checks, [key]: { ...checks[key], done: true, via_task: task.id } };
+  const { data: state, error } = await supabase.rpc('submit_daily_checks', { p_date: date, p_checks: next });
+  if (error) throw error;
+  window.dispatchEvent(new CustomEvent('contract:changed', { detail: { userId, date } }));
+  return { status: state?.pending_request ? 'pending' : 'ticked', date, label: checks[key].label };
+}
+
+export function describeTick(result, task) {
+  if (!result) return '';
+  if (result.status === 'missing') return `"${task.title}" is linked to a checklist item that isn't on ${result.date}'s checklist — nothing was ticked.`;
+  if (result.status === 'pending') return `Ticked "${result.label}" for ${result.date}; the change waits for the group's approval.`;
+  if (result.status === 'recorded') return `Ticked "${result.label}" for ${result.date}; it counts when the checklist is saved (or swept at the end of the day).`;
+  if (result.status === 'already') return `"${result.label}" was already ticked for ${result.date}.`;
+  return `Ticked "${result.label}" on ${result.date}'s checklist.`;
+}
@@ -0,0 +1,176 @@
+// src/utils/taskSeries.js
+import { supabase } from '../supabaseClient';
+import { addDays, daysBetween, todayStr, shiftDaysIn } from './dates';
+import { parseRRule, formatRRule, occurrenceDates, splitSeries } from './recurrence';
+
+/*
+taskSeries.js
+- Recurring tasks: a task_series (template + RRULE-style rule, see recurrence.js) and its
+  occurrences, which are ordinary tasks rows with series_id + occurrence_date
+- Occurrences are generated GENERATE_AHEAD_DAYS ahead (from today, never for past days) when the
+  Task Registry opens or a series is saved; generating twice is harmless (unique series/date)
+- "Today" and the occurrences' wall-clock times follow the owner's profile timezone
+- Editing "this and all future" splits the series at the edited occurrence (recurrence.js
+  splitSeries): occurrences from then on move to the new series, open ones are regenerated from
+  its template; deleting an occurrence records it in exdates so it isn't generated again
+*/
+
+export const GENERATE_AHEAD_DAYS = 7;
+
+async function ownerTimezone(userId) {
+  const { data: prof } = await supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle();
+  return prof?.timezone || null;
+}
+
+// the series template moved to dateStr (same wall-clock times in tz)
+function occurrenceRow(series, dateStr, tz) {
+  const shift = daysBetween(series.dtstart, dateStr);
+  return {
+    title: series.title,
+    description: series.description,
+    duration_minutes: series.duration_minutes,
+    start_time: series.start_time ? shiftDaysIn(series.start_time, shift, tz).toISOString() : null,
+    end_time: series.end_time ? shiftDaysIn(series.end_time, shift, tz).toISOString() : null,
+    checklist_item_type: series.checklist_item_type,
+    checklist_item_key: series.checklist_item_key,
+    checklist_item_ref: series.checklist_item_ref,
+    checklist_item_label: series.checklist_item_label,
+    created_by: series.created_by,
+    series_id: series.id,
+    occurrence_date: dateStr,
+  };
+}
+
+// inserts the missing occurrences of a series between today and GENERATE_AHEAD_DAYS ahead;
+// tz: the owner's profile timezone (loaded when not given)
+export async function generateSeriesInstances(series, tz) {
+  if (tz === undefined) tz = await ownerTimezone(series.created_by);
+  const today = todayStr(tz);
+  const from = series.dtstart > today ? series.dtstart : today;
+  const dates = occurrenceDates(parseRRule(series.rrule), series.dtstart, from, addDays(today, GENERATE_AHEAD_DAYS - 1), series.exdates || []);
+  if (dates.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .upsert(dates.map(d => occurrenceRow(series, d, tz)), { onConflict: 'series_id,occurrence_date', ignoreDuplicates: true })
+    .select('id');
+  if (error) throw error;
+
+  const created = data || [];
+  const titles = (series.subtasks || []).filter(Boolean);
+  if (created.length && titles.length) {
+    const rows = created.flatMap(t => titles.map((title, i) => ({ task_id: t.id, title, position: i })));
+    const { error: subErr } = await supabase.from('task_subtasks').insert(rows);
+    if (subErr) throw subErr;
+  }
+  return created.length;
+}
+
+export async function generateDueInstances(userId) {
+  const { data, error } = await supabase.from('task_series').select('*').eq('created_by', userId);
+  if (error) throw error;
+  const tz = await ownerTimezone(userId);
+  let n = 0;
+  for (const series of data || []) n += await generateSeriesInstances(series, tz);
+  return n;
+}
+
+async function loadSeries(seriesId) {
+  const { data, error } = await supabase.from('task_series').select('*').eq('id', seriesId).single();
+  if (error) throw error;
+  return data;
+}
+
+// fields: title, description, duration_minutes, start_time, end_time (the first occurrence's),
+// checklist_item_* (the checklist item every occurrence ticks)
+// firstTask: an existing one-off task that becomes the first occurrence
+export async function createSeries(userId, fields, rule, dtstart, subtaskTitles = [], firstTask = null) {
+  const { data: series, error } = await supabase
+    .from('task_series')
+    .insert([{ ...fields, created_by: userId, dtstart, rrule: formatRRule(rule), subtasks: subtaskTitles }])
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  if (firstTask) {
+    const { error: linkErr } = await supabase.from('tasks').update({ series_id: series.id, occurrence_date: dtstart }).eq('id', firstTask.id);
+    if (linkErr) throw linkErr;
+  }
+  await generateSeriesInstances(series);
+  return series;
+}
+
+// open occurrences of a series after dateStr (completed, running and started ones stay)
+async function deleteOpenOccurrencesAfter(seriesId, dateStr) {
+  const { error } = await supabase
+    .from('tasks')
+    .delete()
+    .eq('series_id', seriesId)
+    .gt('occurrence_date', dateStr)
+    .eq('status', 'pending')
+    .eq('is_running', false);
+  if (error) throw error;
+}
+
+// last occurrence of the series is on dateStr
+async function endSeriesOn(series, dateStr) {
+  const rule = { ...parseRRule(series.rrule), until: dateStr, count: null };
+  const { error } = await supabase.from('task_series').update({ rrule: formatRRule(rule) }).eq('id', series.id);
+  if (error) throw error;
+  await deleteOpenOccurrencesAfter(series.id, dateStr);
+}
+
+// "this and all future occurrences": task is the edited occurrence (already saved with `fields`);
+// rule null stops the series after it
+export async function editFutureOccurrences(task, fields, rule, subtaskTitles = []) {
+  const series = await loadSeries(task.series_id);
+  const date = task.occurrence_date;
+  if (!rule) return endSeriesOn(series, date);
+
+  const template = { ...fields, rrule: formatRRule(rule), subtasks: subtaskTitles };
+  let next;
+  if (date <= series.dtstart) {
+    // the edit starts at the first occurrence: the whole series changes
+    const { data, error } = await supabase.from('task_series').update(template).eq('id', series.id).select('*').single();
+    if (error) throw error;
+    next = data;
+  } else {
+    const { data: occurrences, error: occErr } = await supabase
+      .from('tasks')
+      .select('id, occurrence_date')
+      .eq('series_id', series.id)
+      .gte('occurrence_date', date);
+    if (occErr) throw occErr;
+    const split = splitSeries(series, occurrences, date, rule);
+    const { data, error } = await supabase
+      .from('task_series')
+      .insert([{ ...template, rrule: formatRRule(split.rule), created_by: series.created_by, dtstart: date, exdates: split.exdates }])
+      .select('*')
+      .single();
+    if (error) throw error;
+    next = data;
+    // move the edited occurrence and every later one first: ending the old series deletes its open
+    // occurrences from date on, and started / completed ones left behind would be generated again
+    const { error: moveErr } = await supabase.from('tasks').update({ series_id: next.id }).in('id', split.move);
+    if (moveErr) throw moveErr;
+    await endSeriesOn(series, addDays(date, -1));
+  }
+
+  await deleteOpenOccurrencesAfter(next.id, date);
+  await generateSeriesInstances(next);
+  return next;
+}
+
+// deletes one occurrence (kept out of future generation), or it and all later open ones
+export async function deleteOccurrence(task, allFuture = false) {
+  const series = await loadSeries(task.series_id);
+  if (allFuture) {
+    await endSeriesOn(series, addDays(task.occurrence_date, -1));
+  } else {
+    const exdates = Array.from(new Set([...(series.exdates || []), task.occurrence_date]));
+    const { error } = await supabase.from('task_series').update({ exdates }).eq('id', series.id);
+    if (error) throw error;
+  }
+  const { error } = await supabase.from('tasks').delete().eq('id', task.id);
+  if (error) throw error;
+}
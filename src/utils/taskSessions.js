@@ -0,0 +1,90 @@
+// src/utils/taskSessions.js
+import { supabase } from '../supabaseClient';
+import { tabId } from './activeTimer';
+import { addDays, dateStrIn, startOfDayIn } from './dates';
+
+/*
+taskSessions.js
+- Every start/resume of a task timer opens a task_sessions row, every pause/stop/finish closes it
+  (start_task_session / end_task_session stamp the server clock)
+- A session still open counts up to now, but never past started_at + planned_seconds
+  (the countdown it was started with can't run past zero)
+- focusedSecondsByDay / sessionsOnDay split sessions at midnight in the member's profile timezone
+  for the per-day totals and the timelines in TaskCalendar and DayProfilePage
+*/
+
+// also claims the member's active timer for this tab, pausing any other running task
+export async function startTaskSession(taskId, plannedSeconds = null) {
+  const { data, error } = await supabase.rpc('start_task_session', {
+    p_task_id: taskId,
+    p_planned_seconds: plannedSeconds == null ? null : Math.floor(plannedSeconds),
+    p_device: tabId(),
+  });
+  if (error) throw error;
+  return data;
+}
+
+// reason: 'pause' | 'stop' | 'finish'
+export async function endTaskSession(taskId, reason = 'pause') {
+  const { data, error } = await supabase.rpc('end_task_session', { p_task_id: taskId, p_reason: reason });
+  if (error) throw error;
+  return data;
+}
+
+// sessions overlapping [fromTs, toTs), with the task title; userId null = everyone
+export async function loadTaskSessions({ userId = null, fromTs, toTs }) {
+  let q = supabase
+    .from('task_sessions')
+    .select('id,task_id,user_id,started_at,ended_at,planned_seconds,duration_seconds,end_reason,tasks(title)')
+    .lt('started_at', toTs)
+    .or(`ended_at.is.null,ended_at.gte.${fromTs}`)
+    .order('started_at', { ascending: true });
+  if (userId) q = q.eq('user_id', userId);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+// end instant (ms) of a session; open ones run to now, capped by their planned length
+export function sessionEndMs(session, now = Date.now()) {
+  if (session.ended_at) return Date.parse(session.ended_at);
+  const start = Date.parse(session.started_at);
+  const cap = session.planned_seconds == null ? Infinity : start + session.planned_seconds * 1000;
+  return Math.max(start, Math.min(now, cap));
+}
+
+// the parts of sessions that fall on dateStr (calendar day in tz): [{ ...session, fromMs, toMs, seconds }]
+export function sessionsOnDay(sessions, dateStr, tz, now = Date.now()) {
+  const dayStart = startOfDayIn(dateStr, tz).valueOf();
+  const dayEnd = startOfDayIn(addDays(dateStr, 1), tz).valueOf();
+  return (sessions || [])
+    .map(s => {
+      const fromMs = Math.max(Date.parse(s.started_at), dayStart);
+      const toMs = Math.min(sessionEndMs(s, now), dayEnd);
+      return { ...s, fromMs, toMs, seconds: Math.max(0, Math.round((toMs - fromMs) / 1000)) };
+    })
+    .filter(s => s.toMs > s.fromMs);
+}
+
+// { 'YYYY-MM-DD': seconds } over all sessions, split at midnight in tz
+export function focusedSecondsByDay(sessions, tz, now = Date.now()) {
+  const out = {};
+  (sessions || []).forEach(s => {
+    let from = Date.parse(s.started_at);
+    const to = sessionEndMs(s, now);
+    while (from < to) {
+      const key = dateStrIn(from, tz);
+      const next = Math.min(to, startOfDayIn(addDays(key, 1), tz).valueOf());
+      out[key] = (out[key] || 0) + Math.round((next - from) / 1000);
+      from = next;
+    }
+  });
+  return out;
+}
+
+// 5700 -> '1h 35m', 1200 -> '20m'
+export function fmtFocus(seconds) {
+  const m = Math.round((seconds || 0) / 60);
+  if (m < 60) return `${m}m`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`;
+}
@@ -0,0 +1,39 @@
+// src/utils/uploads.js
+import { supabase } from '../supabaseClient';
+
+/*
+uploads.js
+- File uploads to the chat-uploads storage bucket, shared by chat attachments (ChatPage),
+  appeal attachments (appeals.js) and proof screenshots (proof.js)
+- uploadFile checks size (and optionally that the file is an image), stores it under
+  <folder>/<timestamp>_<random>_<safe name> and returns { name, size, type, path, url }
+- urlForPath: public URL of a stored file, else a signed one valid for an hour
+*/
+
+export const UPLOAD_BUCKET = 'chat-uploads';
+
+const mb = (bytes) => Math.round(bytes / (1024 * 1024));
+
+export async function urlForPath(path) {
+  if (!path) return null;
+  try {
+    const { data: pub } = supabase.storage.from(UPLOAD_BUCKET).getPublicUrl(path);
+    const publicUrl = pub?.publicUrl || pub?.public_url || pub?.url || null;
+    if (publicUrl) return publicUrl;
+  } catch (e) {}
+  try {
+    const { data: signed, error } = await supabase.storage.from(UPLOAD_BUCKET).createSignedUrl(path, 60 * 60);
+    if (!error && (signed?.signedUrl || signed?.signed_url)) return signed.signedUrl ?? signed.signed_url;
+  } catch (e) { console.warn('createSignedUrl failed', e); }
+  return null;
+}
+
+export async function uploadFile(folder, file, { maxSize, imageOnly = false } = {}) {
+  if (imageOnly && (!file.type || !file.type.startsWith('image/'))) throw new Error(`${file.name} is not an image`);
+  if (maxSize && file.size > maxSize) throw new Error(`${file.name} exceeds max size of ${mb(maxSize)} MB`);
+  const safeName = file.name.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+  const path = `${folder}/${Date.now()}_${Math.random().toString(36).slice(2,8)}_${safeName}`;
+  const { data, error } = await supabase.storage.from(UPLOAD_BUCKET).upload(path, file, { upsert: false });
+  if (error) throw error;
+  return { name: file.name, size: file.size, type: file.type, path: data.path, url: await urlForPath(data.path) };
+}
@@ -0,0 +1,9 @@
+-- Escalation curve per fine domain (see src/utils/fineEngine.js).
+-- The policy in force is stored on the fine row and snapshotted into every history row
+-- so that amounts can be reproduced later.
+
+alter table public.fines add column if not exists escalation jsonb;
+alter table public.fines_history add column if not exists escalation jsonb;
+
+alter table public.consistency_fines add column if not exists escalation jsonb;
+alter table public.consistency_fines_history add column if not exists escalation jsonb;
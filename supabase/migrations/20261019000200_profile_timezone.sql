@@ -0,0 +1,5 @@
+-- IANA timezone per profile (e.g. 'Asia/Kolkata'). Decides where each calendar day
+-- starts for checklist dates, fines, suspensions and consistency streaks.
+-- null = fall back to the browser timezone.
+
+alter table public.profiles add column if not exists timezone text;
@@ -0,0 +1,7 @@
+-- Who wrote a daily_checks row: 'user' (saved from DailyChecklist) or 'sweeper'
+-- (scripts/sweepMissedChecklists.js, for days nobody submitted). The sweeper only
+-- ever rewrites its own rows.
+
+alter table public.daily_checks add column if not exists source text not null default 'user';
+alter table public.daily_checks drop constraint if exists daily_checks_source_check;
+alter table public.daily_checks add constraint daily_checks_source_check check (source in ('user', 'sweeper'));
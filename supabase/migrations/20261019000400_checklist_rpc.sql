@@ -0,0 +1,116 @@
+-- Atomic checklist submission and excuse flow.
+-- Each function runs in a single transaction: either the daily_checks row, the fines
+-- for the date and the suspension all change together, or nothing does.
+-- Fine rules mirror buildFinesForChecks in src/utils/checklist.js:
+--   one fine per unchecked item, amount = penalty (10 if unset), doubled when the
+--   submission comes more than 24h after the date started in the user's timezone.
+
+create or replace function public.checklist_day_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'daily_check', (select to_jsonb(dc) from public.daily_checks dc where dc.user_id = p_user and dc.date = p_date),
+    'fines', coalesce((
+      select jsonb_agg(to_jsonb(f) order by f.created_at)
+        from public.fines f
+       where f.user_id = p_user and f.date = p_date
+    ), '[]'::jsonb),
+    'suspension', (
+      select to_jsonb(s)
+        from public.suspensions s
+       where s.user_id = p_user and s.start_date <= p_date and s.end_date >= p_date
+       limit 1
+    )
+  );
+$$;
+
+create or replace function public.submit_daily_checks(p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_tz text;
+  v_late boolean;
+  v_dc public.daily_checks;
+  v_suspended boolean;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select coalesce(p.timezone, 'UTC') into v_tz from public.profiles p where p.id = v_user;
+  v_late := now() > ((p_date::timestamp at time zone coalesce(v_tz, 'UTC')) + interval '24 hours');
+
+  insert into public.daily_checks (user_id, date, checks, source)
+  values (v_user, p_date, coalesce(p_checks, '{}'::jsonb), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from public.fines
+   where user_id = v_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  select exists (
+    select 1 from public.suspensions s
+     where s.user_id = v_user and s.start_date <= p_date and s.end_date >= p_date
+  ) into v_suspended;
+
+  if not v_suspended then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into public.fines (user_id, daily_check_id, date, amount, reason)
+      values (
+        v_user, v_dc.id, p_date,
+        case when v_late then v_penalty * 2 else v_penalty end,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key)
+      );
+    end loop;
+  end if;
+
+  return public.checklist_day_state(v_user, p_date) || jsonb_build_object('late', v_late);
+end;
+$$;
+
+create or replace function public.excuse_date(p_date date, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_user uuid := auth.uid();
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  insert into public.suspensions (user_id, start_date, end_date, reason)
+  values (v_user, p_date, p_date, trim(p_reason));
+
+  delete from public.fines
+   where user_id = v_user
+     and (daily_check_id in (select id from public.daily_checks where user_id = v_user and date = p_date)
+          or (daily_check_id is null and date = p_date));
+
+  return public.checklist_day_state(v_user, p_date);
+end;
+$$;
+
+grant execute on function public.submit_daily_checks(date, jsonb) to authenticated;
+grant execute on function public.excuse_date(date, text) to authenticated;
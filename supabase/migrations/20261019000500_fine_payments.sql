@@ -0,0 +1,162 @@
+-- Fine payments ledger.
+-- fine_payments is append-only: a payment is never edited or deleted, a reversal is a new
+-- row with a negative amount that points at the payment it undoes (audit trail).
+-- fine_payment_allocations records how much of each payment went to which fine; a payment
+-- can cover part of one fine or several fines, anything left over stays as credit.
+-- fines.paid_amount / fines.paid are maintained by the RPCs below, never by the client.
+
+alter table public.fines add column if not exists paid_amount numeric not null default 0;
+
+create table if not exists public.fine_payments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null default 'payment' check (kind in ('payment', 'reversal')),
+  amount numeric not null,
+  method text,
+  reference text,
+  note text,
+  reverses_payment_id uuid references public.fine_payments(id),
+  reversed_by_payment_id uuid references public.fine_payments(id),
+  created_by uuid not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fine_payments_user_idx on public.fine_payments (user_id, created_at);
+
+create table if not exists public.fine_payment_allocations (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null references public.fine_payments(id) on delete cascade,
+  fine_id uuid not null references public.fines(id) on delete cascade,
+  amount numeric not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fine_payment_allocations_payment_idx on public.fine_payment_allocations (payment_id);
+create index if not exists fine_payment_allocations_fine_idx on public.fine_payment_allocations (fine_id);
+
+alter table public.fine_payments enable row level security;
+alter table public.fine_payment_allocations enable row level security;
+
+drop policy if exists "own payments readable" on public.fine_payments;
+create policy "own payments readable" on public.fine_payments
+  for select using (user_id = auth.uid());
+
+drop policy if exists "own allocations readable" on public.fine_payment_allocations;
+create policy "own allocations readable" on public.fine_payment_allocations
+  for select using (exists (
+    select 1 from public.fine_payments p where p.id = payment_id and p.user_id = auth.uid()
+  ));
+
+-- Pay `p_amount` towards the caller's fines. With p_fine_ids only those fines are covered,
+-- otherwise the oldest outstanding fines first.
+create or replace function public.record_fine_payment(
+  p_amount numeric,
+  p_method text,
+  p_reference text,
+  p_note text,
+  p_fine_ids uuid[] default null
+)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_payment public.fine_payments;
+  v_left numeric := p_amount;
+  v_fine record;
+  v_take numeric;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'amount must be positive';
+  end if;
+
+  insert into fine_payments (user_id, kind, amount, method, reference, note, created_by)
+  values (v_user, 'payment', p_amount, nullif(trim(p_method), ''), nullif(trim(p_reference), ''), nullif(trim(p_note), ''), v_user)
+  returning * into v_payment;
+
+  for v_fine in
+    select id, amount, paid_amount
+      from fines
+     where user_id = v_user
+       and paid_amount < amount
+       and (p_fine_ids is null or id = any(p_fine_ids))
+     order by date, created_at
+     for update
+  loop
+    exit when v_left <= 0;
+    v_take := least(v_left, v_fine.amount - v_fine.paid_amount);
+    insert into fine_payment_allocations (payment_id, fine_id, amount)
+    values (v_payment.id, v_fine.id, v_take);
+    update fines
+       set paid_amount = paid_amount + v_take,
+           paid = (paid_amount + v_take >= amount)
+     where id = v_fine.id;
+    v_left := v_left - v_take;
+  end loop;
+
+  return v_payment;
+end;
+$$;
+
+-- Undo a payment: writes a negative reversal row plus negative allocations, and
+-- takes the paid amounts back off the fines it covered.
+create or replace function public.reverse_fine_payment(p_payment_id uuid, p_reason text)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_orig public.fine_payments;
+  v_rev public.fine_payments;
+  v_alloc record;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  select * into v_orig from fine_payments where id = p_payment_id and user_id = v_user for update;
+  if not found then
+    raise exception 'payment not found';
+  end if;
+  if v_orig.kind <> 'payment' then
+    raise exception 'only payments can be reversed';
+  end if;
+  if v_orig.reversed_by_payment_id is not null then
+    raise exception 'payment already reversed';
+  end if;
+
+  insert into fine_payments (user_id, kind, amount, method, reference, note, reverses_payment_id, created_by)
+  values (v_user, 'reversal', -v_orig.amount, v_orig.method, v_orig.reference, trim(p_reason), v_orig.id, v_user)
+  returning * into v_rev;
+
+  for v_alloc in
+    select fine_id, sum(amount) as amount
+      from fine_payment_allocations
+     where payment_id = v_orig.id
+     group by fine_id
+  loop
+    insert into fine_payment_allocations (payment_id, fine_id, amount)
+    values (v_rev.id, v_alloc.fine_id, -v_alloc.amount);
+    update fines
+       set paid_amount = greatest(0, paid_amount - v_alloc.amount),
+           paid = (greatest(0, paid_amount - v_alloc.amount) >= amount)
+     where id = v_alloc.fine_id;
+  end loop;
+
+  update fine_payments set reversed_by_payment_id = v_rev.id where id = v_orig.id;
+  return v_rev;
+end;
+$$;
+
+grant execute on function public.record_fine_payment(numeric, text, text, text, uuid[]) to authenticated;
+grant execute on function public.reverse_fine_payment(uuid, text) to authenticated;
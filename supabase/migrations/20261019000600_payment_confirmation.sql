@@ -0,0 +1,298 @@
+-- Peer verification of fine payments.
+-- A payment is recorded as a claim ('claimed'). It only reduces what the payer owes once
+-- another participant (or a treasurer) confirms it; until then the fines stay unpaid.
+-- Every confirm/reject is kept in fine_payment_confirmations, and the people involved
+-- are notified through the notifications table.
+
+alter table public.profiles add column if not exists is_treasurer boolean not null default false;
+
+-- rows written before this migration were applied immediately: treat them as confirmed
+alter table public.fine_payments add column if not exists status text not null default 'confirmed';
+alter table public.fine_payments alter column status set default 'claimed';
+alter table public.fine_payments drop constraint if exists fine_payments_status_check;
+alter table public.fine_payments add constraint fine_payments_status_check check (status in ('claimed', 'confirmed', 'rejected'));
+alter table public.fine_payments add column if not exists fine_ids uuid[];
+alter table public.fine_payments add column if not exists confirmer_id uuid references auth.users(id);
+alter table public.fine_payments add column if not exists confirmed_by uuid references auth.users(id);
+alter table public.fine_payments add column if not exists confirmed_at timestamptz;
+
+create table if not exists public.fine_payment_confirmations (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null references public.fine_payments(id) on delete cascade,
+  actor_id uuid not null references auth.users(id),
+  action text not null check (action in ('confirmed', 'rejected')),
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fine_payment_confirmations_payment_idx on public.fine_payment_confirmations (payment_id);
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null,
+  title text not null,
+  body text,
+  link text,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx on public.notifications (user_id, created_at desc);
+
+alter table public.fine_payment_confirmations enable row level security;
+alter table public.notifications enable row level security;
+
+-- confirmers need to see other people's claims; the ledger is open to the group
+drop policy if exists "own payments readable" on public.fine_payments;
+drop policy if exists "payments readable by members" on public.fine_payments;
+create policy "payments readable by members" on public.fine_payments
+  for select using (auth.uid() is not null);
+
+drop policy if exists "own allocations readable" on public.fine_payment_allocations;
+drop policy if exists "allocations readable by members" on public.fine_payment_allocations;
+create policy "allocations readable by members" on public.fine_payment_allocations
+  for select using (auth.uid() is not null);
+
+drop policy if exists "confirmations readable by members" on public.fine_payment_confirmations;
+create policy "confirmations readable by members" on public.fine_payment_confirmations
+  for select using (auth.uid() is not null);
+
+drop policy if exists "own notifications" on public.notifications;
+create policy "own notifications" on public.notifications
+  for select using (user_id = auth.uid());
+drop policy if exists "own notifications mark read" on public.notifications;
+create policy "own notifications mark read" on public.notifications
+  for update using (user_id = auth.uid());
+
+-- record_fine_payment now only files a claim; allocation happens on confirmation
+drop function if exists public.record_fine_payment(numeric, text, text, text, uuid[]);
+
+create or replace function public.record_fine_payment(
+  p_amount numeric,
+  p_method text,
+  p_reference text,
+  p_note text,
+  p_fine_ids uuid[] default null,
+  p_confirmer_id uuid default null
+)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_payment public.fine_payments;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'amount must be positive';
+  end if;
+  if p_confirmer_id = v_user then
+    raise exception 'a payment must be confirmed by someone else';
+  end if;
+
+  insert into fine_payments (user_id, kind, status, amount, method, reference, note, fine_ids, confirmer_id, created_by)
+  values (v_user, 'payment', 'claimed', p_amount, nullif(trim(p_method), ''), nullif(trim(p_reference), ''),
+          nullif(trim(p_note), ''), p_fine_ids, p_confirmer_id, v_user)
+  returning * into v_payment;
+
+  -- the chosen confirmer, or every treasurer when nobody was chosen
+  insert into notifications (user_id, kind, title, body, link)
+  select n.uid, 'payment_claimed', 'Payment awaiting confirmation',
+         format('A payment of ₹%s was claimed and needs your confirmation.', p_amount), '/fines'
+    from (
+      select p_confirmer_id as uid where p_confirmer_id is not null
+      union
+      select id from profiles where is_treasurer and id <> v_user and p_confirmer_id is null
+    ) n;
+
+  return v_payment;
+end;
+$$;
+
+create or replace function public.can_confirm_fine_payment(p_payment public.fine_payments, p_actor uuid)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select p_actor is not null
+     and p_actor <> p_payment.user_id
+     and (
+       p_payment.confirmer_id is null
+       or p_payment.confirmer_id = p_actor
+       or exists (select 1 from profiles where id = p_actor and is_treasurer)
+     );
+$$;
+
+create or replace function public.confirm_fine_payment(p_payment_id uuid, p_note text default null)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_payment public.fine_payments;
+  v_left numeric;
+  v_fine record;
+  v_take numeric;
+begin
+  select * into v_payment from fine_payments where id = p_payment_id for update;
+  if not found then
+    raise exception 'payment not found';
+  end if;
+  if v_payment.status <> 'claimed' then
+    raise exception 'payment is already %', v_payment.status;
+  end if;
+  if not can_confirm_fine_payment(v_payment, v_user) then
+    raise exception 'you cannot confirm this payment';
+  end if;
+
+  v_left := v_payment.amount;
+  for v_fine in
+    select id, amount, paid_amount
+      from fines
+     where user_id = v_payment.user_id
+       and paid_amount < amount
+       and (v_payment.fine_ids is null or id = any(v_payment.fine_ids))
+     order by date, created_at
+     for update
+  loop
+    exit when v_left <= 0;
+    v_take := least(v_left, v_fine.amount - v_fine.paid_amount);
+    insert into fine_payment_allocations (payment_id, fine_id, amount)
+    values (v_payment.id, v_fine.id, v_take);
+    update fines
+       set paid_amount = paid_amount + v_take,
+           paid = (paid_amount + v_take >= amount)
+     where id = v_fine.id;
+    v_left := v_left - v_take;
+  end loop;
+
+  update fine_payments
+     set status = 'confirmed', confirmed_by = v_user, confirmed_at = now()
+   where id = v_payment.id
+  returning * into v_payment;
+
+  insert into fine_payment_confirmations (payment_id, actor_id, action, note)
+  values (v_payment.id, v_user, 'confirmed', nullif(trim(p_note), ''));
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_payment.user_id, 'payment_confirmed', 'Payment confirmed',
+          format('Your payment of ₹%s was confirmed.', v_payment.amount), '/fines');
+
+  return v_payment;
+end;
+$$;
+
+create or replace function public.reject_fine_payment(p_payment_id uuid, p_note text)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_payment public.fine_payments;
+begin
+  if length(trim(coalesce(p_note, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  select * into v_payment from fine_payments where id = p_payment_id for update;
+  if not found then
+    raise exception 'payment not found';
+  end if;
+  if v_payment.status <> 'claimed' then
+    raise exception 'payment is already %', v_payment.status;
+  end if;
+  if not can_confirm_fine_payment(v_payment, v_user) then
+    raise exception 'you cannot reject this payment';
+  end if;
+
+  update fine_payments set status = 'rejected' where id = v_payment.id
+  returning * into v_payment;
+
+  insert into fine_payment_confirmations (payment_id, actor_id, action, note)
+  values (v_payment.id, v_user, 'rejected', trim(p_note));
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_payment.user_id, 'payment_rejected', 'Payment rejected',
+          format('Your payment of ₹%s was rejected: %s', v_payment.amount, trim(p_note)), '/fines');
+
+  return v_payment;
+end;
+$$;
+
+-- only confirmed payments have allocations to undo
+create or replace function public.reverse_fine_payment(p_payment_id uuid, p_reason text)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_orig public.fine_payments;
+  v_rev public.fine_payments;
+  v_alloc record;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  select * into v_orig from fine_payments where id = p_payment_id and user_id = v_user for update;
+  if not found then
+    raise exception 'payment not found';
+  end if;
+  if v_orig.kind <> 'payment' then
+    raise exception 'only payments can be reversed';
+  end if;
+  if v_orig.status <> 'confirmed' then
+    raise exception 'only confirmed payments can be reversed';
+  end if;
+  if v_orig.reversed_by_payment_id is not null then
+    raise exception 'payment already reversed';
+  end if;
+
+  insert into fine_payments (user_id, kind, status, amount, method, reference, note, reverses_payment_id, created_by)
+  values (v_user, 'reversal', 'confirmed', -v_orig.amount, v_orig.method, v_orig.reference, trim(p_reason), v_orig.id, v_user)
+  returning * into v_rev;
+
+  for v_alloc in
+    select fine_id, sum(amount) as amount
+      from fine_payment_allocations
+     where payment_id = v_orig.id
+     group by fine_id
+  loop
+    insert into fine_payment_allocations (payment_id, fine_id, amount)
+    values (v_rev.id, v_alloc.fine_id, -v_alloc.amount);
+    update fines
+       set paid_amount = greatest(0, paid_amount - v_alloc.amount),
+           paid = (greatest(0, paid_amount - v_alloc.amount) >= amount)
+     where id = v_alloc.fine_id;
+  end loop;
+
+  update fine_payments set reversed_by_payment_id = v_rev.id where id = v_orig.id;
+  return v_rev;
+end;
+$$;
+
+grant execute on function public.record_fine_payment(numeric, text, text, text, uuid[], uuid) to authenticated;
+grant execute on function public.confirm_fine_payment(uuid, text) to authenticated;
+grant execute on function public.reject_fine_payment(uuid, text) to authenticated;
+
+-- Navbar badge listens for new notifications
+do $$
+begin
+  alter publication supabase_realtime add table public.notifications;
+exception when duplicate_object then null;
+end $$;
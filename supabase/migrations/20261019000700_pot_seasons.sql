@@ -0,0 +1,59 @@
+-- Group pot: fines collected over a season and how the pot is paid out.
+-- pot_seasons holds the season dates and the payout rule (jsonb, see src/utils/pot.js):
+--   { "kind": "best_consistency", "top_n": 3 }
+--   { "kind": "equal" }
+--   { "kind": "charity", "charity_name": "...", "share_pct": 100 }
+-- Only admins (profiles.is_admin) create or edit seasons. Closing a season stores the
+-- settlement rows that were computed at that moment, so the sheet no longer moves.
+
+alter table public.profiles add column if not exists is_admin boolean not null default false;
+
+create table if not exists public.pot_seasons (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  start_date date not null,
+  end_date date not null,
+  rule jsonb not null default '{"kind": "equal"}'::jsonb,
+  settlement jsonb,
+  settled_at timestamptz,
+  created_by uuid not null references auth.users(id),
+  created_at timestamptz not null default now(),
+  check (end_date >= start_date)
+);
+
+alter table public.pot_seasons enable row level security;
+
+drop policy if exists "seasons readable by members" on public.pot_seasons;
+create policy "seasons readable by members" on public.pot_seasons
+  for select using (auth.uid() is not null);
+
+drop policy if exists "seasons managed by admins" on public.pot_seasons;
+create policy "seasons managed by admins" on public.pot_seasons
+  for all
+  using (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin))
+  with check (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin));
+
+-- Money collected per user between two dates (inclusive):
+--   'fines'             confirmed fine_payments, net of reversals
+--   'consistency_fines' consistency_fines_history rows marked paid
+create or replace function public.pot_collections(p_start date, p_end date)
+returns table (user_id uuid, source text, amount numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select fp.user_id, 'fines'::text, sum(fp.amount)
+    from fine_payments fp
+   where fp.status = 'confirmed'
+     and coalesce(fp.confirmed_at, fp.created_at)::date between p_start and p_end
+   group by fp.user_id
+  union all
+  select h.user_id, 'consistency_fines'::text, sum(h.amount_after)
+    from consistency_fines_history h
+   where h.event_type = 'paid'
+     and h.created_at::date between p_start and p_end
+   group by h.user_id;
+$$;
+
+grant execute on function public.pot_collections(date, date) to authenticated;
@@ -0,0 +1,299 @@
+-- Per-fine appeals.
+-- Instead of excusing a whole date, a member appeals one fine (one missed checklist item)
+-- with a reason and an optional attachment. Other members vote; the first side to reach
+-- APPEAL_VOTES_NEEDED (2, mirrored in src/utils/appeals.js) decides, and an admin's vote
+-- decides on its own. An approved appeal reverses only that fine: its amount goes to 0 and
+-- the change is written to fines_history.
+-- fines.item_key ties a fine to its daily_checks.checks key, so re-submitting the checklist
+-- does not bring back a fine whose appeal was approved, and pending appeals move to the
+-- re-created fine (fines_relink_appeals trigger).
+
+alter table public.fines add column if not exists item_key text;
+
+create table if not exists public.fine_appeals (
+  id uuid primary key default gen_random_uuid(),
+  fine_id uuid references public.fines(id) on delete set null,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  date date not null,
+  item_key text,
+  amount numeric not null,
+  reason text not null,
+  attachment_url text,
+  attachment_path text,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  decided_by uuid references auth.users(id),
+  decided_at timestamptz,
+  decision_note text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists fine_appeals_one_open_idx on public.fine_appeals (fine_id) where status = 'pending';
+create index if not exists fine_appeals_user_date_idx on public.fine_appeals (user_id, date);
+
+create table if not exists public.fine_appeal_votes (
+  id uuid primary key default gen_random_uuid(),
+  appeal_id uuid not null references public.fine_appeals(id) on delete cascade,
+  voter_id uuid not null references auth.users(id),
+  vote text not null check (vote in ('approve', 'reject')),
+  note text,
+  created_at timestamptz not null default now(),
+  unique (appeal_id, voter_id)
+);
+
+alter table public.fine_appeals enable row level security;
+alter table public.fine_appeal_votes enable row level security;
+
+drop policy if exists "appeals readable by members" on public.fine_appeals;
+create policy "appeals readable by members" on public.fine_appeals
+  for select using (auth.uid() is not null);
+
+drop policy if exists "appeal votes readable by members" on public.fine_appeal_votes;
+create policy "appeal votes readable by members" on public.fine_appeal_votes
+  for select using (auth.uid() is not null);
+
+create or replace function public.file_fine_appeal(
+  p_fine_id uuid,
+  p_reason text,
+  p_attachment_url text default null,
+  p_attachment_path text default null
+)
+returns public.fine_appeals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_fine public.fines;
+  v_appeal public.fine_appeals;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  select * into v_fine from fines where id = p_fine_id and user_id = v_user;
+  if not found then
+    raise exception 'fine not found';
+  end if;
+  if v_fine.amount <= 0 then
+    raise exception 'nothing to appeal on this fine';
+  end if;
+  if exists (select 1 from fine_appeals where fine_id = p_fine_id and status = 'pending') then
+    raise exception 'this fine already has an open appeal';
+  end if;
+
+  insert into fine_appeals (fine_id, user_id, date, item_key, amount, reason, attachment_url, attachment_path)
+  values (v_fine.id, v_user, v_fine.date, v_fine.item_key, v_fine.amount, trim(p_reason),
+          nullif(trim(p_attachment_url), ''), nullif(trim(p_attachment_path), ''))
+  returning * into v_appeal;
+
+  insert into notifications (user_id, kind, title, body, link)
+  select p.id, 'appeal_filed', 'Fine appeal needs votes',
+         format('%s appealed "%s" (₹%s) on %s.', coalesce(me.full_name, 'A member'), v_fine.reason, v_fine.amount, v_fine.date),
+         '/search?user=' || v_user
+    from profiles p
+    left join profiles me on me.id = v_user
+   where p.id <> v_user;
+
+  return v_appeal;
+end;
+$$;
+
+-- status 'approved' zeroes the fine and records the reversal in fines_history
+create or replace function public.decide_fine_appeal(p_appeal public.fine_appeals, p_status text, p_actor uuid, p_note text)
+returns public.fine_appeals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_fine public.fines;
+  v_appeal public.fine_appeals;
+begin
+  if p_status = 'approved' then
+    select * into v_fine from fines where id = p_appeal.fine_id for update;
+    if found then
+      update fines
+         set amount = 0,
+             paid = true
+       where id = v_fine.id;
+
+      insert into fines_history (
+        fine_id, user_id, domain, event_type, amount_before, amount_after,
+        multiplier_before, multiplier_after, consecutive_before, consecutive_after, escalation, note
+      ) values (
+        v_fine.id, v_fine.user_id, coalesce(v_fine.domain, 'checklist'), 'appeal_reversed', v_fine.amount, 0,
+        coalesce(v_fine.multiplier, 1), coalesce(v_fine.multiplier, 1),
+        coalesce(v_fine.consecutive_misses, 0), coalesce(v_fine.consecutive_misses, 0),
+        v_fine.escalation, format('appeal %s approved: %s', p_appeal.id, p_appeal.reason)
+      );
+    end if;
+  end if;
+
+  update fine_appeals
+     set status = p_status, decided_by = p_actor, decided_at = now(), decision_note = nullif(trim(p_note), '')
+   where id = p_appeal.id
+  returning * into v_appeal;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_appeal.user_id, 'appeal_' || p_status, 'Fine appeal ' || p_status,
+          format('Your appeal for the ₹%s fine on %s was %s.', v_appeal.amount, v_appeal.date, p_status), '/checklist');
+
+  return v_appeal;
+end;
+$$;
+
+create or replace function public.vote_fine_appeal(p_appeal_id uuid, p_vote text, p_note text default null)
+returns public.fine_appeals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_appeal public.fine_appeals;
+  v_is_admin boolean;
+  v_approve int;
+  v_reject int;
+  v_needed constant int := 2;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_vote not in ('approve', 'reject') then
+    raise exception 'vote must be approve or reject';
+  end if;
+
+  select * into v_appeal from fine_appeals where id = p_appeal_id for update;
+  if not found then
+    raise exception 'appeal not found';
+  end if;
+  if v_appeal.status <> 'pending' then
+    raise exception 'appeal is already %', v_appeal.status;
+  end if;
+  if v_appeal.user_id = v_user then
+    raise exception 'you cannot vote on your own appeal';
+  end if;
+  if v_appeal.fine_id is null then
+    raise exception 'the fine for this appeal no longer exists';
+  end if;
+
+  insert into fine_appeal_votes (appeal_id, voter_id, vote, note)
+  values (v_appeal.id, v_user, p_vote, nullif(trim(p_note), ''))
+  on conflict (appeal_id, voter_id) do update set vote = excluded.vote, note = excluded.note, created_at = now();
+
+  select coalesce(is_admin, false) into v_is_admin from profiles where id = v_user;
+  if v_is_admin then
+    return decide_fine_appeal(v_appeal, case when p_vote = 'approve' then 'approved' else 'rejected' end, v_user, p_note);
+  end if;
+
+  select count(*) filter (where vote = 'approve'), count(*) filter (where vote = 'reject')
+    into v_approve, v_reject
+    from fine_appeal_votes
+   where appeal_id = v_appeal.id;
+
+  if v_approve >= v_needed then
+    return decide_fine_appeal(v_appeal, 'approved', v_user, p_note);
+  elsif v_reject >= v_needed then
+    return decide_fine_appeal(v_appeal, 'rejected', v_user, p_note);
+  end if;
+  return v_appeal;
+end;
+$$;
+
+-- a re-created fine (checklist re-submitted) takes over the pending appeal of the one it replaced
+create or replace function public.relink_fine_appeals()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update fine_appeals
+     set fine_id = new.id
+   where user_id = new.user_id and date = new.date and item_key = new.item_key
+     and status = 'pending' and fine_id is null;
+  return new;
+end;
+$$;
+
+drop trigger if exists fines_relink_appeals on public.fines;
+create trigger fines_relink_appeals
+  after insert on public.fines
+  for each row when (new.item_key is not null)
+  execute function public.relink_fine_appeals();
+
+-- submit_daily_checks from 20261019000400, now aware of item keys and appeals
+create or replace function public.submit_daily_checks(p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_tz text;
+  v_late boolean;
+  v_dc public.daily_checks;
+  v_suspended boolean;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select coalesce(p.timezone, 'UTC') into v_tz from public.profiles p where p.id = v_user;
+  v_late := now() > ((p_date::timestamp at time zone coalesce(v_tz, 'UTC')) + interval '24 hours');
+
+  insert into public.daily_checks (user_id, date, checks, source)
+  values (v_user, p_date, coalesce(p_checks, '{}'::jsonb), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from public.fines
+   where user_id = v_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  select exists (
+    select 1 from public.suspensions s
+     where s.user_id = v_user and s.start_date <= p_date and s.end_date >= p_date
+  ) into v_suspended;
+
+  if not v_suspended then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from public.fine_appeals a
+         where a.user_id = v_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into public.fines (user_id, daily_check_id, date, amount, reason, item_key)
+      values (
+        v_user, v_dc.id, p_date,
+        case when v_late then v_penalty * 2 else v_penalty end,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key
+      )
+    end loop;
+  end if;
+
+  return public.checklist_day_state(v_user, p_date) || jsonb_build_object('late', v_late);
+end;
+$$;
+
+grant execute on function public.file_fine_appeal(uuid, text, text, text) to authenticated;
+grant execute on function public.vote_fine_appeal(uuid, text, text) to authenticated;
+revoke execute on function public.decide_fine_appeal(public.fine_appeals, text, uuid, text) from public, anon, authenticated;
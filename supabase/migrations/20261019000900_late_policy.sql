@@ -0,0 +1,305 @@
+-- Configurable late-submission policy (replaces the hard-coded "24h late => double").
+-- group_settings['late_policy'] (see src/utils/latePolicy.js):
+--   grace_hours            hours after the day starts (user's timezone) before a submission is late
+--   tiers                  [{ after_hours, multiplier }], hours counted from the end of the grace
+--                          window; the highest tier reached applies
+--   lock_after_days        dates older than this can no longer be edited (null = never)
+--   approval_after_days    changes to dates older than this wait for another member's approval
+--                          (null = never)
+-- The default reproduces the old behaviour. Every fine stores the rule that priced it in
+-- fines.late_rule so the amount can be explained later.
+
+create table if not exists public.group_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_by uuid references auth.users(id),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.group_settings enable row level security;
+
+drop policy if exists "settings readable by members" on public.group_settings;
+create policy "settings readable by members" on public.group_settings
+  for select using (auth.uid() is not null);
+
+drop policy if exists "settings managed by admins" on public.group_settings;
+create policy "settings managed by admins" on public.group_settings
+  for all
+  using (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin))
+  with check (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin));
+
+insert into public.group_settings (key, value)
+values ('late_policy', '{"grace_hours": 24, "tiers": [{"after_hours": 0, "multiplier": 2}], "lock_after_days": null, "approval_after_days": null}'::jsonb)
+on conflict (key) do nothing;
+
+alter table public.fines add column if not exists late_rule jsonb;
+
+create table if not exists public.checklist_change_requests (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  date date not null,
+  checks jsonb not null,
+  submitted_at timestamptz not null default now(),
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  decided_by uuid references auth.users(id),
+  decided_at timestamptz,
+  note text
+);
+
+create unique index if not exists checklist_change_requests_open_idx
+  on public.checklist_change_requests (user_id, date) where status = 'pending';
+
+alter table public.checklist_change_requests enable row level security;
+
+drop policy if exists "change requests readable by members" on public.checklist_change_requests;
+create policy "change requests readable by members" on public.checklist_change_requests
+  for select using (auth.uid() is not null);
+
+create or replace function public.late_policy()
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(
+    (select value from group_settings where key = 'late_policy'),
+    '{"grace_hours": 24, "tiers": [{"after_hours": 0, "multiplier": 2}]}'::jsonb
+  );
+$$;
+
+-- mirrors lateRuleFor in src/utils/latePolicy.js
+create or replace function public.late_rule_for(p_date date, p_tz text, p_at timestamptz, p_policy jsonb)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_since numeric;
+  v_grace numeric := coalesce((p_policy->>'grace_hours')::numeric, 24);
+  v_late numeric;
+  v_tier jsonb;
+  v_best jsonb;
+begin
+  v_since := extract(epoch from (p_at - (p_date::timestamp at time zone coalesce(p_tz, 'UTC')))) / 3600;
+  v_late := v_since - v_grace;
+  if v_late > 0 then
+    for v_tier in select value from jsonb_array_elements(coalesce(p_policy->'tiers', '[]'::jsonb)) loop
+      if v_late > coalesce((v_tier->>'after_hours')::numeric, 0)
+         and (v_best is null or (v_tier->>'after_hours')::numeric > (v_best->>'after_hours')::numeric) then
+        v_best := v_tier;
+      end if;
+    end loop;
+  end if;
+  return jsonb_build_object(
+    'hours_since_start', round(v_since, 1),
+    'grace_hours', v_grace,
+    'hours_late', round(greatest(v_late, 0), 1),
+    'after_hours', (v_best->>'after_hours')::numeric,
+    'multiplier', coalesce((v_best->>'multiplier')::numeric, 1)
+  );
+end;
+$$;
+
+-- days between the date and "today" in the user's timezone
+create or replace function public.checklist_date_age(p_user uuid, p_date date)
+returns int
+language sql
+stable
+set search_path = public
+as $$
+  select ((now() at time zone coalesce((select timezone from profiles where id = p_user), 'UTC'))::date - p_date);
+$$;
+
+create or replace function public.assert_checklist_date_editable(p_user uuid, p_date date)
+returns void
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_lock int := (late_policy()->>'lock_after_days')::int;
+begin
+  if v_lock is not null and checklist_date_age(p_user, p_date) > v_lock then
+    raise exception 'dates older than % days are locked', v_lock;
+  end if;
+end;
+$$;
+
+-- Writes the checklist and re-prices its fines as if submitted at p_at. Internal: called by
+-- submit_daily_checks (p_at = now()) and by an approved change request (p_at = submitted_at).
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_suspended boolean;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, coalesce(p_checks, '{}'::jsonb), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  select exists (
+    select 1 from suspensions s
+     where s.user_id = p_user and s.start_date <= p_date and s.end_date >= p_date
+  ) into v_suspended;
+
+  if not v_suspended then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
+
+revoke execute on function public.apply_daily_checks(uuid, date, jsonb, timestamptz) from public, anon, authenticated;
+
+create or replace function public.submit_daily_checks(p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_approval int := (late_policy()->>'approval_after_days')::int;
+  v_req public.checklist_change_requests;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  perform assert_checklist_date_editable(v_user, p_date);
+
+  if v_approval is not null and checklist_date_age(v_user, p_date) > v_approval then
+    delete from checklist_change_requests where user_id = v_user and date = p_date and status = 'pending';
+    insert into checklist_change_requests (user_id, date, checks)
+    values (v_user, p_date, coalesce(p_checks, '{}'::jsonb))
+    returning * into v_req;
+
+    insert into notifications (user_id, kind, title, body, link)
+    select p.id, 'checklist_change', 'Backdated checklist change needs approval',
+           format('%s changed their checklist for %s.', coalesce(me.full_name, 'A member'), p_date), '/checklist'
+      from profiles p
+      left join profiles me on me.id = v_user
+     where p.id <> v_user;
+
+    return checklist_day_state(v_user, p_date) || jsonb_build_object('pending_request', to_jsonb(v_req));
+  end if;
+
+  return apply_daily_checks(v_user, p_date, p_checks, now());
+end;
+$$;
+
+create or replace function public.decide_checklist_change(p_request_id uuid, p_approve boolean, p_note text default null)
+returns public.checklist_change_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_req public.checklist_change_requests;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_req from checklist_change_requests where id = p_request_id for update;
+  if not found then
+    raise exception 'request not found';
+  end if;
+  if v_req.status <> 'pending' then
+    raise exception 'request is already %', v_req.status;
+  end if;
+  if v_req.user_id = v_user then
+    raise exception 'you cannot approve your own change';
+  end if;
+
+  if p_approve then
+    perform apply_daily_checks(v_req.user_id, v_req.date, v_req.checks, v_req.submitted_at);
+  end if;
+
+  update checklist_change_requests
+     set status = case when p_approve then 'approved' else 'rejected' end,
+         decided_by = v_user, decided_at = now(), note = nullif(trim(p_note), '')
+   where id = v_req.id
+  returning * into v_req;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_req.user_id, 'checklist_change_' || v_req.status, 'Checklist change ' || v_req.status,
+          format('Your change to %s was %s.', v_req.date, v_req.status), '/checklist');
+
+  return v_req;
+end;
+$$;
+
+-- excusing a date is an edit too
+create or replace function public.excuse_date(p_date date, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_user uuid := auth.uid();
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+  perform public.assert_checklist_date_editable(v_user, p_date);
+
+  insert into public.suspensions (user_id, start_date, end_date, reason)
+  values (v_user, p_date, p_date, trim(p_reason));
+
+  delete from public.fines
+   where user_id = v_user
+     and (daily_check_id in (select id from public.daily_checks where user_id = v_user and date = p_date)
+          or (daily_check_id is null and date = p_date));
+
+  return public.checklist_day_state(v_user, p_date);
+end;
+$$;
+
+grant execute on function public.submit_daily_checks(date, jsonb) to authenticated;
+grant execute on function public.decide_checklist_change(uuid, boolean, text) to authenticated;
@@ -0,0 +1,292 @@
+-- Multi-day and recurring suspensions with a monthly excuse quota.
+-- A suspension covers start_date..end_date, optionally only on some weekdays
+-- (weekdays = '{sun}' for "every Sunday"). Only status = 'active' suspensions excuse a day.
+-- group_settings['excuse_policy'].monthly_quota is the number of excused days a member may
+-- take per calendar month on their own; a request that would go over it in any month is
+-- stored as 'pending' until another member approves it.
+-- suspension_covers mirrors suspensionCovers in src/utils/checklist.js.
+
+alter table public.suspensions add column if not exists weekdays text[];
+alter table public.suspensions add column if not exists status text not null default 'active';
+alter table public.suspensions drop constraint if exists suspensions_status_check;
+alter table public.suspensions add constraint suspensions_status_check check (status in ('active', 'pending', 'rejected'));
+alter table public.suspensions add column if not exists decided_by uuid references auth.users(id);
+alter table public.suspensions add column if not exists decided_at timestamptz;
+alter table public.suspensions add column if not exists decision_note text;
+alter table public.suspensions add column if not exists created_at timestamptz not null default now();
+
+insert into public.group_settings (key, value)
+values ('excuse_policy', '{"monthly_quota": 4, "max_days": 90}'::jsonb)
+on conflict (key) do nothing;
+
+create or replace function public.excuse_policy()
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce((select value from group_settings where key = 'excuse_policy'), '{"monthly_quota": 4, "max_days": 90}'::jsonb);
+$$;
+
+create or replace function public.suspension_covers(p_susp public.suspensions, p_date date)
+returns boolean
+language sql
+immutable
+as $$
+  select p_date between p_susp.start_date and coalesce(p_susp.end_date, p_susp.start_date)
+     and (p_susp.weekdays is null or cardinality(p_susp.weekdays) = 0
+          or lower(to_char(p_date, 'Dy')) = any(p_susp.weekdays));
+$$;
+
+create or replace function public.is_suspended(p_user uuid, p_date date)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from suspensions s
+     where s.user_id = p_user and s.status = 'active' and suspension_covers(s, p_date)
+  );
+$$;
+
+-- dates the suspension excuses
+create or replace function public.suspension_dates(p_susp public.suspensions)
+returns setof date
+language sql
+immutable
+as $$
+  select d::date
+    from generate_series(p_susp.start_date, coalesce(p_susp.end_date, p_susp.start_date), interval '1 day') d
+   where public.suspension_covers(p_susp, d::date);
+$$;
+
+-- fines on excused dates go away once the suspension is active
+create or replace function public.clear_suspended_fines(p_susp public.suspensions)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from fines f
+   where f.user_id = p_susp.user_id
+     and f.date in (select suspension_dates(p_susp));
+$$;
+
+revoke execute on function public.clear_suspended_fines(public.suspensions) from public, anon, authenticated;
+
+create or replace function public.checklist_day_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'daily_check', (select to_jsonb(dc) from public.daily_checks dc where dc.user_id = p_user and dc.date = p_date),
+    'fines', coalesce((
+      select jsonb_agg(to_jsonb(f) order by f.created_at)
+        from public.fines f
+       where f.user_id = p_user and f.date = p_date
+    ), '[]'::jsonb),
+    'suspension', (
+      select to_jsonb(s)
+        from public.suspensions s
+       where s.user_id = p_user and s.status = 'active' and public.suspension_covers(s, p_date)
+       limit 1
+    ),
+    'pending_suspension', (
+      select to_jsonb(s)
+        from public.suspensions s
+       where s.user_id = p_user and s.status = 'pending' and public.suspension_covers(s, p_date)
+       limit 1
+    )
+  );
+$$;
+
+create or replace function public.request_suspension(
+  p_start date,
+  p_end date,
+  p_weekdays text[],
+  p_reason text
+)
+returns public.suspensions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_policy jsonb := excuse_policy();
+  v_quota int := (v_policy->>'monthly_quota')::int;
+  v_susp public.suspensions;
+  v_over boolean;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+  if p_end < p_start then
+    raise exception 'end date is before start date';
+  end if;
+  if p_end - p_start + 1 > coalesce((v_policy->>'max_days')::int, 90) then
+    raise exception 'a suspension can cover at most % days', coalesce((v_policy->>'max_days')::int, 90);
+  end if;
+  perform assert_checklist_date_editable(v_user, p_start);
+
+  insert into suspensions (user_id, start_date, end_date, weekdays, reason, status)
+  values (v_user, p_start, p_end, nullif(p_weekdays, '{}'), trim(p_reason), 'pending')
+  returning * into v_susp;
+
+  if not exists (select 1 from suspension_dates(v_susp)) then
+    raise exception 'the range does not contain any of the chosen weekdays';
+  end if;
+
+  -- excused days per month (active + pending, this request included) against the quota
+  select v_quota is not null and exists (
+    select 1
+      from (
+        select date_trunc('month', d) as month, count(distinct d) as days
+          from suspensions s, lateral suspension_dates(s) d
+         where s.user_id = v_user and s.status in ('active', 'pending')
+           and date_trunc('month', d) in (select date_trunc('month', x) from suspension_dates(v_susp) x)
+         group by 1
+      ) m
+     where m.days > v_quota
+  ) into v_over;
+
+  if v_over then
+    insert into notifications (user_id, kind, title, body, link)
+    select p.id, 'suspension_request', 'Excuse request needs approval',
+           format('%s asked to be excused %s – %s (%s), over the monthly quota.',
+                  coalesce(me.full_name, 'A member'), p_start, p_end, trim(p_reason)), '/checklist'
+      from profiles p
+      left join profiles me on me.id = v_user
+     where p.id <> v_user;
+    return v_susp;
+  end if;
+
+  update suspensions set status = 'active' where id = v_susp.id returning * into v_susp;
+  perform clear_suspended_fines(v_susp);
+  return v_susp;
+end;
+$$;
+
+create or replace function public.decide_suspension(p_suspension_id uuid, p_approve boolean, p_note text default null)
+returns public.suspensions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_susp public.suspensions;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_susp from suspensions where id = p_suspension_id for update;
+  if not found then
+    raise exception 'suspension not found';
+  end if;
+  if v_susp.status <> 'pending' then
+    raise exception 'suspension is already %', v_susp.status;
+  end if;
+  if v_susp.user_id = v_user then
+    raise exception 'you cannot approve your own excuse';
+  end if;
+
+  update suspensions
+     set status = case when p_approve then 'active' else 'rejected' end,
+         decided_by = v_user, decided_at = now(), decision_note = nullif(trim(p_note), '')
+   where id = v_susp.id
+  returning * into v_susp;
+
+  if p_approve then
+    perform clear_suspended_fines(v_susp);
+  end if;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_susp.user_id, 'suspension_' || v_susp.status,
+          case when p_approve then 'Excuse approved' else 'Excuse rejected' end,
+          format('Your excuse for %s – %s was %s.', v_susp.start_date, v_susp.end_date,
+                 case when p_approve then 'approved' else 'rejected' end), '/checklist');
+
+  return v_susp;
+end;
+$$;
+
+-- single-day excuse from the checklist; goes through the same quota rules
+create or replace function public.excuse_date(p_date date, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+begin
+  perform public.request_suspension(p_date, p_date, null, p_reason);
+  return public.checklist_day_state(auth.uid(), p_date);
+end;
+$$;
+
+-- apply_daily_checks from 20261019000900, now honouring only active (and weekday-matching) suspensions
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, coalesce(p_checks, '{}'::jsonb), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
+
+grant execute on function public.request_suspension(date, date, text[], text) to authenticated;
+grant execute on function public.decide_suspension(uuid, boolean, text) to authenticated;
@@ -0,0 +1,278 @@
+-- Partial excuses: a suspension can excuse only some checklist items.
+-- item_types (meta.type, e.g. '{sport}') and/or item_keys (checks keys, e.g. '{sport_0}')
+-- narrow a suspension to the matching items; with both empty it still excuses the whole day.
+-- Excused items get "excused": true inside daily_checks.checks (ConsistencyGraph reads it)
+-- and never get a fine. suspension_excuses_item mirrors suspensionExcusesItem in
+-- src/utils/checklist.js.
+
+alter table public.suspensions add column if not exists item_types text[];
+alter table public.suspensions add column if not exists item_keys text[];
+
+create or replace function public.suspension_is_partial(p_susp public.suspensions)
+returns boolean
+language sql
+immutable
+as $$
+  select coalesce(cardinality(p_susp.item_types), 0) > 0 or coalesce(cardinality(p_susp.item_keys), 0) > 0;
+$$;
+
+create or replace function public.suspension_excuses_item(p_susp public.suspensions, p_key text, p_item jsonb)
+returns boolean
+language sql
+immutable
+as $$
+  select not public.suspension_is_partial(p_susp)
+      or p_key = any(coalesce(p_susp.item_keys, '{}'))
+      or coalesce(p_item->'meta'->>'type', p_item->>'type', '') = any(coalesce(p_susp.item_types, '{}'));
+$$;
+
+-- whole-day suspensions only; partial ones are handled per item
+create or replace function public.is_suspended(p_user uuid, p_date date)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from suspensions s
+     where s.user_id = p_user and s.status = 'active' and suspension_covers(s, p_date)
+       and not suspension_is_partial(s)
+  );
+$$;
+
+create or replace function public.item_excused(p_user uuid, p_date date, p_key text, p_item jsonb)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from suspensions s
+     where s.user_id = p_user and s.status = 'active' and suspension_covers(s, p_date)
+       and suspension_excuses_item(s, p_key, p_item)
+  );
+$$;
+
+-- checks with "excused" set from the active suspensions of that date
+create or replace function public.mark_excused_items(p_user uuid, p_date date, p_checks jsonb)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(
+           c.key,
+           case
+             when jsonb_typeof(c.value) <> 'object' then c.value
+             when item_excused(p_user, p_date, c.key, c.value) then c.value || '{"excused": true}'::jsonb
+             else c.value - 'excused'
+           end
+         ), '{}'::jsonb)
+    from jsonb_each(coalesce(p_checks, '{}'::jsonb)) c;
+$$;
+
+-- Once a suspension is active: whole-day ones drop every fine on its dates, partial ones
+-- flag the matching items as excused and drop just their fines.
+create or replace function public.clear_suspended_fines(p_susp public.suspensions)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not suspension_is_partial(p_susp) then
+    delete from fines f
+     where f.user_id = p_susp.user_id
+       and f.date in (select suspension_dates(p_susp));
+    return;
+  end if;
+
+  update daily_checks dc
+     set checks = mark_excused_items(dc.user_id, dc.date, dc.checks)
+   where dc.user_id = p_susp.user_id
+     and dc.date in (select suspension_dates(p_susp));
+
+  delete from fines f
+   using daily_checks dc
+   where f.user_id = p_susp.user_id
+     and f.daily_check_id = dc.id
+     and f.date in (select suspension_dates(p_susp))
+     and f.item_key is not null
+     and (dc.checks->f.item_key->>'excused')::boolean is true;
+end;
+$$;
+
+revoke execute on function public.clear_suspended_fines(public.suspensions) from public, anon, authenticated;
+
+create or replace function public.checklist_day_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'daily_check', (select to_jsonb(dc) from public.daily_checks dc where dc.user_id = p_user and dc.date = p_date),
+    'fines', coalesce((
+      select jsonb_agg(to_jsonb(f) order by f.created_at)
+        from public.fines f
+       where f.user_id = p_user and f.date = p_date
+    ), '[]'::jsonb),
+    'suspension', (
+      select to_jsonb(s)
+        from public.suspensions s
+       where s.user_id = p_user and s.status = 'active' and public.suspension_covers(s, p_date)
+         and not public.suspension_is_partial(s)
+       limit 1
+    ),
+    'partial_suspensions', coalesce((
+      select jsonb_agg(to_jsonb(s))
+        from public.suspensions s
+       where s.user_id = p_user and s.status = 'active' and public.suspension_covers(s, p_date)
+         and public.suspension_is_partial(s)
+    ), '[]'::jsonb),
+    'pending_suspension', (
+      select to_jsonb(s)
+        from public.suspensions s
+       where s.user_id = p_user and s.status = 'pending' and public.suspension_covers(s, p_date)
+       limit 1
+    )
+  );
+$$;
+
+-- request_suspension from 20261019001000 with optional item scope
+drop function if exists public.request_suspension(date, date, text[], text);
+
+create or replace function public.request_suspension(
+  p_start date,
+  p_end date,
+  p_weekdays text[],
+  p_reason text,
+  p_item_types text[] default null,
+  p_item_keys text[] default null
+)
+returns public.suspensions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_policy jsonb := excuse_policy();
+  v_quota int := (v_policy->>'monthly_quota')::int;
+  v_susp public.suspensions;
+  v_over boolean;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+  if p_end < p_start then
+    raise exception 'end date is before start date';
+  end if;
+  if p_end - p_start + 1 > coalesce((v_policy->>'max_days')::int, 90) then
+    raise exception 'a suspension can cover at most % days', coalesce((v_policy->>'max_days')::int, 90);
+  end if;
+  perform assert_checklist_date_editable(v_user, p_start);
+
+  insert into suspensions (user_id, start_date, end_date, weekdays, item_types, item_keys, reason, status)
+  values (v_user, p_start, p_end, nullif(p_weekdays, '{}'), nullif(p_item_types, '{}'), nullif(p_item_keys, '{}'),
+          trim(p_reason), 'pending')
+  returning * into v_susp;
+
+  if not exists (select 1 from suspension_dates(v_susp)) then
+    raise exception 'the range does not contain any of the chosen weekdays';
+  end if;
+
+  -- excused days per month (active + pending, this request included) against the quota
+  select v_quota is not null and exists (
+    select 1
+      from (
+        select date_trunc('month', d) as month, count(distinct d) as days
+          from suspensions s, lateral suspension_dates(s) d
+         where s.user_id = v_user and s.status in ('active', 'pending')
+           and date_trunc('month', d) in (select date_trunc('month', x) from suspension_dates(v_susp) x)
+         group by 1
+      ) m
+     where m.days > v_quota
+  ) into v_over;
+
+  if v_over then
+    insert into notifications (user_id, kind, title, body, link)
+    select p.id, 'suspension_request', 'Excuse request needs approval',
+           format('%s asked to be excused %s – %s (%s), over the monthly quota.',
+                  coalesce(me.full_name, 'A member'), p_start, p_end, trim(p_reason)), '/checklist'
+      from profiles p
+      left join profiles me on me.id = v_user
+     where p.id <> v_user;
+    return v_susp;
+  end if;
+
+  update suspensions set status = 'active' where id = v_susp.id returning * into v_susp;
+  perform clear_suspended_fines(v_susp);
+  return v_susp;
+end;
+$$;
+
+-- apply_daily_checks from 20261019001000, flagging excused items and skipping their fines
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, p_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
+
+grant execute on function public.request_suspension(date, date, text[], text, text[], text[]) to authenticated;
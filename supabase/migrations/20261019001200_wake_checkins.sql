@@ -0,0 +1,175 @@
+-- Wake-up check-ins.
+-- The morning check-in is stamped with the server clock (wake_check_in), so the wake item is
+-- no longer self-reported. A check-in is on time at or before preferences.wake_rule.target_time
+-- in the member's profile timezone; target and timezone are kept on the row so later
+-- preference changes don't rewrite history.
+-- required_count = N means N on-time check-ins per week (Mon–Sun): a day without one only
+-- counts as missed once the week can no longer reach N.
+-- wake_item_state mirrors wakeItemState in src/utils/checklist.js.
+
+create table if not exists public.wake_checkins (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  date date not null,
+  checked_in_at timestamptz not null default now(),
+  target_time text not null,
+  timezone text not null,
+  on_time boolean not null,
+  unique (user_id, date)
+);
+
+alter table public.wake_checkins enable row level security;
+
+-- peers see each other's check-in times
+drop policy if exists "wake checkins readable by members" on public.wake_checkins;
+create policy "wake checkins readable by members" on public.wake_checkins
+  for select using (auth.uid() is not null);
+
+create or replace function public.wake_item_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with req as (
+    select least(greatest(coalesce((
+      select (p.wake_rule->>'required_count')::int from preferences p where p.user_id = p_user
+    ), 1), 1), 7) as required
+  ),
+  week as (
+    select count(*) filter (where c.on_time)::int as on_time_count
+      from wake_checkins c
+     where c.user_id = p_user
+       and c.date between date_trunc('week', p_date)::date and p_date
+  ),
+  today as (
+    select * from wake_checkins c where c.user_id = p_user and c.date = p_date
+  )
+  select jsonb_build_object(
+    'checked_in_at', t.checked_in_at,
+    'on_time', coalesce(t.on_time, false),
+    'target_time', t.target_time,
+    'week_on_time', w.on_time_count,
+    'required', r.required,
+    'done', coalesce(t.on_time, false) or w.on_time_count + (7 - extract(isodow from p_date)::int) >= r.required
+  )
+    from req r
+   cross join week w
+    left join today t on true;
+$$;
+
+create or replace function public.wake_check_in()
+returns public.wake_checkins
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_tz text;
+  v_local timestamp;
+  v_target text;
+  v_row public.wake_checkins;
+  v_dc public.daily_checks;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = v_user;
+  v_tz := coalesce(v_tz, 'UTC');
+  v_local := now() at time zone v_tz;
+
+  select nullif(pr.wake_rule->>'target_time', '') into v_target from preferences pr where pr.user_id = v_user;
+  if v_target is null then
+    raise exception 'no wake rule in your preferences';
+  end if;
+
+  insert into wake_checkins (user_id, date, checked_in_at, target_time, timezone, on_time)
+  values (v_user, v_local::date, now(), v_target, v_tz, v_local::time <= v_target::time)
+  on conflict (user_id, date) do nothing
+  returning * into v_row;
+
+  if v_row.id is null then
+    raise exception 'already checked in today';
+  end if;
+
+  -- a checklist already saved today gets its wake item (and fine) re-evaluated
+  select * into v_dc from daily_checks where user_id = v_user and date = v_row.date;
+  if found and v_dc.checks ? 'wake' then
+    perform apply_daily_checks(v_user, v_row.date, v_dc.checks, now());
+  end if;
+
+  return v_row;
+end;
+$$;
+
+-- apply_daily_checks from 20261019001100; the wake item now follows the check-ins
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_wake jsonb;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when v_done;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
+
+grant execute on function public.wake_check_in() to authenticated;
@@ -0,0 +1,170 @@
+-- Time windows for sport and class items.
+-- With "check in during the window" on, an item carries meta.window
+-- { start, end, slack_minutes, late_multiplier } (see buildEmptyChecksFromPrefs). The first save
+-- that ticks the item stamps ticked_at with the server clock; the tick is
+--   on_time  inside start - slack .. end + slack (profile timezone, end past midnight = next day)
+--   evidence outside it, but a calendar event of the member overlaps the window
+--   late     otherwise: the item stays done but gets a fine of penalty × late_multiplier
+--            (below 1 = reduced, above 1 = escalated, 0 = flagged only)
+-- The result is kept on the item as window_check. window_tick_state mirrors windowTickState
+-- in src/utils/checklist.js.
+
+create or replace function public.window_tick_state(p_user uuid, p_date date, p_window jsonb, p_ticked_at timestamptz)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_slack interval := make_interval(mins => coalesce((p_window->>'slack_minutes')::int, 0));
+  v_start timestamptz;
+  v_end timestamptz;
+  v_status text;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_tz := coalesce(v_tz, 'UTC');
+  v_start := (p_date + (p_window->>'start')::time) at time zone v_tz;
+  v_end := (p_date + (p_window->>'end')::time) at time zone v_tz;
+  if v_end <= v_start then
+    v_end := v_end + interval '1 day';
+  end if;
+
+  if p_ticked_at between v_start - v_slack and v_end + v_slack then
+    v_status := 'on_time';
+  elsif exists (
+    select 1 from events e
+     where e.user_id = p_user and e.start_ts < v_end and e.end_ts > v_start
+  ) then
+    v_status := 'evidence';
+  else
+    v_status := 'late';
+  end if;
+
+  return jsonb_build_object(
+    'status', v_status,
+    'ticked_at', p_ticked_at,
+    'window_start', v_start,
+    'window_end', v_end,
+    'slack_minutes', coalesce((p_window->>'slack_minutes')::int, 0),
+    'multiplier', case when v_status = 'late' then coalesce((p_window->>'late_multiplier')::numeric, 1) else 1 end
+  );
+end;
+$$;
+
+revoke execute on function public.window_tick_state(uuid, date, jsonb, timestamptz) from public, anon, authenticated;
+
+-- stamps window items: ticked_at survives re-saves while the item stays ticked
+create or replace function public.stamp_window_items(p_user uuid, p_date date, p_checks jsonb, p_prev jsonb, p_at timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(
+           c.key,
+           case
+             when jsonb_typeof(c.value) <> 'object' or jsonb_typeof(c.value->'meta'->'window') <> 'object' then c.value
+             when not coalesce((c.value->>'done')::boolean, false) then c.value - 'window_check'
+             else c.value || jsonb_build_object('window_check', window_tick_state(
+               p_user, p_date, c.value->'meta'->'window',
+               case
+                 when coalesce((p_prev->c.key->>'done')::boolean, false) and p_prev->c.key->'window_check'->>'ticked_at' is not null
+                   then (p_prev->c.key->'window_check'->>'ticked_at')::timestamptz
+                 else p_at
+               end))
+           end
+         ), '{}'::jsonb)
+    from jsonb_each(coalesce(p_checks, '{}'::jsonb)) c;
+$$;
+
+revoke execute on function public.stamp_window_items(uuid, date, jsonb, jsonb, timestamptz) from public, anon, authenticated;
+
+-- apply_daily_checks from 20261019001200; late ticks of window items are fined
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+        values (
+          p_user, v_dc.id, p_date,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          v_key,
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        continue;
+      end if;
+
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
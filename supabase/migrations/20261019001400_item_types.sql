@@ -0,0 +1,169 @@
+-- Checklist item type catalogue.
+-- Each row describes one kind of checklist item: its preference fields (text / number / time /
+-- select / weekdays), a label template ({field} or {field|upper}), a schedule
+-- ({"kind": "daily"}, {"kind": "weekdays", "days": [...]} or {"kind": "weekdays", "days_field": "days"},
+-- {"kind": "per_week", "count": N}) and a default penalty. PreferenceForm and
+-- buildEmptyChecksFromPrefs are driven from it.
+-- The six original types are seeded as built-in rows (mirrored by DEFAULT_ITEM_TYPES in
+-- src/utils/itemCatalogue.js) and keep their entries in their preferences columns; entries of
+-- user-defined types go to preferences.custom_items -> <type key> -> [entries].
+-- Any member can add a type; the creator or an admin can edit it, built-in rows only admins.
+
+create table if not exists public.item_types (
+  key text primary key check (key ~ '^[a-z][a-z0-9]{1,23}$'),
+  name text not null,
+  fields jsonb not null default '[]'::jsonb,
+  label_template text not null,
+  schedule jsonb not null default '{"kind": "daily"}'::jsonb,
+  default_penalty numeric not null default 10 check (default_penalty >= 0),
+  prefs_column text,
+  single boolean not null default false,
+  meta_fields text[] not null default '{}',
+  supports_window boolean not null default false,
+  sort_order int not null default 100,
+  builtin boolean not null default false,
+  created_by uuid references auth.users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint item_types_prefs_column_builtin check (prefs_column is null or builtin),
+  constraint item_types_schedule_kind check (schedule->>'kind' in ('daily', 'weekdays', 'per_week'))
+);
+
+alter table public.preferences add column if not exists custom_items jsonb not null default '{}'::jsonb;
+
+alter table public.item_types enable row level security;
+
+drop policy if exists "item types readable by members" on public.item_types;
+create policy "item types readable by members" on public.item_types
+  for select using (auth.uid() is not null);
+
+drop policy if exists "item types added by members" on public.item_types;
+create policy "item types added by members" on public.item_types
+  for insert with check (auth.uid() = created_by and not builtin and prefs_column is null);
+
+drop policy if exists "item types edited by owner or admin" on public.item_types;
+create policy "item types edited by owner or admin" on public.item_types
+  for update
+  using (created_by = auth.uid() or exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin))
+  with check (
+    (not builtin and created_by = auth.uid())
+    or exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin)
+  );
+
+drop policy if exists "item types removed by owner or admin" on public.item_types;
+create policy "item types removed by owner or admin" on public.item_types
+  for delete using (
+    not builtin
+    and (created_by = auth.uid() or exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_admin))
+  );
+
+insert into public.item_types (key, name, fields, label_template, schedule, default_penalty, prefs_column, single, meta_fields, supports_window, sort_order, builtin)
+values
+  ('theory', 'Theory tasks',
+   '[{"name": "topic", "label": "Topic", "kind": "select", "options": ["dp", "graphs", "trees", "mathematics", "bitmasking", "sorting", "two-pointer", "greedy", "number-theory"], "default": "dp"}, {"name": "platform", "label": "Platform", "kind": "select", "options": ["cses", "codeforces", "leetcode", "codechef", "atcoder", "interviewbit", "geeksforgeeks"], "default": "cses"}, {"name": "count", "label": "Number of questions", "kind": "number", "min": 1, "max": 10, "default": 3}]'::jsonb,
+   '{topic|upper} {platform|upper} {count} problems', '{"kind": "daily"}'::jsonb, 10, 'theory_tasks', false, '{platform,count}', false, 10, true),
+  ('sport', 'Sports tasks',
+   '[{"name": "sport", "label": "Sport", "kind": "text", "default": "gym"}, {"name": "duration_minutes", "label": "Duration (mins)", "kind": "number", "min": 1, "default": 60}, {"name": "start_time", "label": "Time start", "kind": "time", "default": "07:00"}, {"name": "end_time", "label": "Time ends", "kind": "time", "default": "08:00"}]'::jsonb,
+   '{sport} for {duration_minutes} mins ({start_time} - {end_time})', '{"kind": "daily"}'::jsonb, 10, 'sports_tasks', false, '{}', true, 20, true),
+  ('class', 'Classes mandatory to attend',
+   '[{"name": "name", "label": "Class name", "kind": "text", "default": "", "fallback": "class"}, {"name": "days", "label": "Days", "kind": "weekdays", "default": ["mon"]}, {"name": "start_time", "label": "Time start", "kind": "time", "default": "09:00"}, {"name": "end_time", "label": "Time ends", "kind": "time", "default": "10:00"}]'::jsonb,
+   'Class: {name} ({start_time} - {end_time})', '{"kind": "weekdays", "days_field": "days"}'::jsonb, 10, 'classes_tasks', false, '{days}', true, 30, true),
+  ('randimpl', 'Random implementation problems',
+   '[{"name": "platform", "label": "Platform", "kind": "select", "options": ["cses", "codeforces", "leetcode", "codechef", "atcoder", "interviewbit", "geeksforgeeks"], "default": "codeforces"}, {"name": "count", "label": "Count", "kind": "number", "min": 1, "max": 10, "default": 3}]'::jsonb,
+   'Random implementation: {platform|upper} {count} problems', '{"kind": "daily"}'::jsonb, 10, 'random_implementation', false, '{platform,count}', false, 40, true),
+  ('randthink', 'Random thinking problems',
+   '[{"name": "platform", "label": "Platform", "kind": "select", "options": ["cses", "codeforces", "leetcode", "codechef", "atcoder", "interviewbit", "geeksforgeeks"], "default": "interviewbit"}, {"name": "count", "label": "Count", "kind": "number", "min": 1, "max": 10, "default": 3}]'::jsonb,
+   'Random thinking: {platform|upper} {count} problems', '{"kind": "daily"}'::jsonb, 10, 'random_thinking', false, '{platform,count}', false, 50, true),
+  ('wake', 'Wake rule',
+   '[{"name": "target_time", "label": "Target wake time", "kind": "time", "default": "07:00"}, {"name": "required_count", "label": "On-time check-ins per week", "kind": "number", "min": 1, "max": 7, "default": 1}]'::jsonb,
+   'Wake up by {target_time} (check in {required_count}× a week)', '{"kind": "daily"}'::jsonb, 10, 'wake_rule', true, '{target_time,required_count}', false, 60, true)
+on conflict (key) do nothing;
+
+-- apply_daily_checks from 20261019001300; per-week items get no daily fine
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+      -- per-week items are settled over the week, not day by day
+      continue when jsonb_typeof(v_item) = 'object' and v_item->'meta'->'schedule'->>'kind' = 'per_week';
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+        values (
+          p_user, v_dc.id, p_date,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          v_key,
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        continue;
+      end if;
+
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
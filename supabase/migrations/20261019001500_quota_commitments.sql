@@ -0,0 +1,275 @@
+-- Weekly / monthly quota commitments ("gym 4 times a week", "8 theory sessions a month").
+-- An item whose meta.schedule is {"kind": "per_week" | "per_month", "count": N} (from its item type
+-- or from the preference entry's quota_period / quota_count) gets no daily fine. Once its period
+-- (Mon–Sun week, calendar month, profile timezone) is over, settle_quota_periods counts the days
+-- it was ticked and records one quota_results row; a shortfall is fined once, penalty × missing times,
+-- dated the last day of the period. A day on which the item was excused (partial or whole-day
+-- suspension) counts towards the quota. Periods that began before the contract existed are not settled.
+-- Settlement runs from the nightly sweeper (service role) and when a member opens their checklist
+-- (settle_my_quota_periods). Mirrors quotaProgress in src/utils/checklist.js.
+
+alter table public.item_types drop constraint if exists item_types_schedule_kind;
+alter table public.item_types add constraint item_types_schedule_kind
+  check (schedule->>'kind' in ('daily', 'weekdays', 'per_week', 'per_month'));
+
+create table if not exists public.quota_results (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  item_key text not null,
+  label text,
+  item_type text,
+  period text not null check (period in ('week', 'month')),
+  period_start date not null,
+  period_end date not null,
+  target int not null,
+  achieved int not null,
+  excused int not null default 0,
+  shortfall int not null,
+  penalty numeric not null,
+  settled_at timestamptz not null default now(),
+  unique (user_id, item_key, period_start)
+);
+
+alter table public.quota_results enable row level security;
+
+drop policy if exists "quota results readable by members" on public.quota_results;
+create policy "quota results readable by members" on public.quota_results
+  for select using (auth.uid() is not null);
+
+-- shortfall fines are not tied to a daily_checks row; re-saving the last day of the period keeps them
+alter table public.fines add column if not exists quota_result_id uuid references public.quota_results(id) on delete cascade;
+create index if not exists fines_quota_result_idx on public.fines (quota_result_id);
+
+create or replace function public.settle_quota_periods(p_user uuid, p_until date)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  -- two months back is enough for the nightly run; older periods stay as they were
+  v_from date := date_trunc('month', p_until - 62)::date;
+  v_since date;
+  v_row record;
+  v_target int;
+  v_shortfall int;
+  v_penalty numeric;
+  v_result public.quota_results;
+  v_count int := 0;
+begin
+  select p.created_at::date into v_since from preferences p where p.user_id = p_user;
+  if v_since is null then
+    return 0;
+  end if;
+
+  for v_row in
+    with items as (
+      select dc.date, c.key as item_key, c.value as item,
+             case c.value->'meta'->'schedule'->>'kind' when 'per_week' then 'week' else 'month' end as period
+        from daily_checks dc
+       cross join lateral jsonb_each(dc.checks) c
+       where dc.user_id = p_user
+         and dc.date between v_from and p_until
+         and jsonb_typeof(c.value) = 'object'
+         and c.value->'meta'->'schedule'->>'kind' in ('per_week', 'per_month')
+    ),
+    periods as (
+      select i.*,
+             date_trunc(i.period, i.date)::date as period_start,
+             (date_trunc(i.period, i.date) + ('1 ' || i.period)::interval - interval '1 day')::date as period_end
+        from items i
+    )
+    select p.item_key, p.period, p.period_start, p.period_end,
+           (array_agg(p.item order by p.date desc))[1] as latest,
+           count(*) filter (where coalesce((p.item->>'done')::boolean, false))::int as achieved,
+           count(*) filter (
+             where not coalesce((p.item->>'done')::boolean, false)
+               and (coalesce((p.item->>'excused')::boolean, false) or is_suspended(p_user, p.date))
+           )::int as excused
+      from periods p
+     where p.period_start >= greatest(v_from, v_since)
+       and p.period_end <= p_until
+     group by p.item_key, p.period, p.period_start, p.period_end
+  loop
+    continue when exists (
+      select 1 from quota_results q
+       where q.user_id = p_user and q.item_key = v_row.item_key and q.period_start = v_row.period_start
+    );
+
+    v_target := greatest(coalesce((v_row.latest->'meta'->'schedule'->>'count')::int, 1), 1);
+    v_shortfall := greatest(v_target - v_row.achieved - v_row.excused, 0);
+    v_penalty := coalesce(nullif((v_row.latest->>'penalty')::numeric, 0), 10);
+
+    insert into quota_results (user_id, item_key, label, item_type, period, period_start, period_end,
+                               target, achieved, excused, shortfall, penalty)
+    values (p_user, v_row.item_key, v_row.latest->>'label', v_row.latest->'meta'->>'type', v_row.period,
+            v_row.period_start, v_row.period_end, v_target, v_row.achieved, v_row.excused, v_shortfall, v_penalty)
+    on conflict (user_id, item_key, period_start) do nothing
+    returning * into v_result;
+
+    continue when v_result.id is null;
+    v_count := v_count + 1;
+
+    if v_shortfall > 0 then
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, quota_result_id)
+      values (
+        p_user, null, v_row.period_end,
+        v_penalty * v_shortfall,
+        format('Quota shortfall: %s (%s/%s this %s)',
+               coalesce(nullif(v_row.latest->>'label', ''), v_row.item_key), v_row.achieved + v_row.excused, v_target, v_row.period),
+        v_row.item_key,
+        v_result.id
+      );
+    end if;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.settle_quota_periods(uuid, date) from public, anon, authenticated;
+
+-- the caller's periods that ended before today (profile timezone)
+create or replace function public.settle_my_quota_periods()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_tz text;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = v_user;
+  return settle_quota_periods(v_user, (now() at time zone coalesce(v_tz, 'UTC'))::date - 1);
+end;
+$$;
+
+grant execute on function public.settle_my_quota_periods() to authenticated;
+
+-- clear_suspended_fines from 20261019001100; a whole-day excuse on the last day of a period
+-- does not wipe the period's shortfall fine (the excused day already counted towards the quota)
+create or replace function public.clear_suspended_fines(p_susp public.suspensions)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not suspension_is_partial(p_susp) then
+    delete from fines f
+     where f.user_id = p_susp.user_id
+       and f.quota_result_id is null
+       and f.date in (select suspension_dates(p_susp));
+    return;
+  end if;
+
+  update daily_checks dc
+     set checks = mark_excused_items(dc.user_id, dc.date, dc.checks)
+   where dc.user_id = p_susp.user_id
+     and dc.date in (select suspension_dates(p_susp));
+
+  delete from fines f
+   using daily_checks dc
+   where f.user_id = p_susp.user_id
+     and f.daily_check_id = dc.id
+     and f.date in (select suspension_dates(p_susp))
+     and f.item_key is not null
+     and (dc.checks->f.item_key->>'excused')::boolean is true;
+end;
+$$;
+
+revoke execute on function public.clear_suspended_fines(public.suspensions) from public, anon, authenticated;
+
+-- apply_daily_checks from 20261019001400; per-month items are settled like per-week ones and
+-- quota shortfall fines survive re-saving the day they are dated on
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and quota_result_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+      -- quota items are settled when their week / month closes, not day by day
+      continue when jsonb_typeof(v_item) = 'object' and v_item->'meta'->'schedule'->>'kind' in ('per_week', 'per_month');
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+        values (
+          p_user, v_dc.id, p_date,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          v_key,
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        continue;
+      end if;
+
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric,
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty)
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
@@ -0,0 +1,106 @@
+-- Versioned preferences.
+-- Every write to a preferences row is recorded as a dated version: a snapshot of the row (minus
+-- its bookkeeping columns) effective from the day of the change in the member's profile
+-- timezone. Several saves on one day collapse into that day's version. A checklist for a date is
+-- built from the version in force on that date (see prefsEffectiveOn in src/utils/prefVersions.js),
+-- so editing preferences no longer rewrites how past days look or what they would be fined.
+-- Existing rows are backfilled as a first version effective from their created_at day.
+
+create table if not exists public.preference_versions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  effective_from date not null,
+  prefs jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, effective_from)
+);
+
+alter table public.preference_versions enable row level security;
+
+-- peers can see how a member's contract changed
+drop policy if exists "preference versions readable by members" on public.preference_versions;
+create policy "preference versions readable by members" on public.preference_versions
+  for select using (auth.uid() is not null);
+
+create or replace function public.record_preference_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = new.user_id;
+  insert into preference_versions (user_id, effective_from, prefs)
+  values (
+    new.user_id,
+    (now() at time zone coalesce(v_tz, 'UTC'))::date,
+    to_jsonb(new) - 'id' - 'user_id' - 'created_at' - 'updated_at'
+  )
+  on conflict (user_id, effective_from) do update set prefs = excluded.prefs, created_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists preferences_record_version on public.preferences;
+create trigger preferences_record_version
+  after insert or update on public.preferences
+  for each row execute function public.record_preference_version();
+
+insert into public.preference_versions (user_id, effective_from, prefs)
+select p.user_id, coalesce(p.created_at::date, current_date), to_jsonb(p) - 'id' - 'user_id' - 'created_at' - 'updated_at'
+  from public.preferences p
+ where p.user_id is not null
+on conflict (user_id, effective_from) do nothing;
+
+-- preferences in force on a date: the latest version from on or before it; before the first
+-- version the first one, and the live row when there are no versions
+create or replace function public.preference_on(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(
+    (select v.prefs from preference_versions v
+      where v.user_id = p_user and v.effective_from <= p_date
+      order by v.effective_from desc limit 1),
+    (select v.prefs from preference_versions v
+      where v.user_id = p_user
+      order by v.effective_from asc limit 1),
+    (select to_jsonb(p) from preferences p where p.user_id = p_user)
+  );
+$$;
+
+-- wake_item_state from 20261019001200; required_count comes from the version in force on the date
+create or replace function public.wake_item_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with req as (
+    select least(greatest(coalesce((preference_on(p_user, p_date)->'wake_rule'->>'required_count')::int, 1), 1), 7) as required
+  ),
+  week as (
+    select count(*) filter (where c.on_time)::int as on_time_count
+      from wake_checkins c
+     where c.user_id = p_user
+       and c.date between date_trunc('week', p_date)::date and p_date
+  ),
+  today as (
+    select * from wake_checkins c where c.user_id = p_user and c.date = p_date
+  )
+  select jsonb_build_object(
+    'checked_in_at', t.checked_in_at,
+    'on_time', coalesce(t.on_time, false),
+    'target_time', t.target_time,
+    'week_on_time', w.on_time_count,
+    'required', r.required,
+    'done', coalesce(t.on_time, false) or w.on_time_count + (7 - extract(isodow from p_date)::int) >= r.required
+  )
+    from req r
+   cross join week w
+    left join today t on true;
+$$;
@@ -0,0 +1,383 @@
+-- Cooling-off period and peer sign-off for weakening a contract.
+-- A preferences change that makes the contract easier (an item removed, a lower fine, fewer
+-- problems / minutes / check-ins, class days dropped, a later wake target, a daily item turned into
+-- a quota or a smaller quota, a looser time window) no longer applies at once. It is filed with
+-- request_contract_change and applied once the cooling-off period is over
+-- (group_settings['contract_change_policy'].cooling_off_hours, null = no automatic apply) or when
+-- another member approves it (peer_approval). With neither configured it applies straight away.
+-- Changes that only strengthen the contract save directly; a trigger on preferences refuses
+-- weakening updates made any other way. The whole change waits, stricter parts included, and a new
+-- request replaces the member's previous pending one.
+-- contract_weakenings mirrors contractWeakenings in src/utils/prefVersions.js.
+
+insert into public.group_settings (key, value)
+values ('contract_change_policy', '{"cooling_off_hours": 72, "peer_approval": true}'::jsonb)
+on conflict (key) do nothing;
+
+create or replace function public.contract_change_policy()
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce((select value from group_settings where key = 'contract_change_policy'), '{"cooling_off_hours": 72, "peer_approval": true}'::jsonb);
+$$;
+
+create table if not exists public.contract_change_requests (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  prefs jsonb not null,
+  weakenings jsonb not null default '[]'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'applied', 'rejected', 'cancelled')),
+  requested_at timestamptz not null default now(),
+  effective_at timestamptz,
+  decided_by uuid references auth.users(id),
+  decided_at timestamptz,
+  decision_note text,
+  applied_at timestamptz
+);
+
+create unique index if not exists contract_change_requests_one_pending
+  on public.contract_change_requests (user_id) where status = 'pending';
+
+alter table public.contract_change_requests enable row level security;
+
+-- pending changes show on the member's profile
+drop policy if exists "contract changes readable by members" on public.contract_change_requests;
+create policy "contract changes readable by members" on public.contract_change_requests
+  for select using (auth.uid() is not null);
+
+-- entries of one item type in a preferences snapshot as a jsonb array (single types: [rule])
+create or replace function public.prefs_type_entries(p_prefs jsonb, p_type public.item_types)
+returns jsonb
+language sql
+immutable
+as $$
+  select case
+    when p_type.single then
+      case when jsonb_typeof(r.raw) = 'object' and r.raw <> '{}'::jsonb then jsonb_build_array(r.raw) else '[]'::jsonb end
+    else
+      case when jsonb_typeof(r.raw) = 'array' then r.raw else '[]'::jsonb end
+  end
+    from (select case when p_type.prefs_column is not null then p_prefs->p_type.prefs_column
+                      else p_prefs->'custom_items'->p_type.key end as raw) r;
+$$;
+
+-- one line per entry the change makes easier to meet; [] when nothing gets weaker
+create or replace function public.contract_weakenings(p_old jsonb, p_new jsonb)
+returns jsonb
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_type public.item_types;
+  v_old jsonb;
+  v_new jsonb;
+  v_pos bigint;
+  v_field jsonb;
+  v_name text;
+  v_reasons text[];
+  v_out jsonb := '[]'::jsonb;
+begin
+  if p_old is null then
+    return v_out;
+  end if;
+
+  for v_type in select * from item_types order by sort_order, key loop
+    for v_old, v_pos in
+      select e.value, e.ord from jsonb_array_elements(prefs_type_entries(p_old, v_type)) with ordinality e(value, ord)
+    loop
+      -- list entries pair up by id (by position for entries saved without one)
+      v_new := case
+        when v_type.single or coalesce(v_old->>'id', '') = '' then prefs_type_entries(p_new, v_type)->(v_pos::int - 1)
+        else (select n.value from jsonb_array_elements(prefs_type_entries(p_new, v_type)) n where n.value->>'id' = v_old->>'id' limit 1)
+      end;
+
+      if v_new is null then
+        v_out := v_out || to_jsonb(format('%s #%s: removed', v_type.name, v_pos));
+        continue;
+      end if;
+
+      v_reasons := '{}';
+      if nullif(v_new->>'penalty', '')::numeric < nullif(v_old->>'penalty', '')::numeric then
+        v_reasons := v_reasons || format('fine %s → %s', v_old->>'penalty', v_new->>'penalty');
+      end if;
+
+      for v_field in select value from jsonb_array_elements(v_type.fields) loop
+        v_name := v_field->>'name';
+        if v_field->>'kind' = 'number' and nullif(v_new->>v_name, '')::numeric < nullif(v_old->>v_name, '')::numeric then
+          v_reasons := v_reasons || format('%s %s → %s', v_name, v_old->>v_name, v_new->>v_name);
+        elsif v_field->>'kind' = 'weekdays' and jsonb_typeof(v_old->v_name) = 'array' and exists (
+          select 1 from jsonb_array_elements_text(v_old->v_name) d
+           where not coalesce(v_new->v_name, '[]'::jsonb) ? d.value
+        ) then
+          v_reasons := v_reasons || format('%s fewer days', v_name);
+        elsif v_name = 'target_time' and v_new->>v_name > v_old->>v_name then
+          v_reasons := v_reasons || format('wake target %s → %s', v_old->>v_name, v_new->>v_name);
+        end if;
+      end loop;
+
+      if (case coalesce(v_new->>'quota_period', '') when 'week' then 1 when 'month' then 2 else 0 end)
+         > (case coalesce(v_old->>'quota_period', '') when 'week' then 1 when 'month' then 2 else 0 end) then
+        v_reasons := v_reasons || format('quota per %s', v_new->>'quota_period');
+      end if;
+      if nullif(v_new->>'quota_count', '')::numeric < nullif(v_old->>'quota_count', '')::numeric then
+        v_reasons := v_reasons || format('quota %s → %s', v_old->>'quota_count', v_new->>'quota_count');
+      end if;
+      if coalesce((v_old->>'window_mode')::boolean, false) and not coalesce((v_new->>'window_mode')::boolean, false) then
+        v_reasons := v_reasons || 'window check-in turned off'::text;
+      end if;
+      if nullif(v_new->>'slack_minutes', '')::numeric > nullif(v_old->>'slack_minutes', '')::numeric then
+        v_reasons := v_reasons || format('window slack %s → %s', v_old->>'slack_minutes', v_new->>'slack_minutes');
+      end if;
+      if nullif(v_new->>'late_multiplier', '')::numeric < nullif(v_old->>'late_multiplier', '')::numeric then
+        v_reasons := v_reasons || format('late tick fine ×%s → ×%s', v_old->>'late_multiplier', v_new->>'late_multiplier');
+      end if;
+
+      if array_length(v_reasons, 1) > 0 then
+        v_out := v_out || to_jsonb(format('%s #%s: %s', v_type.name, v_pos, array_to_string(v_reasons, ', ')));
+      end if;
+    end loop;
+  end loop;
+
+  return v_out;
+end;
+$$;
+
+-- weakening updates only through apply_contract_change (which sets app.contract_change for its transaction)
+create or replace function public.guard_contract_weakening()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_weak jsonb;
+begin
+  if coalesce(current_setting('app.contract_change', true), '') = 'apply' then
+    return new;
+  end if;
+  v_weak := contract_weakenings(to_jsonb(old), to_jsonb(new));
+  if jsonb_array_length(v_weak) > 0 then
+    raise exception 'this change weakens your contract (%); it has to go through request_contract_change',
+      (select string_agg(x.value, '; ') from jsonb_array_elements_text(v_weak) x);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists preferences_guard_weakening on public.preferences;
+create trigger preferences_guard_weakening
+  before update on public.preferences
+  for each row execute function public.guard_contract_weakening();
+
+-- writes the requested columns into the member's preferences row (preferences_record_version
+-- then records it as today's version)
+create or replace function public.apply_contract_change(p_req public.contract_change_requests, p_actor uuid)
+returns public.contract_change_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_cols text;
+  v_vals text;
+  v_req public.contract_change_requests;
+begin
+  select string_agg(format('%I', c.column_name), ', ' order by c.ordinal_position),
+         string_agg(format('r.%I', c.column_name), ', ' order by c.ordinal_position)
+    into v_cols, v_vals
+    from information_schema.columns c
+   where c.table_schema = 'public' and c.table_name = 'preferences'
+     and c.column_name not in ('id', 'user_id', 'created_at', 'updated_at')
+     and p_req.prefs ? c.column_name;
+
+  if v_cols is not null then
+    perform set_config('app.contract_change', 'apply', true);
+    execute format(
+      'update public.preferences p set (%s, updated_at) = (select %s, now() from jsonb_populate_record(null::public.preferences, $1) r) where p.user_id = $2',
+      v_cols, v_vals
+    ) using p_req.prefs, p_req.user_id;
+    perform set_config('app.contract_change', '', true);
+  end if;
+
+  update contract_change_requests
+     set status = 'applied', applied_at = now(),
+         decided_by = coalesce(p_actor, decided_by), decided_at = case when p_actor is not null then now() else decided_at end
+   where id = p_req.id
+  returning * into v_req;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_req.user_id, 'contract_change_applied', 'Contract change applied',
+          case when p_actor is not null then 'Another member approved your contract change; it applies from today.'
+               else 'The cooling-off period is over; your contract change applies from today.' end,
+          '/preferences');
+
+  return v_req;
+end;
+$$;
+
+revoke execute on function public.apply_contract_change(public.contract_change_requests, uuid) from public, anon, authenticated;
+
+create or replace function public.request_contract_change(p_prefs jsonb)
+returns public.contract_change_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_policy jsonb := contract_change_policy();
+  v_prefs jsonb := coalesce(p_prefs, '{}'::jsonb) - 'id' - 'user_id' - 'created_at' - 'updated_at';
+  v_old public.preferences;
+  v_weak jsonb;
+  v_req public.contract_change_requests;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_old from preferences where user_id = v_user;
+  if not found then
+    raise exception 'no preferences saved yet; save them directly';
+  end if;
+
+  v_weak := contract_weakenings(to_jsonb(v_old), to_jsonb(v_old) || v_prefs);
+  if jsonb_array_length(v_weak) = 0 then
+    raise exception 'this change does not weaken your contract; save it directly';
+  end if;
+
+  update contract_change_requests
+     set status = 'cancelled', decided_at = now(), decision_note = 'replaced by a newer request'
+   where user_id = v_user and status = 'pending';
+
+  insert into contract_change_requests (user_id, prefs, weakenings, effective_at)
+  values (v_user, v_prefs, v_weak,
+          now() + make_interval(hours => (v_policy->>'cooling_off_hours')::int))
+  returning * into v_req;
+
+  if v_req.effective_at is null and not coalesce((v_policy->>'peer_approval')::boolean, true) then
+    return apply_contract_change(v_req, null);
+  end if;
+
+  if coalesce((v_policy->>'peer_approval')::boolean, true) then
+    insert into notifications (user_id, kind, title, body, link)
+    select p.id, 'contract_change_request', 'Contract change needs sign-off',
+           format('%s wants to weaken their contract: %s', coalesce(me.full_name, 'A member'),
+                  (select string_agg(x.value, '; ') from jsonb_array_elements_text(v_weak) x)),
+           '/search?user=' || v_user
+      from profiles p
+      left join profiles me on me.id = v_user
+     where p.id <> v_user;
+  end if;
+
+  return v_req;
+end;
+$$;
+
+create or replace function public.decide_contract_change(p_request_id uuid, p_approve boolean, p_note text default null)
+returns public.contract_change_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_req public.contract_change_requests;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_req from contract_change_requests where id = p_request_id for update;
+  if not found then
+    raise exception 'contract change not found';
+  end if;
+  if v_req.status <> 'pending' then
+    raise exception 'contract change is already %', v_req.status;
+  end if;
+  if v_req.user_id = v_user then
+    raise exception 'you cannot sign off your own contract change';
+  end if;
+  if not coalesce((contract_change_policy()->>'peer_approval')::boolean, true) then
+    raise exception 'peer sign-off is turned off; the change applies after the cooling-off period';
+  end if;
+
+  if p_approve then
+    update contract_change_requests set decision_note = nullif(trim(p_note), '') where id = v_req.id returning * into v_req;
+    return apply_contract_change(v_req, v_user);
+  end if;
+
+  update contract_change_requests
+     set status = 'rejected', decided_by = v_user, decided_at = now(), decision_note = nullif(trim(p_note), '')
+   where id = v_req.id
+  returning * into v_req;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_req.user_id, 'contract_change_rejected', 'Contract change rejected',
+          coalesce('Your contract change was rejected: ' || v_req.decision_note, 'Your contract change was rejected.'), '/preferences');
+
+  return v_req;
+end;
+$$;
+
+create or replace function public.cancel_contract_change(p_request_id uuid)
+returns public.contract_change_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.contract_change_requests;
+begin
+  update contract_change_requests
+     set status = 'cancelled', decided_at = now()
+   where id = p_request_id and user_id = auth.uid() and status = 'pending'
+  returning * into v_req;
+  if v_req.id is null then
+    raise exception 'no pending contract change to cancel';
+  end if;
+  return v_req;
+end;
+$$;
+
+-- pending changes whose cooling-off period is over (all members when p_user is null)
+create or replace function public.apply_due_contract_changes(p_user uuid default null)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.contract_change_requests;
+  v_count int := 0;
+begin
+  for v_req in
+    select * from contract_change_requests
+     where status = 'pending' and effective_at <= now()
+       and (p_user is null or user_id = p_user)
+     order by requested_at
+       for update
+  loop
+    perform apply_contract_change(v_req, null);
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.apply_due_contract_changes(uuid) from public, anon, authenticated;
+
+create or replace function public.apply_my_due_contract_changes()
+returns int
+language sql
+security definer
+set search_path = public
+as $$
+  select apply_due_contract_changes(auth.uid()) where auth.uid() is not null;
+$$;
+
+grant execute on function public.request_contract_change(jsonb) to authenticated;
+grant execute on function public.decide_contract_change(uuid, boolean, text) to authenticated;
+grant execute on function public.cancel_contract_change(uuid) to authenticated;
+grant execute on function public.apply_my_due_contract_changes() to authenticated;
@@ -0,0 +1,99 @@
+-- Task session log.
+-- tasks only keeps the countdown (remaining_seconds, is_running, last_started_at), so there was
+-- no record of when work actually happened. Every start/resume now opens a task_sessions row
+-- and every pause/stop/finish closes it, both stamped with the server clock.
+-- planned_seconds is what was left on the countdown when the session opened: a timer can't run
+-- past zero, so a session left open (tab closed mid-run) never ends later than
+-- started_at + planned_seconds. Per-day focused minutes and the timelines are computed from
+-- this log in src/utils/taskSessions.js.
+
+create table if not exists public.task_sessions (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  planned_seconds int check (planned_seconds is null or planned_seconds >= 0),
+  duration_seconds int generated always as (extract(epoch from ended_at - started_at)::int) stored,
+  end_reason text check (end_reason in ('pause', 'stop', 'finish')),
+  check (ended_at is null or ended_at >= started_at)
+);
+
+-- at most one open session per task
+create unique index if not exists task_sessions_one_open
+  on public.task_sessions (task_id) where ended_at is null;
+
+create index if not exists task_sessions_user_started
+  on public.task_sessions (user_id, started_at);
+
+alter table public.task_sessions enable row level security;
+
+drop policy if exists "task sessions readable by members" on public.task_sessions;
+create policy "task sessions readable by members" on public.task_sessions
+  for select using (auth.uid() is not null);
+
+-- opens a session for one of the caller's tasks; a task that already has an open session
+-- (double start, second tab) keeps it
+create or replace function public.start_task_session(p_task_id uuid, p_planned_seconds int default null)
+returns public.task_sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_row public.task_sessions;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if not exists (select 1 from tasks t where t.id = p_task_id and t.created_by = v_user) then
+    raise exception 'task not found';
+  end if;
+
+  select * into v_row from task_sessions where task_id = p_task_id and ended_at is null;
+  if found then
+    return v_row;
+  end if;
+
+  insert into task_sessions (task_id, user_id, started_at, planned_seconds)
+  values (p_task_id, v_user, now(), greatest(p_planned_seconds, 0))
+  returning * into v_row;
+  return v_row;
+end;
+$$;
+
+-- closes the task's open session, if any (null when there was none)
+create or replace function public.end_task_session(p_task_id uuid, p_reason text default 'pause')
+returns public.task_sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_row public.task_sessions;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_reason not in ('pause', 'stop', 'finish') then
+    raise exception 'unknown end reason %', p_reason;
+  end if;
+
+  update task_sessions s
+     set ended_at = case
+           when s.planned_seconds is null then now()
+           else least(now(), s.started_at + make_interval(secs => s.planned_seconds))
+         end,
+         end_reason = p_reason
+   where s.task_id = p_task_id
+     and s.user_id = v_user
+     and s.ended_at is null
+  returning * into v_row;
+  return v_row;
+end;
+$$;
+
+grant execute on function public.start_task_session(uuid, int) to authenticated;
+grant execute on function public.end_task_session(uuid, text) to authenticated;
@@ -0,0 +1,147 @@
+-- One running task timer per member.
+-- active_timers holds the member's running task, the session it is logging and the browser tab
+-- (device_id, a per-tab id kept in sessionStorage) that drives it. start_task_session claims
+-- it: any other task of the member that is still running is paused first (countdown and
+-- session closed), and a tab starting a task that already runs elsewhere takes it over.
+-- end_task_session releases it. Open tabs follow the row through realtime; tabs that don't
+-- hold it stop persisting the countdown, and the Navbar shows what is running.
+
+create table if not exists public.active_timers (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  session_id uuid references public.task_sessions(id) on delete set null,
+  device_id text,
+  claimed_at timestamptz not null default now()
+);
+
+alter table public.active_timers enable row level security;
+
+drop policy if exists "active timers readable by members" on public.active_timers;
+create policy "active timers readable by members" on public.active_timers
+  for select using (auth.uid() is not null);
+
+-- pauses every running task of p_user except p_keep_task: the countdown keeps what was left
+-- (from the open session when there is one: it started with planned_seconds on the clock) and
+-- the open session is closed as a pause
+create or replace function public.pause_other_tasks(p_user uuid, p_keep_task uuid)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  update tasks t
+     set is_running = false,
+         last_started_at = null,
+         remaining_seconds = greatest(0, coalesce(
+           (select s.planned_seconds - extract(epoch from now() - s.started_at)::int
+              from task_sessions s
+             where s.task_id = t.id and s.ended_at is null and s.planned_seconds is not null),
+           coalesce(t.remaining_seconds, t.duration_minutes * 60, 0)
+             - coalesce(extract(epoch from now() - t.last_started_at)::int, 0)))
+   where t.created_by = p_user
+     and t.id <> p_keep_task
+     and t.is_running;
+  get diagnostics v_count = row_count;
+
+  update task_sessions s
+     set ended_at = case
+           when s.planned_seconds is null then now()
+           else least(now(), s.started_at + make_interval(secs => s.planned_seconds))
+         end,
+         end_reason = 'pause'
+   where s.user_id = p_user
+     and s.task_id <> p_keep_task
+     and s.ended_at is null;
+
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.pause_other_tasks(uuid, uuid) from public, anon, authenticated;
+
+-- start_task_session from 20261019001800; now also claims the member's active timer for p_device
+drop function if exists public.start_task_session(uuid, int);
+
+create or replace function public.start_task_session(p_task_id uuid, p_planned_seconds int default null, p_device text default null)
+returns public.task_sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_row public.task_sessions;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if not exists (select 1 from tasks t where t.id = p_task_id and t.created_by = v_user) then
+    raise exception 'task not found';
+  end if;
+
+  perform pause_other_tasks(v_user, p_task_id);
+
+  select * into v_row from task_sessions where task_id = p_task_id and ended_at is null;
+  if not found then
+    insert into task_sessions (task_id, user_id, started_at, planned_seconds)
+    values (p_task_id, v_user, now(), greatest(p_planned_seconds, 0))
+    returning * into v_row;
+  end if;
+
+  insert into active_timers (user_id, task_id, session_id, device_id, claimed_at)
+  values (v_user, p_task_id, v_row.id, p_device, now())
+  on conflict (user_id) do update
+    set task_id = excluded.task_id, session_id = excluded.session_id,
+        device_id = excluded.device_id, claimed_at = excluded.claimed_at;
+
+  return v_row;
+end;
+$$;
+
+-- end_task_session from 20261019001800; now also releases the active timer
+create or replace function public.end_task_session(p_task_id uuid, p_reason text default 'pause')
+returns public.task_sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_row public.task_sessions;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_reason not in ('pause', 'stop', 'finish') then
+    raise exception 'unknown end reason %', p_reason;
+  end if;
+
+  update task_sessions s
+     set ended_at = case
+           when s.planned_seconds is null then now()
+           else least(now(), s.started_at + make_interval(secs => s.planned_seconds))
+         end,
+         end_reason = p_reason
+   where s.task_id = p_task_id
+     and s.user_id = v_user
+     and s.ended_at is null
+  returning * into v_row;
+
+  delete from active_timers where user_id = v_user and task_id = p_task_id;
+
+  return v_row;
+end;
+$$;
+
+grant execute on function public.start_task_session(uuid, int, text) to authenticated;
+grant execute on function public.end_task_session(uuid, text) to authenticated;
+
+-- open tabs and the Navbar follow the active timer
+do $$
+begin
+  alter publication supabase_realtime add table public.active_timers;
+exception when duplicate_object then null;
+end $$;
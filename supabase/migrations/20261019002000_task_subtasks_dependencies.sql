@@ -0,0 +1,116 @@
+-- Subtasks and "blocked by" dependencies in the Task Registry.
+-- task_subtasks are checklist steps inside a task, each with its own completion; the task card's
+-- progress bar rolls them up. task_dependencies says a task can't be completed while any task it
+-- is blocked by is still open: enforced on the tasks row itself (guard_task_completion), so the
+-- Complete button, the timer finishing and direct updates all hit the same rule.
+-- Both tables are managed by the task's owner, like tasks themselves.
+
+create table if not exists public.task_subtasks (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  title text not null check (length(trim(title)) > 0),
+  done boolean not null default false,
+  done_at timestamptz,
+  position int not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists task_subtasks_task on public.task_subtasks (task_id, position);
+
+create table if not exists public.task_dependencies (
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  blocked_by uuid not null references public.tasks(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (task_id, blocked_by),
+  check (task_id <> blocked_by)
+);
+
+alter table public.task_subtasks enable row level security;
+alter table public.task_dependencies enable row level security;
+
+drop policy if exists "subtasks readable by members" on public.task_subtasks;
+create policy "subtasks readable by members" on public.task_subtasks
+  for select using (auth.uid() is not null);
+
+drop policy if exists "subtasks managed by task owner" on public.task_subtasks;
+create policy "subtasks managed by task owner" on public.task_subtasks
+  for all
+  using (exists (select 1 from public.tasks t where t.id = task_id and t.created_by = auth.uid()))
+  with check (exists (select 1 from public.tasks t where t.id = task_id and t.created_by = auth.uid()));
+
+drop policy if exists "dependencies readable by members" on public.task_dependencies;
+create policy "dependencies readable by members" on public.task_dependencies
+  for select using (auth.uid() is not null);
+
+drop policy if exists "dependencies managed by task owner" on public.task_dependencies;
+create policy "dependencies managed by task owner" on public.task_dependencies
+  for all
+  using (exists (select 1 from public.tasks t where t.id = task_id and t.created_by = auth.uid()))
+  with check (exists (select 1 from public.tasks t where t.id = task_id and t.created_by = auth.uid()));
+
+-- a dependency may not close a loop (a task ends up waiting on itself)
+create or replace function public.guard_task_dependency_cycle()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if exists (
+    with recursive upstream(id) as (
+      select d.blocked_by from task_dependencies d where d.task_id = new.blocked_by
+      union
+      select d.blocked_by from task_dependencies d join upstream u on d.task_id = u.id
+    )
+    select 1 from upstream where id = new.task_id
+  ) then
+    raise exception 'this dependency would make the task wait on itself';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_task_dependency_cycle on public.task_dependencies;
+create trigger guard_task_dependency_cycle
+  before insert or update on public.task_dependencies
+  for each row execute function public.guard_task_dependency_cycle();
+
+-- a task can't become completed while a task it is blocked by is open
+create or replace function public.guard_task_completion()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_open text;
+begin
+  if new.status = 'completed' and old.status is distinct from 'completed' then
+    select string_agg(b.title, ', ' order by b.title) into v_open
+      from task_dependencies d
+      join tasks b on b.id = d.blocked_by
+     where d.task_id = new.id
+       and b.status is distinct from 'completed';
+    if v_open is not null then
+      raise exception 'blocked by open tasks: %', v_open;
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_task_completion on public.tasks;
+create trigger guard_task_completion
+  before update of status on public.tasks
+  for each row execute function public.guard_task_completion();
+
+-- the Task Registry reloads on subtask and dependency changes too
+do $$
+begin
+  alter publication supabase_realtime add table public.task_subtasks;
+exception when duplicate_object then null;
+end $$;
+
+do $$
+begin
+  alter publication supabase_realtime add table public.task_dependencies;
+exception when duplicate_object then null;
+end $$;
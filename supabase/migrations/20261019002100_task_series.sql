@@ -0,0 +1,44 @@
+-- Recurring tasks.
+-- A task_series holds the template of a routine task (title, description, duration, the
+-- first occurrence's start/end times, subtask titles) and an RRULE-style rule
+-- (src/utils/recurrence.js: FREQ=DAILY|WEEKLY, INTERVAL, BYDAY, UNTIL or COUNT) counted from
+-- dtstart. Occurrences are ordinary tasks rows with series_id + occurrence_date, generated a
+-- week ahead by the Task Registry; the unique key keeps two tabs from generating one twice.
+-- exdates lists deleted occurrences so they aren't generated again.
+-- "This and all future" edits split a series: the old one gets UNTIL the day before, a new
+-- one starts on the edited occurrence.
+
+create table if not exists public.task_series (
+  id uuid primary key default gen_random_uuid(),
+  created_by uuid not null references auth.users(id) on delete cascade,
+  title text not null,
+  description text,
+  duration_minutes int,
+  start_time timestamptz,
+  end_time timestamptz,
+  subtasks text[] not null default '{}',
+  dtstart date not null,
+  rrule text not null,
+  exdates date[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+alter table public.tasks
+  add column if not exists series_id uuid references public.task_series(id) on delete set null,
+  add column if not exists occurrence_date date;
+
+-- not partial, so upserts can target it; one-off tasks (null series_id) never collide
+create unique index if not exists tasks_series_occurrence
+  on public.tasks (series_id, occurrence_date);
+
+alter table public.task_series enable row level security;
+
+drop policy if exists "task series readable by members" on public.task_series;
+create policy "task series readable by members" on public.task_series
+  for select using (auth.uid() is not null);
+
+drop policy if exists "task series managed by owner" on public.task_series;
+create policy "task series managed by owner" on public.task_series
+  for all
+  using (created_by = auth.uid())
+  with check (created_by = auth.uid());
@@ -0,0 +1,22 @@
+-- Tasks linked to checklist commitments.
+-- A task (or a recurring series, copied onto each occurrence) can name the checklist item it
+-- fulfils: the item type, the item key (<type>_<idx>) and the preference entry id when the
+-- entry has one, so the link survives entries being reordered; the label is kept for display.
+-- Completing the task records a tick for that item (record_checklist_tick, checklist_ticks from
+-- 20261019003300). On a day the member already saved it is also ticked through
+-- submit_daily_checks, which re-evaluates the day's fines like a manual save; on an unsaved day
+-- the tick waits for the member's save or for the nightly sweep (sweep_daily_checks), which
+-- marks recorded ticks done (src/utils/taskChecklist.js).
+-- Wake items follow check-ins and can't be linked.
+
+alter table public.tasks
+  add column if not exists checklist_item_type text references public.item_types(key) on delete set null,
+  add column if not exists checklist_item_key text,
+  add column if not exists checklist_item_ref text,
+  add column if not exists checklist_item_label text;
+
+alter table public.task_series
+  add column if not exists checklist_item_type text references public.item_types(key) on delete set null,
+  add column if not exists checklist_item_key text,
+  add column if not exists checklist_item_ref text,
+  add column if not exists checklist_item_label text;
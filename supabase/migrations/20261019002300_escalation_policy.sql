@@ -0,0 +1,212 @@
+-- Escalation curves applied to checklist fines.
+-- group_settings['escalation_policy'].domains maps an item type key (the fine's domain) to an
+-- escalation policy (see src/utils/fineEngine.js: curve, base / step / steps, max_multiplier,
+-- decay, grace_days). A missed item of a domain with a policy is fined
+--   penalty × late multiplier × curve(n)
+-- where n counts this miss and the domain's misses on the days before it; a day on which the
+-- domain was kept ends the streak, days with nothing to judge (no checklist, excused) are
+-- skipped up to grace_days. Domains without a policy are not escalated.
+-- The policy, n and the multiplier are stored on the fine (fines.escalation) and the fine keeps
+-- its domain (fines.domain) so later streaks can be counted; escalation_multiplier mirrors
+-- ESCALATION_CURVES / max_multiplier in fineEngine.js.
+
+alter table public.fines add column if not exists domain text;
+
+create index if not exists fines_user_domain_date_idx on public.fines (user_id, domain, date);
+
+insert into public.group_settings (key, value)
+values ('escalation_policy', '{"domains": {}}'::jsonb)
+on conflict (key) do nothing;
+
+create or replace function public.escalation_policy()
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce((select value from group_settings where key = 'escalation_policy'), '{"domains": {}}'::jsonb);
+$$;
+
+-- multiplier for the n-th consecutive miss (n >= 1), capped at max_multiplier
+create or replace function public.escalation_multiplier(p_policy jsonb, p_n int)
+returns numeric
+language plpgsql
+immutable
+as $$
+declare
+  v_mult numeric;
+  v_a numeric := 1;
+  v_b numeric := 2;
+  v_tmp numeric;
+  v_steps jsonb := p_policy->'steps';
+begin
+  case coalesce(p_policy->>'curve', 'exponential')
+    when 'exponential' then
+      v_mult := power(coalesce(nullif((p_policy->>'base')::numeric, 0), 2), p_n);
+    when 'linear' then
+      v_mult := 1 + coalesce(nullif((p_policy->>'step')::numeric, 0), 1) * p_n;
+    when 'fibonacci' then
+      for i in 2..p_n loop
+        v_tmp := v_a + v_b;
+        v_a := v_b;
+        v_b := v_tmp;
+      end loop;
+      v_mult := v_b;
+    when 'capped-step' then
+      if jsonb_typeof(v_steps) <> 'array' or jsonb_array_length(v_steps) = 0 then
+        v_steps := '[2, 3, 5]'::jsonb;
+      end if;
+      v_mult := coalesce(nullif((v_steps->>(least(p_n, jsonb_array_length(v_steps)) - 1))::numeric, 0), 1);
+    else
+      raise exception 'unknown escalation curve: %', p_policy->>'curve';
+  end case;
+
+  if nullif(p_policy->>'max_multiplier', '') is not null then
+    v_mult := least(v_mult, (p_policy->>'max_multiplier')::numeric);
+  end if;
+  return v_mult;
+end;
+$$;
+
+-- { ...policy, domain, consecutive, multiplier } for a miss of p_domain on p_date, or null when
+-- the domain is not escalated
+create or replace function public.escalation_for(p_user uuid, p_domain text, p_date date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_policy jsonb := escalation_policy()->'domains'->p_domain;
+  v_grace int;
+  v_n int := 1;
+  v_gap int := 0;
+  v_day date := p_date;
+begin
+  if p_domain is null or jsonb_typeof(v_policy) <> 'object' then
+    return null;
+  end if;
+  v_grace := greatest(coalesce((v_policy->>'grace_days')::int, 0), 0);
+
+  for i in 1..366 loop
+    v_day := v_day - 1;
+    if exists (
+      select 1 from fines f
+       where f.user_id = p_user and f.domain = p_domain and f.date = v_day and f.quota_result_id is null
+    ) then
+      v_n := v_n + 1;
+      v_gap := 0;
+    elsif not is_suspended(p_user, v_day) and exists (
+      select 1 from daily_checks dc, jsonb_each(dc.checks) c
+       where dc.user_id = p_user and dc.date = v_day
+         and jsonb_typeof(c.value) = 'object'
+         and c.value->'meta'->>'type' = p_domain
+         and not coalesce((c.value->>'excused')::boolean, false)
+    ) then
+      -- the domain was kept that day
+      exit;
+    else
+      v_gap := v_gap + 1;
+      exit when v_gap > v_grace;
+    end if;
+  end loop;
+
+  return v_policy || jsonb_build_object('domain', p_domain, 'consecutive', v_n, 'multiplier', escalation_multiplier(v_policy, v_n));
+end;
+$$;
+
+revoke execute on function public.escalation_for(uuid, text, date) from public, anon, authenticated;
+
+-- apply_daily_checks from 20261019001500; missed items are escalated by their domain's curve
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+  v_esc jsonb;
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  -- previous fines for this daily_check and legacy date-only fines
+  delete from fines
+   where user_id = p_user
+     and (daily_check_id = v_dc.id or (daily_check_id is null and quota_result_id is null and date = p_date));
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+      -- quota items are settled when their week / month closes, not day by day
+      continue when jsonb_typeof(v_item) = 'object' and v_item->'meta'->'schedule'->>'kind' in ('per_week', 'per_month');
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule)
+        values (
+          p_user, v_dc.id, p_date,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          v_key,
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        continue;
+      end if;
+
+      v_esc := escalation_for(p_user, v_item->'meta'->>'type', p_date);
+      insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule, domain, escalation)
+      values (
+        p_user, v_dc.id, p_date,
+        v_penalty * (v_rule->>'multiplier')::numeric * coalesce((v_esc->>'multiplier')::numeric, 1),
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_key,
+        v_rule || jsonb_build_object('base', v_penalty),
+        v_item->'meta'->>'type',
+        v_esc
+      );
+    end loop;
+  end if;
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
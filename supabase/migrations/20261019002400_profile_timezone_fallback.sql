@@ -0,0 +1,6 @@
+-- A profile without a timezone uses UTC everywhere: the database functions already fall back
+-- to 'UTC', and the browser (src/utils/dates.js DEFAULT_TIMEZONE) and the sweeper now do too,
+-- so all three agree on where such a member's day starts.
+
+comment on column public.profiles.timezone is
+  'IANA timezone deciding where the member''s calendar day starts; null = UTC';
@@ -0,0 +1,192 @@
+-- Re-evaluating a day no longer loses payments.
+-- apply_daily_checks used to delete the day's fines and insert them again on every save or
+-- excuse; confirmed payments lost their allocations (on delete cascade) and the new fines
+-- showed as unpaid. Now:
+--   - a day's fines are updated in place, matched by item_key, so a fine keeps its id,
+--     its payments and its appeal across re-saves
+--   - only fines nobody paid anything towards are deleted when an item is no longer fined
+--     (ticked, excused, appealed); fines with payments stay until the payment is reversed
+--   - fines with paid_amount > 0 cannot be deleted at all, and allocations no longer cascade
+
+alter table public.fine_payment_allocations drop constraint if exists fine_payment_allocations_fine_id_fkey;
+alter table public.fine_payment_allocations add constraint fine_payment_allocations_fine_id_fkey
+  foreign key (fine_id) references public.fines(id) on delete restrict;
+
+create or replace function public.guard_paid_fine_delete()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.paid_amount > 0 then
+    raise exception 'fine % has payments towards it; reverse them before removing the fine', old.id;
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists fines_guard_paid_delete on public.fines;
+create trigger fines_guard_paid_delete
+  before delete on public.fines
+  for each row execute function public.guard_paid_fine_delete();
+
+-- the day's fine for one item: updated in place when it exists, else inserted
+create or replace function public.upsert_item_fine(
+  p_dc public.daily_checks,
+  p_key text,
+  p_amount numeric,
+  p_reason text,
+  p_late_rule jsonb,
+  p_domain text default null,
+  p_escalation jsonb default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update fines
+     set amount = p_amount,
+         reason = p_reason,
+         late_rule = p_late_rule,
+         domain = p_domain,
+         escalation = p_escalation,
+         paid = paid_amount >= p_amount
+   where daily_check_id = p_dc.id and item_key = p_key;
+  if not found then
+    insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule, domain, escalation)
+    values (p_dc.user_id, p_dc.id, p_dc.date, p_amount, p_reason, p_key, p_late_rule, p_domain, p_escalation);
+  end if;
+end;
+$$;
+
+revoke execute on function public.upsert_item_fine(public.daily_checks, text, numeric, text, jsonb, text, jsonb) from public, anon, authenticated;
+
+-- apply_daily_checks from 20261019002300; fines are updated in place, unpaid stale ones removed
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+  v_esc jsonb;
+  v_fined text[] := '{}';
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+      -- quota items are settled when their week / month closes, not day by day
+      continue when jsonb_typeof(v_item) = 'object' and v_item->'meta'->'schedule'->>'kind' in ('per_week', 'per_month');
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        perform upsert_item_fine(
+          v_dc, v_key,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        v_fined := v_fined || v_key;
+        continue;
+      end if;
+
+      v_esc := escalation_for(p_user, v_item->'meta'->>'type', p_date);
+      perform upsert_item_fine(
+        v_dc, v_key,
+        v_penalty * (v_rule->>'multiplier')::numeric * coalesce((v_esc->>'multiplier')::numeric, 1),
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_rule || jsonb_build_object('base', v_penalty),
+        v_item->'meta'->>'type',
+        v_esc
+      );
+      v_fined := v_fined || v_key;
+    end loop;
+  end if;
+
+  -- fines of items that are no longer fined, and legacy date-only fines; paid ones stay
+  delete from fines
+   where user_id = p_user
+     and paid_amount = 0
+     and ((daily_check_id = v_dc.id and (item_key is null or not item_key = any(v_fined)))
+          or (daily_check_id is null and quota_result_id is null and date = p_date));
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
+
+-- clear_suspended_fines from 20261019001500; fines with payments are kept
+create or replace function public.clear_suspended_fines(p_susp public.suspensions)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not suspension_is_partial(p_susp) then
+    delete from fines f
+     where f.user_id = p_susp.user_id
+       and f.quota_result_id is null
+       and f.paid_amount = 0
+       and f.date in (select suspension_dates(p_susp));
+    return;
+  end if;
+
+  update daily_checks dc
+     set checks = mark_excused_items(dc.user_id, dc.date, dc.checks)
+   where dc.user_id = p_susp.user_id
+     and dc.date in (select suspension_dates(p_susp));
+
+  delete from fines f
+   using daily_checks dc
+   where f.user_id = p_susp.user_id
+     and f.daily_check_id = dc.id
+     and f.paid_amount = 0
+     and f.date in (select suspension_dates(p_susp))
+     and f.item_key is not null
+     and (dc.checks->f.item_key->>'excused')::boolean is true;
+end;
+$$;
+
+revoke execute on function public.clear_suspended_fines(public.suspensions) from public, anon, authenticated;
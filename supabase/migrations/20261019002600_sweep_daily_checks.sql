@@ -0,0 +1,40 @@
+-- The nightly sweeper prices unsubmitted days with the server-side evaluation.
+-- scripts/sweepMissedChecklists.js used to build the fines itself, without the late policy,
+-- approved appeals or excuses. It now calls sweep_daily_checks, which runs apply_daily_checks
+-- and keeps the row sweeper-owned. A swept day counts as submitted when it was first swept
+-- (swept_at), so re-running the sweeper does not make it later each night.
+
+alter table public.daily_checks add column if not exists swept_at timestamptz;
+
+-- null when the member saved the date themselves (their row wins)
+create or replace function public.sweep_daily_checks(p_user uuid, p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dc public.daily_checks;
+  v_at timestamptz;
+  v_state jsonb;
+begin
+  select * into v_dc from daily_checks where user_id = p_user and date = p_date for update;
+  if found and v_dc.source <> 'sweeper' then
+    return null;
+  end if;
+
+  v_at := coalesce(v_dc.swept_at, now());
+  v_state := apply_daily_checks(p_user, p_date, coalesce(v_dc.checks, p_checks), v_at);
+
+  update daily_checks
+     set source = 'sweeper', swept_at = v_at
+   where user_id = p_user and date = p_date;
+
+  return v_state || jsonb_build_object('daily_check', (
+    select to_jsonb(dc) from daily_checks dc where dc.user_id = p_user and dc.date = p_date
+  ));
+end;
+$$;
+
+revoke execute on function public.sweep_daily_checks(uuid, date, jsonb) from public, anon, authenticated;
+grant execute on function public.sweep_daily_checks(uuid, date, jsonb) to service_role;
@@ -0,0 +1,41 @@
+-- Payment state is only changed by the payment RPCs.
+-- The baseline fines policies let a member update (and delete) their own fines rows, so
+-- paid / paid_amount could be set directly and skip confirmation. Clients now only read
+-- fines; checklist evaluation, settlement, payments and appeals all write them through
+-- security definer functions.
+-- profiles.is_treasurer decides who may confirm anyone's payment, and members update their
+-- own profiles row (timezone, name): guard_profile_roles keeps them from granting it to
+-- themselves. Only an admin, or the service role / SQL editor (no auth.uid()), may set it.
+
+revoke insert, update, delete on public.fines from anon, authenticated;
+
+create or replace function public.guard_profile_roles()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor uuid := auth.uid();
+  v_admin boolean;
+begin
+  if v_actor is null then
+    return new;
+  end if;
+  select coalesce(p.is_admin, false) into v_admin from profiles p where p.id = v_actor;
+
+  if tg_op = 'INSERT' then
+    if coalesce(new.is_treasurer, false) and not coalesce(v_admin, false) then
+      raise exception 'only an admin can make a member treasurer';
+    end if;
+  elsif new.is_treasurer is distinct from old.is_treasurer and not coalesce(v_admin, false) then
+    raise exception 'only an admin can change who is treasurer';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_roles on public.profiles;
+create trigger profiles_guard_roles
+  before insert or update on public.profiles
+  for each row execute function public.guard_profile_roles();
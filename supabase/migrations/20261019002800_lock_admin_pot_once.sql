@@ -0,0 +1,66 @@
+-- profiles.is_admin can no longer be set by members on their own profiles row, and the pot
+-- counts a paid consistency fine once.
+-- guard_profile_roles (from 20261019002700) now also refuses any change to is_admin unless it
+-- comes from the service role / SQL editor (no auth.uid()); admins are appointed there.
+-- pot_collections summed every 'paid' row of consistency_fines_history, so marking a fine paid
+-- twice counted it twice. A 'paid' row now only counts when it follows a non-paid event of the
+-- same fine (markFinePaid also stops writing a second one).
+
+create or replace function public.guard_profile_roles()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor uuid := auth.uid();
+  v_admin boolean;
+begin
+  if v_actor is null then
+    return new;
+  end if;
+  select coalesce(p.is_admin, false) into v_admin from profiles p where p.id = v_actor;
+
+  if tg_op = 'INSERT' then
+    if coalesce(new.is_admin, false) then
+      raise exception 'admins are appointed by the group owner';
+    end if;
+    if coalesce(new.is_treasurer, false) and not coalesce(v_admin, false) then
+      raise exception 'only an admin can make a member treasurer';
+    end if;
+  else
+    if new.is_admin is distinct from old.is_admin then
+      raise exception 'admins are appointed by the group owner';
+    end if;
+    if new.is_treasurer is distinct from old.is_treasurer and not coalesce(v_admin, false) then
+      raise exception 'only an admin can change who is treasurer';
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+-- pot_collections from 20261019000700
+create or replace function public.pot_collections(p_start date, p_end date)
+returns table (user_id uuid, source text, amount numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select fp.user_id, 'fines'::text, sum(fp.amount)
+    from fine_payments fp
+   where fp.status = 'confirmed'
+     and coalesce(fp.confirmed_at, fp.created_at)::date between p_start and p_end
+   group by fp.user_id
+  union all
+  select h.user_id, 'consistency_fines'::text, sum(h.amount_after)
+    from (
+      select h.*, lag(h.event_type) over (partition by h.fine_id order by h.created_at) as prev_event
+        from consistency_fines_history h
+    ) h
+   where h.event_type = 'paid'
+     and h.prev_event is distinct from 'paid'
+     and h.created_at::date between p_start and p_end
+   group by h.user_id;
+$$;
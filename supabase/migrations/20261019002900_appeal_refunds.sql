@@ -0,0 +1,147 @@
+-- Approved appeals give the money back, and the vote threshold lives in one place.
+-- decide_fine_appeal used to set amount = 0 and paid = true on an approved appeal, leaving
+-- whatever had been paid towards the fine allocated to a fine that no longer exists in
+-- practice. Approval now reverses the fine's allocations (a negative allocation per payment,
+-- as reverse_fine_payment does), so the refunded amount shows as credit on those payments.
+-- group_settings['appeal_policy'].votes_needed is the number of matching votes that decides
+-- an appeal (an admin's vote still decides alone); it replaces the constant in
+-- vote_fine_appeal and the copy in src/utils/appeals.js.
+
+insert into public.group_settings (key, value)
+values ('appeal_policy', '{"votes_needed": 2}'::jsonb)
+on conflict (key) do nothing;
+
+create or replace function public.appeal_policy()
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce((select value from group_settings where key = 'appeal_policy'), '{"votes_needed": 2}'::jsonb);
+$$;
+
+-- decide_fine_appeal from 20261019000800; approval refunds the fine's allocations
+create or replace function public.decide_fine_appeal(p_appeal public.fine_appeals, p_status text, p_actor uuid, p_note text)
+returns public.fine_appeals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_fine public.fines;
+  v_appeal public.fine_appeals;
+  v_alloc record;
+  v_refunded numeric := 0;
+begin
+  if p_status = 'approved' then
+    select * into v_fine from fines where id = p_appeal.fine_id for update;
+    if found then
+      for v_alloc in
+        select payment_id, sum(amount) as amount
+          from fine_payment_allocations
+         where fine_id = v_fine.id
+         group by payment_id
+        having sum(amount) > 0
+      loop
+        insert into fine_payment_allocations (payment_id, fine_id, amount)
+        values (v_alloc.payment_id, v_fine.id, -v_alloc.amount);
+        v_refunded := v_refunded + v_alloc.amount;
+      end loop;
+
+      update fines
+         set amount = 0,
+             paid_amount = 0,
+             paid = true
+       where id = v_fine.id;
+
+      insert into fines_history (
+        fine_id, user_id, domain, event_type, amount_before, amount_after,
+        multiplier_before, multiplier_after, consecutive_before, consecutive_after, escalation, note
+      ) values (
+        v_fine.id, v_fine.user_id, coalesce(v_fine.domain, 'checklist'), 'appeal_reversed', v_fine.amount, 0,
+        coalesce(v_fine.multiplier, 1), coalesce(v_fine.multiplier, 1),
+        coalesce(v_fine.consecutive_misses, 0), coalesce(v_fine.consecutive_misses, 0),
+        v_fine.escalation,
+        format('appeal %s approved: %s', p_appeal.id, p_appeal.reason)
+          || case when v_refunded > 0 then format(' (₹%s refunded as credit)', v_refunded) else '' end
+      );
+    end if;
+  end if;
+
+  update fine_appeals
+     set status = p_status, decided_by = p_actor, decided_at = now(), decision_note = nullif(trim(p_note), '')
+   where id = p_appeal.id
+  returning * into v_appeal;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_appeal.user_id, 'appeal_' || p_status, 'Fine appeal ' || p_status,
+          format('Your appeal for the ₹%s fine on %s was %s.', v_appeal.amount, v_appeal.date, p_status)
+            || case when v_refunded > 0 then format(' ₹%s you paid towards it is now credit.', v_refunded) else '' end,
+          '/checklist');
+
+  return v_appeal;
+end;
+$$;
+
+revoke execute on function public.decide_fine_appeal(public.fine_appeals, text, uuid, text) from public, anon, authenticated;
+
+-- vote_fine_appeal from 20261019000800; the threshold comes from appeal_policy()
+create or replace function public.vote_fine_appeal(p_appeal_id uuid, p_vote text, p_note text default null)
+returns public.fine_appeals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_appeal public.fine_appeals;
+  v_is_admin boolean;
+  v_approve int;
+  v_reject int;
+  v_needed int := greatest(coalesce((appeal_policy()->>'votes_needed')::int, 2), 1);
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if p_vote not in ('approve', 'reject') then
+    raise exception 'vote must be approve or reject';
+  end if;
+
+  select * into v_appeal from fine_appeals where id = p_appeal_id for update;
+  if not found then
+    raise exception 'appeal not found';
+  end if;
+  if v_appeal.status <> 'pending' then
+    raise exception 'appeal is already %', v_appeal.status;
+  end if;
+  if v_appeal.user_id = v_user then
+    raise exception 'you cannot vote on your own appeal';
+  end if;
+  if v_appeal.fine_id is null then
+    raise exception 'the fine for this appeal no longer exists';
+  end if;
+
+  insert into fine_appeal_votes (appeal_id, voter_id, vote, note)
+  values (v_appeal.id, v_user, p_vote, nullif(trim(p_note), ''))
+  on conflict (appeal_id, voter_id) do update set vote = excluded.vote, note = excluded.note, created_at = now();
+
+  select coalesce(is_admin, false) into v_is_admin from profiles where id = v_user;
+  if v_is_admin then
+    return decide_fine_appeal(v_appeal, case when p_vote = 'approve' then 'approved' else 'rejected' end, v_user, p_note);
+  end if;
+
+  select count(*) filter (where vote = 'approve'), count(*) filter (where vote = 'reject')
+    into v_approve, v_reject
+    from fine_appeal_votes
+   where appeal_id = v_appeal.id;
+
+  if v_approve >= v_needed then
+    return decide_fine_appeal(v_appeal, 'approved', v_user, p_note);
+  elsif v_reject >= v_needed then
+    return decide_fine_appeal(v_appeal, 'rejected', v_user, p_note);
+  end if;
+  return v_appeal;
+end;
+$$;
+
+grant execute on function public.vote_fine_appeal(uuid, text, text) to authenticated;
@@ -0,0 +1,9 @@
+-- Excuses only become active through request_suspension / decide_suspension.
+-- suspensions.status defaulted to 'active' and the baseline policies let a member insert and
+-- update their own rows, so a direct insert was an active excuse that skipped the monthly
+-- quota and the group's approval. New rows now start as 'pending', and clients can no longer
+-- insert or update suspensions; the security definer RPCs set the status themselves.
+
+alter table public.suspensions alter column status set default 'pending';
+
+revoke insert, update on public.suspensions from anon, authenticated;
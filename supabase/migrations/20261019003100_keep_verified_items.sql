@@ -0,0 +1,83 @@
+-- Items locked by a submission import keep the import result on every save.
+-- The import runs in the browser (src/utils/judgeImporters.js, mode 'lock') and stamps the item
+-- with verification { status, locked, imported_at, ... }; DailyChecklist disables the checkbox,
+-- but a direct submit_daily_checks call could still untick a verified item or drop the lock.
+-- keep_verified_items puts the saved result back:
+--   verified   stays done with its verification, whatever the new checks say
+--   unverified stays not done, unless the new checks carry a later locked import of the item
+
+create or replace function public.keep_verified_items(p_user uuid, p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_key text;
+  v_prev jsonb;
+  v_new jsonb;
+begin
+  for v_key, v_prev in
+    select e.key, e.value
+      from daily_checks dc, jsonb_each(dc.checks) e
+     where dc.user_id = p_user and dc.date = p_date
+       and jsonb_typeof(e.value) = 'object'
+       and coalesce((e.value->'verification'->>'locked')::boolean, false)
+  loop
+    v_new := case when jsonb_typeof(v_checks->v_key) = 'object' then v_checks->v_key else v_prev end;
+    continue when v_prev->'verification'->>'status' <> 'verified'
+              and coalesce((v_new->'verification'->>'locked')::boolean, false)
+              and (v_new->'verification'->>'imported_at')::timestamptz > (v_prev->'verification'->>'imported_at')::timestamptz;
+    v_checks := jsonb_set(v_checks, array[v_key], v_new || jsonb_build_object(
+      'done', v_prev->'verification'->>'status' = 'verified',
+      'verification', v_prev->'verification'
+    ));
+  end loop;
+  return v_checks;
+end;
+$$;
+
+revoke execute on function public.keep_verified_items(uuid, date, jsonb) from public, anon, authenticated;
+
+-- submit_daily_checks from 20261019000900; locked import results are kept
+create or replace function public.submit_daily_checks(p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_approval int := (late_policy()->>'approval_after_days')::int;
+  v_req public.checklist_change_requests;
+  v_checks jsonb;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  perform assert_checklist_date_editable(v_user, p_date);
+  v_checks := keep_verified_items(v_user, p_date, p_checks);
+
+  if v_approval is not null and checklist_date_age(v_user, p_date) > v_approval then
+    delete from checklist_change_requests where user_id = v_user and date = p_date and status = 'pending';
+    insert into checklist_change_requests (user_id, date, checks)
+    values (v_user, p_date, v_checks)
+    returning * into v_req;
+
+    insert into notifications (user_id, kind, title, body, link)
+    select p.id, 'checklist_change', 'Backdated checklist change needs approval',
+           format('%s changed their checklist for %s.', coalesce(me.full_name, 'A member'), p_date), '/checklist'
+      from profiles p
+      left join profiles me on me.id = v_user
+     where p.id <> v_user;
+
+    return checklist_day_state(v_user, p_date) || jsonb_build_object('pending_request', to_jsonb(v_req));
+  end if;
+
+  return apply_daily_checks(v_user, p_date, v_checks, now());
+end;
+$$;
+
+grant execute on function public.submit_daily_checks(date, jsonb) to authenticated;
@@ -0,0 +1,144 @@
+-- The wake item is done only when the weekly quota is actually met.
+-- wake_item_state marked the item done whenever the rest of the week could still reach
+-- required_count, so a day with no check-in at all showed (and counted) as done. Now
+--   done        an on-time check-in today, or week_on_time >= required
+--   achievable  done, or the days left after today can still reach required
+-- apply_daily_checks does not fine a wake item that is not done but still achievable: as
+-- before, a day without a check-in only costs a fine once the week can no longer reach N.
+-- wake_item_state mirrors wakeItemState in src/utils/checklist.js.
+
+-- wake_item_state from 20261019001600
+create or replace function public.wake_item_state(p_user uuid, p_date date)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with req as (
+    select least(greatest(coalesce((preference_on(p_user, p_date)->'wake_rule'->>'required_count')::int, 1), 1), 7) as required
+  ),
+  week as (
+    select count(*) filter (where c.on_time)::int as on_time_count
+      from wake_checkins c
+     where c.user_id = p_user
+       and c.date between date_trunc('week', p_date)::date and p_date
+  ),
+  today as (
+    select * from wake_checkins c where c.user_id = p_user and c.date = p_date
+  ),
+  state as (
+    select t.checked_in_at, coalesce(t.on_time, false) as on_time, t.target_time, w.on_time_count, r.required,
+           coalesce(t.on_time, false) or w.on_time_count >= r.required as done,
+           w.on_time_count + (7 - extract(isodow from p_date)::int) >= r.required as reachable
+      from req r
+     cross join week w
+      left join today t on true
+  )
+  select jsonb_build_object(
+    'checked_in_at', s.checked_in_at,
+    'on_time', s.on_time,
+    'target_time', s.target_time,
+    'week_on_time', s.on_time_count,
+    'required', s.required,
+    'done', s.done,
+    'achievable', s.done or s.reachable
+  )
+    from state s;
+$$;
+
+-- apply_daily_checks from 20261019002500; a still achievable wake item is not fined
+create or replace function public.apply_daily_checks(p_user uuid, p_date date, p_checks jsonb, p_at timestamptz)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text;
+  v_rule jsonb;
+  v_dc public.daily_checks;
+  v_key text;
+  v_item jsonb;
+  v_done boolean;
+  v_penalty numeric;
+  v_checks jsonb := coalesce(p_checks, '{}'::jsonb);
+  v_prev jsonb;
+  v_wake jsonb;
+  v_esc jsonb;
+  v_fined text[] := '{}';
+begin
+  select coalesce(p.timezone, 'UTC') into v_tz from profiles p where p.id = p_user;
+  v_rule := late_rule_for(p_date, coalesce(v_tz, 'UTC'), p_at, late_policy());
+
+  if jsonb_typeof(v_checks->'wake') = 'object' then
+    v_wake := wake_item_state(p_user, p_date);
+    v_checks := jsonb_set(v_checks, '{wake}', (v_checks->'wake') || jsonb_build_object('done', v_wake->'done', 'checkin', v_wake));
+  end if;
+
+  select dc.checks into v_prev from daily_checks dc where dc.user_id = p_user and dc.date = p_date;
+  v_checks := stamp_window_items(p_user, p_date, v_checks, v_prev, p_at);
+
+  insert into daily_checks (user_id, date, checks, source)
+  values (p_user, p_date, mark_excused_items(p_user, p_date, v_checks), 'user')
+  on conflict (user_id, date) do update set checks = excluded.checks, source = 'user'
+  returning * into v_dc;
+
+  if not is_suspended(p_user, p_date) then
+    for v_key, v_item in select key, value from jsonb_each(v_dc.checks) loop
+      v_done := case jsonb_typeof(v_item)
+        when 'object' then coalesce((v_item->>'done')::boolean, false)
+        when 'boolean' then v_item::text::boolean
+        else false
+      end;
+      continue when jsonb_typeof(v_item) = 'object' and coalesce((v_item->>'excused')::boolean, false);
+      -- quota items are settled when their week / month closes, not day by day
+      continue when jsonb_typeof(v_item) = 'object' and v_item->'meta'->'schedule'->>'kind' in ('per_week', 'per_month');
+
+      -- an approved appeal keeps this item free of fines
+      continue when exists (
+        select 1 from fine_appeals a
+         where a.user_id = p_user and a.date = p_date and a.item_key = v_key and a.status = 'approved'
+      );
+
+      v_penalty := coalesce(nullif((v_item->>'penalty')::numeric, 0), 10);
+
+      if v_done then
+        -- ticked outside its window without calendar evidence
+        continue when coalesce(v_item->'window_check'->>'status', '') <> 'late'
+                   or coalesce((v_item->'window_check'->>'multiplier')::numeric, 0) <= 0;
+        perform upsert_item_fine(
+          v_dc, v_key,
+          v_penalty * (v_item->'window_check'->>'multiplier')::numeric,
+          coalesce('Late: ' || nullif(v_item->>'label', ''), 'Late item ' || v_key),
+          jsonb_build_object('multiplier', (v_item->'window_check'->>'multiplier')::numeric, 'base', v_penalty, 'window', v_item->'window_check')
+        );
+        v_fined := v_fined || v_key;
+        continue;
+      end if;
+
+      -- the weekly wake quota can still be reached: not a miss yet
+      continue when v_key = 'wake' and coalesce((v_item->'checkin'->>'achievable')::boolean, false);
+
+      v_esc := escalation_for(p_user, v_item->'meta'->>'type', p_date);
+      perform upsert_item_fine(
+        v_dc, v_key,
+        v_penalty * (v_rule->>'multiplier')::numeric * coalesce((v_esc->>'multiplier')::numeric, 1),
+        coalesce('Missed: ' || nullif(v_item->>'label', ''), 'Missed item ' || v_key),
+        v_rule || jsonb_build_object('base', v_penalty),
+        v_item->'meta'->>'type',
+        v_esc
+      );
+      v_fined := v_fined || v_key;
+    end loop;
+  end if;
+
+  -- fines of items that are no longer fined, and legacy date-only fines; paid ones stay
+  delete from fines
+   where user_id = p_user
+     and paid_amount = 0
+     and ((daily_check_id = v_dc.id and (item_key is null or not item_key = any(v_fined)))
+          or (daily_check_id is null and quota_result_id is null and date = p_date));
+
+  return checklist_day_state(p_user, p_date) || jsonb_build_object('late', (v_rule->>'multiplier')::numeric > 1, 'late_rule', v_rule);
+end;
+$$;
@@ -0,0 +1,126 @@
+-- Window items are judged by when they were ticked, against the window in the preferences.
+-- stamp_window_items used to stamp ticked_at with the time of the save, so ticking a class
+-- during the window and saving in the evening was late, and it read the window from the
+-- client's meta.window, so a member could send any window they liked. Now:
+--   - checklist_ticks keeps the moment an item was ticked (record_checklist_tick, called by
+--     DailyChecklist when a box is ticked and by task completion); it does not evaluate fines
+--   - item_window reads the window from the preference entry in force on the date
+--     (preference_on + prefs_type_entries) for item types with supports_window
+--   - stamp_window_items uses the recorded tick, else the earlier stamp, else the save time,
+--     and overwrites meta.window with the server's window
+-- item_window mirrors itemWindow in src/utils/checklist.js.
+
+create table if not exists public.checklist_ticks (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  date date not null,
+  item_key text not null,
+  ticked_at timestamptz not null default now(),
+  task_id uuid references public.tasks(id) on delete set null,
+  primary key (user_id, date, item_key)
+);
+
+alter table public.checklist_ticks enable row level security;
+
+drop policy if exists "own ticks readable" on public.checklist_ticks;
+create policy "own ticks readable" on public.checklist_ticks
+  for select using (user_id = auth.uid());
+
+revoke insert, update, delete on public.checklist_ticks from anon, authenticated;
+
+-- ticking keeps the first tick time; unticking forgets it
+create or replace function public.record_checklist_tick(p_date date, p_key text, p_done boolean, p_task_id uuid default null)
+returns public.checklist_ticks
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_tick public.checklist_ticks;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  perform assert_checklist_date_editable(v_user, p_date);
+
+  if not p_done then
+    delete from checklist_ticks where user_id = v_user and date = p_date and item_key = p_key;
+    return null;
+  end if;
+
+  insert into checklist_ticks (user_id, date, item_key, task_id)
+  values (v_user, p_date, p_key, p_task_id)
+  on conflict (user_id, date, item_key) do update set task_id = coalesce(checklist_ticks.task_id, excluded.task_id)
+  returning * into v_tick;
+  return v_tick;
+end;
+$$;
+
+grant execute on function public.record_checklist_tick(date, text, boolean, uuid) to authenticated;
+
+-- { start, end, slack_minutes, late_multiplier } of an item's preference entry, or null when
+-- its type has no windows or the entry is not in window mode; entries are matched by id
+-- (meta.ref) when they have one, else by position (<type>_<idx>)
+create or replace function public.item_window(p_user uuid, p_date date, p_key text, p_item jsonb)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+           'start', e.entry->>'start_time',
+           'end', e.entry->>'end_time',
+           'slack_minutes', greatest(round(coalesce(nullif(e.entry->>'slack_minutes', '')::numeric, 15)), 0)::int,
+           'late_multiplier', greatest(coalesce(nullif(e.entry->>'late_multiplier', '')::numeric, 0.5), 0)
+         )
+    from item_types t
+   cross join lateral (
+     select x.value as entry, x.ordinality - 1 as idx
+       from jsonb_array_elements(prefs_type_entries(preference_on(p_user, p_date), t)) with ordinality x
+   ) e
+   where t.key = p_item->'meta'->>'type'
+     and t.supports_window
+     and case when p_item->'meta'->>'ref' is not null then e.entry->>'id' = p_item->'meta'->>'ref'
+              else p_key = t.key || '_' || e.idx end
+     and coalesce(nullif(e.entry->>'window_mode', '')::boolean, false)
+     and coalesce(e.entry->>'start_time', '') <> ''
+     and coalesce(e.entry->>'end_time', '') <> ''
+   limit 1;
+$$;
+
+revoke execute on function public.item_window(uuid, date, text, jsonb) from public, anon, authenticated;
+
+-- stamp_window_items from 20261019001300; server-side windows and recorded tick times
+create or replace function public.stamp_window_items(p_user uuid, p_date date, p_checks jsonb, p_prev jsonb, p_at timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(
+           c.key,
+           case
+             when jsonb_typeof(c.value) <> 'object' then c.value
+             when c.win is null then (c.value #- '{meta,window}') - 'window_check'
+             when not coalesce((c.value->>'done')::boolean, false) then jsonb_set(c.value, '{meta,window}', c.win) - 'window_check'
+             else jsonb_set(c.value, '{meta,window}', c.win) || jsonb_build_object('window_check', window_tick_state(
+               p_user, p_date, c.win,
+               coalesce(
+                 t.ticked_at,
+                 case when coalesce((p_prev->c.key->>'done')::boolean, false)
+                      then (p_prev->c.key->'window_check'->>'ticked_at')::timestamptz end,
+                 p_at
+               )))
+           end
+         ), '{}'::jsonb)
+    from (
+      select e.key, e.value,
+             case when jsonb_typeof(e.value) = 'object' then item_window(p_user, p_date, e.key, e.value) end as win
+        from jsonb_each(coalesce(p_checks, '{}'::jsonb)) e
+    ) c
+    left join checklist_ticks t on t.user_id = p_user and t.date = p_date and t.item_key = c.key;
+$$;
+
+revoke execute on function public.stamp_window_items(uuid, date, jsonb, jsonb, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,48 @@
+-- Ticks recorded before a day was saved count when the day is swept.
+-- Completing a linked task used to call submit_daily_checks on a day the member had not saved
+-- yet, which fined every other item mid-day and made the row look user-saved. It now only
+-- records the tick (record_checklist_tick) unless the member already saved the day;
+-- DailyChecklist shows recorded ticks on an unsaved day, and sweep_daily_checks marks them done
+-- before evaluating it (applyChecklistTicks in src/utils/checklist.js does the same merge).
+
+-- sweep_daily_checks from 20261019002600; recorded ticks mark their items done
+create or replace function public.sweep_daily_checks(p_user uuid, p_date date, p_checks jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dc public.daily_checks;
+  v_at timestamptz;
+  v_checks jsonb;
+  v_state jsonb;
+begin
+  select * into v_dc from daily_checks where user_id = p_user and date = p_date for update;
+  if found and v_dc.source <> 'sweeper' then
+    return null;
+  end if;
+
+  v_checks := coalesce(v_dc.checks, p_checks, '{}'::jsonb);
+  v_checks := v_checks || coalesce((
+    select jsonb_object_agg(t.item_key, (v_checks->t.item_key) || '{"done": true}'::jsonb)
+      from checklist_ticks t
+     where t.user_id = p_user and t.date = p_date
+       and jsonb_typeof(v_checks->t.item_key) = 'object'
+  ), '{}'::jsonb);
+
+  v_at := coalesce(v_dc.swept_at, now());
+  v_state := apply_daily_checks(p_user, p_date, v_checks, v_at);
+
+  update daily_checks
+     set source = 'sweeper', swept_at = v_at
+   where user_id = p_user and date = p_date;
+
+  return v_state || jsonb_build_object('daily_check', (
+    select to_jsonb(dc) from daily_checks dc where dc.user_id = p_user and dc.date = p_date
+  ));
+end;
+$$;
+
+revoke execute on function public.sweep_daily_checks(uuid, date, jsonb) from public, anon, authenticated;
+grant execute on function public.sweep_daily_checks(uuid, date, jsonb) to service_role;
@@ -0,0 +1,64 @@
+-- Excuses are revoked through revoke_suspension instead of a client-side delete.
+-- Members could still delete their own suspensions rows: the delete freed the month's quota,
+-- but the fines clear_suspended_fines had removed never came back, so a day could be excused,
+-- un-excused and excused again without limit. Clients can no longer delete suspensions; the RPC
+-- marks the row 'revoked' (kept for the record, no longer excusing or counting toward the quota)
+-- and re-prices every covered day up to today that already has a checklist:
+--   saved by the member      apply_daily_checks with the stored checks, priced as of now
+--   written by the sweeper   sweep_daily_checks, priced as when it was first swept
+-- Covered days without a checklist are fined by the next sweep as usual.
+
+alter table public.suspensions drop constraint if exists suspensions_status_check;
+alter table public.suspensions add constraint suspensions_status_check check (status in ('active', 'pending', 'rejected', 'revoked'));
+alter table public.suspensions add column if not exists revoked_at timestamptz;
+
+revoke delete on public.suspensions from anon, authenticated;
+
+create or replace function public.revoke_suspension(p_suspension_id uuid)
+returns public.suspensions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_susp public.suspensions;
+  v_dc public.daily_checks;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_susp from suspensions where id = p_suspension_id for update;
+  if not found then
+    raise exception 'suspension not found';
+  end if;
+  if v_susp.user_id <> v_user then
+    raise exception 'you can only revoke your own excuse';
+  end if;
+  if v_susp.status not in ('active', 'pending') then
+    raise exception 'suspension is already %', v_susp.status;
+  end if;
+  perform assert_checklist_date_editable(v_user, v_susp.start_date);
+
+  update suspensions set status = 'revoked', revoked_at = now() where id = v_susp.id returning * into v_susp;
+
+  for v_dc in
+    select dc.* from daily_checks dc
+     where dc.user_id = v_user
+       and dc.date <= (now() at time zone coalesce((select p.timezone from profiles p where p.id = v_user), 'UTC'))::date
+       and dc.date in (select suspension_dates(v_susp))
+     order by dc.date
+  loop
+    if v_dc.source = 'sweeper' then
+      perform sweep_daily_checks(v_user, v_dc.date, v_dc.checks);
+    else
+      perform apply_daily_checks(v_user, v_dc.date, v_dc.checks, now());
+    end if;
+  end loop;
+
+  return v_susp;
+end;
+$$;
+
+grant execute on function public.revoke_suspension(uuid) to authenticated;
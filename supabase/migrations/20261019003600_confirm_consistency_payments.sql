@@ -0,0 +1,102 @@
+-- The pot counts a paid consistency fine only once another member has confirmed it.
+-- markFinePaid writes the 'paid' consistency_fines_history row from the browser, so it was a
+-- self-reported payment going straight into the pot. That row is now a claim until another
+-- member confirms it with confirm_consistency_fine_payment, which stamps confirmed_by /
+-- confirmed_at and notifies the payer.
+-- Clients cannot set those columns (guard trigger on insert, update revoked), and
+-- pot_collections counts confirmed 'paid' rows on the day they were confirmed. Rows marked
+-- paid before this migration are unconfirmed and drop out of the pot until confirmed.
+
+alter table public.consistency_fines_history add column if not exists confirmed_by uuid references auth.users(id);
+alter table public.consistency_fines_history add column if not exists confirmed_at timestamptz;
+
+revoke update, delete on public.consistency_fines_history from anon, authenticated;
+
+create or replace function public.guard_consistency_history()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null then
+    new.confirmed_by := null;
+    new.confirmed_at := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists consistency_history_guard on public.consistency_fines_history;
+create trigger consistency_history_guard
+  before insert on public.consistency_fines_history
+  for each row execute function public.guard_consistency_history();
+
+-- confirmers need to see other members' payment claims
+drop policy if exists "paid consistency claims readable by members" on public.consistency_fines_history;
+create policy "paid consistency claims readable by members" on public.consistency_fines_history
+  for select using (auth.uid() is not null and event_type = 'paid');
+
+create or replace function public.confirm_consistency_fine_payment(p_history_id uuid)
+returns public.consistency_fines_history
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_row public.consistency_fines_history;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_row from consistency_fines_history where id = p_history_id for update;
+  if not found or v_row.event_type <> 'paid' then
+    raise exception 'payment not found';
+  end if;
+  if v_row.confirmed_at is not null then
+    raise exception 'payment is already confirmed';
+  end if;
+  if v_row.user_id = v_user then
+    raise exception 'a payment must be confirmed by someone else';
+  end if;
+
+  update consistency_fines_history
+     set confirmed_by = v_user, confirmed_at = now()
+   where id = v_row.id
+  returning * into v_row;
+
+  insert into notifications (user_id, kind, title, body, link)
+  values (v_row.user_id, 'payment_confirmed', 'Payment confirmed',
+          format('Your consistency fine payment of ₹%s (%s) was confirmed.', v_row.amount_after, v_row.domain), '/pot');
+
+  return v_row;
+end;
+$$;
+
+grant execute on function public.confirm_consistency_fine_payment(uuid) to authenticated;
+
+-- pot_collections from 20261019002800; consistency fines count once confirmed
+create or replace function public.pot_collections(p_start date, p_end date)
+returns table (user_id uuid, source text, amount numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select fp.user_id, 'fines'::text, sum(fp.amount)
+    from fine_payments fp
+   where fp.status = 'confirmed'
+     and coalesce(fp.confirmed_at, fp.created_at)::date between p_start and p_end
+   group by fp.user_id
+  union all
+  select h.user_id, 'consistency_fines'::text, sum(h.amount_after)
+    from (
+      select h.*, lag(h.event_type) over (partition by h.fine_id order by h.created_at) as prev_event
+        from consistency_fines_history h
+    ) h
+   where h.event_type = 'paid'
+     and h.prev_event is distinct from 'paid'
+     and h.confirmed_at is not null
+     and h.confirmed_at::date between p_start and p_end
+   group by h.user_id;
+$$;
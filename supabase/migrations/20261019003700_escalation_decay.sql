@@ -0,0 +1,193 @@
+-- Escalated checklist fines follow the policy's decay, and every priced fine is logged.
+-- escalation_for ended a streak on the first day the domain was kept, whatever the policy's
+-- decay said. The domain's judged days are now replayed oldest first:
+--   miss      one step up the curve: multiplier = curve(n + 1)
+--   kept      the multiplier decays as DECAY_MODES in escalation.js ('halve', 'step-down',
+--             'reset'; never below 1, capped at max_multiplier) and n drops to the number of
+--             curve steps still within it, so the next miss continues from there
+--   nothing   days with nothing to judge; more than grace_days of them in a row end the streak
+-- With 'reset' this is the old behaviour. escalation_for mirrors streakEscalation in
+-- src/utils/escalation.js; fines.escalation.consecutive is now the step on the curve.
+-- upsert_item_fine writes a fines_history row (amounts, multipliers, steps and the escalation
+-- plus late rule in force) whenever a checklist fine is created or re-priced, so amounts can be
+-- reproduced later.
+
+-- multiplier after a kept day (mirrors nextSuccessState)
+create or replace function public.escalation_decay(p_policy jsonb, p_mult numeric)
+returns numeric
+language plpgsql
+immutable
+as $$
+declare
+  v_mult numeric;
+begin
+  if p_mult <= 1 then
+    return p_mult;
+  end if;
+  case coalesce(p_policy->>'decay', 'halve')
+    when 'halve' then
+      v_mult := floor(p_mult / 2);
+    when 'step-down' then
+      v_mult := p_mult - 1;
+    when 'reset' then
+      v_mult := 1;
+    else
+      raise exception 'unknown decay mode: %', p_policy->>'decay';
+  end case;
+
+  v_mult := greatest(v_mult, 1);
+  if nullif(p_policy->>'max_multiplier', '') is not null then
+    v_mult := least(v_mult, (p_policy->>'max_multiplier')::numeric);
+  end if;
+  return v_mult;
+end;
+$$;
+
+-- curve steps whose multiplier is still within p_mult (0 below the first step, or once back at 1)
+create or replace function public.escalation_steps_within(p_policy jsonb, p_mult numeric)
+returns int
+language plpgsql
+immutable
+as $$
+declare
+  v_n int := 0;
+begin
+  if p_mult <= 1 then
+    return 0;
+  end if;
+  while v_n < 366 and escalation_multiplier(p_policy, v_n + 1) <= p_mult loop
+    v_n := v_n + 1;
+  end loop;
+  return v_n;
+end;
+$$;
+
+-- escalation_for from 20261019002300; kept days decay the streak instead of ending it
+create or replace function public.escalation_for(p_user uuid, p_domain text, p_date date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_policy jsonb := escalation_policy()->'domains'->p_domain;
+  v_grace int;
+  v_days text[] := '{}';
+  v_n int := 0;
+  v_mult numeric := 1;
+  v_gap int := 0;
+  v_day date := p_date;
+begin
+  if p_domain is null or jsonb_typeof(v_policy) <> 'object' then
+    return null;
+  end if;
+  v_grace := greatest(coalesce((v_policy->>'grace_days')::int, 0), 0);
+
+  -- judged days back to the start of the streak, newest first
+  for i in 1..366 loop
+    v_day := v_day - 1;
+    if exists (
+      select 1 from fines f
+       where f.user_id = p_user and f.domain = p_domain and f.date = v_day and f.quota_result_id is null
+    ) then
+      v_days := v_days || 'miss'::text;
+      v_gap := 0;
+    elsif not is_suspended(p_user, v_day) and exists (
+      select 1 from daily_checks dc, jsonb_each(dc.checks) c
+       where dc.user_id = p_user and dc.date = v_day
+         and jsonb_typeof(c.value) = 'object'
+         and c.value->'meta'->>'type' = p_domain
+         and not coalesce((c.value->>'excused')::boolean, false)
+    ) then
+      v_days := v_days || 'kept'::text;
+      v_gap := 0;
+      -- nothing before a reset matters
+      exit when coalesce(v_policy->>'decay', 'halve') = 'reset';
+    else
+      v_gap := v_gap + 1;
+      exit when v_gap > v_grace;
+    end if;
+  end loop;
+
+  for i in reverse coalesce(array_length(v_days, 1), 0)..1 loop
+    if v_days[i] = 'miss' then
+      v_n := v_n + 1;
+      v_mult := escalation_multiplier(v_policy, v_n);
+    else
+      v_mult := escalation_decay(v_policy, v_mult);
+      v_n := escalation_steps_within(v_policy, v_mult);
+    end if;
+  end loop;
+
+  v_n := v_n + 1;
+  return v_policy || jsonb_build_object('domain', p_domain, 'consecutive', v_n, 'multiplier', escalation_multiplier(v_policy, v_n));
+end;
+$$;
+
+revoke execute on function public.escalation_for(uuid, text, date) from public, anon, authenticated;
+
+-- upsert_item_fine from 20261019002500; new and re-priced fines are logged in fines_history
+create or replace function public.upsert_item_fine(
+  p_dc public.daily_checks,
+  p_key text,
+  p_amount numeric,
+  p_reason text,
+  p_late_rule jsonb,
+  p_domain text default null,
+  p_escalation jsonb default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before public.fines;
+  v_fine public.fines;
+begin
+  select * into v_before from fines where daily_check_id = p_dc.id and item_key = p_key for update;
+  if found then
+    update fines
+       set amount = p_amount,
+           reason = p_reason,
+           late_rule = p_late_rule,
+           domain = p_domain,
+           escalation = p_escalation,
+           paid = paid_amount >= p_amount
+     where id = v_before.id
+    returning * into v_fine;
+  else
+    insert into fines (user_id, daily_check_id, date, amount, reason, item_key, late_rule, domain, escalation)
+    values (p_dc.user_id, p_dc.id, p_dc.date, p_amount, p_reason, p_key, p_late_rule, p_domain, p_escalation)
+    returning * into v_fine;
+  end if;
+
+  if v_before.id is not null
+     and v_before.amount = v_fine.amount
+     and v_before.escalation is not distinct from v_fine.escalation then
+    return;
+  end if;
+
+  insert into fines_history (
+    fine_id, user_id, domain, event_type,
+    amount_before, amount_after,
+    multiplier_before, multiplier_after,
+    consecutive_before, consecutive_after,
+    escalation, note
+  )
+  values (
+    v_fine.id, v_fine.user_id, v_fine.domain,
+    case when p_late_rule ? 'window' then 'late' else 'miss' end,
+    coalesce(v_before.amount, 0), v_fine.amount,
+    case when v_before.id is null then 0 else coalesce((v_before.escalation->>'multiplier')::numeric, 1) end,
+    coalesce((p_escalation->>'multiplier')::numeric, 1),
+    coalesce((v_before.escalation->>'consecutive')::int, 0),
+    coalesce((p_escalation->>'consecutive')::int, 0),
+    coalesce(p_escalation, '{}'::jsonb) || jsonb_build_object('late_rule', p_late_rule),
+    format('%s %s on %s', case when v_before.id is null then 'fined' else 're-priced' end, p_key, p_dc.date)
+  );
+end;
+$$;
+
+revoke execute on function public.upsert_item_fine(public.daily_checks, text, numeric, text, jsonb, text, jsonb) from public, anon, authenticated;
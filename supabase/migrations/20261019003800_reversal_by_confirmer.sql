@@ -0,0 +1,98 @@
+-- A confirmed payment is reversed by whoever vouched for it, not by the payer.
+-- reverse_fine_payment let the payer alone undo a payment another member had confirmed: the
+-- fines went back to unpaid and the pot shrank without the confirmer knowing. Now only the
+-- member who confirmed it, a treasurer or an admin can reverse it (never the payer), the
+-- reversal stays on the payer's ledger with created_by = the reverser, it is logged in
+-- fine_payment_confirmations as 'reversed', and the payer and the confirmer are notified.
+
+alter table public.fine_payment_confirmations drop constraint if exists fine_payment_confirmations_action_check;
+alter table public.fine_payment_confirmations add constraint fine_payment_confirmations_action_check check (action in ('confirmed', 'rejected', 'reversed'));
+
+create or replace function public.can_reverse_fine_payment(p_payment public.fine_payments, p_actor uuid)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select p_actor is not null
+     and p_actor <> p_payment.user_id
+     and (
+       p_payment.confirmed_by = p_actor
+       or exists (select 1 from profiles where id = p_actor and (is_treasurer or is_admin))
+     );
+$$;
+
+-- reverse_fine_payment from 20261019000600; restricted to the confirmer, treasurers and admins
+create or replace function public.reverse_fine_payment(p_payment_id uuid, p_reason text)
+returns public.fine_payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_orig public.fine_payments;
+  v_rev public.fine_payments;
+  v_alloc record;
+begin
+  if v_user is null then
+    raise exception 'not authenticated';
+  end if;
+  if length(trim(coalesce(p_reason, ''))) < 3 then
+    raise exception 'reason must be at least 3 characters';
+  end if;
+
+  select * into v_orig from fine_payments where id = p_payment_id for update;
+  if not found then
+    raise exception 'payment not found';
+  end if;
+  if v_orig.kind <> 'payment' then
+    raise exception 'only payments can be reversed';
+  end if;
+  if v_orig.status <> 'confirmed' then
+    raise exception 'only confirmed payments can be reversed';
+  end if;
+  if v_orig.reversed_by_payment_id is not null then
+    raise exception 'payment already reversed';
+  end if;
+  if not can_reverse_fine_payment(v_orig, v_user) then
+    raise exception 'only the member who confirmed this payment, a treasurer or an admin can reverse it';
+  end if;
+
+  insert into fine_payments (user_id, kind, status, amount, method, reference, note, reverses_payment_id, created_by)
+  values (v_orig.user_id, 'reversal', 'confirmed', -v_orig.amount, v_orig.method, v_orig.reference, trim(p_reason), v_orig.id, v_user)
+  returning * into v_rev;
+
+  for v_alloc in
+    select fine_id, sum(amount) as amount
+      from fine_payment_allocations
+     where payment_id = v_orig.id
+     group by fine_id
+  loop
+    insert into fine_payment_allocations (payment_id, fine_id, amount)
+    values (v_rev.id, v_alloc.fine_id, -v_alloc.amount);
+    update fines
+       set paid_amount = greatest(0, paid_amount - v_alloc.amount),
+           paid = (greatest(0, paid_amount - v_alloc.amount) >= amount)
+     where id = v_alloc.fine_id;
+  end loop;
+
+  update fine_payments set reversed_by_payment_id = v_rev.id where id = v_orig.id;
+
+  insert into fine_payment_confirmations (payment_id, actor_id, action, note)
+  values (v_orig.id, v_user, 'reversed', trim(p_reason));
+
+  insert into notifications (user_id, kind, title, body, link)
+  select n.uid, 'payment_reversed', 'Payment reversed',
+         format('%s reversed a payment of ₹%s: %s', coalesce(me.full_name, 'A member'), v_orig.amount, trim(p_reason)), '/fines'
+    from (
+      select v_orig.user_id as uid
+      union
+      select v_orig.confirmed_by where v_orig.confirmed_by is not null
+    ) n
+    left join profiles me on me.id = v_user
+   where n.uid <> v_user;
+
+  return v_rev;
+end;
+$$;